@@ -3,8 +3,11 @@
  *
  * Entry point for Express server handling:
  * - AI Training endpoint (/api/v1/train)
- * - Twilio webhooks (future)
- * - Customer registration (future)
+ * - AI Chat endpoint (/api/v1/chat)
+ * - Customer registration and lifecycle (/api/v1/customers)
+ * - Twilio voice webhooks (/api/v1/voice)
+ * - Twilio SMS webhooks (/api/v1/sms)
+ * - Admin jobs (/api/v1/admin)
  */
 
 require('dotenv').config();
@@ -13,13 +16,32 @@ const cors = require('cors');
 const trainRouter = require('./routes/train');
 const chatRouter = require('./routes/chat');
 const registerRouter = require('./routes/register');
+const customersRouter = require('./routes/customers');
+const voiceRouter = require('./routes/voice');
+const smsRouter = require('./routes/sms');
+const callsRouter = require('./routes/calls');
+const leadsRouter = require('./routes/leads');
+const appointmentsRouter = require('./routes/appointments');
+const knowledgeRouter = require('./routes/knowledge');
+const trainingSessionsRouter = require('./routes/trainingSessions');
+const correctionsRouter = require('./routes/corrections');
+const adminRouter = require('./routes/admin');
+const llm = require('./services/llm');
 
 const app = express();
 const PORT = process.env.PORT || 8080;
 
+// Cloud Run sits behind one proxy hop - use the client IP from X-Forwarded-For (rate limiting)
+app.set('trust proxy', parseInt(process.env.TRUST_PROXY_HOPS, 10) || 1);
+
 // Middleware
 app.use(cors());
-app.use(express.json());
+app.use(express.json({
+  // Keep the raw body for request signature verification (middleware/auth.js)
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  },
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // Request logging
@@ -47,6 +69,8 @@ app.get('/api/v1/health', (req, res) => {
     performance: {
       target_response_time: '1500-2500ms',
       vertex_ai_model: 'gemini-2.0-flash-exp',
+      default_model: llm.DEFAULT_MODEL,
+      supported_models: llm.getSupportedModels(),
       optimizations: {
         max_history_turns: 5,
         max_output_tokens: 150,
@@ -61,6 +85,16 @@ app.get('/api/v1/health', (req, res) => {
 app.use('/api/v1/train', trainRouter);
 app.use('/api/v1/chat', chatRouter);
 app.use('/api/v1/customers', registerRouter);
+app.use('/api/v1/customers', customersRouter);
+app.use('/api/v1/customers/:site_token/calls', callsRouter);
+app.use('/api/v1/customers/:site_token/leads', leadsRouter);
+app.use('/api/v1/customers/:site_token/appointments', appointmentsRouter);
+app.use('/api/v1/customers/:site_token/knowledge', knowledgeRouter);
+app.use('/api/v1/customers/:site_token/training-sessions', trainingSessionsRouter);
+app.use('/api/v1/customers/:site_token/corrections', correctionsRouter);
+app.use('/api/v1/voice', voiceRouter);
+app.use('/api/v1/sms', smsRouter);
+app.use('/api/v1/admin', adminRouter);
 
 // 404 handler
 app.use((req, res) => {
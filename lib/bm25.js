@@ -0,0 +1,88 @@
+/**
+ * BM25 keyword ranking
+ *
+ * Small in-memory Okapi BM25 for ranking a few hundred short texts (knowledge base
+ * chunks) without an external search service. Used when embeddings are off or fail.
+ */
+
+// Okapi BM25 parameters (common defaults)
+const K1 = 1.2;
+const B = 0.75;
+
+// Words too common to say anything about relevance
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'do', 'does', 'for', 'from',
+  'have', 'how', 'i', 'if', 'in', 'is', 'it', 'me', 'my', 'of', 'on', 'or', 'our', 'so', 'that',
+  'the', 'their', 'there', 'this', 'to', 'was', 'we', 'what', 'when', 'where', 'which', 'who',
+  'will', 'with', 'you', 'your',
+  // Contraction pieces ("what's", "don't", "we'll")
+  'd', 'll', 'm', 're', 's', 't', 've',
+]);
+
+/**
+ * Split text into lowercase terms (stop words removed, plural "s" stripped)
+ *
+ * @param {string} text - Text
+ * @returns {string[]} Terms
+ */
+function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter((term) => term && !STOP_WORDS.has(term))
+    .map((term) => (term.length > 3 && term.endsWith('s') && !term.endsWith('ss') ? term.slice(0, -1) : term));
+}
+
+/**
+ * Build a BM25 index over texts
+ *
+ * @param {string[]} texts - Texts to rank
+ * @returns {{search: Function}} search(query, limit) -> [{ index, score }] best first (score > 0 only)
+ */
+function createIndex(texts) {
+  const documents = texts.map((text) => {
+    const frequencies = new Map();
+    const terms = tokenize(text);
+    terms.forEach((term) => frequencies.set(term, (frequencies.get(term) || 0) + 1));
+    return { frequencies, length: terms.length };
+  });
+
+  const documentFrequency = new Map();
+  documents.forEach((document) => {
+    document.frequencies.forEach((count, term) => {
+      documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+    });
+  });
+
+  const averageLength = documents.reduce((sum, document) => sum + document.length, 0) / (documents.length || 1);
+
+  return {
+    search(query, limit = 5) {
+      const queryTerms = [...new Set(tokenize(query))];
+
+      return documents
+        .map((document, index) => {
+          let score = 0;
+          queryTerms.forEach((term) => {
+            const frequency = document.frequencies.get(term);
+            if (!frequency) {
+              return;
+            }
+            const containing = documentFrequency.get(term);
+            const idf = Math.log(1 + (documents.length - containing + 0.5) / (containing + 0.5));
+            score += idf * (frequency * (K1 + 1)) /
+              (frequency + K1 * (1 - B + B * (document.length / (averageLength || 1))));
+          });
+          return { index, score };
+        })
+        .filter((result) => result.score > 0)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit);
+    },
+  };
+}
+
+module.exports = {
+  tokenize,
+  createIndex,
+};
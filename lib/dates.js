@@ -0,0 +1,26 @@
+/**
+ * Date query parameter helper
+ *
+ * Shared by the list endpoints that filter by date (calls, leads).
+ */
+
+/**
+ * Parse an optional date query parameter to an ISO timestamp
+ *
+ * @param {string} value - Date string (ISO 8601 or YYYY-MM-DD)
+ * @param {boolean} endOfDay - For plain YYYY-MM-DD dates, use the end of that day (inclusive "to")
+ * @returns {string|null|undefined} ISO string, null if absent, undefined if invalid
+ */
+function parseDateParam(value, endOfDay = false) {
+  if (!value) {
+    return null;
+  }
+
+  const isPlainDate = /^\d{4}-\d{2}-\d{2}$/.test(value);
+  const date = new Date(isPlainDate && endOfDay ? `${value}T23:59:59.999Z` : value);
+  return isNaN(date.getTime()) ? undefined : date.toISOString();
+}
+
+module.exports = {
+  parseDateParam,
+};
@@ -0,0 +1,69 @@
+/**
+ * Server-Sent Events helper
+ *
+ * Minimal SSE writer for streaming AI responses to the WordPress plugin:
+ * - event: token  { text }          - One text chunk
+ * - event: done   { ...summary }    - Final event with usage and timing
+ * - event: error  { error, message } - Stream failed
+ */
+
+/**
+ * Open an SSE stream on an Express response
+ *
+ * @param {Object} res - Express response
+ * @returns {{send: Function, close: Function, isClosed: Function}} Stream handle
+ */
+function openEventStream(res) {
+  let closed = false;
+
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no', // Disable proxy buffering so tokens arrive immediately
+  });
+  res.flushHeaders();
+
+  // res 'close' fires when the client disconnects (req 'close' fires once the body is read)
+  res.on('close', () => {
+    closed = true;
+  });
+
+  return {
+    /**
+     * Send one event
+     *
+     * @param {string} event - Event name
+     * @param {Object} data - JSON-serializable payload
+     */
+    send(event, data) {
+      if (closed) {
+        return;
+      }
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+
+    /**
+     * End the stream
+     */
+    close() {
+      if (closed) {
+        return;
+      }
+      closed = true;
+      res.end();
+    },
+
+    /**
+     * @returns {boolean} True once the client disconnected or the stream ended
+     */
+    isClosed() {
+      return closed;
+    },
+  };
+}
+
+module.exports = {
+  openEventStream,
+};
@@ -0,0 +1,201 @@
+/**
+ * Time zone helpers
+ *
+ * IANA time zone math on top of Intl (no date library):
+ * - Wall-clock parts of an instant in a time zone
+ * - The instant for a local date + time in a time zone (DST-aware)
+ * - Spoken / readable labels for the receptionist
+ * - "HH:MM-HH:MM" opening-hours ranges
+ */
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// "09:00-17:00"
+const HOURS_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)-([01]\d|2[0-4]):([0-5]\d)$/;
+
+const HALF_DAY_MS = 12 * 60 * 60 * 1000;
+
+// Intl.DateTimeFormat instances are slow to create - reuse one per time zone
+const partsFormatters = new Map();
+
+/**
+ * Whether a string is a valid IANA time zone (e.g. America/New_York)
+ *
+ * @param {string} timeZone - Time zone name
+ * @returns {boolean}
+ */
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || !timeZone) {
+    return false;
+  }
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Get the wall-clock parts of an instant in a time zone
+ *
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, weekday: string, date: string, time: string}}
+ *   weekday is 'sun'..'sat', date is YYYY-MM-DD, time is HH:MM
+ */
+function getZonedParts(date, timeZone) {
+  let formatter = partsFormatters.get(timeZone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      weekday: 'short',
+    });
+    partsFormatters.set(timeZone, formatter);
+  }
+
+  const parts = {};
+  formatter.formatToParts(date).forEach((part) => {
+    parts[part.type] = part.value;
+  });
+
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    weekday: parts.weekday.toLowerCase().substring(0, 3),
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    time: `${parts.hour}:${parts.minute}`,
+  };
+}
+
+/**
+ * Get the instant for a local date and time in a time zone
+ *
+ * Times skipped by a DST change (e.g. 02:30 when clocks spring forward) resolve an hour earlier;
+ * times that occur twice (clocks fall back) resolve to the first occurrence.
+ *
+ * @param {string} date - Local date (YYYY-MM-DD)
+ * @param {string} time - Local time (HH:MM)
+ * @param {string} timeZone - IANA time zone
+ * @returns {Date} Instant
+ */
+function zonedTimeToUtc(date, time, timeZone) {
+  const [year, month, day] = date.split('-').map(Number);
+  const [hour, minute] = time.split(':').map(Number);
+  const wallClockMs = Date.UTC(year, month - 1, day, hour, minute);
+
+  // The offsets either side of the wall-clock time differ only across a DST change
+  const offsetBefore = getOffsetMs(new Date(wallClockMs - HALF_DAY_MS), timeZone);
+  const offsetAfter = getOffsetMs(new Date(wallClockMs + HALF_DAY_MS), timeZone);
+
+  for (const offset of [offsetBefore, offsetAfter]) {
+    if (getOffsetMs(new Date(wallClockMs - offset), timeZone) === offset) {
+      return new Date(wallClockMs - offset);
+    }
+  }
+
+  // Skipped by the change - moved back by the size of the jump (an hour in most zones)
+  return new Date(wallClockMs - offsetAfter);
+}
+
+/**
+ * Get a time zone's UTC offset at an instant
+ *
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {number} Offset in ms (local - UTC)
+ */
+function getOffsetMs(date, timeZone) {
+  const parts = getZonedParts(date, timeZone);
+  const localMs = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute);
+  return localMs - Math.floor(date.getTime() / 60000) * 60000;
+}
+
+/**
+ * Add days to a local date
+ *
+ * @param {string} date - Local date (YYYY-MM-DD)
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string} Local date (YYYY-MM-DD)
+ */
+function addDays(date, days) {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().substring(0, 10);
+}
+
+/**
+ * Format an instant for the receptionist to read out, e.g. "Tuesday, March 3 at 2:30 PM"
+ *
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {string} Label
+ */
+function formatSpoken(date, timeZone) {
+  const day = date.toLocaleDateString('en-US', { timeZone, weekday: 'long', month: 'long', day: 'numeric' });
+  const time = date.toLocaleTimeString('en-US', { timeZone, hour: 'numeric', minute: '2-digit' });
+  return `${day} at ${time}`;
+}
+
+/**
+ * Parse "HH:MM-HH:MM" to minutes since midnight
+ *
+ * @param {string} range - Hours range
+ * @returns {{start: number, end: number}|null} Minutes, or null if invalid
+ */
+function parseHoursRange(range) {
+  const match = typeof range === 'string' ? HOURS_PATTERN.exec(range) : null;
+  if (!match) {
+    return null;
+  }
+
+  const [, startHour, startMinute, endHour, endMinute] = match.map(Number);
+  const start = startHour * 60 + startMinute;
+  const end = endHour * 60 + endMinute;
+  return end > start && end <= 24 * 60 ? { start, end } : null;
+}
+
+/**
+ * Format minutes since midnight as HH:MM
+ *
+ * @param {number} minutes - Minutes
+ * @returns {string}
+ */
+function toTimeString(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Get the instant a local time of day falls on (24:00 is midnight at the end of the day)
+ *
+ * @param {string} date - Local date (YYYY-MM-DD)
+ * @param {number} minutes - Minutes since midnight (0 - 1440)
+ * @param {string} timeZone - IANA time zone
+ * @returns {Date} Instant
+ */
+function zonedMinutesToUtc(date, minutes, timeZone) {
+  return minutes === 24 * 60
+    ? zonedTimeToUtc(addDays(date, 1), '00:00', timeZone)
+    : zonedTimeToUtc(date, toTimeString(minutes), timeZone);
+}
+
+module.exports = {
+  WEEKDAYS,
+  isValidTimeZone,
+  getZonedParts,
+  zonedTimeToUtc,
+  addDays,
+  formatSpoken,
+  parseHoursRange,
+  toTimeString,
+  zonedMinutesToUtc,
+};
@@ -0,0 +1,237 @@
+/**
+ * Site Token Authentication Middleware
+ *
+ * Authenticates requests that carry a site_token (body or :site_token param)
+ * with the customer's api_secret, issued by POST /api/v1/customers/register.
+ *
+ * Two ways to authenticate:
+ *
+ * 1. Signed request (preferred - the secret never leaves the WordPress site)
+ *      X-PhoneEase-Timestamp: <unix seconds>
+ *      X-PhoneEase-Signature: hex(HMAC-SHA256(api_secret, "<timestamp>.<METHOD>.<path?query>.<raw body>"))
+ *    The timestamp must be within AUTH_MAX_CLOCK_SKEW_SECONDS and each
+ *    signature is accepted once (replay protection).
+ *
+ * 2. Bearer token
+ *      Authorization: Bearer <api_secret>
+ *
+ * AUTH_REQUIRED=false (rollout default) lets unauthenticated /chat and /train requests
+ * through so existing plugins keep working; credentials that are sent are always checked.
+ * requireSiteAuth always requires credentials (all /customers/:site_token routes).
+ * On success the customer document is attached as req.customer.
+ */
+
+const crypto = require('crypto');
+const { Firestore } = require('@google-cloud/firestore');
+const { getCustomer } = require('../services/firestore');
+
+// Initialize Firestore
+const firestore = new Firestore({
+  projectId: process.env.GOOGLE_CLOUD_PROJECT,
+});
+
+const REPLAYS_COLLECTION = 'auth_replays';
+
+const AUTH_REQUIRED = process.env.AUTH_REQUIRED === 'true';
+const MAX_CLOCK_SKEW_SECONDS = parseInt(process.env.AUTH_MAX_CLOCK_SKEW_SECONDS, 10) || 300;
+
+const TIMESTAMP_HEADER = 'X-PhoneEase-Timestamp';
+const SIGNATURE_HEADER = 'X-PhoneEase-Signature';
+
+// Signatures seen by this instance (signature -> expiry ms), checked before Firestore
+const seenSignatures = new Map();
+
+/**
+ * Generate a new customer API secret
+ *
+ * @returns {string} 64-character hex secret
+ */
+function generateApiSecret() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Compute the request signature for a secret
+ *
+ * @param {string} secret - Customer api_secret
+ * @param {string} timestamp - Unix seconds (as sent in the header)
+ * @param {string} method - HTTP method
+ * @param {string} path - Request path including query string
+ * @param {string} body - Raw request body ('' if none)
+ * @returns {string} Hex HMAC-SHA256 signature
+ */
+function signRequest(secret, timestamp, method, path, body) {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${method.toUpperCase()}.${path}.${body || ''}`)
+    .digest('hex');
+}
+
+/**
+ * Constant-time string comparison
+ *
+ * @param {string} a - First value
+ * @param {string} b - Second value
+ * @returns {boolean} True if equal
+ */
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(String(a));
+  const bufferB = Buffer.from(String(b));
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+/**
+ * Record a signature as used
+ *
+ * Checked in memory first, then with a Firestore create() so a signature
+ * replayed against another Cloud Run instance is also rejected.
+ * Configure a Firestore TTL policy on auth_replays.expires_at.
+ *
+ * @param {string} signature - Request signature
+ * @returns {Promise<boolean>} True if the signature was not seen before
+ */
+async function claimSignature(signature) {
+  const now = Date.now();
+
+  for (const [seen, expiresAt] of seenSignatures) {
+    if (expiresAt <= now) {
+      seenSignatures.delete(seen);
+    }
+  }
+
+  if (seenSignatures.has(signature)) {
+    return false;
+  }
+
+  const expiresAt = now + MAX_CLOCK_SKEW_SECONDS * 2 * 1000;
+
+  // Remembered only once Firestore has it, so a failed write doesn't block the client's retry
+  try {
+    await firestore.collection(REPLAYS_COLLECTION).doc(signature).create({
+      expires_at: new Date(expiresAt),
+    });
+    seenSignatures.set(signature, expiresAt);
+    return true;
+  } catch (error) {
+    // 6 = ALREADY_EXISTS
+    if (error.code === 6) {
+      seenSignatures.set(signature, expiresAt);
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Verify a signed request against the customer's secret
+ *
+ * @param {Object} req - Express request
+ * @param {string} secret - Customer api_secret
+ * @returns {Promise<string|null>} Error message, or null if valid
+ */
+async function verifySignature(req, secret) {
+  const timestamp = req.get(TIMESTAMP_HEADER);
+  const signature = (req.get(SIGNATURE_HEADER) || '').toLowerCase();
+
+  if (!timestamp || !/^\d+$/.test(timestamp)) {
+    return `Missing or invalid ${TIMESTAMP_HEADER} header`;
+  }
+
+  const skew = Math.abs(Math.floor(Date.now() / 1000) - parseInt(timestamp, 10));
+  if (skew > MAX_CLOCK_SKEW_SECONDS) {
+    return 'Request timestamp outside allowed window';
+  }
+
+  const rawBody = req.rawBody ? req.rawBody.toString('utf8') : '';
+  const expected = signRequest(secret, timestamp, req.method, req.originalUrl, rawBody);
+
+  if (!safeEqual(signature, expected)) {
+    return 'Invalid signature';
+  }
+
+  if (!(await claimSignature(signature))) {
+    return 'Request already processed (replay)';
+  }
+
+  return null;
+}
+
+/**
+ * Create site_token authentication middleware
+ *
+ * @param {Object} options - Middleware options
+ * @param {boolean} options.required - Reject requests without credentials
+ * @returns {Function} Express middleware
+ */
+function createSiteAuth({ required }) {
+  return async (req, res, next) => {
+    try {
+      const siteToken = req.params.site_token || (req.body && req.body.site_token);
+      const authorization = req.get('Authorization') || '';
+      const isSigned = Boolean(req.get(SIGNATURE_HEADER));
+      const isBearer = /^Bearer\s+/i.test(authorization);
+
+      // Missing site_token is reported by the route's own validation (400)
+      if (!siteToken) {
+        return next();
+      }
+
+      if (!isSigned && !isBearer) {
+        if (required) {
+          return res.status(401).json({
+            success: false,
+            error: 'Authentication required',
+          });
+        }
+
+        console.log(`Auth: Unauthenticated request for site_token ${siteToken} (AUTH_REQUIRED=false)`);
+        return next();
+      }
+
+      const customer = await getCustomer(siteToken);
+
+      if (!customer || !customer.api_secret) {
+        return res.status(401).json({
+          success: false,
+          error: customer ? 'No API secret issued for this customer' : 'Invalid credentials',
+        });
+      }
+
+      const authError = isSigned
+        ? await verifySignature(req, customer.api_secret)
+        : (safeEqual(authorization.replace(/^Bearer\s+/i, ''), customer.api_secret) ? null : 'Invalid credentials');
+
+      if (authError) {
+        console.log(`Auth: Rejected request for site_token ${siteToken} - ${authError}`);
+        return res.status(401).json({
+          success: false,
+          error: authError,
+        });
+      }
+
+      req.customer = customer;
+      return next();
+    } catch (error) {
+      console.error('Auth: Error authenticating request:', error);
+
+      return res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: error.message,
+      });
+    }
+  };
+}
+
+// Honors AUTH_REQUIRED (rollout) - used by the chat and train routes only
+const authenticateSiteToken = createSiteAuth({ required: AUTH_REQUIRED });
+
+// Always requires credentials - used by the /customers/:site_token routes
+const requireSiteAuth = createSiteAuth({ required: true });
+
+module.exports = {
+  generateApiSecret,
+  signRequest,
+  authenticateSiteToken,
+  requireSiteAuth,
+};
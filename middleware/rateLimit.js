@@ -0,0 +1,339 @@
+/**
+ * Rate Limiting Middleware
+ *
+ * Token-bucket limits per route, keyed by client IP and by site_token:
+ *   router.use(authenticateSiteToken);
+ *   router.use(rateLimit('chat'));
+ * Routes without a site_token pass their own keys (e.g. SMS: sender and receiving number).
+ *
+ * Each bucket holds up to `capacity` requests and refills at `refillPerMinute`.
+ * Limits are defined in DEFAULT_LIMITS and can be overridden per route with
+ * RATE_LIMITS (JSON), e.g. {"chat":{"site_token":{"capacity":200,"refillPerMinute":200}}}.
+ *
+ * Bucket state lives in a pluggable store:
+ * - memory    - Per instance (default; fine for a single Cloud Run instance)
+ * - firestore - Shared across instances (RATE_LIMIT_STORE=firestore)
+ * - redis     - Shared, via setStore(createRedisStore(client)) with an ioredis-compatible client
+ *
+ * Store errors fail open - a rate limiter outage must not take calls down.
+ */
+
+const { Firestore } = require('@google-cloud/firestore');
+
+const RATE_LIMITS_COLLECTION = 'rate_limits';
+
+// Per-route limits: { ip, site_token } -> { capacity, refillPerMinute }
+const DEFAULT_LIMITS = {
+  chat: {
+    ip: { capacity: 120, refillPerMinute: 120 },
+    site_token: { capacity: 120, refillPerMinute: 60 },
+  },
+  train: {
+    ip: { capacity: 60, refillPerMinute: 30 },
+    site_token: { capacity: 20, refillPerMinute: 10 },
+  },
+  register: {
+    ip: { capacity: 5, refillPerMinute: 0.1 }, // ~6 registrations per hour
+  },
+  customers: {
+    ip: { capacity: 30, refillPerMinute: 10 },
+    site_token: { capacity: 20, refillPerMinute: 10 },
+  },
+  calls: {
+    ip: { capacity: 120, refillPerMinute: 60 },
+    site_token: { capacity: 60, refillPerMinute: 30 },
+  },
+  leads: {
+    ip: { capacity: 120, refillPerMinute: 60 },
+    site_token: { capacity: 60, refillPerMinute: 30 },
+  },
+  appointments: {
+    ip: { capacity: 120, refillPerMinute: 60 },
+    site_token: { capacity: 60, refillPerMinute: 30 },
+  },
+  knowledge: {
+    ip: { capacity: 60, refillPerMinute: 30 },
+    site_token: { capacity: 30, refillPerMinute: 15 }, // Writes are embedded
+  },
+  training_sessions: {
+    ip: { capacity: 120, refillPerMinute: 60 },
+    site_token: { capacity: 60, refillPerMinute: 30 },
+  },
+  corrections: {
+    ip: { capacity: 120, refillPerMinute: 60 },
+    site_token: { capacity: 60, refillPerMinute: 30 },
+  },
+  sms: {
+    sender: { capacity: 10, refillPerMinute: 2 }, // Per From number
+    number: { capacity: 100, refillPerMinute: 30 }, // Per customer number (To)
+  },
+};
+
+/**
+ * Load limits, applying RATE_LIMITS overrides
+ *
+ * @returns {Object} Limits by route
+ */
+function loadLimits() {
+  if (!process.env.RATE_LIMITS) {
+    return DEFAULT_LIMITS;
+  }
+
+  try {
+    const overrides = JSON.parse(process.env.RATE_LIMITS);
+    const limits = { ...DEFAULT_LIMITS };
+
+    Object.entries(overrides).forEach(([route, routeLimits]) => {
+      limits[route] = { ...limits[route], ...routeLimits };
+    });
+
+    return limits;
+  } catch (error) {
+    console.error('RateLimit: Invalid RATE_LIMITS JSON - using defaults:', error.message);
+    return DEFAULT_LIMITS;
+  }
+}
+
+const LIMITS = loadLimits();
+
+/**
+ * Refill a bucket and try to take one token
+ *
+ * @param {Object|null} state - Stored bucket { tokens, updatedAt } (null for a new bucket)
+ * @param {Object} limit - { capacity, refillPerMinute }
+ * @param {number} now - Current time (ms)
+ * @returns {{state: Object, allowed: boolean, retryAfterMs: number}}
+ */
+function takeToken(state, limit, now) {
+  const refillPerMs = limit.refillPerMinute / 60000;
+  const elapsed = state ? Math.max(0, now - state.updatedAt) : 0;
+  const available = state
+    ? Math.min(limit.capacity, state.tokens + elapsed * refillPerMs)
+    : limit.capacity;
+
+  if (available >= 1) {
+    return { state: { tokens: available - 1, updatedAt: now }, allowed: true, retryAfterMs: 0 };
+  }
+
+  return {
+    state: { tokens: available, updatedAt: now },
+    allowed: false,
+    retryAfterMs: refillPerMs > 0 ? Math.ceil((1 - available) / refillPerMs) : 60000,
+  };
+}
+
+/**
+ * How long an idle bucket is kept (time to refill completely)
+ *
+ * @param {Object} limit - { capacity, refillPerMinute }
+ * @returns {number} Milliseconds
+ */
+function getBucketTtlMs(limit) {
+  return limit.refillPerMinute > 0
+    ? Math.ceil((limit.capacity / limit.refillPerMinute) * 60000)
+    : 60 * 60 * 1000;
+}
+
+/**
+ * In-memory store (single instance)
+ *
+ * @returns {{take: Function}} Store
+ */
+function createMemoryStore() {
+  const buckets = new Map(); // key -> { tokens, updatedAt, expiresAt }
+
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, bucket] of buckets) {
+      if (bucket.expiresAt <= now) {
+        buckets.delete(key);
+      }
+    }
+  }, 60 * 1000);
+  sweep.unref();
+
+  return {
+    async take(key, limit) {
+      const now = Date.now();
+      const result = takeToken(buckets.get(key) || null, limit, now);
+      buckets.set(key, { ...result.state, expiresAt: now + getBucketTtlMs(limit) });
+      return result;
+    },
+  };
+}
+
+/**
+ * Firestore store (shared across Cloud Run instances)
+ *
+ * One document per bucket, updated in a transaction. Configure a Firestore
+ * TTL policy on rate_limits.expires_at to clean up idle buckets.
+ *
+ * @returns {{take: Function}} Store
+ */
+function createFirestoreStore() {
+  const firestore = new Firestore({
+    projectId: process.env.GOOGLE_CLOUD_PROJECT,
+  });
+
+  return {
+    async take(key, limit) {
+      // Document ids can't contain '/'
+      const bucketRef = firestore.collection(RATE_LIMITS_COLLECTION).doc(encodeURIComponent(key));
+
+      return await firestore.runTransaction(async (transaction) => {
+        const bucketDoc = await transaction.get(bucketRef);
+        const now = Date.now();
+        const stored = bucketDoc.exists
+          ? { tokens: bucketDoc.data().tokens, updatedAt: bucketDoc.data().updated_at_ms }
+          : null;
+
+        const result = takeToken(stored, limit, now);
+
+        transaction.set(bucketRef, {
+          tokens: result.state.tokens,
+          updated_at_ms: now,
+          expires_at: new Date(now + getBucketTtlMs(limit)),
+        });
+
+        return result;
+      });
+    },
+  };
+}
+
+// Atomic token bucket for Redis (KEYS[1]; ARGV: capacity, refill per ms, now ms, ttl ms)
+const REDIS_TOKEN_BUCKET_SCRIPT = `
+local bucket = redis.call('HMGET', KEYS[1], 'tokens', 'updated_at')
+local capacity = tonumber(ARGV[1])
+local refill = tonumber(ARGV[2])
+local now = tonumber(ARGV[3])
+local tokens = capacity
+if bucket[1] then
+  local elapsed = math.max(0, now - tonumber(bucket[2]))
+  tokens = math.min(capacity, tonumber(bucket[1]) + elapsed * refill)
+end
+local allowed = 0
+if tokens >= 1 then
+  tokens = tokens - 1
+  allowed = 1
+end
+redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'updated_at', ARGV[3])
+redis.call('PEXPIRE', KEYS[1], ARGV[4])
+return { allowed, tostring(tokens) }
+`;
+
+/**
+ * Redis store (shared across Cloud Run instances)
+ *
+ * @param {Object} client - ioredis-compatible client (eval(script, numKeys, ...keysAndArgs))
+ * @returns {{take: Function}} Store
+ */
+function createRedisStore(client) {
+  return {
+    async take(key, limit) {
+      const refillPerMs = limit.refillPerMinute / 60000;
+      const [allowed, tokens] = await client.eval(
+        REDIS_TOKEN_BUCKET_SCRIPT,
+        1,
+        `${RATE_LIMITS_COLLECTION}:${key}`,
+        limit.capacity,
+        refillPerMs,
+        Date.now(),
+        getBucketTtlMs(limit)
+      );
+
+      if (allowed === 1) {
+        return { allowed: true, retryAfterMs: 0 };
+      }
+
+      return {
+        allowed: false,
+        retryAfterMs: refillPerMs > 0 ? Math.ceil((1 - parseFloat(tokens)) / refillPerMs) : 60000,
+      };
+    },
+  };
+}
+
+let store = process.env.RATE_LIMIT_STORE === 'firestore'
+  ? createFirestoreStore()
+  : createMemoryStore();
+
+/**
+ * Replace the bucket store (e.g. with createRedisStore(client) at startup)
+ *
+ * @param {{take: Function}} newStore - Store implementing take(key, limit)
+ */
+function setStore(newStore) {
+  store = newStore;
+}
+
+/**
+ * Default bucket keys: client IP and site_token (URL parameter or body)
+ *
+ * @param {Object} req - Express request
+ * @returns {Object} Key value by limit dimension
+ */
+function getDefaultKeys(req) {
+  return {
+    ip: req.ip,
+    site_token: req.params.site_token || (req.body && req.body.site_token),
+  };
+}
+
+/**
+ * Create rate limiting middleware for a route
+ *
+ * Apply after authenticateSiteToken so requests with bad credentials are
+ * rejected before they drain a customer's site_token bucket.
+ *
+ * @param {string} route - Route name in DEFAULT_LIMITS / RATE_LIMITS
+ * @param {Object} options - Optional
+ * @param {Function} options.keys - (req) -> { dimension: value } for the route's limits (default: ip, site_token)
+ * @param {Function} options.onLimited - (req, res, retryAfterSeconds) sends the response instead of a JSON 429
+ * @returns {Function} Express middleware
+ */
+function rateLimit(route, options = {}) {
+  const routeLimits = LIMITS[route] || {};
+  const getKeys = options.keys || getDefaultKeys;
+
+  return async (req, res, next) => {
+    const keys = getKeys(req);
+    const buckets = Object.entries(routeLimits)
+      .filter(([dimension]) => keys[dimension])
+      .map(([dimension, limit]) => ({ key: `${route}:${dimension}:${keys[dimension]}`, limit }));
+
+    try {
+      for (const bucket of buckets) {
+        const result = await store.take(bucket.key, bucket.limit);
+
+        if (!result.allowed) {
+          const retryAfter = Math.max(1, Math.ceil(result.retryAfterMs / 1000));
+          console.log(`RateLimit: ${bucket.key} exceeded - retry after ${retryAfter}s`);
+
+          if (options.onLimited) {
+            return options.onLimited(req, res, retryAfter);
+          }
+
+          res.set('Retry-After', String(retryAfter));
+          return res.status(429).json({
+            success: false,
+            error: 'Rate limit exceeded',
+            retry_after: retryAfter,
+          });
+        }
+      }
+    } catch (error) {
+      console.error('RateLimit: Store error - allowing request:', error);
+    }
+
+    return next();
+  };
+}
+
+module.exports = {
+  rateLimit,
+  setStore,
+  createMemoryStore,
+  createFirestoreStore,
+  createRedisStore,
+};
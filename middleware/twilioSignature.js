@@ -0,0 +1,114 @@
+/**
+ * Twilio Webhook Signature Validation Middleware
+ *
+ * Verifies X-Twilio-Signature on webhooks handled by the middleware
+ * (/api/v1/voice/*, /api/v1/sms/*). Twilio signs with the auth token of the account that owns
+ * the number - for customer numbers that is the sub-account token stored as
+ * twilio_subaccount_token, not the master TWILIO_AUTH_TOKEN.
+ *
+ * The signed URL is rebuilt from X-Forwarded-Proto / X-Forwarded-Host because
+ * Cloud Run terminates TLS in front of the container.
+ *
+ * Set TWILIO_WEBHOOK_VALIDATION=false to disable (local development only).
+ */
+
+const twilio = require('twilio');
+const { getCustomerBySubaccountSid } = require('../services/firestore');
+
+const VALIDATION_ENABLED = process.env.TWILIO_WEBHOOK_VALIDATION !== 'false';
+
+// Cache sub-account tokens so each <Gather> round trip doesn't hit Firestore
+const TOKEN_CACHE_TTL_MS = 5 * 60 * 1000;
+const tokenCache = new Map(); // accountSid -> { authToken, expiresAt }
+
+/**
+ * Get the auth token Twilio used to sign a request for an account
+ *
+ * @param {string} accountSid - AccountSid from the webhook
+ * @returns {Promise<string|null>} Auth token, or null if the account is unknown
+ */
+async function getAuthToken(accountSid) {
+  if (!accountSid) {
+    return null;
+  }
+
+  if (accountSid === process.env.TWILIO_ACCOUNT_SID) {
+    return process.env.TWILIO_AUTH_TOKEN || null;
+  }
+
+  const cached = tokenCache.get(accountSid);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.authToken;
+  }
+
+  const customer = await getCustomerBySubaccountSid(accountSid);
+  const authToken = customer ? customer.twilio_subaccount_token || null : null;
+
+  if (authToken) {
+    tokenCache.set(accountSid, { authToken, expiresAt: Date.now() + TOKEN_CACHE_TTL_MS });
+  }
+
+  return authToken;
+}
+
+/**
+ * Rebuild the public URL Twilio requested
+ *
+ * @param {Object} req - Express request
+ * @returns {string} Full URL including query string
+ */
+function getWebhookUrl(req) {
+  // Proxies may append their own values - the first one is what the client used
+  const proto = (req.get('X-Forwarded-Proto') || req.protocol).split(',')[0].trim();
+  const host = (req.get('X-Forwarded-Host') || req.get('Host')).split(',')[0].trim();
+
+  return `${proto}://${host}${req.originalUrl}`;
+}
+
+/**
+ * Express middleware: reject webhooks without a valid X-Twilio-Signature (403)
+ */
+async function validateTwilioSignature(req, res, next) {
+  if (!VALIDATION_ENABLED) {
+    return next();
+  }
+
+  try {
+    const signature = req.get('X-Twilio-Signature');
+    const params = req.body || {};
+    const url = getWebhookUrl(req);
+    const isValid = async () => {
+      const authToken = await getAuthToken(params.AccountSid);
+      return Boolean(authToken) && twilio.validateRequest(authToken, signature, url, params);
+    };
+
+    let valid = Boolean(signature) && await isValid();
+
+    // The cached token may be stale (rotated) - retry once with a fresh lookup
+    if (!valid && signature && tokenCache.delete(params.AccountSid)) {
+      valid = await isValid();
+    }
+
+    if (!valid) {
+      console.log(`Twilio: Rejected webhook ${url} (AccountSid ${params.AccountSid || 'missing'})`);
+      return res.status(403).json({
+        success: false,
+        error: 'Invalid Twilio signature',
+      });
+    }
+
+    return next();
+  } catch (error) {
+    console.error('Twilio: Error validating webhook signature:', error);
+
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message,
+    });
+  }
+}
+
+module.exports = {
+  validateTwilioSignature,
+};
@@ -0,0 +1,465 @@
+/**
+ * Admin Routes
+ *
+ * POST /api/v1/admin/billing/rollover - Roll over all customers whose billing period ended
+ * POST /api/v1/admin/customers/:site_token/api-secret - Issue (or rotate) a customer's API secret
+ * POST /api/v1/admin/customers/:site_token/suspend - Suspend a customer (the customer can't resume)
+ * POST /api/v1/admin/customers/:site_token/resume - Lift any suspension
+ * PATCH /api/v1/admin/customers/:site_token/metering - Owner test numbers and over-limit behavior
+ * POST /api/v1/admin/registrations/compensations/retry - Retry failed registration rollbacks
+ * POST /api/v1/admin/reconcile - Report (and optionally fix) drift between Twilio and Firestore
+ *
+ * Authenticated with ADMIN_API_KEY (Authorization: Bearer <key>). Intended to be
+ * called by Cloud Scheduler, e.g. hourly.
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const router = express.Router();
+
+const billing = require('../services/billing');
+const registrations = require('../services/registrations');
+const reconciliation = require('../services/reconciliation');
+const firestoreService = require('../services/firestore');
+const metering = require('../services/metering');
+const { generateApiSecret } = require('../middleware/auth');
+
+/**
+ * Require the admin API key
+ *
+ * Admin routes are disabled (503) when ADMIN_API_KEY is not set.
+ */
+function requireAdminKey(req, res, next) {
+  const adminKey = process.env.ADMIN_API_KEY;
+
+  if (!adminKey) {
+    return res.status(503).json({
+      success: false,
+      error: 'Admin API not configured',
+    });
+  }
+
+  const header = req.get('Authorization') || '';
+  const provided = Buffer.from(header.replace(/^Bearer\s+/i, ''));
+  const expected = Buffer.from(adminKey);
+
+  if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    return res.status(401).json({
+      success: false,
+      error: 'Unauthorized',
+    });
+  }
+
+  return next();
+}
+
+router.use(requireAdminKey);
+
+/**
+ * POST /api/v1/admin/billing/rollover
+ *
+ * Request body:
+ * {
+ *   dry_run: boolean (optional) - Only list customers that are due
+ *   limit: number (optional) - Maximum customers to process (default 200, max 1000)
+ * }
+ *
+ * Response:
+ * {
+ *   success: true,
+ *   dry_run: boolean,
+ *   due: number,
+ *   rolled_over: [{ site_token, period_start, period_end, new_period_end }],
+ *   errors: [{ site_token, error }]
+ * }
+ */
+router.post('/billing/rollover', async (req, res) => {
+  try {
+    console.log('=== /api/v1/admin/billing/rollover Request ===');
+    const { dry_run, limit } = req.body || {};
+    const dryRun = dry_run === true;
+
+    const result = await billing.sweepExpiredPeriods({ limit, dryRun });
+
+    console.log('=== /api/v1/admin/billing/rollover Success ===');
+    return res.json({
+      success: true,
+      dry_run: dryRun,
+      due: result.due,
+      rolled_over: result.rolledOver,
+      errors: result.errors,
+    });
+  } catch (error) {
+    console.error('=== /api/v1/admin/billing/rollover Error ===');
+    console.error('Error:', error);
+
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/v1/admin/registrations/compensations/retry
+ *
+ * Retries queued registration compensations (number releases / sub-account
+ * closures that failed during a registration rollback) that are due.
+ * Failures back off exponentially and are retried until they succeed.
+ *
+ * Request body:
+ * {
+ *   limit: number (optional) - Maximum compensations to retry (default 50, max 500)
+ * }
+ *
+ * Response:
+ * {
+ *   success: true,
+ *   due: number,
+ *   succeeded: [{ id, type, sub_account_sid, attempts }],
+ *   failed: [{ id, type, sub_account_sid, attempts, error }]
+ * }
+ */
+router.post('/registrations/compensations/retry', async (req, res) => {
+  try {
+    console.log('=== /api/v1/admin/registrations/compensations/retry Request ===');
+    const { limit } = req.body || {};
+
+    const result = await registrations.retryCompensations({ limit });
+
+    console.log('=== /api/v1/admin/registrations/compensations/retry Success ===');
+    return res.json({
+      success: true,
+      due: result.due,
+      succeeded: result.succeeded,
+      failed: result.failed,
+    });
+  } catch (error) {
+    console.error('=== /api/v1/admin/registrations/compensations/retry Error ===');
+    console.error('Error:', error);
+
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/v1/admin/reconcile
+ *
+ * Compares Twilio sub-accounts and numbers with the customers collection
+ * (see services/reconciliation.js). Dry run unless dry_run is false.
+ *
+ * Request body:
+ * {
+ *   dry_run: boolean (optional, default true) - Only report drift
+ *   close_orphans: boolean (optional) - Close orphaned sub-accounts and release orphaned numbers
+ *   relink: boolean (optional) - Point customer records at the sub-account / number found for their phone_number
+ * }
+ *
+ * Response:
+ * {
+ *   success: true,
+ *   dry_run: boolean,
+ *   checked: { sub_accounts, phone_numbers, customers },
+ *   orphaned_sub_accounts: [{ sub_account_sid, friendly_name, created_at, phone_numbers, action }],
+ *   orphaned_numbers: [{ site_token, sub_account_sid, number_sid, phone_number, action }],
+ *   relinks: [{ site_token, phone_number, from, to, action }],
+ *   missing_in_twilio: [{ site_token, sub_account_sid, phone_number, problem }],
+ *   unmanaged_sub_accounts: [{ sub_account_sid, friendly_name }],
+ *   skipped: [{ sub_account_sid, reason }]
+ * }
+ */
+router.post('/reconcile', async (req, res) => {
+  try {
+    console.log('=== /api/v1/admin/reconcile Request ===');
+    const { dry_run, close_orphans, relink } = req.body || {};
+
+    const report = await reconciliation.reconcile({
+      dryRun: dry_run !== false,
+      closeOrphans: close_orphans === true,
+      relink: relink === true,
+    });
+
+    console.log('=== /api/v1/admin/reconcile Success ===');
+    return res.json({
+      success: true,
+      ...report,
+    });
+  } catch (error) {
+    console.error('=== /api/v1/admin/reconcile Error ===');
+    console.error('Error:', error);
+
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/v1/admin/customers/:site_token/api-secret
+ *
+ * Issues a new api_secret, replacing any existing one. Used for customers
+ * registered before secrets existed and to rotate a leaked secret.
+ *
+ * Response:
+ * {
+ *   success: true,
+ *   site_token: string,
+ *   api_secret: string
+ * }
+ */
+router.post('/customers/:site_token/api-secret', async (req, res) => {
+  try {
+    console.log('=== /api/v1/admin/customers/:site_token/api-secret Request ===');
+    const { site_token } = req.params;
+
+    const customer = await firestoreService.getCustomer(site_token);
+
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        error: 'Customer not found',
+      });
+    }
+
+    const apiSecret = generateApiSecret();
+    await firestoreService.updateCustomer(customer.id, { api_secret: apiSecret });
+
+    console.log('=== /api/v1/admin/customers/:site_token/api-secret Success ===');
+    return res.json({
+      success: true,
+      site_token,
+      api_secret: apiSecret,
+    });
+  } catch (error) {
+    console.error('=== /api/v1/admin/customers/:site_token/api-secret Error ===');
+    console.error('Error:', error);
+
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/v1/admin/customers/:site_token/suspend
+ *
+ * Suspends a customer as PhoneEase (suspended_by 'admin', e.g. non-payment or abuse).
+ * The customer's own /resume is refused until an admin resumes them.
+ *
+ * Request body:
+ * {
+ *   reason: string (optional)
+ * }
+ *
+ * Response:
+ * {
+ *   success: true,
+ *   status: 'suspended'
+ * }
+ */
+router.post('/customers/:site_token/suspend', async (req, res) => {
+  try {
+    console.log('=== /api/v1/admin/customers/:site_token/suspend Request ===');
+    const { reason } = req.body || {};
+
+    const customer = await firestoreService.getCustomer(req.params.site_token);
+
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        error: 'Customer not found',
+      });
+    }
+
+    if (customer.status === firestoreService.CUSTOMER_STATUS_CANCELLED) {
+      return res.status(409).json({
+        success: false,
+        error: 'Customer has been deprovisioned',
+      });
+    }
+
+    await firestoreService.suspendCustomer(customer, firestoreService.SUSPENDED_BY_ADMIN, reason);
+
+    console.log('=== /api/v1/admin/customers/:site_token/suspend Success ===');
+    return res.json({
+      success: true,
+      status: firestoreService.CUSTOMER_STATUS_SUSPENDED,
+    });
+  } catch (error) {
+    console.error('=== /api/v1/admin/customers/:site_token/suspend Error ===');
+    console.error('Error:', error);
+
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/v1/admin/customers/:site_token/resume
+ *
+ * Lifts any suspension, whoever made it.
+ *
+ * Response:
+ * {
+ *   success: true,
+ *   status: 'active'
+ * }
+ */
+router.post('/customers/:site_token/resume', async (req, res) => {
+  try {
+    console.log('=== /api/v1/admin/customers/:site_token/resume Request ===');
+
+    const customer = await firestoreService.getCustomer(req.params.site_token);
+
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        error: 'Customer not found',
+      });
+    }
+
+    if (customer.status === firestoreService.CUSTOMER_STATUS_CANCELLED) {
+      return res.status(409).json({
+        success: false,
+        error: 'Customer has been deprovisioned',
+      });
+    }
+
+    await firestoreService.resumeCustomer(customer);
+
+    console.log('=== /api/v1/admin/customers/:site_token/resume Success ===');
+    return res.json({
+      success: true,
+      status: firestoreService.CUSTOMER_STATUS_ACTIVE,
+    });
+  } catch (error) {
+    console.error('=== /api/v1/admin/customers/:site_token/resume Error ===');
+    console.error('Error:', error);
+
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Validate a metering settings update
+ *
+ * @param {Object} body - Request body
+ * @returns {{updates: Object|null, error: string|null}} Fields to update, or a 400 error message
+ */
+function validateMeteringUpdate(body) {
+  const allowed = ['owner_test_numbers', 'over_limit_behavior'];
+  const unknown = Object.keys(body).filter((field) => !allowed.includes(field));
+  if (unknown.length > 0) {
+    return { updates: null, error: `Fields cannot be updated: ${unknown.join(', ')}` };
+  }
+
+  const updates = {};
+
+  if (body.owner_test_numbers !== undefined) {
+    const numbers = body.owner_test_numbers;
+    if (numbers !== null && (!Array.isArray(numbers) || numbers.length > metering.MAX_OWNER_TEST_NUMBERS ||
+      numbers.some((number) => typeof number !== 'string' || metering.normalizeNumber(number).length < 7))) {
+      return {
+        updates: null,
+        error: `owner_test_numbers must be an array of at most ${metering.MAX_OWNER_TEST_NUMBERS} phone numbers`,
+      };
+    }
+    updates.owner_test_numbers = numbers ? numbers.map((number) => number.trim()) : null;
+  }
+
+  if (body.over_limit_behavior !== undefined) {
+    if (body.over_limit_behavior !== null && !metering.OVER_LIMIT_BEHAVIORS.includes(body.over_limit_behavior)) {
+      return {
+        updates: null,
+        error: `over_limit_behavior must be one of: ${metering.OVER_LIMIT_BEHAVIORS.join(', ')}`,
+      };
+    }
+    updates.over_limit_behavior = body.over_limit_behavior;
+  }
+
+  if (Object.keys(updates).length === 0) {
+    return { updates: null, error: 'No fields to update' };
+  }
+
+  return { updates, error: null };
+}
+
+/**
+ * PATCH /api/v1/admin/customers/:site_token/metering
+ *
+ * Settings that change what a customer is billed, so customers can't set them:
+ * calls from owner_test_numbers (and business_phone) are free tests, and
+ * over_limit_behavior 'allow' keeps answering past calls_limit.
+ *
+ * Request body (any of):
+ * {
+ *   owner_test_numbers: string[]|null - At most MAX_OWNER_TEST_NUMBERS
+ *   over_limit_behavior: 'callback'|'voicemail'|'allow'|null
+ * }
+ *
+ * Response:
+ * {
+ *   success: true,
+ *   owner_test_numbers: string[]|null,
+ *   over_limit_behavior: string|null
+ * }
+ */
+router.patch('/customers/:site_token/metering', async (req, res) => {
+  try {
+    console.log('=== /api/v1/admin/customers/:site_token/metering Request ===');
+
+    const { updates, error: validationError } = validateMeteringUpdate(req.body || {});
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError,
+      });
+    }
+
+    const customer = await firestoreService.getCustomer(req.params.site_token);
+
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        error: 'Customer not found',
+      });
+    }
+
+    await firestoreService.updateCustomer(customer.id, updates);
+    const updated = { ...customer, ...updates };
+
+    console.log('=== /api/v1/admin/customers/:site_token/metering Success ===');
+    return res.json({
+      success: true,
+      owner_test_numbers: updated.owner_test_numbers || null,
+      over_limit_behavior: updated.over_limit_behavior || null,
+    });
+  } catch (error) {
+    console.error('=== /api/v1/admin/customers/:site_token/metering Error ===');
+    console.error('Error:', error);
+
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message,
+    });
+  }
+});
+
+module.exports = router;
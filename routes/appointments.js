@@ -0,0 +1,340 @@
+/**
+ * Appointment Routes
+ *
+ * GET  /api/v1/customers/:site_token/appointments             - List appointments (paginated, filterable)
+ * GET  /api/v1/customers/:site_token/appointments/slots       - Open slots (same rules the receptionist uses)
+ * POST /api/v1/customers/:site_token/appointments             - Book an appointment (owner)
+ * POST /api/v1/customers/:site_token/appointments/:id/confirm - Confirm a tentative booking
+ * POST /api/v1/customers/:site_token/appointments/:id/cancel  - Cancel a booking
+ *
+ * The receptionist books tentative appointments during calls, chats and SMS threads
+ * (see services/appointments.js). Used by the WordPress dashboard to confirm or cancel them.
+ * Availability rules are set with PUT /api/v1/customers/:site_token/booking.
+ */
+
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+
+const { getCustomer } = require('../services/firestore');
+const appointments = require('../services/appointments');
+const { parseDateParam } = require('../lib/dates');
+const { requireSiteAuth } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+
+router.use(requireSiteAuth);
+router.use(rateLimit('appointments'));
+
+// Booking error code -> HTTP status
+const ERROR_STATUS = {
+  INVALID_TIME: 400,
+  NOT_FOUND: 404,
+  SLOT_UNAVAILABLE: 409,
+  INVALID_STATUS: 409,
+};
+
+/**
+ * Load the customer for a request, sending 404 if it doesn't exist
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Promise<Object|null>} Customer, or null if a response was sent
+ */
+async function loadCustomer(req, res) {
+  const customer = req.customer || await getCustomer(req.params.site_token);
+
+  if (!customer) {
+    res.status(404).json({
+      success: false,
+      error: 'Customer not found',
+    });
+    return null;
+  }
+  return customer;
+}
+
+/**
+ * Send an error response (booking errors map to 4xx, anything else is a 500)
+ *
+ * @param {Object} res - Express response
+ * @param {Error} error - Error
+ */
+function sendError(res, error) {
+  if (ERROR_STATUS[error.code]) {
+    return res.status(ERROR_STATUS[error.code]).json({
+      success: false,
+      error: error.message,
+      code: error.code,
+    });
+  }
+
+  return res.status(500).json({
+    success: false,
+    error: 'Internal server error',
+    message: error.message,
+  });
+}
+
+/**
+ * GET /api/v1/customers/:site_token/appointments
+ *
+ * Query parameters:
+ *   from: string (optional) - Only appointments starting at/after this date (ISO 8601 or YYYY-MM-DD)
+ *   to: string (optional) - Only appointments starting at/before this date
+ *   status: string (optional) - tentative | confirmed | cancelled
+ *   limit: number (optional) - Page size (default 20, max 100)
+ *   page_token: string (optional) - next_page_token from the previous page
+ *
+ * Response:
+ * {
+ *   success: true,
+ *   appointments: [{ id, start, end, time_zone, name, callback_number, reason, status, call_id, channel,
+ *                    calendar_synced, calendar_error, created_at, updated_at }],
+ *   next_page_token: string|null
+ * }
+ */
+router.get('/', async (req, res) => {
+  try {
+    console.log('=== GET /api/v1/customers/:site_token/appointments Request ===');
+    const { site_token } = req.params;
+    const { status, limit, page_token } = req.query;
+
+    const from = parseDateParam(req.query.from);
+    const to = parseDateParam(req.query.to, true);
+
+    if (from === undefined || to === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: 'from and to must be valid dates (ISO 8601 or YYYY-MM-DD)',
+      });
+    }
+
+    if (status && !appointments.APPOINTMENT_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `status must be one of: ${appointments.APPOINTMENT_STATUSES.join(', ')}`,
+      });
+    }
+
+    if (!await loadCustomer(req, res)) {
+      return;
+    }
+
+    const page = await appointments.listAppointments(site_token, {
+      from,
+      to,
+      status,
+      limit,
+      pageToken: page_token,
+    });
+
+    console.log(`=== GET /api/v1/customers/:site_token/appointments Success (${page.appointments.length} appointments) ===`);
+    return res.json({
+      success: true,
+      appointments: page.appointments,
+      next_page_token: page.nextPageToken,
+    });
+  } catch (error) {
+    console.error('=== GET /api/v1/customers/:site_token/appointments Error ===');
+    console.error('Error:', error);
+    return sendError(res, error);
+  }
+});
+
+/**
+ * GET /api/v1/customers/:site_token/appointments/slots
+ *
+ * Query parameters:
+ *   date: string (optional) - Local date (YYYY-MM-DD) - default: next open slots from today
+ *   limit: number (optional) - Maximum slots (default 6, max 100)
+ *
+ * Response:
+ * {
+ *   success: true,
+ *   time_zone: string,
+ *   slots: [{ start, end, label }],
+ *   calendar_error: string|null - External calendar couldn't be read (its events weren't excluded)
+ * }
+ */
+router.get('/slots', async (req, res) => {
+  try {
+    console.log('=== GET /api/v1/customers/:site_token/appointments/slots Request ===');
+    const { date } = req.query;
+
+    if (date && !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      return res.status(400).json({
+        success: false,
+        error: 'date must be YYYY-MM-DD',
+      });
+    }
+
+    const customer = await loadCustomer(req, res);
+    if (!customer) {
+      return;
+    }
+
+    const result = await appointments.findOpenSlots(customer, {
+      date,
+      limit: Math.min(parseInt(req.query.limit, 10) || 0, 100) || undefined,
+    });
+
+    console.log(`=== GET /api/v1/customers/:site_token/appointments/slots Success (${result.slots.length} slots) ===`);
+    return res.json({
+      success: true,
+      time_zone: result.timeZone,
+      slots: result.slots,
+      calendar_error: result.calendarError,
+    });
+  } catch (error) {
+    console.error('=== GET /api/v1/customers/:site_token/appointments/slots Error ===');
+    console.error('Error:', error);
+    return sendError(res, error);
+  }
+});
+
+/**
+ * POST /api/v1/customers/:site_token/appointments
+ *
+ * Book an appointment from WordPress. Any time is allowed (not only open slots)
+ * as long as it doesn't overlap another active appointment.
+ *
+ * Request body:
+ * {
+ *   start: string (required) - ISO 8601 start time
+ *   end: string (optional) - ISO 8601 end time (default start + slot_minutes)
+ *   name: string (required)
+ *   callback_number: string (optional)
+ *   reason: string (optional)
+ *   status: string (optional) - 'confirmed' (default) or 'tentative'
+ * }
+ *
+ * Response (201):
+ * {
+ *   success: true,
+ *   appointment: { id, start, end, ..., status }
+ * }
+ */
+router.post('/', async (req, res) => {
+  try {
+    console.log('=== POST /api/v1/customers/:site_token/appointments Request ===');
+    const { start, end, name, callback_number, reason, status } = req.body;
+
+    if (!start || !name) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields: start, name',
+      });
+    }
+
+    if (status && status !== appointments.STATUS_CONFIRMED && status !== appointments.STATUS_TENTATIVE) {
+      return res.status(400).json({
+        success: false,
+        error: 'status must be confirmed or tentative',
+      });
+    }
+
+    const customer = await loadCustomer(req, res);
+    if (!customer) {
+      return;
+    }
+
+    const { appointment } = await appointments.bookAppointment(customer, {
+      start,
+      end,
+      name,
+      callback_number,
+      reason,
+      channel: 'owner',
+      status: status || appointments.STATUS_CONFIRMED,
+    });
+
+    console.log('=== POST /api/v1/customers/:site_token/appointments Success ===');
+    return res.status(201).json({
+      success: true,
+      appointment,
+    });
+  } catch (error) {
+    console.error('=== POST /api/v1/customers/:site_token/appointments Error ===');
+    console.error('Error:', error);
+    return sendError(res, error);
+  }
+});
+
+/**
+ * POST /api/v1/customers/:site_token/appointments/:id/confirm
+ *
+ * Safe to retry. Cancelled appointments can't be confirmed (409).
+ *
+ * Response:
+ * {
+ *   success: true,
+ *   appointment: { id, ..., status: 'confirmed' }
+ * }
+ */
+router.post('/:id/confirm', async (req, res) => {
+  try {
+    console.log('=== POST /api/v1/customers/:site_token/appointments/:id/confirm Request ===');
+
+    const customer = await loadCustomer(req, res);
+    if (!customer) {
+      return;
+    }
+
+    const appointment = await appointments.setAppointmentStatus(customer, req.params.id, appointments.STATUS_CONFIRMED);
+
+    console.log('=== POST /api/v1/customers/:site_token/appointments/:id/confirm Success ===');
+    return res.json({
+      success: true,
+      appointment,
+    });
+  } catch (error) {
+    console.error('=== POST /api/v1/customers/:site_token/appointments/:id/confirm Error ===');
+    console.error('Error:', error);
+    return sendError(res, error);
+  }
+});
+
+/**
+ * POST /api/v1/customers/:site_token/appointments/:id/cancel
+ *
+ * Safe to retry. Frees the slot and removes the event from a CalDAV calendar.
+ *
+ * Request body:
+ * {
+ *   reason: string (optional) - Stored as cancel_reason (default 'cancelled_by_owner')
+ * }
+ *
+ * Response:
+ * {
+ *   success: true,
+ *   appointment: { id, ..., status: 'cancelled' }
+ * }
+ */
+router.post('/:id/cancel', async (req, res) => {
+  try {
+    console.log('=== POST /api/v1/customers/:site_token/appointments/:id/cancel Request ===');
+
+    const customer = await loadCustomer(req, res);
+    if (!customer) {
+      return;
+    }
+
+    const appointment = await appointments.setAppointmentStatus(
+      customer,
+      req.params.id,
+      appointments.STATUS_CANCELLED,
+      req.body && req.body.reason
+    );
+
+    console.log('=== POST /api/v1/customers/:site_token/appointments/:id/cancel Success ===');
+    return res.json({
+      success: true,
+      appointment,
+    });
+  } catch (error) {
+    console.error('=== POST /api/v1/customers/:site_token/appointments/:id/cancel Error ===');
+    console.error('Error:', error);
+    return sendError(res, error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,231 @@
+/**
+ * Call Transcript Routes
+ *
+ * GET /api/v1/customers/:site_token/calls     - List calls (paginated, filterable by date)
+ * GET /api/v1/customers/:site_token/calls/:id - Get one call with its transcript
+ * POST /api/v1/customers/:site_token/calls/:id/outcome - Meter a finished call and notify the owner (WordPress-hosted calls)
+ *
+ * Used by the WordPress dashboard to show owners what their receptionist said.
+ */
+
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+
+const { getCustomer } = require('../services/firestore');
+const transcripts = require('../services/transcripts');
+const sessions = require('../services/sessions');
+const metering = require('../services/metering');
+const notifications = require('../services/notifications');
+const { parseDateParam } = require('../lib/dates');
+const { requireSiteAuth } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+
+router.use(requireSiteAuth);
+router.use(rateLimit('calls'));
+
+/**
+ * GET /api/v1/customers/:site_token/calls
+ *
+ * Query parameters:
+ *   from: string (optional) - Only calls started at/after this date (ISO 8601 or YYYY-MM-DD)
+ *   to: string (optional) - Only calls started at/before this date
+ *   limit: number (optional) - Page size (default 20, max 100)
+ *   page_token: string (optional) - next_page_token from the previous page
+ *
+ * Response:
+ * {
+ *   success: true,
+ *   calls: [{ id, channel, from, to, status, started_at, last_turn_at, turn_count, total_tokens }],
+ *   next_page_token: string|null
+ * }
+ */
+router.get('/', async (req, res) => {
+  try {
+    console.log('=== GET /api/v1/customers/:site_token/calls Request ===');
+    const { site_token } = req.params;
+    const { limit, page_token } = req.query;
+
+    const from = parseDateParam(req.query.from);
+    const to = parseDateParam(req.query.to, true);
+
+    if (from === undefined || to === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: 'from and to must be valid dates (ISO 8601 or YYYY-MM-DD)',
+      });
+    }
+
+    const customer = req.customer || await getCustomer(site_token);
+
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        error: 'Customer not found',
+      });
+    }
+
+    const page = await transcripts.listCalls(site_token, {
+      from,
+      to,
+      limit,
+      pageToken: page_token,
+    });
+
+    console.log(`=== GET /api/v1/customers/:site_token/calls Success (${page.calls.length} calls) ===`);
+    return res.json({
+      success: true,
+      calls: page.calls,
+      next_page_token: page.nextPageToken,
+    });
+  } catch (error) {
+    console.error('=== GET /api/v1/customers/:site_token/calls Error ===');
+    console.error('Error:', error);
+
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/v1/customers/:site_token/calls/:id
+ *
+ * Response:
+ * {
+ *   success: true,
+ *   call: {
+ *     id, channel, from, to, status, started_at, ended_at, turn_count, total_tokens,
+ *     turns: [{ index, caller_message, ai_response, model, provider, response_time_ms, tokens_used, created_at }]
+ *   }
+ * }
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    console.log('=== GET /api/v1/customers/:site_token/calls/:id Request ===');
+    const { site_token, id } = req.params;
+
+    const call = await transcripts.getCall(site_token, id);
+
+    if (!call) {
+      return res.status(404).json({
+        success: false,
+        error: 'Call not found',
+      });
+    }
+
+    console.log('=== GET /api/v1/customers/:site_token/calls/:id Success ===');
+    return res.json({
+      success: true,
+      call,
+    });
+  } catch (error) {
+    console.error('=== GET /api/v1/customers/:site_token/calls/:id Error ===');
+    console.error('Error:', error);
+
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/v1/customers/:site_token/calls/:id/outcome
+ *
+ * Called by WordPress when a call it handled ends (middleware-hosted calls are
+ * metered from the Twilio status callback). Safe to retry - a call is metered once,
+ * and the owner is notified once (a failed notification is retried).
+ *
+ * The call is classified on the server from its session, transcript and caller number.
+ * A call recorded for another customer is reported as not found (404).
+ *
+ * Request body:
+ * {
+ *   from: string (optional) - Caller number, recorded if the call has none stored
+ *     (never used to classify the call as an owner test)
+ *   duration_seconds: number (optional)
+ * }
+ *
+ * Response:
+ * {
+ *   success: true,
+ *   call_id: string,
+ *   outcome: string,
+ *   already_metered: boolean,
+ *   notification_status: 'sent'|'failed'|null - null if the owner wasn't notified (preferences / already sent)
+ * }
+ */
+router.post('/:id/outcome', async (req, res) => {
+  try {
+    console.log('=== POST /api/v1/customers/:site_token/calls/:id/outcome Request ===');
+    const { site_token, id } = req.params;
+    const { from, duration_seconds } = req.body;
+
+    const customer = req.customer || await getCustomer(site_token);
+
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        error: 'Customer not found',
+      });
+    }
+
+    // getCall() is null for another customer's call too - recordCallOutcome() rejects those
+    const call = await transcripts.getCall(site_token, id);
+    const rawSession = await sessions.getSession(id);
+    const session = rawSession && rawSession.site_token === site_token ? rawSession : null;
+
+    // Only a caller number we recorded can make the call a free owner test - the
+    // body's from is kept for the record when there is none
+    const storedFrom = (session && session.from) || (call && call.from) || null;
+
+    const outcome = session && session.over_limit
+      ? metering.OUTCOME_OVER_LIMIT
+      : metering.classifyCall(customer, {
+        from: storedFrom,
+        callerMessages: call ? call.turns.map((turn) => turn.caller_message) : [],
+        voicemail: Boolean(call && call.voicemail_url),
+      });
+
+    const result = await metering.recordCallOutcome(customer, id, outcome, {
+      from: storedFrom || from || null,
+      duration_seconds: duration_seconds || null,
+    });
+
+    // Tell the owner (best-effort, at most once per call)
+    const notification = await notifications.notifyCallEnded(customer, id, {
+      outcome: result.outcome,
+      from: storedFrom || from || null,
+    });
+
+    console.log(`=== POST /api/v1/customers/:site_token/calls/:id/outcome Success (${result.outcome}) ===`);
+    return res.json({
+      success: true,
+      call_id: id,
+      outcome: result.outcome,
+      already_metered: result.alreadyMetered,
+      notification_status: notification ? notification.status : null,
+    });
+  } catch (error) {
+    console.error('=== POST /api/v1/customers/:site_token/calls/:id/outcome Error ===');
+    console.error('Error:', error);
+
+    if (error.code === 'NOT_FOUND') {
+      return res.status(404).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -2,6 +2,9 @@
  * AI Chat Route (Customer Conversations)
  *
  * POST /api/v1/chat
+ * POST /api/v1/chat/stream
+ * POST /api/v1/chat/sessions
+ * POST /api/v1/chat/sessions/:session_id/end
  *
  * Handles customer conversation requests from live phone calls
  * Uses receptionist-style prompts, NOT training prompts
@@ -12,10 +15,143 @@ const router = express.Router();
 
 const {
   getCustomer,
-  registerCustomer,
+  getOrRegisterCustomer,
+  isCustomerActive,
 } = require('../services/firestore');
 
-const { generateConversationResponse } = require('../services/vertexai');
+const llm = require('../services/llm');
+const sessions = require('../services/sessions');
+const transcripts = require('../services/transcripts');
+const metering = require('../services/metering');
+const businessHours = require('../services/businessHours');
+const knowledge = require('../services/knowledge');
+const corrections = require('../services/corrections');
+const { createReceptionistTools } = require('../services/receptionistTools');
+const { openEventStream } = require('../lib/sse');
+const { authenticateSiteToken } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+
+router.use(authenticateSiteToken);
+router.use(rateLimit('chat'));
+
+/**
+ * Validate a chat request body
+ *
+ * @param {Object} body - Request body
+ * @returns {Object|null} Error response body (400) or null if valid
+ */
+function validateChatRequest(body) {
+  const { site_token, message, business_info, model } = body;
+
+  if (!site_token) {
+    return {
+      success: false,
+      error: 'Missing required field: site_token',
+    };
+  }
+
+  if (!message) {
+    return {
+      success: false,
+      error: 'Missing required field: message',
+    };
+  }
+
+  if (!business_info || !business_info.business_name) {
+    return {
+      success: false,
+      error: 'Missing required field: business_info.business_name',
+    };
+  }
+
+  // Validate requested model (failover policy supplies the default)
+  if (model && !llm.resolveModel(model)) {
+    return {
+      success: false,
+      error: `Unsupported model: ${model}`,
+      supported_models: llm.getSupportedModels(),
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Load the server-side session for a chat request, if the client uses one
+ *
+ * - call_sid: session keyed by Twilio CallSid, created on first use (an expired or
+ *   ended call's session is never replaced - its history and over_limit flag are kept)
+ * - session_id: session issued by POST /api/v1/chat/sessions, must exist and be active
+ * - neither: stateless request, client sends conversation_history
+ *
+ * @param {Object} body - Request body
+ * @param {Object} customer - Customer document
+ * @returns {Promise<{session: Object|null, error: string|null}>} Session or error message
+ */
+async function loadSession(body, customer) {
+  const { call_sid, session_id } = body;
+
+  if (!call_sid && !session_id) {
+    return { session: null, error: null };
+  }
+
+  let session = await sessions.getSession(call_sid || session_id);
+
+  if (!session && call_sid) {
+    // null if the session exists: ended / expired, or just created by a concurrent first turn
+    session = await sessions.createSession({
+      session_id: call_sid,
+      channel: 'voice',
+      customer_id: customer.id,
+      site_token: customer.site_token,
+      call_sid,
+    }, { onlyIfNew: true }) || await sessions.getSession(call_sid);
+  }
+
+  if (!session || session.site_token !== customer.site_token) {
+    return { session: null, error: 'Session not found or expired' };
+  }
+
+  return { session, error: null };
+}
+
+/**
+ * Check calls_limit at the start of a call
+ *
+ * Sessions are checked on their first turn (server-side history) so a call that
+ * started under the limit is never cut off mid-conversation, and are flagged so
+ * the call is metered as over_limit (not billable) when it ends. Stateless
+ * requests can't be tied to a call, so every one of them is checked.
+ *
+ * @param {Object} customer - Customer document
+ * @param {Object|null} session - Conversation session
+ * @returns {Promise<Object|null>} Response body for an over-limit call, or null to continue
+ */
+async function checkCallLimit(customer, session) {
+  if (session && session.history.length > 0) {
+    return null;
+  }
+
+  const overLimit = metering.getOverLimitAction(customer);
+  if (!overLimit) {
+    return null;
+  }
+
+  if (session) {
+    await sessions.updateSession(session.session_id, { over_limit: true });
+  }
+
+  return {
+    success: true,
+    ai_response: overLimit.message,
+    tokens_used: 0,
+    limit_exceeded: true,
+    over_limit_behavior: overLimit.behavior,
+    calls_used: customer.billable_calls_used,
+    calls_limit: customer.calls_limit,
+    session_id: session ? session.session_id : undefined,
+  };
+}
 
 /**
  * POST /api/v1/chat
@@ -24,11 +160,17 @@ const { generateConversationResponse } = require('../services/vertexai');
  * {
  *   site_token: string (required)
  *   message: string (required)
- *   conversation_history: array (optional) - Previous turns
+ *   model: string (optional) - Primary AI model (defaults to customer llm_policy / deployment config)
+ *     Supported: see llm.getSupportedModels() - unknown models are rejected with 400
+ *     Fallback models and timeouts come from the failover policy (see llm.getFailoverPolicy)
+ *   conversation_history: array (optional) - Previous turns (ignored when a session is used)
+ *   call_sid: string (optional) - Twilio CallSid - history is kept server-side for the call
+ *     and each turn is saved to the call transcript (calls/{call_sid}/turns)
+ *   session_id: string (optional) - Session from POST /api/v1/chat/sessions - history kept server-side
  *   context: string (optional) - "conversation"
  *   business_info: {
  *     business_name: string (required)
- *     business_hours: string (optional)
+ *     business_hours: string (optional) - Replaced by the customer's structured hours when set
  *     business_description: string (optional)
  *   }
  * }
@@ -37,7 +179,33 @@ const { generateConversationResponse } = require('../services/vertexai');
  * {
  *   success: true,
  *   ai_response: string,
- *   tokens_used: number
+ *   tokens_used: number,
+ *   model: string - Model that actually answered
+ *   provider: string - Provider that actually answered (vertexai | anthropic)
+ *   fallback_used: boolean - True if the primary model did not answer
+ *   session_id: string - Only when call_sid or session_id was sent
+ *   lead: { name, callback_number, reason, urgency } - Lead captured so far (session requests only, null if none)
+ *   appointment: { id, start, label, status } - Appointment booked so far (session requests only, null if none)
+ *   hours: { open, time_zone, closes_at, next_open_at, closure, special_hours,
+ *            after_hours: { behavior, greeting } } - Only when structured hours are set (PUT /customers/:site_token/hours)
+ * }
+ *
+ * Knowledge base entries relevant to the message (see services/knowledge.js) are added
+ * to the prompt, including WordPress system prompts.
+ *
+ * With a session, the receptionist saves the caller's details with the save_lead
+ * tool (see services/leads.js) and, when booking is enabled, books appointments
+ * (see services/appointments.js).
+ *
+ * Response (over calls_limit - first turn of a session, or any request without one):
+ * {
+ *   success: true,
+ *   ai_response: string - Over-limit message to speak (callback or voicemail prompt)
+ *   tokens_used: 0,
+ *   limit_exceeded: true,
+ *   over_limit_behavior: string - 'callback' (hang up after message) or 'voicemail' (record a message)
+ *   calls_used: number,
+ *   calls_limit: number
  * }
  */
 router.post('/', async (req, res) => {
@@ -46,58 +214,383 @@ router.post('/', async (req, res) => {
     console.log('Body:', JSON.stringify(req.body, null, 2));
 
     // 1. Validate required fields
-    const { site_token, message, business_info, conversation_history, system_prompt } = req.body;
+    const { site_token, message, business_info, conversation_history, system_prompt, model } = req.body;
 
-    if (!site_token) {
-      return res.status(400).json({
+    const validationError = validateChatRequest(req.body);
+    if (validationError) {
+      return res.status(400).json(validationError);
+    }
+
+    // 2. Check Firestore for site_token (auto-register if needed)
+    const customer = req.customer || await getOrRegisterCustomer(site_token, business_info);
+
+    if (!customer) {
+      return res.status(404).json({
         success: false,
-        error: 'Missing required field: site_token',
+        error: 'Customer not found',
       });
     }
 
-    if (!message) {
-      return res.status(400).json({
+    if (!isCustomerActive(customer)) {
+      return res.status(403).json({
         success: false,
-        error: 'Missing required field: message',
+        error: `Customer account is ${customer.status}`,
       });
     }
 
-    if (!business_info || !business_info.business_name) {
-      return res.status(400).json({
+    // 3. Load server-side session (client sends only the new message)
+    const { session, error: sessionError } = await loadSession(req.body, customer);
+    if (sessionError) {
+      return res.status(404).json({
+        success: false,
+        error: sessionError,
+      });
+    }
+    const history = session ? session.history : (conversation_history || []);
+
+    // 4. Enforce calls_limit
+    const overLimitResponse = await checkCallLimit(customer, session);
+    if (overLimitResponse) {
+      console.log('=== /api/v1/chat Over Limit ===');
+      return res.json(overLimitResponse);
+    }
+
+    // 5. Generate AI conversation response (receptionist mode) with provider failover
+    // Leads and appointments are kept per conversation, so only session-backed requests get tools
+    const receptionistTools = session ? createReceptionistTools(customer, session, session.session_id) : null;
+
+    // Structured hours (if set) replace the free-text business_hours and add open / closed status;
+    // approved owner corrections and knowledge base chunks relevant to the message are added too
+    const hoursContext = businessHours.getHoursContext(customer);
+    const businessInfo = await knowledge.withKnowledge(
+      corrections.withOwnerFacts(businessHours.withHoursContext(business_info, hoursContext), customer),
+      customer,
+      message,
+      history
+    );
+
+    const policy = llm.getFailoverPolicy(customer, model);
+    console.log(`Generating AI conversation response using model: ${policy.models[0]}...`);
+    const aiResponse = await llm.generateConversationWithFailover(
+      policy,
+      businessInfo,
+      message,
+      history,
+      system_prompt, // Pass system_prompt from WordPress (may be undefined for backward compatibility)
+      { tools: receptionistTools ? receptionistTools.tools : [] }
+    );
+
+    let captured = {};
+    if (session) {
+      const sessionUpdates = receptionistTools.getSessionUpdates();
+      captured = { lead: session.lead || null, appointment: session.appointment || null, ...sessionUpdates };
+
+      await Promise.all([
+        sessions.appendTurns(session.session_id, message, aiResponse.text),
+        transcripts.recordTurn(session.session_id, {
+          customer,
+          channel: session.channel,
+          from: session.from,
+          to: session.to,
+          callerMessage: message,
+          aiResponse,
+        }),
+        Object.keys(sessionUpdates).length > 0 && sessions.updateSession(session.session_id, sessionUpdates),
+      ]);
+    }
+
+    // 6. Return response
+    console.log('=== /api/v1/chat Success ===');
+    return res.json({
+      success: true,
+      ai_response: aiResponse.text,
+      tokens_used: aiResponse.tokensUsed,
+      model: aiResponse.model,
+      provider: aiResponse.provider,
+      fallback_used: aiResponse.fallbackUsed,
+      session_id: session ? session.session_id : undefined,
+      lead: captured.lead,
+      appointment: captured.appointment,
+      hours: businessHours.toHoursResponse(hoursContext),
+    });
+  } catch (error) {
+    console.error('=== /api/v1/chat Error ===');
+    console.error('Error:', error);
+
+    if (error.code === 'LLM_ALL_FAILED') {
+      return res.status(503).json({
         success: false,
-        error: 'Missing required field: business_info.business_name',
+        error: 'AI providers unavailable',
+        message: error.message,
       });
     }
 
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/v1/chat/stream
+ *
+ * Same request body as POST /api/v1/chat. Responds with Server-Sent Events:
+ *
+ *   event: token
+ *   data: { "text": "Thanks for " }
+ *
+ *   event: done
+ *   data: { "success": true, "ai_response": string, "tokens_used": number,
+ *           "response_time_ms": number, "first_token_ms": number,
+ *           "model": string, "provider": string, "fallback_used": boolean, "hours": object }
+ *
+ *   event: error
+ *   data: { "success": false, "error": string, "message": string }
+ *
+ * Validation errors are returned as regular JSON (400) before the stream opens.
+ * Streaming doesn't offer tools, so no lead or appointment is captured on this endpoint.
+ */
+router.post('/stream', async (req, res) => {
+  let stream = null;
+
+  try {
+    console.log('=== /api/v1/chat/stream Request ===');
+    console.log('Body:', JSON.stringify(req.body, null, 2));
+
+    // 1. Validate required fields
+    const { site_token, message, business_info, conversation_history, system_prompt, model } = req.body;
+
+    const validationError = validateChatRequest(req.body);
+    if (validationError) {
+      return res.status(400).json(validationError);
+    }
+
     // 2. Check Firestore for site_token (auto-register if needed)
-    let customer = await getCustomer(site_token);
+    const customer = req.customer || await getOrRegisterCustomer(site_token, business_info);
 
     if (!customer) {
-      console.log('Customer not found - auto-registering');
-      customer = await registerCustomer(site_token, business_info.business_name, {
-        business_hours: business_info.business_hours,
-        business_description: business_info.business_description,
+      return res.status(404).json({
+        success: false,
+        error: 'Customer not found',
       });
     }
 
-    // 3. Generate AI conversation response (receptionist mode)
-    console.log('Generating AI conversation response...');
-    const aiResponse = await generateConversationResponse(
-      business_info,
+    if (!isCustomerActive(customer)) {
+      return res.status(403).json({
+        success: false,
+        error: `Customer account is ${customer.status}`,
+      });
+    }
+
+    // 3. Load server-side session (client sends only the new message)
+    const { session, error: sessionError } = await loadSession(req.body, customer);
+    if (sessionError) {
+      return res.status(404).json({
+        success: false,
+        error: sessionError,
+      });
+    }
+    const history = session ? session.history : (conversation_history || []);
+
+    // 4. Enforce calls_limit (sent as a single done event)
+    const overLimitResponse = await checkCallLimit(customer, session);
+    if (overLimitResponse) {
+      console.log('=== /api/v1/chat/stream Over Limit ===');
+      stream = openEventStream(res);
+      stream.send('done', overLimitResponse);
+      return stream.close();
+    }
+
+    // 5. Stream AI conversation response
+    const hoursContext = businessHours.getHoursContext(customer);
+    const businessInfo = await knowledge.withKnowledge(
+      corrections.withOwnerFacts(businessHours.withHoursContext(business_info, hoursContext), customer),
+      customer,
       message,
-      conversation_history || [],
-      system_prompt // Pass system_prompt from WordPress (may be undefined for backward compatibility)
+      history
     );
 
-    // 4. Return response
-    console.log('=== /api/v1/chat Success ===');
-    return res.json({
+    stream = openEventStream(res);
+    const policy = llm.getFailoverPolicy(customer, model);
+    console.log(`Streaming AI conversation response using model: ${policy.models[0]}...`);
+
+    const aiResponse = await llm.streamConversationWithFailover(
+      policy,
+      businessInfo,
+      message,
+      history,
+      system_prompt,
+      (text) => stream.send('token', { text })
+    );
+
+    if (session) {
+      await Promise.all([
+        sessions.appendTurns(session.session_id, message, aiResponse.text),
+        transcripts.recordTurn(session.session_id, {
+          customer,
+          channel: session.channel,
+          from: session.from,
+          to: session.to,
+          callerMessage: message,
+          aiResponse,
+        }),
+      ]);
+    }
+
+    // 6. Final event with usage and timing
+    console.log('=== /api/v1/chat/stream Success ===');
+    stream.send('done', {
       success: true,
       ai_response: aiResponse.text,
       tokens_used: aiResponse.tokensUsed,
+      response_time_ms: aiResponse.responseTimeMs,
+      first_token_ms: aiResponse.firstTokenMs,
+      model: aiResponse.model,
+      provider: aiResponse.provider,
+      fallback_used: aiResponse.fallbackUsed,
+      session_id: session ? session.session_id : undefined,
+      hours: businessHours.toHoursResponse(hoursContext),
     });
+    stream.close();
   } catch (error) {
-    console.error('=== /api/v1/chat Error ===');
+    console.error('=== /api/v1/chat/stream Error ===');
+    console.error('Error:', error);
+
+    const errorBody = {
+      success: false,
+      error: error.code === 'LLM_ALL_FAILED' ? 'AI providers unavailable' : 'Internal server error',
+      message: error.message,
+    };
+
+    if (!stream) {
+      return res.status(error.code === 'LLM_ALL_FAILED' ? 503 : 500).json(errorBody);
+    }
+
+    stream.send('error', errorBody);
+    stream.close();
+  }
+});
+
+/**
+ * POST /api/v1/chat/sessions
+ *
+ * Start a server-side conversation session.
+ *
+ * Request body:
+ * {
+ *   site_token: string (required)
+ * }
+ *
+ * Response:
+ * {
+ *   success: true,
+ *   session_id: string,
+ *   expires_at: string - Extended by each turn (idle timeout)
+ * }
+ */
+router.post('/sessions', async (req, res) => {
+  try {
+    console.log('=== /api/v1/chat/sessions Request ===');
+    const { site_token } = req.body;
+
+    if (!site_token) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required field: site_token',
+      });
+    }
+
+    const customer = req.customer || await getCustomer(site_token);
+
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        error: 'Customer not found',
+      });
+    }
+
+    if (!isCustomerActive(customer)) {
+      return res.status(403).json({
+        success: false,
+        error: `Customer account is ${customer.status}`,
+      });
+    }
+
+    const session = await sessions.createSession({
+      channel: 'chat',
+      customer_id: customer.id,
+      site_token: customer.site_token,
+    });
+
+    console.log('=== /api/v1/chat/sessions Success ===');
+    return res.status(201).json({
+      success: true,
+      session_id: session.session_id,
+      expires_at: session.expires_at,
+    });
+  } catch (error) {
+    console.error('=== /api/v1/chat/sessions Error ===');
+    console.error('Error:', error);
+
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/v1/chat/sessions/:session_id/end
+ *
+ * End a server-side conversation session.
+ *
+ * Request body:
+ * {
+ *   site_token: string (required)
+ * }
+ *
+ * Response:
+ * {
+ *   success: true,
+ *   session_id: string,
+ *   turns: number
+ * }
+ */
+router.post('/sessions/:session_id/end', async (req, res) => {
+  try {
+    console.log('=== /api/v1/chat/sessions/:session_id/end Request ===');
+    const { session_id } = req.params;
+    const { site_token } = req.body;
+
+    if (!site_token) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required field: site_token',
+      });
+    }
+
+    const session = await sessions.getSession(session_id);
+
+    if (!session || session.site_token !== site_token) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found or expired',
+      });
+    }
+
+    const ended = await sessions.endSession(session_id, 'completed');
+
+    console.log('=== /api/v1/chat/sessions/:session_id/end Success ===');
+    return res.json({
+      success: true,
+      session_id,
+      turns: ended.history.length / 2,
+    });
+  } catch (error) {
+    console.error('=== /api/v1/chat/sessions/:session_id/end Error ===');
     console.error('Error:', error);
 
     return res.status(500).json({
@@ -0,0 +1,244 @@
+/**
+ * Owner Corrections Routes
+ *
+ * GET    /api/v1/customers/:site_token/corrections              - List corrections (default: pending proposals)
+ * POST   /api/v1/customers/:site_token/corrections/:id/approve  - Approve (optionally edited) - used in prompts from now on
+ * POST   /api/v1/customers/:site_token/corrections/:id/reject   - Reject a proposal
+ * DELETE /api/v1/customers/:site_token/corrections/:id          - Delete (an approved correction stops being used)
+ *
+ * Proposals are created by POST /api/v1/train when the owner corrects the training
+ * assistant (see services/corrections.js). Used by the WordPress admin to review them.
+ */
+
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+
+const { getCustomer } = require('../services/firestore');
+const corrections = require('../services/corrections');
+const { requireSiteAuth } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+
+router.use(requireSiteAuth);
+router.use(rateLimit('corrections'));
+
+// Corrections error code -> HTTP status
+const ERROR_STATUS = {
+  NOT_FOUND: 404,
+  INVALID_STATUS: 409,
+  LIMIT_REACHED: 409,
+};
+
+/**
+ * Load the customer for a request, sending 404 if it doesn't exist
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Promise<Object|null>} Customer, or null if a response was sent
+ */
+async function loadCustomer(req, res) {
+  const customer = req.customer || await getCustomer(req.params.site_token);
+
+  if (!customer) {
+    res.status(404).json({
+      success: false,
+      error: 'Customer not found',
+    });
+    return null;
+  }
+  return customer;
+}
+
+/**
+ * Send an error response (corrections errors map to 4xx, anything else is a 500)
+ *
+ * @param {Object} res - Express response
+ * @param {Error} error - Error
+ */
+function sendError(res, error) {
+  if (ERROR_STATUS[error.code]) {
+    return res.status(ERROR_STATUS[error.code]).json({
+      success: false,
+      error: error.message,
+      code: error.code,
+    });
+  }
+
+  return res.status(500).json({
+    success: false,
+    error: 'Internal server error',
+    message: error.message,
+  });
+}
+
+/**
+ * GET /api/v1/customers/:site_token/corrections
+ *
+ * Query parameters:
+ *   status: string (optional) - pending (default) | approved | rejected | replaced
+ *   limit: number (optional) - Page size (default 20, max 100)
+ *   page_token: string (optional) - next_page_token from the previous page
+ *
+ * Response:
+ * {
+ *   success: true,
+ *   corrections: [{ id, type: 'fact'|'instruction', text, replaces, status, source_message,
+ *                   session_id, created_at, decided_at }],
+ *   next_page_token: string|null,
+ *   owner_facts: [{ id, type, text, approved_at }] - What the receptionist currently uses
+ * }
+ */
+router.get('/', async (req, res) => {
+  try {
+    console.log('=== GET /api/v1/customers/:site_token/corrections Request ===');
+    const { status, limit, page_token } = req.query;
+
+    if (status && !corrections.CORRECTION_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `status must be one of: ${corrections.CORRECTION_STATUSES.join(', ')}`,
+      });
+    }
+
+    const customer = await loadCustomer(req, res);
+    if (!customer) {
+      return;
+    }
+
+    const page = await corrections.listCorrections(req.params.site_token, {
+      status,
+      limit,
+      pageToken: page_token,
+    });
+
+    console.log(`=== GET /api/v1/customers/:site_token/corrections Success (${page.corrections.length} corrections) ===`);
+    return res.json({
+      success: true,
+      corrections: page.corrections,
+      next_page_token: page.nextPageToken,
+      owner_facts: corrections.getOwnerFacts(customer),
+    });
+  } catch (error) {
+    console.error('=== GET /api/v1/customers/:site_token/corrections Error ===');
+    console.error('Error:', error);
+    return sendError(res, error);
+  }
+});
+
+/**
+ * POST /api/v1/customers/:site_token/corrections/:id/approve
+ *
+ * Safe to retry. Rejected and replaced corrections can't be approved (409), and a
+ * customer can have at most 50 approved corrections (409 LIMIT_REACHED).
+ *
+ * Request body:
+ * {
+ *   text: string (optional) - Edited wording (default: the proposed text) - also rewords an approved correction
+ * }
+ *
+ * Response:
+ * {
+ *   success: true,
+ *   correction: { id, ..., status: 'approved' },
+ *   owner_facts: [{ id, type, text, approved_at }]
+ * }
+ */
+router.post('/:id/approve', async (req, res) => {
+  try {
+    console.log('=== POST /api/v1/customers/:site_token/corrections/:id/approve Request ===');
+    const { text } = req.body || {};
+
+    const validationError = corrections.validateApprovalText(text);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError,
+      });
+    }
+
+    const customer = await loadCustomer(req, res);
+    if (!customer) {
+      return;
+    }
+
+    const { correction, ownerFacts } = await corrections.approveCorrection(customer, req.params.id, text);
+
+    console.log('=== POST /api/v1/customers/:site_token/corrections/:id/approve Success ===');
+    return res.json({
+      success: true,
+      correction,
+      owner_facts: ownerFacts,
+    });
+  } catch (error) {
+    console.error('=== POST /api/v1/customers/:site_token/corrections/:id/approve Error ===');
+    console.error('Error:', error);
+    return sendError(res, error);
+  }
+});
+
+/**
+ * POST /api/v1/customers/:site_token/corrections/:id/reject
+ *
+ * Safe to retry. Only pending proposals can be rejected (409) - delete an approved one instead.
+ *
+ * Response:
+ * {
+ *   success: true,
+ *   correction: { id, ..., status: 'rejected' }
+ * }
+ */
+router.post('/:id/reject', async (req, res) => {
+  try {
+    console.log('=== POST /api/v1/customers/:site_token/corrections/:id/reject Request ===');
+
+    const customer = await loadCustomer(req, res);
+    if (!customer) {
+      return;
+    }
+
+    const correction = await corrections.rejectCorrection(customer, req.params.id);
+
+    console.log('=== POST /api/v1/customers/:site_token/corrections/:id/reject Success ===');
+    return res.json({
+      success: true,
+      correction,
+    });
+  } catch (error) {
+    console.error('=== POST /api/v1/customers/:site_token/corrections/:id/reject Error ===');
+    console.error('Error:', error);
+    return sendError(res, error);
+  }
+});
+
+/**
+ * DELETE /api/v1/customers/:site_token/corrections/:id
+ *
+ * Response:
+ * {
+ *   success: true,
+ *   owner_facts: [{ id, type, text, approved_at }]
+ * }
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    console.log('=== DELETE /api/v1/customers/:site_token/corrections/:id Request ===');
+
+    const customer = await loadCustomer(req, res);
+    if (!customer) {
+      return;
+    }
+
+    const ownerFacts = await corrections.deleteCorrection(customer, req.params.id);
+
+    console.log('=== DELETE /api/v1/customers/:site_token/corrections/:id Success ===');
+    return res.json({
+      success: true,
+      owner_facts: ownerFacts,
+    });
+  } catch (error) {
+    console.error('=== DELETE /api/v1/customers/:site_token/corrections/:id Error ===');
+    console.error('Error:', error);
+    return sendError(res, error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,1022 @@
+/**
+ * Customer Lifecycle Routes
+ *
+ * GET    /api/v1/customers/:site_token         - Get customer (business info, status, usage)
+ * PATCH  /api/v1/customers/:site_token         - Update business info
+ * POST   /api/v1/customers/:site_token/suspend - Suspend service (status -> suspended)
+ * POST   /api/v1/customers/:site_token/resume  - Resume service (status -> active)
+ * GET    /api/v1/customers/:site_token/notifications - After-call notification preferences
+ * PUT    /api/v1/customers/:site_token/notifications - Update notification preferences
+ * GET    /api/v1/customers/:site_token/booking - Appointment booking settings
+ * PUT    /api/v1/customers/:site_token/booking - Update booking settings
+ * GET    /api/v1/customers/:site_token/hours   - Structured business hours and open / closed status
+ * PUT    /api/v1/customers/:site_token/hours   - Update business hours
+ * DELETE /api/v1/customers/:site_token/hours   - Remove structured hours (back to free-text business_hours)
+ * POST   /api/v1/customers/:site_token/phone-number/search  - Search numbers to switch to
+ * POST   /api/v1/customers/:site_token/phone-number/replace - Switch to a new number (release the old one)
+ * DELETE /api/v1/customers/:site_token         - Deprovision: release number, close sub-account, tombstone
+ *
+ * All routes require credentials (requireSiteAuth), even with AUTH_REQUIRED=false.
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const twilioService = require('../services/twilio');
+const firestoreService = require('../services/firestore');
+const metering = require('../services/metering');
+const countries = require('../services/countries');
+const notifications = require('../services/notifications');
+const emailService = require('../services/email');
+const appointments = require('../services/appointments');
+const businessHours = require('../services/businessHours');
+const { requireSiteAuth } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+
+const customerAuth = [requireSiteAuth, rateLimit('customers')];
+
+// Fields that PATCH may change (string or null unless noted)
+const EDITABLE_FIELDS = [
+  'business_name',
+  'business_phone',
+  'business_hours',
+  'business_description',
+  'services',
+  'greeting',
+  'site_url',
+  'over_limit_behavior', // callback or voicemail ('allow' is admin-only)
+  'over_limit_message',
+];
+
+// E.164 phone number
+const E164_PATTERN = /^\+[1-9]\d{7,14}$/;
+
+// Never returned by the API
+const PRIVATE_FIELDS = ['api_secret', 'twilio_subaccount_token'];
+
+/**
+ * Strip secrets from a customer document
+ *
+ * @param {Object} customer - Customer document
+ * @returns {Object} Customer safe to return to the client
+ */
+function toPublicCustomer(customer) {
+  const publicCustomer = { ...customer };
+  delete publicCustomer.id;
+  PRIVATE_FIELDS.forEach((field) => {
+    delete publicCustomer[field];
+  });
+  if (publicCustomer.booking_settings) {
+    publicCustomer.booking_settings = appointments.toPublicBookingSettings(publicCustomer.booking_settings);
+  }
+  return publicCustomer;
+}
+
+/**
+ * Validate a PATCH body
+ *
+ * @param {Object} body - Request body
+ * @returns {{updates: Object, error: string|null}} Fields to update, or a 400 error message
+ */
+function validateCustomerUpdate(body) {
+  const unknown = Object.keys(body).filter((field) => !EDITABLE_FIELDS.includes(field));
+  if (unknown.length > 0) {
+    return { updates: null, error: `Fields cannot be updated: ${unknown.join(', ')}` };
+  }
+
+  const updates = {};
+
+  for (const field of Object.keys(body)) {
+    const value = body[field];
+
+    if (value !== null && typeof value !== 'string') {
+      return { updates: null, error: `${field} must be a string or null` };
+    }
+
+    updates[field] = typeof value === 'string' ? value.trim() : value;
+  }
+
+  if ('business_name' in updates && !updates.business_name) {
+    return { updates: null, error: 'business_name must be a non-empty string' };
+  }
+
+  if ('site_url' in updates && (!updates.site_url || !updates.site_url.startsWith('http'))) {
+    return { updates: null, error: 'site_url must be a valid URL (https://yourdomain.com)' };
+  }
+
+  if (updates.over_limit_behavior && !metering.CUSTOMER_OVER_LIMIT_BEHAVIORS.includes(updates.over_limit_behavior)) {
+    return {
+      updates: null,
+      error: `over_limit_behavior must be one of: ${metering.CUSTOMER_OVER_LIMIT_BEHAVIORS.join(', ')}`,
+    };
+  }
+
+  if (Object.keys(updates).length === 0) {
+    return { updates: null, error: 'No fields to update' };
+  }
+
+  return { updates, error: null };
+}
+
+/**
+ * Reject changes to a deprovisioned customer
+ *
+ * @param {Object} customer - Customer document
+ * @param {Object} res - Express response
+ * @returns {boolean} True if a 409 was sent
+ */
+function rejectIfCancelled(customer, res) {
+  if (customer.status !== firestoreService.CUSTOMER_STATUS_CANCELLED) {
+    return false;
+  }
+
+  res.status(409).json({
+    success: false,
+    error: 'Customer has been deprovisioned',
+  });
+  return true;
+}
+
+/**
+ * GET /api/v1/customers/:site_token
+ *
+ * Response:
+ * {
+ *   success: true,
+ *   customer: { site_token, business_name, ..., status, phone_number, usage counters, billing period }
+ * }
+ */
+router.get('/:site_token', customerAuth, async (req, res) => {
+  try {
+    console.log('=== GET /api/v1/customers/:site_token Request ===');
+
+    return res.json({
+      success: true,
+      customer: toPublicCustomer(req.customer),
+    });
+  } catch (error) {
+    console.error('=== GET /api/v1/customers/:site_token Error ===');
+    console.error('Error:', error);
+
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * PATCH /api/v1/customers/:site_token
+ *
+ * Request body (any of):
+ * {
+ *   business_name, business_phone, business_hours, business_description, services,
+ *   greeting, site_url, over_limit_behavior, over_limit_message: string|null
+ * }
+ *
+ * owner_test_numbers and over_limit_behavior 'allow' change billing, so only an admin
+ * sets them (PATCH /api/v1/admin/customers/:site_token/metering).
+ *
+ * Changing site_url re-points the number's webhooks when voice_mode is 'wordpress'.
+ *
+ * Response:
+ * {
+ *   success: true,
+ *   customer: { ... }
+ * }
+ */
+router.patch('/:site_token', customerAuth, async (req, res) => {
+  try {
+    console.log('=== PATCH /api/v1/customers/:site_token Request ===');
+    const customer = req.customer;
+
+    if (rejectIfCancelled(customer, res)) {
+      return;
+    }
+
+    const { updates, error: validationError } = validateCustomerUpdate(req.body || {});
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError,
+      });
+    }
+
+    const siteUrlChanged = updates.site_url && updates.site_url !== customer.site_url;
+    const usesWordPressWebhook = (customer.voice_mode || twilioService.VOICE_MODE_WORDPRESS) === twilioService.VOICE_MODE_WORDPRESS;
+
+    if (siteUrlChanged && usesWordPressWebhook && customer.phone_number && customer.twilio_subaccount_sid) {
+      try {
+        await twilioService.configureVoiceWebhook(
+          customer.twilio_subaccount_sid,
+          customer.phone_number,
+          updates.site_url,
+          twilioService.VOICE_MODE_WORDPRESS
+        );
+      } catch (error) {
+        console.error('Failed to update voice webhook for new site_url:', error);
+        return res.status(503).json({
+          success: false,
+          error: 'Twilio service unavailable',
+          details: 'Failed to point the phone number at the new site_url. Please try again later.',
+        });
+      }
+    }
+
+    await firestoreService.updateCustomer(customer.id, updates);
+
+    console.log('=== PATCH /api/v1/customers/:site_token Success ===');
+    return res.json({
+      success: true,
+      customer: toPublicCustomer({ ...customer, ...updates }),
+    });
+  } catch (error) {
+    console.error('=== PATCH /api/v1/customers/:site_token Error ===');
+    console.error('Error:', error);
+
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/v1/customers/:site_token/suspend
+ *
+ * Suspended customers get 403 from /api/v1/chat and /api/v1/train, and
+ * middleware-hosted calls hear a "not in service" message. Recorded as
+ * suspended_by 'customer'; an existing admin suspension is left as it is.
+ *
+ * Request body:
+ * {
+ *   reason: string (optional)
+ * }
+ *
+ * Response:
+ * {
+ *   success: true,
+ *   status: 'suspended'
+ * }
+ */
+router.post('/:site_token/suspend', customerAuth, async (req, res) => {
+  try {
+    console.log('=== POST /api/v1/customers/:site_token/suspend Request ===');
+    const customer = req.customer;
+    const { reason } = req.body || {};
+
+    if (rejectIfCancelled(customer, res)) {
+      return;
+    }
+
+    await firestoreService.suspendCustomer(customer, firestoreService.SUSPENDED_BY_CUSTOMER, reason);
+
+    console.log('=== POST /api/v1/customers/:site_token/suspend Success ===');
+    return res.json({
+      success: true,
+      status: firestoreService.CUSTOMER_STATUS_SUSPENDED,
+    });
+  } catch (error) {
+    console.error('=== POST /api/v1/customers/:site_token/suspend Error ===');
+    console.error('Error:', error);
+
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/v1/customers/:site_token/resume
+ *
+ * Lifts a suspension the customer made. 403 if PhoneEase suspended the account
+ * (suspended_by 'admin') - only POST /api/v1/admin/customers/:site_token/resume lifts that.
+ *
+ * Response:
+ * {
+ *   success: true,
+ *   status: 'active'
+ * }
+ */
+router.post('/:site_token/resume', customerAuth, async (req, res) => {
+  try {
+    console.log('=== POST /api/v1/customers/:site_token/resume Request ===');
+    const customer = req.customer;
+
+    if (rejectIfCancelled(customer, res)) {
+      return;
+    }
+
+    if (customer.status === firestoreService.CUSTOMER_STATUS_SUSPENDED &&
+      customer.suspended_by === firestoreService.SUSPENDED_BY_ADMIN) {
+      return res.status(403).json({
+        success: false,
+        error: 'Account suspended by PhoneEase',
+        details: 'Contact support to restore service.',
+      });
+    }
+
+    await firestoreService.resumeCustomer(customer);
+
+    console.log('=== POST /api/v1/customers/:site_token/resume Success ===');
+    return res.json({
+      success: true,
+      status: firestoreService.CUSTOMER_STATUS_ACTIVE,
+    });
+  } catch (error) {
+    console.error('=== POST /api/v1/customers/:site_token/resume Error ===');
+    console.error('Error:', error);
+
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/v1/customers/:site_token/notifications
+ *
+ * After-call notification preferences (defaults applied).
+ *
+ * Response:
+ * {
+ *   success: true,
+ *   notifications: {
+ *     sms: { enabled: boolean, to: string|null },
+ *     email: { enabled: boolean, to: string|null },
+ *     outcomes: string[]
+ *   },
+ *   email_available: boolean - false if this deployment has no email transport
+ * }
+ */
+router.get('/:site_token/notifications', customerAuth, async (req, res) => {
+  try {
+    console.log('=== GET /api/v1/customers/:site_token/notifications Request ===');
+
+    return res.json({
+      success: true,
+      notifications: notifications.getNotificationPreferences(req.customer),
+      email_available: emailService.isEmailEnabled(),
+    });
+  } catch (error) {
+    console.error('=== GET /api/v1/customers/:site_token/notifications Error ===');
+    console.error('Error:', error);
+
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * PUT /api/v1/customers/:site_token/notifications
+ *
+ * Request body (any of - omitted settings are unchanged):
+ * {
+ *   sms: { enabled: boolean, to: string|null } - to: E.164 number (null = business_phone)
+ *   email: { enabled: boolean, to: string|null }
+ *   outcomes: string[] - Call outcomes that notify (billable, spam, silent, test, over_limit)
+ * }
+ *
+ * Response: same as GET
+ */
+router.put('/:site_token/notifications', customerAuth, async (req, res) => {
+  try {
+    console.log('=== PUT /api/v1/customers/:site_token/notifications Request ===');
+    const customer = req.customer;
+
+    if (rejectIfCancelled(customer, res)) {
+      return;
+    }
+
+    const { preferences, error: validationError } = notifications.validatePreferencesUpdate(
+      req.body || {},
+      customer.notification_preferences || {}
+    );
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError,
+      });
+    }
+
+    await firestoreService.updateCustomer(customer.id, { notification_preferences: preferences });
+
+    console.log('=== PUT /api/v1/customers/:site_token/notifications Success ===');
+    return res.json({
+      success: true,
+      notifications: notifications.getNotificationPreferences({ ...customer, notification_preferences: preferences }),
+      email_available: emailService.isEmailEnabled(),
+    });
+  } catch (error) {
+    console.error('=== PUT /api/v1/customers/:site_token/notifications Error ===');
+    console.error('Error:', error);
+
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/v1/customers/:site_token/booking
+ *
+ * Appointment booking settings (defaults applied, calendar password never returned).
+ *
+ * Response:
+ * {
+ *   success: true,
+ *   booking: {
+ *     enabled: boolean,
+ *     time_zone: string,
+ *     slot_minutes: number,
+ *     weekly_hours: { mon: ["09:00-17:00"], ..., sun: [] },
+ *     min_notice_minutes: number,
+ *     max_days_ahead: number,
+ *     calendar: { type: 'none'|'ics'|'caldav', url, username, has_password }
+ *   }
+ * }
+ */
+router.get('/:site_token/booking', customerAuth, async (req, res) => {
+  try {
+    console.log('=== GET /api/v1/customers/:site_token/booking Request ===');
+
+    return res.json({
+      success: true,
+      booking: appointments.toPublicBookingSettings(appointments.getBookingSettings(req.customer)),
+    });
+  } catch (error) {
+    console.error('=== GET /api/v1/customers/:site_token/booking Error ===');
+    console.error('Error:', error);
+
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * PUT /api/v1/customers/:site_token/booking
+ *
+ * Request body (any of - omitted settings are unchanged):
+ * {
+ *   enabled: boolean - Offer booking tools to the receptionist
+ *   time_zone: string - IANA time zone (e.g. America/New_York)
+ *   slot_minutes: number - Appointment length (5-480)
+ *   weekly_hours: { mon: ["09:00-12:00", "13:00-17:00"], sat: [] } - Omitted days unchanged
+ *     (time_zone and weekly_hours default to the business hours when those are set)
+ *   min_notice_minutes: number - Earliest booking from now
+ *   max_days_ahead: number - Latest booking from now (1-90 days)
+ *   calendar: { type: 'none'|'ics'|'caldav', url, username, password } - password omitted = unchanged
+ * }
+ *
+ * Response: same as GET
+ */
+router.put('/:site_token/booking', customerAuth, async (req, res) => {
+  try {
+    console.log('=== PUT /api/v1/customers/:site_token/booking Request ===');
+    const customer = req.customer;
+
+    if (rejectIfCancelled(customer, res)) {
+      return;
+    }
+
+    const { settings, error: validationError } = appointments.validateBookingSettingsUpdate(
+      req.body || {},
+      customer.booking_settings || {},
+      appointments.getBookingSettings(customer)
+    );
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError,
+      });
+    }
+
+    await firestoreService.updateCustomer(customer.id, { booking_settings: settings });
+
+    console.log('=== PUT /api/v1/customers/:site_token/booking Success ===');
+    return res.json({
+      success: true,
+      booking: appointments.toPublicBookingSettings(
+        appointments.getBookingSettings({ ...customer, booking_settings: settings })
+      ),
+    });
+  } catch (error) {
+    console.error('=== PUT /api/v1/customers/:site_token/booking Error ===');
+    console.error('Error:', error);
+
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Build the hours response body
+ *
+ * @param {Object} customer - Customer document
+ * @returns {{hours: Object|null, status: Object|null, summary: string|null}}
+ */
+function toHoursResponse(customer) {
+  const hours = businessHours.getHours(customer);
+  if (!hours) {
+    return { hours: null, status: null, summary: null };
+  }
+
+  return {
+    hours,
+    status: businessHours.getHoursStatus(hours),
+    summary: businessHours.formatHoursSummary(hours),
+  };
+}
+
+/**
+ * GET /api/v1/customers/:site_token/hours
+ *
+ * Response:
+ * {
+ *   success: true,
+ *   hours: {
+ *     time_zone: string,
+ *     weekly: { mon: ["09:00-17:00"], ..., sun: [] },
+ *     closures: [{ date, end_date, name }],
+ *     special_hours: [{ date, hours: ["10:00-14:00"], name }],
+ *     after_hours: { behavior: 'answer'|'voicemail', greeting: string|null }
+ *   } - null if only the free-text business_hours is set
+ *   status: { open, time_zone, closes_at, next_open_at, closure, special_hours } - Right now (null without hours)
+ *   summary: string - How the receptionist reads the hours (null without hours)
+ * }
+ */
+router.get('/:site_token/hours', customerAuth, async (req, res) => {
+  try {
+    console.log('=== GET /api/v1/customers/:site_token/hours Request ===');
+
+    return res.json({
+      success: true,
+      ...toHoursResponse(req.customer),
+    });
+  } catch (error) {
+    console.error('=== GET /api/v1/customers/:site_token/hours Error ===');
+    console.error('Error:', error);
+
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * PUT /api/v1/customers/:site_token/hours
+ *
+ * Structured hours replace the free-text business_hours in receptionist and training
+ * prompts, and drive after-hours calls (middleware-hosted voice) - see services/businessHours.js.
+ *
+ * Request body (any of - omitted settings are unchanged):
+ * {
+ *   time_zone: string - IANA time zone (e.g. America/New_York)
+ *   weekly: { mon: ["09:00-12:00", "13:00-17:00"], sun: [] } - Omitted days unchanged (unset days are closed)
+ *   closures: [{ date: "2026-12-24", end_date: "2026-12-26", name: "Christmas" }] - Replaces the list
+ *   special_hours: [{ date: "2026-11-27", hours: ["10:00-14:00"], name: "Black Friday" }] - Replaces the list
+ *   after_hours: {
+ *     behavior: 'answer' (receptionist, default) | 'voicemail' (greeting + voicemail only)
+ *     greeting: string|null - Spoken when closed (default: business greeting / "we're closed" message)
+ *   }
+ * }
+ *
+ * Response: same as GET
+ */
+router.put('/:site_token/hours', customerAuth, async (req, res) => {
+  try {
+    console.log('=== PUT /api/v1/customers/:site_token/hours Request ===');
+    const customer = req.customer;
+
+    if (rejectIfCancelled(customer, res)) {
+      return;
+    }
+
+    const { hours, error: validationError } = businessHours.validateHoursUpdate(req.body || {}, customer.hours || {});
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError,
+      });
+    }
+
+    await firestoreService.updateCustomer(customer.id, { hours });
+
+    console.log('=== PUT /api/v1/customers/:site_token/hours Success ===');
+    return res.json({
+      success: true,
+      ...toHoursResponse({ ...customer, hours }),
+    });
+  } catch (error) {
+    console.error('=== PUT /api/v1/customers/:site_token/hours Error ===');
+    console.error('Error:', error);
+
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * DELETE /api/v1/customers/:site_token/hours
+ *
+ * Prompts go back to the free-text business_hours; calls are always answered.
+ *
+ * Response: same as GET (hours: null)
+ */
+router.delete('/:site_token/hours', customerAuth, async (req, res) => {
+  try {
+    console.log('=== DELETE /api/v1/customers/:site_token/hours Request ===');
+    const customer = req.customer;
+
+    if (rejectIfCancelled(customer, res)) {
+      return;
+    }
+
+    await firestoreService.updateCustomer(customer.id, { hours: null });
+
+    console.log('=== DELETE /api/v1/customers/:site_token/hours Success ===');
+    return res.json({
+      success: true,
+      ...toHoursResponse({ ...customer, hours: null }),
+    });
+  } catch (error) {
+    console.error('=== DELETE /api/v1/customers/:site_token/hours Error ===');
+    console.error('Error:', error);
+
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/v1/customers/:site_token/phone-number/search
+ *
+ * Searches the customer's country (customer.country, default US).
+ *
+ * Request body (all optional):
+ * {
+ *   area_code: string - e.g. "305" (US/CA) or "20" (GB)
+ *   locality: string - City, e.g. "Miami"
+ *   contains: string - Pattern, e.g. "FLOWERS" or "555****"
+ *   toll_free: boolean - Search toll-free numbers instead of local
+ *   limit: number - Maximum results (default 10, max 30)
+ * }
+ *
+ * Response:
+ * {
+ *   success: true,
+ *   numbers: [{ phone_number, friendly_name, locality, region, postal_code }]
+ * }
+ */
+router.post('/:site_token/phone-number/search', customerAuth, async (req, res) => {
+  try {
+    console.log('=== POST /api/v1/customers/:site_token/phone-number/search Request ===');
+    const { area_code, locality, contains, toll_free, limit } = req.body || {};
+
+    if (rejectIfCancelled(req.customer, res)) {
+      return;
+    }
+
+    const country = req.customer.country || countries.DEFAULT_COUNTRY;
+    const isNanp = countries.isNanpCountry(country);
+
+    if (area_code && !(isNanp ? /^\d{3}$/ : /^\d{1,5}$/).test(area_code)) {
+      return res.status(400).json({
+        success: false,
+        error: isNanp ? 'area_code must be three digits' : 'area_code must be 1-5 digits',
+      });
+    }
+
+    if (contains && !/^[0-9A-Za-z*]{2,16}$/.test(contains)) {
+      return res.status(400).json({
+        success: false,
+        error: 'contains must be 2-16 digits, letters or * wildcards',
+      });
+    }
+
+    let numbers;
+    try {
+      numbers = await twilioService.searchAvailableNumbers({
+        country,
+        areaCode: area_code,
+        locality,
+        contains,
+        tollFree: toll_free === true,
+        limit,
+      });
+    } catch (error) {
+      console.error('Failed to search phone numbers:', error);
+      return res.status(503).json({
+        success: false,
+        error: 'Twilio service unavailable',
+        details: 'Failed to search phone numbers. Please try again later.',
+      });
+    }
+
+    console.log(`=== POST /api/v1/customers/:site_token/phone-number/search Success (${numbers.length} numbers) ===`);
+    return res.json({
+      success: true,
+      numbers: numbers.map((num) => ({
+        phone_number: num.phoneNumber,
+        friendly_name: num.friendlyName,
+        locality: num.locality,
+        region: num.region,
+        postal_code: num.postalCode,
+      })),
+    });
+  } catch (error) {
+    console.error('=== POST /api/v1/customers/:site_token/phone-number/search Error ===');
+    console.error('Error:', error);
+
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/v1/customers/:site_token/phone-number/replace
+ *
+ * 1. Purchase the new number on the customer's sub-account (same webhooks as the old one)
+ * 2. Point the customer record at the new number
+ * 3. Release the old number
+ * A failure at any step undoes the earlier steps, leaving the old number in place.
+ * One change runs at a time per customer (phone_change_in_progress lease) - 409 while
+ * another is running.
+ *
+ * Request body:
+ * {
+ *   phone_number: string (required) - E.164 number from /phone-number/search
+ * }
+ *
+ * Response:
+ * {
+ *   success: true,
+ *   phone_number: string,
+ *   previous_phone_number: string
+ * }
+ */
+router.post('/:site_token/phone-number/replace', customerAuth, async (req, res) => {
+  let change = null;
+
+  try {
+    console.log('=== POST /api/v1/customers/:site_token/phone-number/replace Request ===');
+    const { phone_number } = req.body || {};
+
+    if (rejectIfCancelled(req.customer, res)) {
+      return;
+    }
+
+    if (!phone_number || !E164_PATTERN.test(phone_number)) {
+      return res.status(400).json({
+        success: false,
+        error: 'phone_number is required in E.164 format (+17865551234)',
+      });
+    }
+
+    change = await firestoreService.claimPhoneChange(req.customer.id, phone_number);
+    if (!change) {
+      return res.status(409).json({
+        success: false,
+        error: 'A phone number change is already in progress',
+        details: 'Wait for it to finish, then try again.',
+      });
+    }
+
+    // As stored now - an earlier change may have finished since authentication
+    const customer = change.customer;
+
+    if (rejectIfCancelled(customer, res)) {
+      return;
+    }
+
+    if (!customer.phone_number || !customer.twilio_subaccount_sid) {
+      return res.status(409).json({
+        success: false,
+        error: 'No phone number provisioned for this customer',
+      });
+    }
+
+    if (phone_number === customer.phone_number) {
+      return res.status(400).json({
+        success: false,
+        error: 'phone_number is already the customer\'s number',
+      });
+    }
+
+    const subAccountSid = customer.twilio_subaccount_sid;
+
+    // 1. Purchase new number
+    let purchased;
+    try {
+      purchased = await twilioService.purchasePhoneNumber(
+        subAccountSid,
+        phone_number,
+        customer.site_url,
+        customer.voice_mode || twilioService.VOICE_MODE_WORDPRESS,
+        { addressSid: customer.twilio_address_sid, bundleSid: customer.twilio_bundle_sid }
+      );
+    } catch (error) {
+      console.error('Failed to purchase new phone number:', error);
+      return res.status(503).json({
+        success: false,
+        error: 'Phone number purchase failed',
+        details: 'The number may no longer be available. Search again and pick another number.',
+      });
+    }
+
+    // 2. Switch the customer record (only if it still points at the number we read)
+    let switched;
+    try {
+      switched = await firestoreService.switchPhoneNumber(customer.id, customer.twilio_number_sid, {
+        phone_number: purchased.phoneNumber,
+        twilio_number_sid: purchased.numberSid,
+        previous_phone_number: customer.phone_number,
+        phone_number_changed_at: new Date().toISOString(),
+      });
+    } catch (error) {
+      console.error('Failed to store new phone number:', error);
+      switched = null;
+    }
+
+    if (!switched) {
+      // ROLLBACK: Release the number we just bought
+      console.log('Rolling back: Releasing new phone number...');
+      await twilioService.releasePhoneNumber(subAccountSid, purchased.numberSid)
+        .catch((rollbackError) => console.error('Rollback failed - release manually:', purchased.phoneNumber, rollbackError));
+
+      if (switched === false) {
+        return res.status(409).json({
+          success: false,
+          error: 'The phone number changed while switching',
+          details: 'Another change finished first. Check the current number before trying again.',
+        });
+      }
+
+      return res.status(500).json({
+        success: false,
+        error: 'Database error',
+        details: 'Failed to store the new phone number. Your number has not changed.',
+      });
+    }
+
+    // 3. Release the old number
+    try {
+      if (customer.twilio_number_sid) {
+        await twilioService.releasePhoneNumber(subAccountSid, customer.twilio_number_sid);
+      }
+    } catch (error) {
+      console.error('Failed to release old phone number:', error);
+
+      // ROLLBACK: Restore the old number (unless something else replaced ours) and release the new one
+      console.log('Rolling back: Restoring old phone number...');
+      try {
+        const restored = await firestoreService.switchPhoneNumber(customer.id, purchased.numberSid, {
+          phone_number: customer.phone_number,
+          twilio_number_sid: customer.twilio_number_sid || null,
+          previous_phone_number: customer.previous_phone_number || null,
+          phone_number_changed_at: customer.phone_number_changed_at || null,
+        });
+
+        if (restored) {
+          await twilioService.releasePhoneNumber(subAccountSid, purchased.numberSid);
+        } else {
+          console.error('Rollback skipped - customer no longer points at', purchased.phoneNumber);
+        }
+      } catch (rollbackError) {
+        console.error('Rollback failed - customer may own both numbers:', customer.phone_number, purchased.phoneNumber, rollbackError);
+      }
+
+      return res.status(503).json({
+        success: false,
+        error: 'Twilio service unavailable',
+        details: 'Failed to release the old phone number. Your number has not changed.',
+      });
+    }
+
+    console.log(`=== POST /api/v1/customers/:site_token/phone-number/replace Success (${customer.phone_number} -> ${purchased.phoneNumber}) ===`);
+    return res.json({
+      success: true,
+      phone_number: purchased.phoneNumber,
+      previous_phone_number: customer.phone_number,
+    });
+  } catch (error) {
+    console.error('=== POST /api/v1/customers/:site_token/phone-number/replace Error ===');
+    console.error('Error:', error);
+
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message,
+    });
+  } finally {
+    if (change) {
+      await firestoreService.finishPhoneChange(req.customer.id, change.leaseId)
+        .catch((error) => console.error('Failed to end phone number change - lease expires on its own:', error));
+    }
+  }
+});
+
+/**
+ * DELETE /api/v1/customers/:site_token
+ *
+ * Releases the phone number, closes the Twilio sub-account, then tombstones the
+ * customer document (status 'cancelled', credentials removed). Each Twilio step is
+ * recorded on the customer as it succeeds (twilio_number_sid cleared,
+ * twilio_subaccount_closed_at set), so a retry after any failure resumes with the
+ * remaining steps.
+ *
+ * Response:
+ * {
+ *   success: true,
+ *   status: 'cancelled',
+ *   released_phone_number: string|null
+ * }
+ */
+router.delete('/:site_token', customerAuth, async (req, res) => {
+  try {
+    console.log('=== DELETE /api/v1/customers/:site_token Request ===');
+    const customer = req.customer;
+
+    if (rejectIfCancelled(customer, res)) {
+      return;
+    }
+
+    // 1. Release number and close sub-account (skipping steps an earlier attempt finished)
+    if (customer.twilio_subaccount_sid) {
+      try {
+        if (customer.twilio_number_sid) {
+          await twilioService.releasePhoneNumber(customer.twilio_subaccount_sid, customer.twilio_number_sid);
+          await firestoreService.updateCustomer(customer.id, { twilio_number_sid: null });
+        }
+        if (!customer.twilio_subaccount_closed_at) {
+          await twilioService.closeSubAccount(customer.twilio_subaccount_sid);
+          await firestoreService.updateCustomer(customer.id, { twilio_subaccount_closed_at: new Date().toISOString() });
+        }
+      } catch (error) {
+        console.error('Failed to deprovision Twilio resources:', error);
+        return res.status(503).json({
+          success: false,
+          error: 'Twilio service unavailable',
+          details: 'Failed to release the phone number. Please try again later.',
+        });
+      }
+    }
+
+    // 2. Tombstone - keep usage history and the record of what was released
+    await firestoreService.updateCustomer(customer.id, {
+      status: firestoreService.CUSTOMER_STATUS_CANCELLED,
+      cancelled_at: new Date().toISOString(),
+      released_phone_number: customer.phone_number || null,
+      phone_number: null,
+      twilio_number_sid: null,
+      twilio_subaccount_token: null,
+      api_secret: null,
+    });
+
+    console.log(`=== DELETE /api/v1/customers/:site_token Success (released ${customer.phone_number || 'no number'}) ===`);
+    return res.json({
+      success: true,
+      status: firestoreService.CUSTOMER_STATUS_CANCELLED,
+      released_phone_number: customer.phone_number || null,
+    });
+  } catch (error) {
+    console.error('=== DELETE /api/v1/customers/:site_token Error ===');
+    console.error('Error:', error);
+
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,333 @@
+/**
+ * Knowledge Base Routes
+ *
+ * GET    /api/v1/customers/:site_token/knowledge         - List entries (paginated, filterable by type)
+ * GET    /api/v1/customers/:site_token/knowledge/search  - Preview what the receptionist would retrieve for a question
+ * GET    /api/v1/customers/:site_token/knowledge/:id     - Get an entry (with document content)
+ * POST   /api/v1/customers/:site_token/knowledge         - Add an FAQ entry or document
+ * PUT    /api/v1/customers/:site_token/knowledge/:id     - Replace an entry
+ * DELETE /api/v1/customers/:site_token/knowledge/:id     - Delete an entry
+ *
+ * The receptionist answers from the entries most relevant to each caller message
+ * (see services/knowledge.js). Used by the WordPress admin to manage FAQs and documents.
+ */
+
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+
+const { getCustomer } = require('../services/firestore');
+const knowledge = require('../services/knowledge');
+const { requireSiteAuth } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+
+router.use(requireSiteAuth);
+router.use(rateLimit('knowledge'));
+
+/**
+ * Load the customer for a request, sending 404 if it doesn't exist
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Promise<Object|null>} Customer, or null if a response was sent
+ */
+async function loadCustomer(req, res) {
+  const customer = req.customer || await getCustomer(req.params.site_token);
+
+  if (!customer) {
+    res.status(404).json({
+      success: false,
+      error: 'Customer not found',
+    });
+    return null;
+  }
+  return customer;
+}
+
+/**
+ * Send an error response (missing entries are 404, a full knowledge base 409, anything else is a 500)
+ *
+ * @param {Object} res - Express response
+ * @param {Error} error - Error
+ */
+function sendError(res, error) {
+  if (error.code === 'NOT_FOUND') {
+    return res.status(404).json({
+      success: false,
+      error: error.message,
+    });
+  }
+
+  if (error.code === 'LIMIT_REACHED') {
+    return res.status(409).json({
+      success: false,
+      error: error.message,
+    });
+  }
+
+  return res.status(500).json({
+    success: false,
+    error: 'Internal server error',
+    message: error.message,
+  });
+}
+
+/**
+ * GET /api/v1/customers/:site_token/knowledge
+ *
+ * Query parameters:
+ *   type: string (optional) - faq | document
+ *   limit: number (optional) - Page size (default 20, max 100)
+ *   page_token: string (optional) - next_page_token from the previous page
+ *
+ * Response:
+ * {
+ *   success: true,
+ *   entries: [{ id, type, title, question, answer, content_length, chunk_count,
+ *               embedding_model, embedding_error, created_at, updated_at }],
+ *   next_page_token: string|null
+ * }
+ */
+router.get('/', async (req, res) => {
+  try {
+    console.log('=== GET /api/v1/customers/:site_token/knowledge Request ===');
+    const { site_token } = req.params;
+    const { type, limit, page_token } = req.query;
+
+    if (type && !knowledge.ENTRY_TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        error: `type must be one of: ${knowledge.ENTRY_TYPES.join(', ')}`,
+      });
+    }
+
+    if (!await loadCustomer(req, res)) {
+      return;
+    }
+
+    const page = await knowledge.listEntries(site_token, {
+      type,
+      limit,
+      pageToken: page_token,
+    });
+
+    console.log(`=== GET /api/v1/customers/:site_token/knowledge Success (${page.entries.length} entries) ===`);
+    return res.json({
+      success: true,
+      entries: page.entries,
+      next_page_token: page.nextPageToken,
+    });
+  } catch (error) {
+    console.error('=== GET /api/v1/customers/:site_token/knowledge Error ===');
+    console.error('Error:', error);
+    return sendError(res, error);
+  }
+});
+
+/**
+ * GET /api/v1/customers/:site_token/knowledge/search
+ *
+ * Query parameters:
+ *   q: string (required) - A caller question
+ *   limit: number (optional) - Maximum results (default 3, max 10)
+ *
+ * Response:
+ * {
+ *   success: true,
+ *   method: 'embedding'|'bm25'|'embedding+bm25'|null - How results were ranked (null: no knowledge yet)
+ *   results: [{ entry_id, title, text, score }]
+ * }
+ */
+router.get('/search', async (req, res) => {
+  try {
+    console.log('=== GET /api/v1/customers/:site_token/knowledge/search Request ===');
+    const { q } = req.query;
+
+    if (!q || typeof q !== 'string' || !q.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required query parameter: q',
+      });
+    }
+
+    const customer = await loadCustomer(req, res);
+    if (!customer) {
+      return;
+    }
+
+    const { results, method } = await knowledge.searchKnowledge(customer, q, {
+      limit: Math.min(parseInt(req.query.limit, 10) || 0, 10) || undefined,
+    });
+
+    console.log(`=== GET /api/v1/customers/:site_token/knowledge/search Success (${results.length} results, ${method}) ===`);
+    return res.json({
+      success: true,
+      method,
+      results,
+    });
+  } catch (error) {
+    console.error('=== GET /api/v1/customers/:site_token/knowledge/search Error ===');
+    console.error('Error:', error);
+    return sendError(res, error);
+  }
+});
+
+/**
+ * GET /api/v1/customers/:site_token/knowledge/:id
+ *
+ * Response:
+ * {
+ *   success: true,
+ *   entry: { id, type, title, question, answer, content, content_length, chunk_count, ... }
+ * }
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    console.log('=== GET /api/v1/customers/:site_token/knowledge/:id Request ===');
+
+    if (!await loadCustomer(req, res)) {
+      return;
+    }
+
+    const entry = await knowledge.getEntry(req.params.site_token, req.params.id);
+
+    console.log('=== GET /api/v1/customers/:site_token/knowledge/:id Success ===');
+    return res.json({
+      success: true,
+      entry,
+    });
+  } catch (error) {
+    console.error('=== GET /api/v1/customers/:site_token/knowledge/:id Error ===');
+    console.error('Error:', error);
+    return sendError(res, error);
+  }
+});
+
+/**
+ * POST /api/v1/customers/:site_token/knowledge
+ *
+ * Request body (FAQ):
+ * {
+ *   type: 'faq' (default)
+ *   question: string (required) - e.g. "Do you service Brooklyn?"
+ *   answer: string (required)
+ * }
+ *
+ * Request body (document - plain text or markdown, split into chunks):
+ * {
+ *   type: 'document'
+ *   title: string (required) - e.g. "Price list"
+ *   content: string (required) - Up to 50,000 characters
+ * }
+ *
+ * Response (201):
+ * {
+ *   success: true,
+ *   entry: { id, type, title, ..., chunk_count, embedding_model, embedding_error }
+ * }
+ *
+ * embedding_error is set when embedding failed - the entry is still used (keyword ranking).
+ */
+router.post('/', async (req, res) => {
+  try {
+    console.log('=== POST /api/v1/customers/:site_token/knowledge Request ===');
+
+    const { fields, error: validationError } = knowledge.validateEntry(req.body || {});
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError,
+      });
+    }
+
+    const customer = await loadCustomer(req, res);
+    if (!customer) {
+      return;
+    }
+
+    const entry = await knowledge.saveEntry(customer, fields);
+
+    console.log('=== POST /api/v1/customers/:site_token/knowledge Success ===');
+    return res.status(201).json({
+      success: true,
+      entry,
+    });
+  } catch (error) {
+    console.error('=== POST /api/v1/customers/:site_token/knowledge Error ===');
+    console.error('Error:', error);
+    return sendError(res, error);
+  }
+});
+
+/**
+ * PUT /api/v1/customers/:site_token/knowledge/:id
+ *
+ * Request body: same as POST (the entry is replaced and re-embedded)
+ *
+ * Response:
+ * {
+ *   success: true,
+ *   entry: { id, ... }
+ * }
+ */
+router.put('/:id', async (req, res) => {
+  try {
+    console.log('=== PUT /api/v1/customers/:site_token/knowledge/:id Request ===');
+
+    const { fields, error: validationError } = knowledge.validateEntry(req.body || {});
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError,
+      });
+    }
+
+    const customer = await loadCustomer(req, res);
+    if (!customer) {
+      return;
+    }
+
+    const entry = await knowledge.saveEntry(customer, fields, req.params.id);
+
+    console.log('=== PUT /api/v1/customers/:site_token/knowledge/:id Success ===');
+    return res.json({
+      success: true,
+      entry,
+    });
+  } catch (error) {
+    console.error('=== PUT /api/v1/customers/:site_token/knowledge/:id Error ===');
+    console.error('Error:', error);
+    return sendError(res, error);
+  }
+});
+
+/**
+ * DELETE /api/v1/customers/:site_token/knowledge/:id
+ *
+ * Response:
+ * {
+ *   success: true
+ * }
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    console.log('=== DELETE /api/v1/customers/:site_token/knowledge/:id Request ===');
+
+    const customer = await loadCustomer(req, res);
+    if (!customer) {
+      return;
+    }
+
+    await knowledge.deleteEntry(customer, req.params.id);
+
+    console.log('=== DELETE /api/v1/customers/:site_token/knowledge/:id Success ===');
+    return res.json({
+      success: true,
+    });
+  } catch (error) {
+    console.error('=== DELETE /api/v1/customers/:site_token/knowledge/:id Error ===');
+    console.error('Error:', error);
+    return sendError(res, error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,97 @@
+/**
+ * Lead Routes
+ *
+ * GET /api/v1/customers/:site_token/leads - List captured leads (paginated, filterable by date and urgency)
+ *
+ * Leads are filled in by the receptionist during calls, chats and SMS threads
+ * (see services/leads.js). Used by the WordPress dashboard to show owners who to call back.
+ */
+
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+
+const { getCustomer } = require('../services/firestore');
+const leads = require('../services/leads');
+const { parseDateParam } = require('../lib/dates');
+const { requireSiteAuth } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+
+router.use(requireSiteAuth);
+router.use(rateLimit('leads'));
+
+/**
+ * GET /api/v1/customers/:site_token/leads
+ *
+ * Query parameters:
+ *   from: string (optional) - Only leads created at/after this date (ISO 8601 or YYYY-MM-DD)
+ *   to: string (optional) - Only leads created at/before this date
+ *   urgency: string (optional) - low | normal | high | emergency
+ *   limit: number (optional) - Page size (default 20, max 100)
+ *   page_token: string (optional) - next_page_token from the previous page
+ *
+ * Response:
+ * {
+ *   success: true,
+ *   leads: [{ id, call_id, channel, caller_number, name, callback_number, reason, urgency, created_at, updated_at }],
+ *   next_page_token: string|null
+ * }
+ */
+router.get('/', async (req, res) => {
+  try {
+    console.log('=== GET /api/v1/customers/:site_token/leads Request ===');
+    const { site_token } = req.params;
+    const { urgency, limit, page_token } = req.query;
+
+    const from = parseDateParam(req.query.from);
+    const to = parseDateParam(req.query.to, true);
+
+    if (from === undefined || to === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: 'from and to must be valid dates (ISO 8601 or YYYY-MM-DD)',
+      });
+    }
+
+    if (urgency && !leads.URGENCY_LEVELS.includes(urgency)) {
+      return res.status(400).json({
+        success: false,
+        error: `urgency must be one of: ${leads.URGENCY_LEVELS.join(', ')}`,
+      });
+    }
+
+    const customer = req.customer || await getCustomer(site_token);
+
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        error: 'Customer not found',
+      });
+    }
+
+    const page = await leads.listLeads(site_token, {
+      from,
+      to,
+      urgency,
+      limit,
+      pageToken: page_token,
+    });
+
+    console.log(`=== GET /api/v1/customers/:site_token/leads Success (${page.leads.length} leads) ===`);
+    return res.json({
+      success: true,
+      leads: page.leads,
+      next_page_token: page.nextPageToken,
+    });
+  } catch (error) {
+    console.error('=== GET /api/v1/customers/:site_token/leads Error ===');
+    console.error('Error:', error);
+
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message,
+    });
+  }
+});
+
+module.exports = router;
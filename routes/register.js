@@ -2,12 +2,14 @@
  * Customer Registration Route
  *
  * POST /api/v1/customers/register
+ * PUT  /api/v1/customers/:site_token/voice-mode
  *
- * Handles new customer registration:
+ * Handles new customer registration as a resumable saga (services/registrations.js):
  * - Generates unique site_token
  * - Creates Twilio sub-account
- * - Provisions phone number with area code matching
+ * - Provisions phone number with area code matching (US, Canada, UK)
  * - Stores customer data in Firestore
+ * Retries with the same Idempotency-Key header resume or replay the original result.
  */
 
 const express = require('express');
@@ -15,15 +17,76 @@ const router = express.Router();
 const { v4: uuidv4 } = require('uuid');
 const twilioService = require('../services/twilio');
 const firestoreService = require('../services/firestore');
+const billing = require('../services/billing');
+const countries = require('../services/countries');
+const registrations = require('../services/registrations');
+const { generateApiSecret, requireSiteAuth } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+
+// Idempotency-Key header: printable ASCII, e.g. a UUID generated by the plugin per signup
+const IDEMPOTENCY_KEY_PATTERN = /^[\x21-\x7e]{1,255}$/;
+
+// Explains number_selection.tier in the registration response
+const NUMBER_TIER_DESCRIPTIONS = {
+  area_code: 'Number is in the requested area code',
+  overlay: 'Requested area code was unavailable - number uses an overlay area code for the same region',
+  nearby: 'Requested area code was unavailable - number is near the business postal code or phone number',
+  state: 'No local numbers were available - number is in the same state',
+  nationwide: 'No local or in-state numbers were available - number is outside the business area'
+};
+
+/**
+ * Default Regulatory Bundle for a country from TWILIO_REGULATORY_BUNDLES
+ *
+ * @param {string} country - ISO country code
+ * @returns {string|null} Bundle SID (BU...) or null
+ */
+function getDefaultBundleSid(country) {
+  try {
+    const bundles = JSON.parse(process.env.TWILIO_REGULATORY_BUNDLES || '{}');
+    return bundles[country] || null;
+  } catch (error) {
+    console.error('Invalid TWILIO_REGULATORY_BUNDLES JSON:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Validate a registration address
+ *
+ * @param {Object} address - Address from the request body
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateAddress(address) {
+  if (!address || typeof address !== 'object' || Array.isArray(address)) {
+    return 'address must be an object';
+  }
+
+  const missing = ['street', 'city', 'postal_code'].filter(
+    (field) => typeof address[field] !== 'string' || address[field].trim() === ''
+  );
+
+  return missing.length > 0 ? `address is missing: ${missing.join(', ')}` : null;
+}
 
 /**
  * POST /api/v1/customers/register
  *
+ * Headers:
+ *   Idempotency-Key: string (recommended) - Same key on retries; resumes the registration or
+ *     replays its response (Idempotent-Replayed: true). 409 while another request with the
+ *     key is running, 422 if the key was used with a different body.
+ *
  * Request body:
  * {
  *   business_name: string (required)
- *   business_phone: string (optional) - Used for area code matching
+ *   business_phone: string (optional) - Used for area code matching; +44... numbers provision in the UK
+ *   country: string (optional) - US (default), CA or GB; defaults to the country of business_phone
+ *   postal_code: string (optional) - ZIP / postal code, used to find a local number if the area code is sold out (US/CA)
+ *   address: object (required in GB) - { customer_name?, street, city, region?, postal_code }
+ *   bundle_sid: string (GB, optional) - Approved Twilio Regulatory Bundle (default from TWILIO_REGULATORY_BUNDLES)
  *   site_url: string (required) - Customer's WordPress site URL
+ *   voice_mode: string (optional) - 'wordpress' (default) or 'middleware' - where the number's voice webhook points
  * }
  *
  * Response:
@@ -31,19 +94,28 @@ const firestoreService = require('../services/firestore');
  *   success: true,
  *   site_token: string,
  *   phone_number: string,
+ *   country: string,
  *   twilio_subaccount_sid: string,
+ *   api_secret: string - Only returned here; used to sign API requests (see middleware/auth.js)
+ *   number_selection: {
+ *     tier: string - area_code, overlay, nearby, state or nationwide
+ *     requested_area_code: string|null,
+ *     area_code: string - Area code of the provisioned number
+ *     description: string
+ *   }
  *   message: string
  * }
  */
-router.post('/register', async (req, res) => {
-  let subAccountSid = null; // Track for rollback
+router.post('/register', rateLimit('register'), async (req, res) => {
+  let registration = null; // Claimed saga - compensated if anything below throws
 
   try {
     console.log('=== /api/v1/customers/register Request ===');
     console.log('Body:', JSON.stringify(req.body, null, 2));
 
     // 1. Validate request body
-    const { business_name, business_phone, site_url } = req.body;
+    const { business_name, business_phone, site_url, postal_code, address } = req.body;
+    const voiceMode = req.body.voice_mode || twilioService.VOICE_MODE_WORDPRESS;
 
     if (!business_name || typeof business_name !== 'string' || business_name.trim() === '') {
       return res.status(400).json({
@@ -60,171 +132,493 @@ router.post('/register', async (req, res) => {
       });
     }
 
-    // 2. Check if customer already exists with this site_url (one number per site policy)
+    // Country: explicit, else from business_phone, else US
+    const requestedCountry = req.body.country ? String(req.body.country).toUpperCase() : null;
+    if (requestedCountry && !countries.getCountry(requestedCountry)) {
+      return res.status(400).json({
+        success: false,
+        error: `country must be one of: ${countries.SUPPORTED_COUNTRIES.join(', ')}`
+      });
+    }
+
+    const parsedPhone = countries.parsePhoneNumber(business_phone, requestedCountry || countries.DEFAULT_COUNTRY);
+    const country = requestedCountry || (parsedPhone ? parsedPhone.country : countries.DEFAULT_COUNTRY);
+    const countryInfo = countries.getCountry(country);
+
+    if (postal_code !== undefined && postal_code !== null &&
+        (typeof postal_code !== 'string' || !countryInfo.postalCodePattern.test(postal_code.trim()))) {
+      return res.status(400).json({
+        success: false,
+        error: `postal_code is not a valid ${countryInfo.name} postal code`
+      });
+    }
+
+    // Regulatory requirements (checked before anything is created in Twilio)
+    if (countryInfo.requiresAddress && !address) {
+      return res.status(400).json({
+        success: false,
+        error: `address is required to provision a number in ${countryInfo.name}`
+      });
+    }
+
+    const addressError = address ? validateAddress(address) : null;
+    if (addressError) {
+      return res.status(400).json({
+        success: false,
+        error: addressError
+      });
+    }
+
+    const bundleSid = countryInfo.requiresBundle ? (req.body.bundle_sid || getDefaultBundleSid(country)) : null;
+    if (countryInfo.requiresBundle && !bundleSid) {
+      return res.status(400).json({
+        success: false,
+        error: `bundle_sid (an approved Twilio Regulatory Bundle) is required to provision a number in ${countryInfo.name}`
+      });
+    }
+    if (bundleSid && !/^BU[0-9a-f]{32}$/i.test(bundleSid)) {
+      return res.status(400).json({
+        success: false,
+        error: 'bundle_sid must be a Twilio Regulatory Bundle SID (BU...)'
+      });
+    }
+
+    if (!twilioService.VOICE_MODES.includes(voiceMode)) {
+      return res.status(400).json({
+        success: false,
+        error: `voice_mode must be one of: ${twilioService.VOICE_MODES.join(', ')}`
+      });
+    }
+
+    // 2. Claim the registration saga (see services/registrations.js)
+    const idempotencyKey = req.get('Idempotency-Key');
+    if (idempotencyKey !== undefined && !IDEMPOTENCY_KEY_PATTERN.test(idempotencyKey)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Idempotency-Key must be 1-255 printable ASCII characters'
+      });
+    }
+
+    const claim = await registrations.claimRegistration(
+      idempotencyKey || uuidv4(),
+      registrations.fingerprintRequest(req.body)
+    );
+
+    if (claim.outcome === 'replay') {
+      console.log(`Replaying completed registration ${claim.registration.id}`);
+      const { response } = claim.registration;
+      const registeredCustomer = response.body.site_token
+        ? await firestoreService.getCustomer(response.body.site_token)
+        : null;
+
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(response.status).json(registrations.buildReplayBody(claim.registration, registeredCustomer));
+    }
+
+    if (claim.outcome === 'in_progress') {
+      const retryAfter = Math.max(1, Math.ceil((new Date(claim.registration.lease_expires_at).getTime() - Date.now()) / 1000));
+      res.set('Retry-After', String(retryAfter));
+      return res.status(409).json({
+        success: false,
+        error: 'Registration already in progress',
+        details: 'Retry with the same Idempotency-Key shortly to get the result.'
+      });
+    }
+
+    if (claim.outcome === 'mismatch') {
+      return res.status(422).json({
+        success: false,
+        error: 'Idempotency-Key was already used with a different request body'
+      });
+    }
+
+    registration = claim.registration;
+    const steps = registration.steps;
+    const siteToken = registration.site_token;
+    console.log(`Registration ${registration.id} attempt ${registration.attempt} - site_token: ${siteToken}`);
+    if (Object.keys(steps).length > 0) {
+      console.log(`Resuming after steps: ${Object.keys(steps).join(', ')}`);
+    }
+
+    // Compensate recorded steps, then respond (a retry with the same key starts over)
+    const fail = async (status, body) => {
+      const failing = registration;
+      registration = null; // Outer catch must not compensate twice
+      await registrations.failRegistration(failing, { status, body });
+      return res.status(status).json(body);
+    };
+
+    // 3. Check if customer already exists with this site_url (one number per site policy)
     console.log('Checking if site_url already has a provisioned number...');
     const existingCustomer = await firestoreService.getCustomerBySiteUrl(site_url);
 
-    if (existingCustomer && existingCustomer.phone_number) {
+    if (existingCustomer && existingCustomer.phone_number && existingCustomer.site_token !== siteToken) {
       console.log(`Customer already registered: ${existingCustomer.phone_number}`);
-      return res.status(409).json({
+      return await fail(409, {
         success: false,
         error: 'Customer already registered',
         phone_number: existingCustomer.phone_number,
-        site_token: existingCustomer.site_token,
-        message: 'A phone number is already provisioned for this website. Please contact support to change your number.'
+        message: 'A phone number is already provisioned for this website. Update it with PATCH /api/v1/customers/{site_token}, or deprovision it with DELETE /api/v1/customers/{site_token} before registering again (with that customer\'s site_token and api_secret).'
       });
     }
 
-    // 3. Generate unique site_token
-    const siteToken = uuidv4();
-    console.log(`Generated site_token: ${siteToken}`);
-
     // 4. Extract area code from business_phone if provided
     console.log('=== AREA CODE PROCESSING ===');
     let areaCode = null;
+    console.log(`Provisioning country: ${country}`);
     if (business_phone) {
       console.log(`Business phone provided: ${business_phone}`);
-      areaCode = twilioService.extractAreaCode(business_phone);
+      // Only use the area code if the business phone is in the provisioning country
+      areaCode = parsedPhone && parsedPhone.country === country
+        ? twilioService.extractAreaCode(business_phone, country)
+        : null;
       if (areaCode) {
         console.log(`✓ Area code extracted successfully: ${areaCode}`);
-        console.log(`Will search Twilio for numbers in ${areaCode} area code`);
+        console.log(`Will search Twilio for numbers in ${areaCode} area code, then overlays and nearby numbers`);
       } else {
         console.log(`⚠️  Could not extract area code from business_phone: ${business_phone}`);
-        console.log(`Will use default area code (786) instead`);
+        console.log(postal_code ? `Will search near postal code ${postal_code}` : (country === 'US' ? 'Will use default area code (786) instead' : `Will search all of ${country}`));
       }
     } else {
       console.log('⚠️  No business_phone provided in request');
-      console.log('Will use default area code (786)');
+      console.log(postal_code ? `Will search near postal code ${postal_code}` : (country === 'US' ? 'Will use default area code (786)' : `Will search all of ${country}`));
     }
     console.log('=== AREA CODE PROCESSING COMPLETE ===');
 
-    // 5. Create Twilio sub-account
-    console.log('Creating Twilio sub-account...');
-    let subAccount;
-    try {
-      subAccount = await twilioService.createSubAccount(business_name);
-      subAccountSid = subAccount.accountSid; // Save for potential rollback
-    } catch (error) {
-      console.error('Failed to create Twilio sub-account:', error);
-      return res.status(503).json({
-        success: false,
-        error: 'Twilio service unavailable',
-        details: 'Failed to create sub-account. Please try again later.'
+    // 5. Create Twilio sub-account (only the SID is recorded - the auth token is fetched again on resume)
+    let subAccountToken = null;
+    if (!steps[registrations.STEP_SUB_ACCOUNT]) {
+      await registrations.renewLease(registration);
+      console.log('Creating Twilio sub-account...');
+      let subAccount;
+      try {
+        subAccount = await twilioService.createSubAccount(business_name);
+      } catch (error) {
+        console.error('Failed to create Twilio sub-account:', error);
+        return await fail(503, {
+          success: false,
+          error: 'Twilio service unavailable',
+          details: 'Failed to create sub-account. Please try again later.'
+        });
+      }
+
+      subAccountToken = subAccount.authToken;
+      await registrations.recordStep(registration, registrations.STEP_SUB_ACCOUNT, {
+        account_sid: subAccount.accountSid
       });
     }
+    const subAccount = registration.steps[registrations.STEP_SUB_ACCOUNT];
 
-    // 6. Provision phone number
-    console.log('Provisioning phone number...');
-    let phoneNumber, numberSid;
-    try {
-      const phoneData = await twilioService.provisionPhoneNumber(
-        subAccount.accountSid,
-        site_url,
-        areaCode
-      );
-      phoneNumber = phoneData.phoneNumber;
-      numberSid = phoneData.numberSid;
-    } catch (error) {
-      console.error('Failed to provision phone number:', error);
+    // 6. Register address on the sub-account (countries with regulatory requirements)
+    if (address && !steps[registrations.STEP_ADDRESS]) {
+      await registrations.renewLease(registration);
+      let addressSid;
+      try {
+        addressSid = await twilioService.createAddress(subAccount.account_sid, {
+          customerName: address.customer_name || business_name.trim(),
+          street: address.street,
+          city: address.city,
+          region: address.region || address.city,
+          postalCode: address.postal_code,
+          isoCountry: country
+        });
+      } catch (error) {
+        console.error('Failed to register address:', error);
+        return await fail(400, {
+          success: false,
+          error: 'Address registration failed',
+          details: error.message
+        });
+      }
 
-      // ROLLBACK: Delete sub-account since phone provisioning failed
-      console.log('Rolling back: Deleting sub-account...');
-      await twilioService.deleteSubAccount(subAccountSid);
+      await registrations.recordStep(registration, registrations.STEP_ADDRESS, { address_sid: addressSid });
+    }
+    const addressSid = address ? registration.steps[registrations.STEP_ADDRESS].address_sid : null;
 
-      return res.status(503).json({
-        success: false,
-        error: 'Phone number provisioning failed',
-        details: error.message.includes('No phone numbers available')
-          ? `No phone numbers available${areaCode ? ` in area code ${areaCode}` : ''}`
-          : 'Failed to provision phone number. Please try again later.'
+    // 7. Provision phone number
+    if (!steps[registrations.STEP_PHONE_NUMBER]) {
+      await registrations.renewLease(registration);
+      console.log('Provisioning phone number...');
+      let phoneData;
+      try {
+        phoneData = await twilioService.provisionPhoneNumber(
+          subAccount.account_sid,
+          site_url,
+          areaCode,
+          voiceMode,
+          {
+            country,
+            postalCode: postal_code ? (country === 'US' ? postal_code.slice(0, 5) : postal_code.trim()) : null,
+            nearNumber: business_phone || null
+          },
+          { addressSid, bundleSid }
+        );
+      } catch (error) {
+        console.error('Failed to provision phone number:', error);
+        return await fail(503, {
+          success: false,
+          error: 'Phone number provisioning failed',
+          details: error.message.includes('No phone numbers available')
+            ? `No phone numbers available${areaCode ? ` in or near area code ${areaCode}` : ''}`
+            : 'Failed to provision phone number. Please try again later.'
+        });
+      }
+
+      await registrations.recordStep(registration, registrations.STEP_PHONE_NUMBER, {
+        phone_number: phoneData.phoneNumber,
+        number_sid: phoneData.numberSid,
+        tier: phoneData.tier
       });
     }
+    const { phone_number: phoneNumber, number_sid: numberSid, tier: numberTier } =
+      registration.steps[registrations.STEP_PHONE_NUMBER];
 
-    // 7. Store customer in Firestore with extended schema
-    console.log('Storing customer in Firestore...');
-    const now = new Date().toISOString();
-    const billingPeriodEnd = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString();
+    // 8. Store customer in Firestore with extended schema
+    // (already stored if an earlier attempt got this far - the site_url check found our own site_token)
+    let customer = existingCustomer && existingCustomer.site_token === siteToken
+      ? existingCustomer
+      : null;
+    if (!customer && steps[registrations.STEP_CUSTOMER]) {
+      customer = await firestoreService.getCustomer(siteToken);
+    }
 
-    const customerData = {
-      site_token: siteToken,
-      business_name: business_name.trim(),
-      business_phone: business_phone || null,
-      site_url: site_url || null,
+    if (!customer) {
+      await registrations.renewLease(registration);
+      console.log('Storing customer in Firestore...');
+      const now = new Date().toISOString();
 
-      // Phone configuration
-      phone_number: phoneNumber,
-      twilio_subaccount_sid: subAccount.accountSid,
-      twilio_subaccount_token: subAccount.authToken,
-
-      // Call tracking - Billable vs Filtered
-      calls_limit: 100,
-      billable_calls_used: 0,
-      filtered_calls: 0,
-      total_calls: 0,
-      spam_calls: 0,
-      silent_calls: 0,
-      test_calls: 0,
-
-      // Training tracking
-      training_limit: 100,
-      training_used: 0,
-
-      // Billing period
-      billing_period_start: now,
-      billing_period_end: billingPeriodEnd,
-
-      // Status
-      status: 'active',
-
-      // Timestamps
-      created_at: now,
-      updated_at: now
-    };
+      if (!subAccountToken) {
+        try {
+          subAccountToken = await twilioService.getSubAccountAuthToken(subAccount.account_sid);
+        } catch (error) {
+          console.error('Failed to fetch sub-account auth token:', error);
+          return await fail(503, {
+            success: false,
+            error: 'Twilio service unavailable',
+            details: 'Failed to load the sub-account. Please try again later.'
+          });
+        }
+      }
 
-    try {
-      await firestoreService.createCustomer(siteToken, customerData);
-    } catch (error) {
-      console.error('Failed to store customer in Firestore:', error);
+      customer = {
+        site_token: siteToken,
+        business_name: business_name.trim(),
+        business_phone: business_phone || null,
+        site_url: site_url || null,
+        postal_code: postal_code || null,
+        country,
 
-      // ROLLBACK: Delete sub-account and potentially release phone number
-      console.log('Rolling back: Deleting sub-account...');
-      await twilioService.deleteSubAccount(subAccountSid);
+        // Phone configuration
+        phone_number: phoneNumber,
+        twilio_subaccount_sid: subAccount.account_sid,
+        twilio_subaccount_token: subAccountToken,
+        twilio_number_sid: numberSid,
+        number_selection_tier: numberTier,
+        voice_mode: voiceMode,
 
-      return res.status(500).json({
-        success: false,
-        error: 'Database error',
-        details: 'Failed to store customer data. Please try again later.'
-      });
+        // Regulatory (GB and other countries that require them)
+        twilio_address_sid: addressSid,
+        twilio_bundle_sid: bundleSid,
+
+        // API authentication (see middleware/auth.js)
+        api_secret: generateApiSecret(),
+
+        // Call tracking - Billable vs Filtered
+        calls_limit: 100,
+        billable_calls_used: 0,
+        filtered_calls: 0,
+        total_calls: 0,
+        spam_calls: 0,
+        silent_calls: 0,
+        test_calls: 0,
+
+        // SMS tracking
+        sms_received: 0,
+        sms_sent: 0,
+        sms_segments: 0,
+
+        // Training tracking
+        training_limit: 100,
+        training_used: 0,
+        correction_detections: 0,
+
+        // Billing period
+        ...billing.newBillingPeriod(now),
+
+        // Status
+        status: firestoreService.CUSTOMER_STATUS_ACTIVE,
+
+        // Timestamps
+        created_at: now,
+        updated_at: now
+      };
+
+      try {
+        await firestoreService.createCustomer(siteToken, customer);
+      } catch (error) {
+        console.error('Failed to store customer in Firestore:', error);
+        return await fail(500, {
+          success: false,
+          error: 'Database error',
+          details: 'Failed to store customer data. Please try again later.'
+        });
+      }
+
+      try {
+        await registrations.recordStep(registration, registrations.STEP_CUSTOMER, { site_token: siteToken });
+      } catch (error) {
+        // Not compensated - the customer exists, and a retry finds it by site_url
+        console.error('Failed to record customer step:', error);
+      }
     }
 
-    // 8. Return success response
+    // 9. Return success response (stored for Idempotency-Key replays)
     console.log('=== /api/v1/customers/register Success ===');
     console.log(`Customer registered: ${business_name}`);
     console.log(`Site Token: ${siteToken}`);
     console.log(`Phone Number: ${phoneNumber}`);
 
-    return res.status(201).json({
+    const responseBody = {
       success: true,
       site_token: siteToken,
       phone_number: phoneNumber,
-      twilio_subaccount_sid: subAccount.accountSid,
+      country,
+      twilio_subaccount_sid: subAccount.account_sid,
+      api_secret: customer.api_secret,
+      number_selection: {
+        tier: numberTier,
+        requested_area_code: areaCode,
+        area_code: (countries.parsePhoneNumber(phoneNumber) || {}).nationalDestinationCode || null,
+        description: NUMBER_TIER_DESCRIPTIONS[numberTier]
+      },
       message: 'Customer registered successfully'
-    });
+    };
+
+    const completed = registration;
+    registration = null; // Nothing to compensate from here on
+    try {
+      await registrations.completeRegistration(completed, 201, responseBody);
+    } catch (error) {
+      // The customer exists - a retry resumes at step 8 and completes the registration
+      console.error('Failed to mark registration complete:', error);
+    }
+
+    return res.status(201).json(responseBody);
 
   } catch (error) {
     console.error('=== /api/v1/customers/register Error ===');
     console.error('Error:', error);
 
-    // Best-effort rollback if we created a sub-account
-    if (subAccountSid) {
-      console.log('Rolling back: Deleting sub-account...');
-      await twilioService.deleteSubAccount(subAccountSid);
+    // A retry took over the registration - its recorded steps are now that request's to finish
+    if (error.code === 'LEASE_LOST') {
+      return res.status(409).json({
+        success: false,
+        error: 'Registration already in progress',
+        details: 'Retry with the same Idempotency-Key shortly to get the result.'
+      });
     }
 
-    return res.status(500).json({
+    const body = {
       success: false,
       error: 'Internal server error during registration',
       details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    };
+
+    // Compensate whatever steps were recorded
+    if (registration) {
+      try {
+        await registrations.failRegistration(registration, { status: 500, body });
+      } catch (compensationError) {
+        console.error('Failed to compensate registration:', compensationError);
+      }
+    }
+
+    return res.status(500).json(body);
+  }
+});
+
+/**
+ * PUT /api/v1/customers/:site_token/voice-mode
+ *
+ * Switch where the customer's number sends voice calls.
+ *
+ * Request body:
+ * {
+ *   voice_mode: string (required) - 'wordpress' or 'middleware'
+ * }
+ *
+ * Response:
+ * {
+ *   success: true,
+ *   voice_mode: string,
+ *   voice_url: string
+ * }
+ */
+router.put('/:site_token/voice-mode', requireSiteAuth, rateLimit('customers'), async (req, res) => {
+  try {
+    console.log('=== /api/v1/customers/:site_token/voice-mode Request ===');
+    const { site_token } = req.params;
+    const { voice_mode } = req.body;
+
+    if (!twilioService.VOICE_MODES.includes(voice_mode)) {
+      return res.status(400).json({
+        success: false,
+        error: `voice_mode must be one of: ${twilioService.VOICE_MODES.join(', ')}`
+      });
+    }
+
+    const customer = req.customer || await firestoreService.getCustomer(site_token);
+
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        error: 'Customer not found'
+      });
+    }
+
+    if (!customer.phone_number || !customer.twilio_subaccount_sid) {
+      return res.status(409).json({
+        success: false,
+        error: 'No phone number provisioned for this customer'
+      });
+    }
+
+    let webhook;
+    try {
+      webhook = await twilioService.configureVoiceWebhook(
+        customer.twilio_subaccount_sid,
+        customer.phone_number,
+        customer.site_url,
+        voice_mode
+      );
+    } catch (error) {
+      console.error('Failed to configure voice webhook:', error);
+      return res.status(503).json({
+        success: false,
+        error: 'Twilio service unavailable',
+        details: 'Failed to update phone number webhook. Please try again later.'
+      });
+    }
+
+    await firestoreService.updateCustomer(customer.id, {
+      voice_mode,
+      twilio_number_sid: webhook.numberSid
+    });
+
+    console.log('=== /api/v1/customers/:site_token/voice-mode Success ===');
+    return res.json({
+      success: true,
+      voice_mode,
+      voice_url: webhook.voiceUrl
+    });
+  } catch (error) {
+    console.error('=== /api/v1/customers/:site_token/voice-mode Error ===');
+    console.error('Error:', error);
+
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
 });
@@ -0,0 +1,237 @@
+/**
+ * SMS Webhook Routes
+ *
+ * POST /api/v1/sms/incoming - Twilio messaging webhook: answer a text with the AI receptionist
+ *
+ * Every provisioned number's smsUrl points here (whatever its voice_mode).
+ * Each sender gets a thread - a session keyed by customer + sender number that
+ * stays open for SMS_THREAD_IDLE_TIMEOUT_MS, so replies keep the conversation
+ * history like a call does. Threads are stored as calls with channel 'sms'.
+ * All responses are TwiML (never JSON). Requests without a valid
+ * X-Twilio-Signature are rejected with 403.
+ *
+ * Texts are rate limited per sender and per receiving number, and each customer
+ * gets sms_limit AI replies per billing period - beyond either, no AI reply is made.
+ */
+
+const express = require('express');
+const twilio = require('twilio');
+const { v4: uuidv4 } = require('uuid');
+const router = express.Router();
+
+const {
+  getCustomerByPhoneNumber,
+  getBusinessInfo,
+  isCustomerActive,
+} = require('../services/firestore');
+
+const llm = require('../services/llm');
+const sessions = require('../services/sessions');
+const transcripts = require('../services/transcripts');
+const metering = require('../services/metering');
+const knowledge = require('../services/knowledge');
+const { createReceptionistTools } = require('../services/receptionistTools');
+const { validateTwilioSignature } = require('../middleware/twilioSignature');
+const { rateLimit } = require('../middleware/rateLimit');
+
+const { MessagingResponse } = twilio.twiml;
+
+router.use(validateTwilioSignature);
+
+// A sender's thread ends after this long without a text (default: 24 hours)
+const SMS_THREAD_IDLE_TIMEOUT_MS = parseInt(process.env.SMS_THREAD_IDLE_TIMEOUT_MS, 10) || 24 * 60 * 60 * 1000;
+
+// Twilio's maximum message body length
+const MAX_REPLY_LENGTH = 1600;
+
+// Carrier / Twilio opt-out and help keywords - Twilio answers these itself
+const OPT_OUT_KEYWORDS = ['STOP', 'STOPALL', 'UNSUBSCRIBE', 'CANCEL', 'END', 'QUIT', 'OPTOUT', 'REVOKE'];
+const OPT_IN_KEYWORDS = ['START', 'UNSTOP', 'YES', 'OPTIN'];
+const HELP_KEYWORDS = ['HELP', 'INFO'];
+
+/**
+ * Send TwiML response
+ *
+ * @param {Object} res - Express response
+ * @param {MessagingResponse} response - TwiML response (empty = no reply)
+ */
+function sendTwiml(res, response) {
+  res.type('text/xml');
+  res.send(response.toString());
+}
+
+// Over the limit the text gets no reply (TwiML, not a JSON 429)
+const smsRateLimit = rateLimit('sms', {
+  keys: (req) => ({ sender: req.body.From, number: req.body.To }),
+  onLimited: (req, res) => sendTwiml(res, new MessagingResponse()),
+});
+
+/**
+ * Get the thread session id for a sender
+ *
+ * @param {Object} customer - Customer document
+ * @param {string} from - Sender number
+ * @returns {string} Session id
+ */
+function getThreadSessionId(customer, from) {
+  return `sms_${customer.id}_${from}`;
+}
+
+/**
+ * Get the sender's active thread, starting a new one if it ended or expired
+ *
+ * @param {Object} customer - Customer document
+ * @param {Object} body - Twilio webhook body (From, To)
+ * @returns {Promise<Object>} Session
+ */
+async function getOrStartThread(customer, body) {
+  const { From, To } = body;
+  const sessionId = getThreadSessionId(customer, From);
+
+  const existing = await sessions.getSession(sessionId);
+  if (existing) {
+    existing.customer = customer;
+    return existing;
+  }
+
+  // Each thread gets its own transcript (calls/{thread_id}) - the session id is reused per sender
+  return await sessions.createSession({
+    session_id: sessionId,
+    channel: 'sms',
+    customer_id: customer.id,
+    site_token: customer.site_token,
+    thread_id: `sms_${uuidv4()}`,
+    from: From,
+    to: To,
+    idle_timeout_ms: SMS_THREAD_IDLE_TIMEOUT_MS,
+    customer,
+  });
+}
+
+/**
+ * POST /api/v1/sms/incoming
+ *
+ * Twilio request body (form-encoded): MessageSid, From, To, Body, NumSegments, ...
+ * Response: TwiML <Message> with the receptionist reply, or an empty <Response/>
+ */
+router.post('/incoming', smsRateLimit, async (req, res) => {
+  const response = new MessagingResponse();
+  let claimed = false;
+
+  try {
+    console.log('=== /api/v1/sms/incoming Request ===');
+    const { MessageSid, From, To, NumSegments } = req.body;
+    const text = (req.body.Body || '').trim();
+    console.log(`SMS ${MessageSid}: ${From} -> ${To}`);
+
+    // Suspended / deprovisioned customers don't reply
+    const customer = await getCustomerByPhoneNumber(To);
+    if (!customer || !isCustomerActive(customer)) {
+      console.log(`No active customer found for ${To}`);
+      return sendTwiml(res, response);
+    }
+
+    const keyword = text.toUpperCase();
+    const sessionId = getThreadSessionId(customer, From);
+
+    // 1. Opt-out / opt-in / help keywords - Twilio's Advanced Opt-Out handles the reply
+    if (OPT_OUT_KEYWORDS.includes(keyword)) {
+      console.log(`SMS ${MessageSid}: ${From} opted out`);
+      const ended = await sessions.endSession(sessionId, 'opted_out');
+      if (ended && ended.thread_id) {
+        await transcripts.completeCall(ended.thread_id, 'opted_out');
+      }
+      return sendTwiml(res, response);
+    }
+    if (OPT_IN_KEYWORDS.includes(keyword) || HELP_KEYWORDS.includes(keyword)) {
+      return sendTwiml(res, response);
+    }
+
+    // 2. Meter the inbound text (Twilio retries the webhook - answer each message once, but
+    //    answer a redelivery if the earlier attempt failed before replying, and isn't still running)
+    const session = await getOrStartThread(customer, req.body);
+    const received = await metering.recordSmsReceived(customer, MessageSid, {
+      from: From,
+      to: To,
+      thread_id: session.thread_id,
+      body_length: text.length,
+      segments: parseInt(NumSegments, 10) || 1,
+    });
+
+    if (received.alreadyRecorded && (received.replied || received.replying)) {
+      console.log(`=== /api/v1/sms/incoming Duplicate (${MessageSid}${received.replying ? ', still being answered' : ''}) ===`);
+      return sendTwiml(res, response);
+    }
+    if (received.alreadyRecorded) {
+      console.log(`SMS ${MessageSid}: Redelivered without a reply - answering it now`);
+    }
+    claimed = true;
+
+    // 3. Media-only message - ask for text instead
+    let replyText;
+    let aiResponse = null;
+
+    if (!text) {
+      replyText = `Thanks for your message to ${customer.business_name}. I can only read text - could you type your question?`;
+    } else if (metering.hasExceededSmsLimit(customer)) {
+      // Over sms_limit - no AI reply; the sender is told once per thread
+      if (session.sms_limit_notified) {
+        console.log(`=== /api/v1/sms/incoming Over SMS limit (${MessageSid}) - no reply ===`);
+        return sendTwiml(res, response);
+      }
+      replyText = `Thanks for your message to ${customer.business_name}. We can't answer texts right now - we'll get back to you as soon as we can.`;
+      await sessions.updateSession(sessionId, { sms_limit_notified: true });
+    } else {
+      // 4. Generate receptionist answer (with provider failover), capturing the lead / appointment
+      const receptionistTools = createReceptionistTools(customer, session, session.thread_id);
+
+      const businessInfo = await knowledge.withKnowledge(getBusinessInfo(customer), customer, text, session.history);
+
+      const policy = llm.getFailoverPolicy(customer);
+      aiResponse = await llm.generateConversationWithFailover(
+        policy,
+        businessInfo,
+        text,
+        session.history,
+        null,
+        { tools: receptionistTools.tools }
+      );
+      replyText = aiResponse.text.substring(0, MAX_REPLY_LENGTH);
+      const sessionUpdates = receptionistTools.getSessionUpdates();
+
+      await Promise.all([
+        Object.keys(sessionUpdates).length > 0 && sessions.updateSession(sessionId, sessionUpdates),
+        sessions.appendTurns(sessionId, text, replyText),
+        transcripts.recordTurn(session.thread_id, {
+          customer,
+          channel: 'sms',
+          from: From,
+          to: To,
+          callerMessage: text,
+          aiResponse: { ...aiResponse, text: replyText },
+        }),
+      ]);
+    }
+
+    await metering.recordSmsSent(customer, MessageSid, replyText);
+    response.message(replyText);
+
+    console.log(aiResponse
+      ? `=== /api/v1/sms/incoming Success (${aiResponse.provider}/${aiResponse.model}, ${aiResponse.responseTimeMs}ms) ===`
+      : `=== /api/v1/sms/incoming Success (${text ? 'over SMS limit' : 'media only'}) ===`);
+    return sendTwiml(res, response);
+  } catch (error) {
+    console.error('=== /api/v1/sms/incoming Error ===');
+    console.error('Error:', error);
+
+    // Not answered - let Twilio's redelivery try again
+    if (claimed) {
+      await metering.releaseSmsReply(req.body.MessageSid).catch(() => {});
+    }
+
+    // Empty response - the sender isn't told about an outage by text
+    return sendTwiml(res, new MessagingResponse());
+  }
+});
+
+module.exports = router;
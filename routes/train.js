@@ -2,23 +2,195 @@
  * AI Training Route
  *
  * POST /api/v1/train
+ * POST /api/v1/train/stream
  *
  * Handles training requests from WordPress admin
  * Validates site_token, checks limits, calls Gemini, tracks usage
+ *
+ * Every exchange is stored in a training session (services/training.js) - send the
+ * returned session_id with the next message to continue the conversation. With
+ * mode: 'gap_analysis' the stored configuration and recent calls are reviewed
+ * instead and a setup checklist is returned (services/gapAnalysis.js).
+ *
+ * Corrections and instructions in the owner's message are proposed for approval
+ * (services/corrections.js); approved ones are added to receptionist prompts.
  */
 
 const express = require('express');
 const router = express.Router();
 
 const {
-  getCustomer,
-  registerCustomer,
+  getOrRegisterCustomer,
+  isCustomerActive,
   incrementTrainingUsage,
   hasExceededTrainingLimit,
 } = require('../services/firestore');
 
-const vertexAI = require('../services/vertexai');
-const anthropic = require('../services/anthropic');
+const llm = require('../services/llm');
+const businessHours = require('../services/businessHours');
+const training = require('../services/training');
+const gapAnalysis = require('../services/gapAnalysis');
+const corrections = require('../services/corrections');
+const { openEventStream } = require('../lib/sse');
+const { authenticateSiteToken } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+
+router.use(authenticateSiteToken);
+router.use(rateLimit('train'));
+
+const MODE_CHAT = 'chat';
+const MODE_GAP_ANALYSIS = 'gap_analysis';
+const TRAIN_MODES = [MODE_CHAT, MODE_GAP_ANALYSIS];
+
+/**
+ * Validate a training request body
+ *
+ * @param {Object} body - Request body
+ * @param {string[]} modes - Modes the endpoint supports
+ * @returns {Object|null} Error response body (400) or null if valid
+ */
+function validateTrainRequest(body, modes = TRAIN_MODES) {
+  const { site_token, message, business_info, model, mode = MODE_CHAT, session_id } = body;
+
+  if (!site_token) {
+    return {
+      success: false,
+      error: 'Missing required field: site_token',
+    };
+  }
+
+  if (!modes.includes(mode)) {
+    return {
+      success: false,
+      error: `mode must be one of: ${modes.join(', ')}`,
+    };
+  }
+
+  if (session_id !== undefined && (typeof session_id !== 'string' || !session_id)) {
+    return {
+      success: false,
+      error: 'session_id must be a string',
+    };
+  }
+
+  if (body.detect_corrections !== undefined && typeof body.detect_corrections !== 'boolean') {
+    return {
+      success: false,
+      error: 'detect_corrections must be a boolean',
+    };
+  }
+
+  if (mode === MODE_CHAT && !message) {
+    return {
+      success: false,
+      error: 'Missing required field: message',
+    };
+  }
+
+  if (message && (typeof message !== 'string' || message.length > training.MAX_MESSAGE_LENGTH)) {
+    return {
+      success: false,
+      error: `message must be a string of at most ${training.MAX_MESSAGE_LENGTH} characters`,
+    };
+  }
+
+  if (!business_info || !business_info.business_name) {
+    return {
+      success: false,
+      error: 'Missing required field: business_info.business_name',
+    };
+  }
+
+  if (!llm.resolveModel(model)) {
+    return {
+      success: false,
+      error: `Unsupported model: ${model}`,
+      supported_models: llm.getSupportedModels(),
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Load the training session a message continues (none for the first message)
+ *
+ * @param {Object} customer - Customer document
+ * @param {string} sessionId - session_id from the request (optional)
+ * @returns {Promise<Object|null>} Stored session, or null to start a new one
+ */
+async function loadTrainingSession(customer, sessionId) {
+  return sessionId ? training.getTrainingSession(customer.site_token, sessionId) : null;
+}
+
+/**
+ * Generate the training reply and look for corrections in the owner's message
+ *
+ * Both run in parallel so correction detection doesn't slow the reply down.
+ *
+ * @param {Object} body - Request body
+ * @param {Object} customer - Customer document
+ * @param {Object} businessInfo - Business information
+ * @param {Array} history - Earlier turns of the training session
+ * @param {Function} generate - Produces the reply (generate or stream)
+ * @returns {Promise<{aiResponse: Object, detected: Object[]|null}>} detected is null if detection was skipped
+ */
+async function generateWithCorrections(body, customer, businessInfo, history, generate) {
+  const [aiResponse, detected] = await Promise.all([
+    generate(),
+    body.detect_corrections === false
+      ? null
+      : corrections.detectCorrections(customer, businessInfo, body.message, history),
+  ]);
+
+  return { aiResponse, detected };
+}
+
+/**
+ * Store the exchange and the proposed corrections, and count the training request
+ * (and the correction detection call, if detection ran)
+ *
+ * @param {Object} customer - Customer document
+ * @param {string} sessionId - session_id from the request (optional)
+ * @param {string} message - Owner's message
+ * @param {Object} aiResponse - LLM response
+ * @param {Object[]|null} detected - Detected corrections (null if detection was skipped)
+ * @returns {Promise<{session: Object, proposed: Object[]}>} Session summary and proposed corrections
+ */
+async function saveExchange(customer, sessionId, message, aiResponse, detected) {
+  const [, session] = await Promise.all([
+    incrementTrainingUsage(customer.id, { correctionDetection: detected !== null }),
+    training.recordExchange(customer, sessionId || null, message, aiResponse),
+  ]);
+
+  const proposed = await corrections.proposeCorrections(customer, detected || [], {
+    message,
+    sessionId: session.session_id,
+  });
+
+  return { session, proposed };
+}
+
+/**
+ * Error response body and status (missing sessions are 404, anything else is a 500)
+ *
+ * @param {Error} error - Error
+ * @returns {{status: number, body: Object}}
+ */
+function toErrorResponse(error) {
+  if (error.code === 'NOT_FOUND') {
+    return { status: 404, body: { success: false, error: error.message } };
+  }
+
+  return {
+    status: 500,
+    body: {
+      success: false,
+      error: 'Internal server error',
+      message: error.message,
+    },
+  };
+}
 
 /**
  * POST /api/v1/train
@@ -26,10 +198,12 @@ const anthropic = require('../services/anthropic');
  * Request body:
  * {
  *   site_token: string (required)
- *   message: string (required)
+ *   message: string (required, except in gap_analysis mode; at most 8000 characters)
+ *   mode: string (optional) - 'chat' (default) or 'gap_analysis'
+ *   session_id: string (optional) - Training session to continue (from a previous response)
+ *   detect_corrections: boolean (optional) - Propose corrections found in the message (default true)
  *   model: string (optional) - AI model to use (defaults to gemini-2.0-flash-exp)
- *     Supported: gemini-2.5-flash-lite, gemini-2.5-flash, gemini-3-flash-preview,
- *                claude-haiku-4-5, claude-sonnet-4-5
+ *     Supported: see llm.getSupportedModels() - unknown models are rejected with 400
  *   context: string (optional)
  *   business_info: {
  *     business_name: string (required)
@@ -38,11 +212,28 @@ const anthropic = require('../services/anthropic');
  *   }
  * }
  *
- * Response:
+ * Response (chat):
  * {
  *   success: true,
  *   ai_response: string,
- *   tokens_used: number
+ *   tokens_used: number,
+ *   session_id: string - Send with the next message to continue the session
+ *   turn_count: number,
+ *   proposed_corrections: [{ id, type: 'fact'|'instruction', text, replaces, status: 'pending', ... }]
+ *     Approve with POST /api/v1/customers/:site_token/corrections/:id/approve
+ * }
+ *
+ * Response (gap_analysis):
+ * {
+ *   success: true,
+ *   mode: 'gap_analysis',
+ *   summary: string,
+ *   checklist: [{ id, area, status: 'ok'|'incomplete'|'missing', priority: 'high'|'medium'|'low',
+ *                 title, detail, source: 'settings'|'calls', example_questions? }],
+ *   unanswered_questions: [{ call_id, question, reply, at }],
+ *   calls_reviewed: number,
+ *   tokens_used: number,
+ *   analysis_error: string - Only when the LLM review failed (settings checks are still returned)
  * }
  */
 router.post('/', async (req, res) => {
@@ -51,45 +242,140 @@ router.post('/', async (req, res) => {
     console.log('Body:', JSON.stringify(req.body, null, 2));
 
     // 1. Validate required fields
-    const { site_token, message, business_info, model } = req.body;
+    const { site_token, message, business_info, model, mode = MODE_CHAT, session_id } = req.body;
 
-    // Default model if not specified
-    const selectedModel = model || process.env.VERTEX_AI_MODEL || 'gemini-2.0-flash-exp';
+    const validationError = validateTrainRequest(req.body);
+    if (validationError) {
+      return res.status(400).json(validationError);
+    }
+
+    // Resolve model to a provider (default model if not specified)
+    const resolvedModel = llm.resolveModel(model);
 
-    if (!site_token) {
-      return res.status(400).json({
+    // 2. Check Firestore for site_token (auto-register if not found)
+    const customer = req.customer || await getOrRegisterCustomer(site_token, business_info);
+
+    if (!customer) {
+      return res.status(404).json({
         success: false,
-        error: 'Missing required field: site_token',
+        error: 'Customer not found',
       });
     }
 
-    if (!message) {
-      return res.status(400).json({
+    if (!isCustomerActive(customer)) {
+      return res.status(403).json({
         success: false,
-        error: 'Missing required field: message',
+        error: `Customer account is ${customer.status}`,
       });
     }
 
-    if (!business_info || !business_info.business_name) {
-      return res.status(400).json({
+    // 3. Check training limits
+    if (hasExceededTrainingLimit(customer)) {
+      return res.status(429).json({
         success: false,
-        error: 'Missing required field: business_info.business_name',
+        error: 'Training limit exceeded',
+        training_used: customer.training_used,
+        training_limit: customer.training_limit,
+      });
+    }
+
+    // Structured hours (if set) replace the free-text business_hours and add open / closed status;
+    // approved owner corrections are added too
+    const businessInfo = corrections.withOwnerFacts(
+      businessHours.withHoursContext(business_info, businessHours.getHoursContext(customer)),
+      customer
+    );
+
+    if (mode === MODE_GAP_ANALYSIS) {
+      console.log(`Running gap analysis using model: ${resolvedModel.model}...`);
+      const analysis = await gapAnalysis.analyzeGaps(customer, businessInfo, resolvedModel.model);
+
+      await incrementTrainingUsage(customer.id);
+
+      console.log(`=== /api/v1/train Success (gap analysis, ${analysis.checklist.length} items) ===`);
+      return res.json({
+        success: true,
+        mode,
+        ...analysis,
       });
     }
 
-    // 2. Check Firestore for site_token
-    let customer = await getCustomer(site_token);
+    // 4. Generate AI response with selected model, continuing the training session
+    const session = await loadTrainingSession(customer, session_id);
+    const history = training.getPromptHistory(session);
+    console.log(`Generating AI response using model: ${resolvedModel.model}...`);
+    const { aiResponse, detected } = await generateWithCorrections(req.body, customer, businessInfo, history, () =>
+      llm.generateTrainingResponse(resolvedModel.model, businessInfo, message, history)
+    );
+
+    // 5. Increment training counter, store the exchange and propose corrections
+    const { session: savedSession, proposed } = await saveExchange(customer, session_id, message, aiResponse, detected);
+
+    // 6. Return response
+    console.log('=== /api/v1/train Success ===');
+    return res.json({
+      success: true,
+      ai_response: aiResponse.text,
+      tokens_used: aiResponse.tokensUsed,
+      session_id: savedSession.session_id,
+      turn_count: savedSession.turn_count,
+      proposed_corrections: proposed,
+    });
+  } catch (error) {
+    console.error('=== /api/v1/train Error ===');
+    console.error('Error:', error);
+
+    const { status, body } = toErrorResponse(error);
+    return res.status(status).json(body);
+  }
+});
+
+/**
+ * POST /api/v1/train/stream
+ *
+ * Same request body as POST /api/v1/train (chat mode only). Responds with Server-Sent Events:
+ * - event: token  { text }
+ * - event: done   { success, ai_response, tokens_used, response_time_ms, first_token_ms, model, provider,
+ *                   session_id, turn_count, proposed_corrections }
+ * - event: error  { success: false, error, message }
+ *
+ * Validation, training-limit and unknown-session errors are returned as regular JSON before the stream opens.
+ */
+router.post('/stream', async (req, res) => {
+  let stream = null;
+
+  try {
+    console.log('=== /api/v1/train/stream Request ===');
+    console.log('Body:', JSON.stringify(req.body, null, 2));
+
+    // 1. Validate required fields
+    const { site_token, message, business_info, model, session_id } = req.body;
+
+    const validationError = validateTrainRequest(req.body, [MODE_CHAT]);
+    if (validationError) {
+      return res.status(400).json(validationError);
+    }
+
+    const resolvedModel = llm.resolveModel(model);
+
+    // 2. Check Firestore for site_token (auto-register if not found)
+    const customer = req.customer || await getOrRegisterCustomer(site_token, business_info);
 
-    // 3. Auto-register if not found
     if (!customer) {
-      console.log('Customer not found - auto-registering');
-      customer = await registerCustomer(site_token, business_info.business_name, {
-        business_hours: business_info.business_hours,
-        business_description: business_info.business_description,
+      return res.status(404).json({
+        success: false,
+        error: 'Customer not found',
+      });
+    }
+
+    if (!isCustomerActive(customer)) {
+      return res.status(403).json({
+        success: false,
+        error: `Customer account is ${customer.status}`,
       });
     }
 
-    // 4. Check training limits
+    // 3. Check training limits
     if (hasExceededTrainingLimit(customer)) {
       return res.status(429).json({
         success: false,
@@ -99,40 +385,55 @@ router.post('/', async (req, res) => {
       });
     }
 
-    // 5. Generate AI response with selected model
-    console.log(`Generating AI response using model: ${selectedModel}...`);
-
-    let aiResponse;
-    const isClaude = selectedModel.startsWith('claude-');
-
-    if (isClaude) {
-      // Use Claude (Anthropic)
-      const prompt = vertexAI.buildTrainingPrompt(business_info, message);
-      aiResponse = await anthropic.generateTrainingResponse(selectedModel, prompt, message);
-    } else {
-      // Use Gemini (VertexAI) - pass model name for dynamic selection
-      aiResponse = await vertexAI.generateTrainingResponse(business_info, message, selectedModel);
-    }
+    // 4. Stream AI response with selected model, continuing the training session
+    const session = await loadTrainingSession(customer, session_id);
+    const history = training.getPromptHistory(session);
+    stream = openEventStream(res);
+    console.log(`Streaming AI response using model: ${resolvedModel.model}...`);
+    const businessInfo = corrections.withOwnerFacts(
+      businessHours.withHoursContext(business_info, businessHours.getHoursContext(customer)),
+      customer
+    );
+    const { aiResponse, detected } = await generateWithCorrections(req.body, customer, businessInfo, history, () =>
+      llm.streamTrainingResponse(
+        resolvedModel.model,
+        businessInfo,
+        message,
+        history,
+        (text) => stream.send('token', { text })
+      )
+    );
 
-    // 6. Increment training counter
-    await incrementTrainingUsage(customer.id);
+    // 5. Increment training counter, store the exchange and propose corrections
+    const { session: savedSession, proposed } = await saveExchange(customer, session_id, message, aiResponse, detected);
 
-    // 7. Return response
-    console.log('=== /api/v1/train Success ===');
-    return res.json({
+    // 6. Final event with usage and timing
+    console.log('=== /api/v1/train/stream Success ===');
+    stream.send('done', {
       success: true,
       ai_response: aiResponse.text,
       tokens_used: aiResponse.tokensUsed,
+      response_time_ms: aiResponse.responseTimeMs,
+      first_token_ms: aiResponse.firstTokenMs,
+      model: aiResponse.model,
+      provider: aiResponse.provider,
+      session_id: savedSession.session_id,
+      turn_count: savedSession.turn_count,
+      proposed_corrections: proposed,
     });
+    stream.close();
   } catch (error) {
-    console.error('=== /api/v1/train Error ===');
+    console.error('=== /api/v1/train/stream Error ===');
     console.error('Error:', error);
 
-    return res.status(500).json({
-      success: false,
-      error: 'Internal server error',
-      message: error.message,
-    });
+    const { status, body } = toErrorResponse(error);
+
+    if (!stream) {
+      return res.status(status).json(body);
+    }
+
+    stream.send('error', body);
+    stream.close();
   }
 });
 
@@ -0,0 +1,165 @@
+/**
+ * Training Session Routes
+ *
+ * GET    /api/v1/customers/:site_token/training-sessions      - List sessions (most recently used first)
+ * GET    /api/v1/customers/:site_token/training-sessions/:id  - Get a session with its history
+ * DELETE /api/v1/customers/:site_token/training-sessions/:id  - Delete a session
+ *
+ * Sessions are created by POST /api/v1/train (see services/training.js). Used by the
+ * WordPress admin to show and resume earlier conversations with the training assistant.
+ */
+
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+
+const { getCustomer } = require('../services/firestore');
+const training = require('../services/training');
+const { requireSiteAuth } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+
+router.use(requireSiteAuth);
+router.use(rateLimit('training_sessions'));
+
+/**
+ * Load the customer for a request, sending 404 if it doesn't exist
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Promise<Object|null>} Customer, or null if a response was sent
+ */
+async function loadCustomer(req, res) {
+  const customer = req.customer || await getCustomer(req.params.site_token);
+
+  if (!customer) {
+    res.status(404).json({
+      success: false,
+      error: 'Customer not found',
+    });
+    return null;
+  }
+  return customer;
+}
+
+/**
+ * Send an error response (missing sessions are 404, anything else is a 500)
+ *
+ * @param {Object} res - Express response
+ * @param {Error} error - Error
+ */
+function sendError(res, error) {
+  if (error.code === 'NOT_FOUND') {
+    return res.status(404).json({
+      success: false,
+      error: error.message,
+    });
+  }
+
+  return res.status(500).json({
+    success: false,
+    error: 'Internal server error',
+    message: error.message,
+  });
+}
+
+/**
+ * GET /api/v1/customers/:site_token/training-sessions
+ *
+ * Query parameters:
+ *   limit: number (optional) - Page size (default 20, max 100)
+ *   page_token: string (optional) - next_page_token from the previous page
+ *
+ * Response:
+ * {
+ *   success: true,
+ *   sessions: [{ session_id, title, turn_count, started_at, updated_at }],
+ *   next_page_token: string|null
+ * }
+ */
+router.get('/', async (req, res) => {
+  try {
+    console.log('=== GET /api/v1/customers/:site_token/training-sessions Request ===');
+
+    if (!await loadCustomer(req, res)) {
+      return;
+    }
+
+    const page = await training.listTrainingSessions(req.params.site_token, {
+      limit: req.query.limit,
+      pageToken: req.query.page_token,
+    });
+
+    console.log(`=== GET /api/v1/customers/:site_token/training-sessions Success (${page.sessions.length} sessions) ===`);
+    return res.json({
+      success: true,
+      sessions: page.sessions,
+      next_page_token: page.nextPageToken,
+    });
+  } catch (error) {
+    console.error('=== GET /api/v1/customers/:site_token/training-sessions Error ===');
+    console.error('Error:', error);
+    return sendError(res, error);
+  }
+});
+
+/**
+ * GET /api/v1/customers/:site_token/training-sessions/:id
+ *
+ * Response:
+ * {
+ *   success: true,
+ *   session: { session_id, title, turn_count, started_at, updated_at,
+ *              history: [{ role: 'user'|'assistant', content, model, at }] }
+ * }
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    console.log('=== GET /api/v1/customers/:site_token/training-sessions/:id Request ===');
+
+    if (!await loadCustomer(req, res)) {
+      return;
+    }
+
+    const session = await training.getTrainingSession(req.params.site_token, req.params.id);
+
+    console.log('=== GET /api/v1/customers/:site_token/training-sessions/:id Success ===');
+    return res.json({
+      success: true,
+      session: training.toPublicSession(session, true),
+    });
+  } catch (error) {
+    console.error('=== GET /api/v1/customers/:site_token/training-sessions/:id Error ===');
+    console.error('Error:', error);
+    return sendError(res, error);
+  }
+});
+
+/**
+ * DELETE /api/v1/customers/:site_token/training-sessions/:id
+ *
+ * Response:
+ * {
+ *   success: true
+ * }
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    console.log('=== DELETE /api/v1/customers/:site_token/training-sessions/:id Request ===');
+
+    if (!await loadCustomer(req, res)) {
+      return;
+    }
+
+    await training.deleteTrainingSession(req.params.site_token, req.params.id);
+
+    console.log('=== DELETE /api/v1/customers/:site_token/training-sessions/:id Success ===');
+    return res.json({
+      success: true,
+    });
+  } catch (error) {
+    console.error('=== DELETE /api/v1/customers/:site_token/training-sessions/:id Error ===');
+    console.error('Error:', error);
+    return sendError(res, error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,409 @@
+/**
+ * Voice Webhook Routes (Middleware-hosted calls)
+ *
+ * POST /api/v1/voice/incoming - Twilio voice webhook: greet caller, start <Gather> loop
+ * POST /api/v1/voice/gather   - Twilio <Gather> action: answer caller speech, gather again
+ * POST /api/v1/voice/voicemail - Twilio <Record> action: save voicemail (over-limit / after-hours calls)
+ * POST /api/v1/voice/status   - Twilio status callback: end call session, meter the call, notify the owner
+ *
+ * Used when a customer's voice_mode is 'middleware' - the number's voiceUrl points
+ * here instead of the WordPress site, so calls don't depend on a PHP round trip.
+ * All responses are TwiML (never JSON) so Twilio always has something to play.
+ * Requests without a valid X-Twilio-Signature are rejected with 403.
+ */
+
+const express = require('express');
+const twilio = require('twilio');
+const router = express.Router();
+
+const {
+  getCustomerByPhoneNumber,
+  getBusinessInfo,
+  isCustomerActive,
+} = require('../services/firestore');
+
+const llm = require('../services/llm');
+const sessions = require('../services/sessions');
+const transcripts = require('../services/transcripts');
+const metering = require('../services/metering');
+const notifications = require('../services/notifications');
+const businessHours = require('../services/businessHours');
+const knowledge = require('../services/knowledge');
+const { createReceptionistTools } = require('../services/receptionistTools');
+const { validateTwilioSignature } = require('../middleware/twilioSignature');
+const { formatSpoken } = require('../lib/timeZones');
+
+const { VoiceResponse } = twilio.twiml;
+
+router.use(validateTwilioSignature);
+
+// Text-to-speech voice for <Say>
+const SAY_VOICE = process.env.TWILIO_SAY_VOICE || 'Polly.Joanna';
+const SAY_LANGUAGE = 'en-US';
+
+// Hang up after this many consecutive gathers with no speech
+const MAX_SILENT_PROMPTS = 2;
+
+// Maximum voicemail length (seconds) for over-limit and after-hours calls
+const VOICEMAIL_MAX_LENGTH = 120;
+
+const GATHER_ACTION = '/api/v1/voice/gather';
+const VOICEMAIL_ACTION = '/api/v1/voice/voicemail';
+
+/**
+ * Add a speech <Gather> that says the given text and posts the result to GATHER_ACTION
+ *
+ * @param {VoiceResponse} response - TwiML response
+ * @param {string} text - Text to say while gathering
+ */
+function sayAndGather(response, text) {
+  const gather = response.gather({
+    input: 'speech',
+    action: GATHER_ACTION,
+    method: 'POST',
+    speechTimeout: 'auto',
+    language: SAY_LANGUAGE,
+    actionOnEmptyResult: true, // Post to action on silence too, so we can re-prompt
+  });
+  gather.say({ voice: SAY_VOICE, language: SAY_LANGUAGE }, text);
+}
+
+/**
+ * Say the given text and hang up
+ *
+ * @param {VoiceResponse} response - TwiML response
+ * @param {string} text - Text to say
+ */
+function sayAndHangup(response, text) {
+  response.say({ voice: SAY_VOICE, language: SAY_LANGUAGE }, text);
+  response.hangup();
+}
+
+/**
+ * Say the given text, record a voicemail (posted to VOICEMAIL_ACTION) and hang up
+ *
+ * @param {VoiceResponse} response - TwiML response
+ * @param {string} text - Text to say before the beep
+ */
+function sayAndRecord(response, text) {
+  response.say({ voice: SAY_VOICE, language: SAY_LANGUAGE }, text);
+  response.record({
+    action: VOICEMAIL_ACTION,
+    method: 'POST',
+    maxLength: VOICEMAIL_MAX_LENGTH,
+    playBeep: true,
+  });
+  response.hangup();
+}
+
+/**
+ * Build the default after-hours voicemail greeting
+ *
+ * @param {Object} customer - Customer document
+ * @param {Object} hoursContext - Hours context (from businessHours.getHoursContext)
+ * @returns {string} Greeting
+ */
+function buildAfterHoursGreeting(customer, hoursContext) {
+  const { status } = hoursContext;
+  const reopens = status.next_open_at
+    ? ` We open again ${formatSpoken(new Date(status.next_open_at), status.time_zone)}.`
+    : '';
+
+  return `Thank you for calling ${customer.business_name}. We're closed right now.${reopens} Please leave a message after the beep and we'll get back to you.`;
+}
+
+/**
+ * Send TwiML response
+ *
+ * @param {Object} res - Express response
+ * @param {VoiceResponse} response - TwiML response
+ */
+function sendTwiml(res, response) {
+  res.type('text/xml');
+  res.send(response.toString());
+}
+
+/**
+ * Get the session for a call (keyed by CallSid), creating it on the first webhook
+ *
+ * The customer document is attached to the cached session so later turns on
+ * this instance skip the phone number lookup.
+ *
+ * @param {Object} body - Twilio webhook body (CallSid, From, To)
+ * @returns {Promise<Object|null>} Session or null if the number has no active customer
+ */
+async function getOrStartSession(body) {
+  const { CallSid, From, To } = body;
+
+  const existing = await sessions.getSession(CallSid);
+  if (existing && existing.customer) {
+    return existing;
+  }
+
+  // Suspended / deprovisioned customers are treated as "not in service"
+  const customer = await getCustomerByPhoneNumber(To);
+  if (!customer || !isCustomerActive(customer)) {
+    return null;
+  }
+
+  if (existing) {
+    existing.customer = customer;
+    return existing;
+  }
+
+  return await sessions.createSession({
+    session_id: CallSid,
+    channel: 'voice',
+    customer_id: customer.id,
+    site_token: customer.site_token,
+    call_sid: CallSid,
+    from: From,
+    to: To,
+    customer,
+  });
+}
+
+/**
+ * POST /api/v1/voice/incoming
+ *
+ * Twilio request body (form-encoded): CallSid, From, To, ...
+ * Response: TwiML greeting inside a speech <Gather>
+ */
+router.post('/incoming', async (req, res) => {
+  const response = new VoiceResponse();
+
+  try {
+    console.log('=== /api/v1/voice/incoming Request ===');
+    const { CallSid, From, To } = req.body;
+    console.log(`Call ${CallSid}: ${From} -> ${To}`);
+
+    const session = await getOrStartSession(req.body);
+
+    if (!session) {
+      console.log(`No customer found for ${To}`);
+      sayAndHangup(response, 'We\'re sorry, this number is not in service. Goodbye.');
+      return sendTwiml(res, response);
+    }
+
+    const { customer } = session;
+
+    // Over calls_limit - callback message or voicemail instead of the receptionist
+    const overLimit = metering.getOverLimitAction(customer);
+    if (overLimit) {
+      await sessions.updateSession(CallSid, { over_limit: true });
+
+      if (overLimit.behavior === metering.OVER_LIMIT_VOICEMAIL) {
+        sayAndRecord(response, overLimit.message);
+      } else {
+        sayAndHangup(response, overLimit.message);
+      }
+
+      console.log(`=== /api/v1/voice/incoming Over Limit (${overLimit.behavior}) ===`);
+      return sendTwiml(res, response);
+    }
+
+    // After hours (structured hours only) - voicemail only, or the receptionist with the after-hours greeting
+    const hoursContext = businessHours.getHoursContext(customer);
+    const afterHours = hoursContext && !hoursContext.status.open ? hoursContext.after_hours : null;
+
+    if (afterHours && afterHours.behavior === businessHours.AFTER_HOURS_VOICEMAIL) {
+      sayAndRecord(response, afterHours.greeting || buildAfterHoursGreeting(customer, hoursContext));
+
+      console.log('=== /api/v1/voice/incoming After Hours (voicemail) ===');
+      return sendTwiml(res, response);
+    }
+
+    const greeting = (afterHours && afterHours.greeting)
+      || customer.greeting
+      || `Thank you for calling ${customer.business_name}. How can I help you today?`;
+
+    sayAndGather(response, greeting);
+
+    console.log('=== /api/v1/voice/incoming Success ===');
+    return sendTwiml(res, response);
+  } catch (error) {
+    console.error('=== /api/v1/voice/incoming Error ===');
+    console.error('Error:', error);
+
+    sayAndHangup(response, 'We\'re sorry, we can\'t take your call right now. Please try again later.');
+    return sendTwiml(res, response);
+  }
+});
+
+/**
+ * POST /api/v1/voice/gather
+ *
+ * Twilio request body (form-encoded): CallSid, From, To, SpeechResult, Confidence, ...
+ * Response: TwiML receptionist answer inside the next speech <Gather>
+ */
+router.post('/gather', async (req, res) => {
+  const response = new VoiceResponse();
+
+  try {
+    console.log('=== /api/v1/voice/gather Request ===');
+    const { CallSid, SpeechResult } = req.body;
+    console.log(`Call ${CallSid}: SpeechResult="${SpeechResult || ''}"`);
+
+    const session = await getOrStartSession(req.body);
+
+    if (!session) {
+      sayAndHangup(response, 'We\'re sorry, this number is not in service. Goodbye.');
+      return sendTwiml(res, response);
+    }
+
+    // 1. Silence - re-prompt, then give up
+    if (!SpeechResult || !SpeechResult.trim()) {
+      const silentPrompts = (session.silent_prompts || 0) + 1;
+      await sessions.updateSession(CallSid, { silent_prompts: silentPrompts });
+
+      if (silentPrompts > MAX_SILENT_PROMPTS) {
+        console.log(`Call ${CallSid}: No speech after ${MAX_SILENT_PROMPTS} prompts - hanging up`);
+        sayAndHangup(response, 'We didn\'t hear anything. Please call back anytime. Goodbye.');
+      } else {
+        sayAndGather(response, 'Sorry, I didn\'t catch that. How can I help you?');
+      }
+      return sendTwiml(res, response);
+    }
+
+    // 2. Generate receptionist answer (with provider failover), capturing the lead / appointment
+    const { customer } = session;
+    const receptionistTools = createReceptionistTools(customer, session, CallSid);
+
+    const businessInfo = await knowledge.withKnowledge(getBusinessInfo(customer), customer, SpeechResult, session.history);
+
+    const policy = llm.getFailoverPolicy(customer);
+    const aiResponse = await llm.generateConversationWithFailover(
+      policy,
+      businessInfo,
+      SpeechResult,
+      session.history,
+      null,
+      { tools: receptionistTools.tools }
+    );
+    const sessionUpdates = receptionistTools.getSessionUpdates();
+
+    await Promise.all([
+      sessions.appendTurns(CallSid, SpeechResult, aiResponse.text),
+      transcripts.recordTurn(CallSid, {
+        customer,
+        channel: 'voice',
+        from: session.from,
+        to: session.to,
+        callerMessage: SpeechResult,
+        aiResponse,
+      }),
+      Object.keys(sessionUpdates).length > 0 && sessions.updateSession(CallSid, sessionUpdates),
+    ]);
+
+    // 3. Say answer and keep listening
+    sayAndGather(response, aiResponse.text);
+
+    console.log(`=== /api/v1/voice/gather Success (${aiResponse.provider}/${aiResponse.model}, ${aiResponse.responseTimeMs}ms) ===`);
+    return sendTwiml(res, response);
+  } catch (error) {
+    console.error('=== /api/v1/voice/gather Error ===');
+    console.error('Error:', error);
+
+    sayAndHangup(response, 'I\'m sorry, I\'m having trouble right now. Please try calling back in a few minutes.');
+    return sendTwiml(res, response);
+  }
+});
+
+/**
+ * POST /api/v1/voice/voicemail
+ *
+ * Twilio <Record> action body (form-encoded): CallSid, From, RecordingUrl, RecordingDuration, ...
+ * Response: TwiML goodbye
+ */
+router.post('/voicemail', async (req, res) => {
+  const response = new VoiceResponse();
+
+  try {
+    console.log('=== /api/v1/voice/voicemail Request ===');
+    const { CallSid, From, RecordingUrl, RecordingDuration } = req.body;
+
+    const session = await getOrStartSession(req.body);
+
+    if (session && RecordingUrl) {
+      await Promise.all([
+        transcripts.recordVoicemail(CallSid, session.customer, {
+          recordingUrl: RecordingUrl,
+          durationSeconds: RecordingDuration ? parseInt(RecordingDuration, 10) : null,
+          from: From,
+        }),
+        // A voicemail makes an otherwise silent call billable (see metering.classifyCall)
+        sessions.updateSession(CallSid, { voicemail_recorded: true }),
+      ]);
+    }
+
+    sayAndHangup(response, 'Thank you. We\'ll get back to you as soon as possible. Goodbye.');
+    return sendTwiml(res, response);
+  } catch (error) {
+    console.error('=== /api/v1/voice/voicemail Error ===');
+    console.error('Error:', error);
+
+    response.hangup();
+    return sendTwiml(res, response);
+  }
+});
+
+/**
+ * POST /api/v1/voice/status
+ *
+ * Twilio status callback body (form-encoded): CallSid, CallStatus, CallDuration, From, To, ...
+ * Ends the call session, closes out the transcript, meters completed calls and
+ * sends the owner an after-call notification.
+ */
+router.post('/status', async (req, res) => {
+  try {
+    const { CallSid, CallStatus, CallDuration, From, To } = req.body;
+    console.log(`=== /api/v1/voice/status: ${CallSid} ${CallStatus} ===`);
+
+    if (!['completed', 'busy', 'failed', 'no-answer', 'canceled'].includes(CallStatus)) {
+      return res.sendStatus(204);
+    }
+
+    const durationSeconds = CallDuration ? parseInt(CallDuration, 10) : null;
+
+    const [endedSession] = await Promise.all([
+      sessions.endSession(CallSid, CallStatus),
+      transcripts.completeCall(CallSid, CallStatus, durationSeconds),
+    ]);
+
+    // Meter answered calls (billable / spam / silent / owner test)
+    if (CallStatus === 'completed') {
+      const customer = (endedSession && endedSession.customer) || await getCustomerByPhoneNumber(To);
+
+      if (customer) {
+        const outcome = endedSession && endedSession.over_limit
+          ? metering.OUTCOME_OVER_LIMIT
+          : metering.classifyCall(customer, {
+            from: From,
+            callerMessages: endedSession
+              ? endedSession.history.filter((turn) => turn.role === 'user').map((turn) => turn.content)
+              : [],
+            voicemail: Boolean(endedSession && endedSession.voicemail_recorded),
+          });
+
+        const metered = await metering.recordCallOutcome(customer, CallSid, outcome, {
+          channel: 'voice',
+          from: From || null,
+          to: To || null,
+          duration_seconds: durationSeconds,
+        });
+
+        // Tell the owner (best-effort, at most once per call)
+        await notifications.notifyCallEnded(customer, CallSid, { outcome: metered.outcome, from: From });
+      }
+    }
+
+    return res.sendStatus(204);
+  } catch (error) {
+    console.error('=== /api/v1/voice/status Error ===');
+    console.error('Error:', error);
+
+    return res.sendStatus(500);
+  }
+});
+
+module.exports = router;
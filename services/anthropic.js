@@ -5,12 +5,65 @@
  */
 
 const Anthropic = require('@anthropic-ai/sdk');
+const tools = require('./tools');
 
 // Initialize Anthropic client
 const anthropic = new Anthropic({
   apiKey: process.env.ANTHROPIC_API_KEY,
 });
 
+/**
+ * Build Anthropic messages array from conversation history and current message
+ *
+ * @param {string} message - The user message
+ * @param {Array} conversationHistory - Previous conversation turns (optional)
+ * @returns {Array} Messages array
+ */
+function buildMessages(message, conversationHistory = []) {
+  const messages = [];
+
+  // Add conversation history
+  if (conversationHistory && conversationHistory.length > 0) {
+    conversationHistory.forEach((turn) => {
+      messages.push({
+        role: turn.role === 'user' ? 'user' : 'assistant',
+        content: turn.content
+      });
+    });
+  }
+
+  // Add current message
+  messages.push({
+    role: 'user',
+    content: message
+  });
+
+  return messages;
+}
+
+/**
+ * Trim conversation history to the most recent turns
+ *
+ * PERFORMANCE OPTIMIZATION: Only use last 5 turns to reduce latency
+ *
+ * @param {Array} conversationHistory - Previous conversation turns
+ * @returns {Array} Recent conversation turns
+ */
+function getRecentHistory(conversationHistory = []) {
+  const MAX_HISTORY_TURNS = 5;
+  const maxMessages = MAX_HISTORY_TURNS * 2;
+
+  const recentHistory = conversationHistory.length > maxMessages
+    ? conversationHistory.slice(-maxMessages)
+    : conversationHistory;
+
+  if (conversationHistory.length > maxMessages) {
+    console.log(`Claude: Conversation history optimization - Using last ${recentHistory.length} messages (${conversationHistory.length} total, ${conversationHistory.length - recentHistory.length} truncated)`);
+  }
+
+  return recentHistory;
+}
+
 /**
  * Call Claude API with prompt
  *
@@ -18,9 +71,10 @@ const anthropic = new Anthropic({
  * @param {string} prompt - The system prompt
  * @param {string} message - The user message
  * @param {Array} conversationHistory - Previous conversation turns (optional)
+ * @param {Object} options - Optional { maxTokens, temperature } overrides
  * @returns {Promise<Object>} Response with text, tokens, and response time
  */
-async function callClaude(model, prompt, message, conversationHistory = []) {
+async function callClaude(model, prompt, message, conversationHistory = [], options = {}) {
   console.log('=== ANTHROPIC API CALL ===');
   const startTime = Date.now();
 
@@ -29,31 +83,14 @@ async function callClaude(model, prompt, message, conversationHistory = []) {
     console.log('├─ Prompt length:', prompt.length, 'characters');
     console.log('├─ Message:', message);
 
-    // Build messages array from conversation history
-    const messages = [];
-
-    // Add conversation history
-    if (conversationHistory && conversationHistory.length > 0) {
-      conversationHistory.forEach((turn) => {
-        messages.push({
-          role: turn.role === 'user' ? 'user' : 'assistant',
-          content: turn.content
-        });
-      });
-    }
-
-    // Add current message
-    messages.push({
-      role: 'user',
-      content: message
-    });
+    const messages = buildMessages(message, conversationHistory);
 
     // API call
     const apiStart = Date.now();
     const response = await anthropic.messages.create({
       model: model,
-      max_tokens: 150,  // Match Gemini's concise response length
-      temperature: 0.7,
+      max_tokens: options.maxTokens || 150,  // Match Gemini's concise response length
+      temperature: options.temperature !== undefined ? options.temperature : 0.7,
       system: prompt,   // System prompt goes here
       messages: messages
     });
@@ -88,16 +125,174 @@ async function callClaude(model, prompt, message, conversationHistory = []) {
   }
 }
 
+/**
+ * Call Claude API with tool use
+ *
+ * Runs the model's tool_use blocks through the tool handlers and sends the
+ * results back until the model answers the caller (see services/tools.js).
+ *
+ * @param {string} model - Model name (claude-haiku-4-5 or claude-sonnet-4-5)
+ * @param {string} prompt - The system prompt
+ * @param {string} message - The user message
+ * @param {Array} conversationHistory - Previous conversation turns
+ * @param {Array} toolDefinitions - Tools the model may call
+ * @returns {Promise<Object>} Response with text, tokens, response time and toolCalls
+ */
+async function callClaudeWithTools(model, prompt, message, conversationHistory, toolDefinitions) {
+  console.log('=== ANTHROPIC API CALL (TOOLS) ===');
+  const startTime = Date.now();
+
+  try {
+    console.log('├─ Model:', model);
+    console.log('├─ Prompt length:', prompt.length, 'characters');
+    console.log(`├─ Tools: ${toolDefinitions.map((tool) => tool.name).join(', ')}`);
+
+    const messages = buildMessages(message, conversationHistory);
+    const toolCalls = [];
+    let text = '';
+    let tokensUsed = 0;
+
+    for (let round = 1; round <= tools.MAX_TOOL_ROUNDS; round++) {
+      const response = await anthropic.messages.create({
+        model: model,
+        max_tokens: tools.TOOL_MAX_OUTPUT_TOKENS,
+        temperature: 0.7,
+        system: prompt,
+        messages: messages,
+        tools: tools.toClaudeTools(toolDefinitions),
+      });
+      tokensUsed += response.usage.input_tokens + response.usage.output_tokens;
+
+      const roundText = response.content
+        .filter((block) => block.type === 'text')
+        .map((block) => block.text)
+        .join('')
+        .trim();
+      if (roundText) {
+        text = roundText;
+      }
+
+      const toolUses = response.content.filter((block) => block.type === 'tool_use');
+      if (toolUses.length === 0) {
+        break;
+      }
+
+      const calls = await Promise.all(toolUses.map((block) => tools.runToolCall(toolDefinitions, block.name, block.input)));
+      toolCalls.push(...calls);
+      console.log(`├─ Round ${round}: ${calls.map((call) => call.name).join(', ')}`);
+
+      if (tools.canSkipFollowUp(text, calls)) {
+        break;
+      }
+
+      messages.push(
+        { role: 'assistant', content: response.content },
+        {
+          role: 'user',
+          content: toolUses.map((block, i) => ({
+            type: 'tool_result',
+            tool_use_id: block.id,
+            content: JSON.stringify(calls[i].result),
+          })),
+        }
+      );
+    }
+
+    const totalTime = Date.now() - startTime;
+    console.log(`├─ Response length: ${text.length} characters`);
+    console.log(`├─ Tokens used: ${tokensUsed}`);
+    console.log(`└─ TOTAL TIME: ${totalTime}ms`);
+
+    return {
+      text: text || tools.DEFAULT_TOOL_REPLY,
+      tokensUsed,
+      responseTimeMs: totalTime,
+      toolCalls,
+    };
+  } catch (error) {
+    const totalTime = Date.now() - startTime;
+    console.log(`└─ ERROR after ${totalTime}ms: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Stream Claude API response
+ *
+ * Emits text chunks through onToken as they arrive, then resolves with the
+ * same shape as callClaude() once the stream completes.
+ *
+ * @param {string} model - Model name (claude-haiku-4-5 or claude-sonnet-4-5)
+ * @param {string} prompt - The system prompt
+ * @param {string} message - The user message
+ * @param {Array} conversationHistory - Previous conversation turns (optional)
+ * @param {Function} onToken - Called with each text chunk
+ * @returns {Promise<Object>} Response with full text, tokens, response time and first-token time
+ */
+async function callClaudeStream(model, prompt, message, conversationHistory = [], onToken = () => {}) {
+  console.log('=== ANTHROPIC STREAMING API CALL ===');
+  const startTime = Date.now();
+
+  try {
+    console.log('├─ Model:', model);
+    console.log('├─ Prompt length:', prompt.length, 'characters');
+    console.log('├─ Message:', message);
+
+    let firstTokenMs = null;
+
+    const stream = anthropic.messages.stream({
+      model: model,
+      max_tokens: 150,  // Match Gemini's concise response length
+      temperature: 0.7,
+      system: prompt,
+      messages: buildMessages(message, conversationHistory)
+    });
+
+    stream.on('text', (chunkText) => {
+      if (firstTokenMs === null) {
+        firstTokenMs = Date.now() - startTime;
+        console.log(`├─ First token: ${firstTokenMs}ms`);
+      }
+      onToken(chunkText);
+    });
+
+    const response = await stream.finalMessage();
+
+    const text = response.content
+      .filter((block) => block.type === 'text')
+      .map((block) => block.text)
+      .join('');
+    const tokensUsed = response.usage.input_tokens + response.usage.output_tokens;
+
+    const totalTime = Date.now() - startTime;
+    console.log(`├─ Response length: ${text.length} characters`);
+    console.log(`├─ Tokens used: ${tokensUsed} (${response.usage.input_tokens} in, ${response.usage.output_tokens} out)`);
+    console.log(`└─ TOTAL TIME: ${totalTime}ms`);
+
+    return {
+      text,
+      tokensUsed,
+      responseTimeMs: totalTime,
+      firstTokenMs,
+    };
+  } catch (error) {
+    const totalTime = Date.now() - startTime;
+    console.log(`└─ ERROR after ${totalTime}ms: ${error.message}`);
+    throw error;
+  }
+}
+
 /**
  * Generate AI training response using Claude
  *
  * @param {string} model - Claude model name
  * @param {string} prompt - System prompt
  * @param {string} message - User's training question
+ * @param {Array} conversationHistory - Earlier turns of the training session
  * @returns {Promise<Object>} AI response with text and tokens
  */
-async function generateTrainingResponse(model, prompt, message) {
-  return await callClaude(model, prompt, message, []);
+async function generateTrainingResponse(model, prompt, message, conversationHistory = []) {
+  return await callClaude(model, prompt, message, conversationHistory);
 }
 
 /**
@@ -107,26 +302,74 @@ async function generateTrainingResponse(model, prompt, message) {
  * @param {string} systemPrompt - System prompt with instructions
  * @param {string} message - Customer's message
  * @param {Array} conversationHistory - Previous conversation turns
+ * @param {Object} options - Optional { tools } the model may call (see services/tools.js)
  * @returns {Promise<Object>} AI response with text and tokens
  */
-async function generateConversationResponse(model, systemPrompt, message, conversationHistory = []) {
-  // PERFORMANCE OPTIMIZATION: Only use last 5 turns to reduce latency
-  const MAX_HISTORY_TURNS = 5;
-  const maxMessages = MAX_HISTORY_TURNS * 2;
+async function generateConversationResponse(model, systemPrompt, message, conversationHistory = [], options = {}) {
+  const toolDefinitions = options.tools || [];
 
-  const recentHistory = conversationHistory.length > maxMessages
-    ? conversationHistory.slice(-maxMessages)
-    : conversationHistory;
-
-  if (conversationHistory.length > maxMessages) {
-    console.log(`Claude: Conversation history optimization - Using last ${recentHistory.length} messages (${conversationHistory.length} total, ${conversationHistory.length - recentHistory.length} truncated)`);
+  if (toolDefinitions.length > 0) {
+    return await callClaudeWithTools(
+      model,
+      tools.withToolInstructions(systemPrompt, toolDefinitions),
+      message,
+      getRecentHistory(conversationHistory),
+      toolDefinitions
+    );
   }
+  return await callClaude(model, systemPrompt, message, getRecentHistory(conversationHistory));
+}
+
+/**
+ * Generate a back-office task response using Claude (call summaries, extraction)
+ *
+ * @param {string} model - Claude model name
+ * @param {string} instructions - Task instructions (system prompt)
+ * @param {string} input - Task input (e.g. a call transcript)
+ * @param {Object} options - { maxTokens, temperature }
+ * @returns {Promise<Object>} AI response with text and tokens
+ */
+async function generateTaskResponse(model, instructions, input, options = {}) {
+  return await callClaude(model, instructions, input, [], {
+    maxTokens: options.maxTokens || 1024,
+    temperature: options.temperature !== undefined ? options.temperature : 0.2,
+  });
+}
 
-  return await callClaude(model, systemPrompt, message, recentHistory);
+/**
+ * Stream AI training response using Claude
+ *
+ * @param {string} model - Claude model name
+ * @param {string} prompt - System prompt
+ * @param {string} message - User's training question
+ * @param {Array} conversationHistory - Earlier turns of the training session
+ * @param {Function} onToken - Called with each text chunk
+ * @returns {Promise<Object>} AI response with text and tokens
+ */
+async function streamTrainingResponse(model, prompt, message, conversationHistory = [], onToken = () => {}) {
+  return await callClaudeStream(model, prompt, message, conversationHistory, onToken);
+}
+
+/**
+ * Stream AI conversation response using Claude (for customer phone calls)
+ *
+ * @param {string} model - Claude model name
+ * @param {string} systemPrompt - System prompt with instructions
+ * @param {string} message - Customer's message
+ * @param {Array} conversationHistory - Previous conversation turns
+ * @param {Function} onToken - Called with each text chunk
+ * @returns {Promise<Object>} AI response with text and tokens
+ */
+async function streamConversationResponse(model, systemPrompt, message, conversationHistory = [], onToken = () => {}) {
+  return await callClaudeStream(model, systemPrompt, message, getRecentHistory(conversationHistory), onToken);
 }
 
 module.exports = {
   generateTrainingResponse,
   generateConversationResponse,
+  streamTrainingResponse,
+  streamConversationResponse,
+  generateTaskResponse,
   callClaude,
+  callClaudeStream,
 };
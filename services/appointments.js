@@ -0,0 +1,727 @@
+/**
+ * Appointment Booking Service
+ *
+ * - customers/{id}.booking_settings - Availability rules (time zone, weekly hours, slot length,
+ *                                      notice / horizon) and the optional external calendar
+ * - appointments/{appointmentId}     - Appointments booked by the receptionist or the owner
+ *
+ * The receptionist gets two tools (see services/tools.js): check_availability lists open
+ * slots, book_appointment tentatively books one. The owner confirms or cancels tentative
+ * bookings from WordPress (routes/appointments.js).
+ *
+ * A slot is open when it falls inside the weekly hours, respects the notice / horizon,
+ * isn't on a closure date (services/businessHours.js), and overlaps no active
+ * appointment and no busy time on the external calendar (services/calendars.js). Bookings run in a transaction that re-checks overlaps, and a
+ * conversation booking the same slot again (retried or hedged model attempts) gets its
+ * existing appointment back.
+ */
+
+const { Firestore } = require('@google-cloud/firestore');
+const { v4: uuidv4 } = require('uuid');
+const calendars = require('./calendars');
+const businessHours = require('./businessHours');
+const {
+  WEEKDAYS,
+  isValidTimeZone,
+  getZonedParts,
+  zonedTimeToUtc,
+  addDays,
+  formatSpoken,
+  parseHoursRange,
+  zonedMinutesToUtc,
+} = require('../lib/timeZones');
+
+// Initialize Firestore
+const firestore = new Firestore({
+  projectId: process.env.GOOGLE_CLOUD_PROJECT,
+});
+
+const APPOINTMENTS_COLLECTION = 'appointments';
+
+const STATUS_TENTATIVE = 'tentative';
+const STATUS_CONFIRMED = 'confirmed';
+const STATUS_CANCELLED = 'cancelled';
+const APPOINTMENT_STATUSES = [STATUS_TENTATIVE, STATUS_CONFIRMED, STATUS_CANCELLED];
+const ACTIVE_STATUSES = [STATUS_TENTATIVE, STATUS_CONFIRMED];
+
+const DEFAULT_BOOKING_SETTINGS = {
+  enabled: false,
+  time_zone: process.env.DEFAULT_TIME_ZONE || 'America/New_York',
+  slot_minutes: 30,
+  weekly_hours: {
+    mon: ['09:00-17:00'],
+    tue: ['09:00-17:00'],
+    wed: ['09:00-17:00'],
+    thu: ['09:00-17:00'],
+    fri: ['09:00-17:00'],
+    sat: [],
+    sun: [],
+  },
+  min_notice_minutes: 120,
+  max_days_ahead: 14,
+  calendar: { type: 'none' },
+};
+
+const BOOKING_SETTINGS_FIELDS = Object.keys(DEFAULT_BOOKING_SETTINGS);
+
+// Slots returned to the model per check_availability call
+const MAX_SLOTS_OFFERED = 6;
+
+// Longest appointment - bounds how far back overlap queries look
+const MAX_SLOT_MINUTES = 8 * 60;
+
+// Pagination limits for listAppointments()
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Create a booking error with a code the routes map to a status
+ *
+ * @param {string} code - BOOKING_DISABLED | INVALID_TIME | SLOT_UNAVAILABLE | NOT_FOUND | INVALID_STATUS
+ * @param {string} message - Message (also shown to the model by the booking tools)
+ * @returns {Error}
+ */
+function bookingError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Get a customer's booking settings with defaults applied
+ *
+ * Time zone and weekly hours default to the structured business hours when set.
+ *
+ * @param {Object} customer - Customer document
+ * @returns {Object} Booking settings
+ */
+function getBookingSettings(customer) {
+  const hours = businessHours.getHours(customer);
+
+  return {
+    ...DEFAULT_BOOKING_SETTINGS,
+    ...(hours && {
+      time_zone: hours.time_zone,
+      weekly_hours: Object.fromEntries(WEEKDAYS.map((day) => [day, hours.weekly[day] || []])),
+    }),
+    ...(customer.booking_settings || {}),
+  };
+}
+
+/**
+ * Booking settings safe to return to the client (calendar password removed)
+ *
+ * @param {Object} settings - Booking settings
+ * @returns {Object}
+ */
+function toPublicBookingSettings(settings) {
+  const { password, ...calendar } = settings.calendar || {};
+  return { ...settings, calendar: { ...calendar, has_password: Boolean(password) } };
+}
+
+/**
+ * Validate a booking settings update and merge it over the stored settings
+ *
+ * @param {Object} body - Any of the booking settings fields
+ * @param {Object} current - Stored booking_settings (optional)
+ * @param {Object} defaults - Settings in effect (getBookingSettings) - base for partial weekly_hours updates
+ * @returns {{settings: Object|null, error: string|null}} Settings to store, or a 400 error message
+ */
+function validateBookingSettingsUpdate(body, current = {}, defaults = DEFAULT_BOOKING_SETTINGS) {
+  const unknown = Object.keys(body).filter((field) => !BOOKING_SETTINGS_FIELDS.includes(field));
+  if (unknown.length > 0) {
+    return { settings: null, error: `Unknown booking settings: ${unknown.join(', ')}` };
+  }
+
+  const settings = { ...current };
+  const isInteger = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+
+  if (body.enabled !== undefined) {
+    if (typeof body.enabled !== 'boolean') {
+      return { settings: null, error: 'enabled must be a boolean' };
+    }
+    settings.enabled = body.enabled;
+  }
+
+  if (body.time_zone !== undefined) {
+    if (!isValidTimeZone(body.time_zone)) {
+      return { settings: null, error: 'time_zone must be an IANA time zone (e.g. America/New_York)' };
+    }
+    settings.time_zone = body.time_zone;
+  }
+
+  if (body.slot_minutes !== undefined) {
+    if (!isInteger(body.slot_minutes, 5, MAX_SLOT_MINUTES)) {
+      return { settings: null, error: `slot_minutes must be a whole number from 5 to ${MAX_SLOT_MINUTES}` };
+    }
+    settings.slot_minutes = body.slot_minutes;
+  }
+
+  if (body.min_notice_minutes !== undefined) {
+    if (!isInteger(body.min_notice_minutes, 0, 7 * 24 * 60)) {
+      return { settings: null, error: 'min_notice_minutes must be a whole number from 0 to 10080' };
+    }
+    settings.min_notice_minutes = body.min_notice_minutes;
+  }
+
+  if (body.max_days_ahead !== undefined) {
+    if (!isInteger(body.max_days_ahead, 1, 90)) {
+      return { settings: null, error: 'max_days_ahead must be a whole number from 1 to 90' };
+    }
+    settings.max_days_ahead = body.max_days_ahead;
+  }
+
+  // Days omitted from weekly_hours are unchanged; [] closes a day
+  if (body.weekly_hours !== undefined) {
+    const hours = body.weekly_hours;
+    if (!hours || typeof hours !== 'object' || Array.isArray(hours)) {
+      return { settings: null, error: 'weekly_hours must be an object keyed by day (mon..sun)' };
+    }
+
+    const weeklyHours = { ...(current.weekly_hours || defaults.weekly_hours) };
+    for (const [day, ranges] of Object.entries(hours)) {
+      if (!WEEKDAYS.includes(day)) {
+        return { settings: null, error: `Unknown weekly_hours day: ${day} (use mon..sun)` };
+      }
+      if (!Array.isArray(ranges) || ranges.some((range) => !parseHoursRange(range))) {
+        return { settings: null, error: `weekly_hours.${day} must be an array of "HH:MM-HH:MM" ranges` };
+      }
+      weeklyHours[day] = ranges;
+    }
+    settings.weekly_hours = weeklyHours;
+  }
+
+  // Omitting calendar.password keeps the stored one
+  if (body.calendar !== undefined) {
+    const calendar = body.calendar;
+    if (!calendar || typeof calendar !== 'object' || !calendars.CALENDAR_TYPES.includes(calendar.type)) {
+      return { settings: null, error: `calendar.type must be one of: ${calendars.CALENDAR_TYPES.join(', ')}` };
+    }
+
+    if (calendar.type === 'none') {
+      settings.calendar = { type: 'none' };
+    } else {
+      if (typeof calendar.url !== 'string' || !calendars.isAllowedCalendarUrl(calendar.url)) {
+        return { settings: null, error: 'calendar.url must be a public https:// URL' };
+      }
+
+      const stored = current.calendar || {};
+      const password = calendar.password !== undefined
+        ? calendar.password
+        : (stored.url === calendar.url ? stored.password : undefined);
+
+      settings.calendar = {
+        type: calendar.type,
+        url: calendar.url,
+        username: calendar.username || null,
+        password: password || null,
+      };
+    }
+  }
+
+  return { settings, error: null };
+}
+
+/**
+ * Load active appointments overlapping a range
+ *
+ * @param {string} siteToken - Customer site token
+ * @param {Date} start - Range start
+ * @param {Date} end - Range end
+ * @param {Object} transaction - Firestore transaction (optional)
+ * @returns {Promise<Object[]>} Appointments (with id)
+ */
+async function loadActiveAppointments(siteToken, start, end, transaction = null) {
+  const query = firestore
+    .collection(APPOINTMENTS_COLLECTION)
+    .where('site_token', '==', siteToken)
+    .where('start', '>=', new Date(start.getTime() - MAX_SLOT_MINUTES * 60 * 1000).toISOString())
+    .where('start', '<', end.toISOString());
+
+  const snapshot = transaction ? await transaction.get(query) : await query.get();
+
+  return snapshot.docs
+    .map((doc) => ({ id: doc.id, ...doc.data() }))
+    .filter((appointment) => ACTIVE_STATUSES.includes(appointment.status) &&
+      new Date(appointment.end) > start);
+}
+
+/**
+ * Whether an interval overlaps any busy interval
+ *
+ * @param {number} startMs - Interval start
+ * @param {number} endMs - Interval end
+ * @param {Array<{start: Date|string, end: Date|string}>} busy - Busy intervals
+ * @returns {boolean}
+ */
+function overlapsAny(startMs, endMs, busy) {
+  return busy.some((interval) => new Date(interval.start).getTime() < endMs && new Date(interval.end).getTime() > startMs);
+}
+
+/**
+ * Find open appointment slots
+ *
+ * External calendar errors don't block booking (appointments are tentative until
+ * confirmed) - they are returned as calendarError.
+ *
+ * @param {Object} customer - Customer document
+ * @param {Object} options - Options
+ * @param {string} options.date - Local date (YYYY-MM-DD) - only this day (default: from today on)
+ * @param {number} options.limit - Maximum slots (default MAX_SLOTS_OFFERED)
+ * @returns {Promise<{slots: Array<{start: string, end: string, label: string}>, timeZone: string, calendarError: string|null}>}
+ */
+async function findOpenSlots(customer, options = {}) {
+  const settings = getBookingSettings(customer);
+  const timeZone = settings.time_zone;
+  const limit = options.limit || MAX_SLOTS_OFFERED;
+  const slotMs = settings.slot_minutes * 60 * 1000;
+
+  const now = Date.now();
+  const earliest = now + settings.min_notice_minutes * 60 * 1000;
+  const latest = now + settings.max_days_ahead * 24 * 60 * 60 * 1000;
+
+  const today = getZonedParts(new Date(now), timeZone).date;
+  const firstDate = options.date || today;
+  const lastDate = options.date || getZonedParts(new Date(latest), timeZone).date;
+
+  const rangeStart = new Date(Math.max(earliest, zonedTimeToUtc(firstDate, '00:00', timeZone).getTime()));
+  const rangeEnd = new Date(Math.min(latest, zonedTimeToUtc(addDays(lastDate, 1), '00:00', timeZone).getTime()));
+
+  if (rangeEnd <= rangeStart) {
+    return { slots: [], timeZone, calendarError: null };
+  }
+
+  let calendarError = null;
+  const [booked, external] = await Promise.all([
+    loadActiveAppointments(customer.site_token, rangeStart, rangeEnd),
+    calendars.getBusyTimes(settings.calendar, rangeStart, rangeEnd, timeZone).catch((error) => {
+      calendarError = error.message;
+      return [];
+    }),
+  ]);
+  const busy = [...booked, ...external];
+  const hours = businessHours.getHours(customer);
+
+  const slots = [];
+  for (let date = firstDate; date <= lastDate && slots.length < limit; date = addDays(date, 1)) {
+    if (hours && businessHours.getDaySchedule(hours, date).closure) {
+      continue;
+    }
+
+    const weekday = getZonedParts(zonedTimeToUtc(date, '12:00', timeZone), timeZone).weekday;
+
+    for (const range of settings.weekly_hours[weekday] || []) {
+      const { start, end } = parseHoursRange(range);
+      const windowEnd = zonedMinutesToUtc(date, end, timeZone).getTime();
+
+      for (let slotStart = zonedMinutesToUtc(date, start, timeZone).getTime();
+        slotStart + slotMs <= windowEnd && slots.length < limit;
+        slotStart += slotMs) {
+        if (slotStart < rangeStart.getTime() || slotStart + slotMs > rangeEnd.getTime() ||
+          overlapsAny(slotStart, slotStart + slotMs, busy)) {
+          continue;
+        }
+
+        slots.push({
+          start: new Date(slotStart).toISOString(),
+          end: new Date(slotStart + slotMs).toISOString(),
+          label: formatSpoken(new Date(slotStart), timeZone),
+        });
+      }
+    }
+  }
+
+  return { slots, timeZone, calendarError };
+}
+
+/**
+ * Write an appointment to the external calendar, recording the outcome on the appointment
+ *
+ * Best-effort: errors are logged and stored as calendar_error, never thrown.
+ *
+ * @param {Object} settings - Booking settings
+ * @param {Object} appointment - Appointment (with id)
+ * @param {boolean} remove - Delete the event instead of writing it
+ * @returns {Promise<Object>} Appointment with calendar_synced / calendar_error
+ */
+async function syncCalendar(settings, appointment, remove = false) {
+  let update;
+
+  try {
+    const synced = remove
+      ? await calendars.deleteEvent(settings.calendar, appointment)
+      : await calendars.putEvent(settings.calendar, appointment);
+    if (!synced) {
+      return appointment;
+    }
+    update = { calendar_synced: !remove, calendar_error: null };
+  } catch (error) {
+    console.error(`Appointments: Calendar sync failed for ${appointment.id}:`, error);
+    update = { calendar_error: error.message };
+  }
+
+  await firestore.collection(APPOINTMENTS_COLLECTION).doc(appointment.id).update(update);
+  return { ...appointment, ...update };
+}
+
+/**
+ * Book an appointment
+ *
+ * Receptionist bookings must match an open slot and start tentative; the same
+ * conversation booking the same start again gets its existing appointment back,
+ * and booking a different start moves its earlier tentative booking. Owner
+ * bookings (WordPress) may use any time that doesn't overlap an active appointment.
+ *
+ * @param {Object} customer - Customer document
+ * @param {Object} details - Booking details
+ * @param {string} details.start - ISO start time
+ * @param {string} details.end - ISO end time (optional, default start + slot_minutes)
+ * @param {string} details.name - Caller's name
+ * @param {string} details.callback_number - Callback number (optional)
+ * @param {string} details.reason - What the appointment is for (optional)
+ * @param {string} details.call_id - Conversation id (receptionist bookings)
+ * @param {string} details.channel - 'voice', 'chat', 'sms' or 'owner'
+ * @param {string} details.status - 'tentative' (default) or 'confirmed'
+ * @returns {Promise<{appointment: Object, created: boolean}>}
+ */
+async function bookAppointment(customer, details) {
+  const settings = getBookingSettings(customer);
+  const byReceptionist = Boolean(details.call_id);
+
+  if (byReceptionist && !settings.enabled) {
+    throw bookingError('BOOKING_DISABLED', 'Online booking is turned off for this business');
+  }
+
+  const start = new Date(details.start);
+  const end = details.end ? new Date(details.end) : new Date(start.getTime() + settings.slot_minutes * 60 * 1000);
+
+  if (isNaN(start.getTime()) || isNaN(end.getTime()) || end <= start ||
+    end - start > MAX_SLOT_MINUTES * 60 * 1000) {
+    throw bookingError('INVALID_TIME', 'Invalid appointment time');
+  }
+
+  // Receptionist bookings must match an open slot (the conversation's own booking doesn't block it)
+  if (byReceptionist) {
+    const localDate = getZonedParts(start, settings.time_zone).date;
+    const { slots } = await findOpenSlots(customer, { date: localDate, limit: 24 * 60 });
+    const isOpen = slots.some((slot) => slot.start === start.toISOString());
+    const existing = isOpen ? null : await findConversationAppointment(details.call_id, start);
+
+    if (!isOpen && !existing) {
+      throw bookingError('SLOT_UNAVAILABLE', 'That time is not available - check availability again');
+    }
+  }
+
+  const appointmentRef = firestore.collection(APPOINTMENTS_COLLECTION).doc(`apt_${uuidv4()}`);
+  const now = new Date().toISOString();
+
+  const result = await firestore.runTransaction(async (transaction) => {
+    const overlapping = await loadActiveAppointments(customer.site_token, start, end, transaction);
+    const previous = byReceptionist
+      ? (await transaction.get(firestore.collection(APPOINTMENTS_COLLECTION).where('call_id', '==', details.call_id)))
+        .docs.map((doc) => ({ id: doc.id, ...doc.data() }))
+        .filter((appointment) => appointment.status === STATUS_TENTATIVE)
+      : [];
+
+    // Same conversation, same slot - a retried or hedged model attempt
+    const duplicate = previous.find((appointment) => appointment.start === start.toISOString());
+    if (duplicate) {
+      return { appointment: duplicate, created: false, moved: [] };
+    }
+
+    const conflicts = overlapping.filter((appointment) => !previous.some((own) => own.id === appointment.id));
+    if (conflicts.length > 0) {
+      throw bookingError('SLOT_UNAVAILABLE', 'That time was just booked - check availability again');
+    }
+
+    // Rescheduling within a conversation replaces its earlier tentative booking
+    previous.forEach((appointment) => {
+      transaction.update(firestore.collection(APPOINTMENTS_COLLECTION).doc(appointment.id), {
+        status: STATUS_CANCELLED,
+        cancel_reason: 'rescheduled',
+        updated_at: now,
+      });
+    });
+
+    const appointment = {
+      customer_id: customer.id,
+      site_token: customer.site_token,
+      call_id: details.call_id || null,
+      channel: details.channel || 'owner',
+      start: start.toISOString(),
+      end: end.toISOString(),
+      time_zone: settings.time_zone,
+      name: details.name || null,
+      callback_number: details.callback_number || null,
+      reason: details.reason || null,
+      status: details.status === STATUS_CONFIRMED ? STATUS_CONFIRMED : STATUS_TENTATIVE,
+      calendar_synced: false,
+      created_at: now,
+      updated_at: now,
+    };
+    transaction.set(appointmentRef, appointment);
+
+    return { appointment: { id: appointmentRef.id, ...appointment }, created: true, moved: previous };
+  });
+
+  if (!result.created) {
+    console.log(`Appointments: ${result.appointment.id} already booked for ${details.call_id}`);
+    return { appointment: result.appointment, created: false };
+  }
+
+  console.log(`Appointments: Booked ${result.appointment.id} for ${customer.site_token} at ${result.appointment.start}`);
+
+  await Promise.all(result.moved.map((appointment) => syncCalendar(settings, appointment, true)));
+  const appointment = await syncCalendar(settings, result.appointment);
+
+  return { appointment, created: true };
+}
+
+/**
+ * Find a conversation's tentative appointment at a start time
+ *
+ * @param {string} callId - Conversation id
+ * @param {Date} start - Start time
+ * @returns {Promise<Object|null>} Appointment or null
+ */
+async function findConversationAppointment(callId, start) {
+  const snapshot = await firestore
+    .collection(APPOINTMENTS_COLLECTION)
+    .where('call_id', '==', callId)
+    .get();
+
+  const doc = snapshot.docs.find((candidate) => candidate.data().start === start.toISOString() &&
+    candidate.data().status === STATUS_TENTATIVE);
+  return doc ? { id: doc.id, ...doc.data() } : null;
+}
+
+/**
+ * Confirm or cancel an appointment
+ *
+ * Repeating the same change is a no-op. Cancelled appointments can't be confirmed.
+ *
+ * @param {Object} customer - Customer document
+ * @param {string} appointmentId - Appointment id
+ * @param {string} status - 'confirmed' or 'cancelled'
+ * @param {string} reason - Cancel reason (optional)
+ * @returns {Promise<Object>} Updated appointment
+ */
+async function setAppointmentStatus(customer, appointmentId, status, reason = null) {
+  const settings = getBookingSettings(customer);
+  const appointmentRef = firestore.collection(APPOINTMENTS_COLLECTION).doc(appointmentId);
+
+  const result = await firestore.runTransaction(async (transaction) => {
+    const doc = await transaction.get(appointmentRef);
+
+    if (!doc.exists || doc.data().site_token !== customer.site_token) {
+      throw bookingError('NOT_FOUND', 'Appointment not found');
+    }
+
+    const appointment = { id: doc.id, ...doc.data() };
+    if (appointment.status === status) {
+      return { appointment, changed: false };
+    }
+    if (appointment.status === STATUS_CANCELLED) {
+      throw bookingError('INVALID_STATUS', 'Appointment is cancelled');
+    }
+
+    const update = {
+      status,
+      updated_at: new Date().toISOString(),
+      ...(status === STATUS_CANCELLED && { cancel_reason: reason || 'cancelled_by_owner' }),
+    };
+    transaction.update(appointmentRef, update);
+
+    return { appointment: { ...appointment, ...update }, changed: true };
+  });
+
+  if (!result.changed) {
+    return result.appointment;
+  }
+
+  console.log(`Appointments: ${appointmentId} ${status}`);
+  return await syncCalendar(settings, result.appointment, status === STATUS_CANCELLED);
+}
+
+/**
+ * List a customer's appointments by start time
+ *
+ * Requires a composite index on appointments: site_token ASC, start ASC
+ * (and site_token ASC, status ASC, start ASC for the status filter).
+ *
+ * @param {string} siteToken - Customer site token
+ * @param {Object} options - Query options
+ * @param {string} options.from - ISO date - appointments starting at/after
+ * @param {string} options.to - ISO date - appointments starting at/before
+ * @param {string} options.status - Only appointments with this status
+ * @param {number} options.limit - Page size (default 20, max 100)
+ * @param {string} options.pageToken - Appointment id to start after (from previous page)
+ * @returns {Promise<{appointments: Object[], nextPageToken: string|null}>}
+ */
+async function listAppointments(siteToken, options = {}) {
+  try {
+    const limit = Math.min(parseInt(options.limit, 10) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+    console.log(`Appointments: Listing appointments for ${siteToken} (limit ${limit})`);
+
+    let query = firestore
+      .collection(APPOINTMENTS_COLLECTION)
+      .where('site_token', '==', siteToken);
+
+    if (options.status) {
+      query = query.where('status', '==', options.status);
+    }
+    if (options.from) {
+      query = query.where('start', '>=', options.from);
+    }
+    if (options.to) {
+      query = query.where('start', '<=', options.to);
+    }
+
+    query = query.orderBy('start', 'asc');
+
+    if (options.pageToken) {
+      const cursorDoc = await firestore.collection(APPOINTMENTS_COLLECTION).doc(options.pageToken).get();
+      if (cursorDoc.exists) {
+        query = query.startAfter(cursorDoc);
+      }
+    }
+
+    // Fetch one extra to know if there is another page
+    const snapshot = await query.limit(limit + 1).get();
+    const docs = snapshot.docs.slice(0, limit);
+
+    return {
+      appointments: docs.map((doc) => ({ id: doc.id, ...doc.data() })),
+      nextPageToken: snapshot.docs.length > limit ? docs[docs.length - 1].id : null,
+    };
+  } catch (error) {
+    console.error('Appointments: Error listing appointments:', error);
+    throw error;
+  }
+}
+
+/**
+ * Build the prompt instructions for the booking tools
+ *
+ * @param {Object} settings - Booking settings
+ * @param {Object|null} booked - Appointment booked earlier in the conversation
+ * @returns {string} Instructions
+ */
+function buildBookingInstructions(settings, booked) {
+  const now = new Date();
+  const today = now.toLocaleDateString('en-US', {
+    timeZone: settings.time_zone,
+    weekday: 'long',
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+  });
+
+  const lines = [
+    'APPOINTMENTS:',
+    `- Today is ${today} (${getZonedParts(now, settings.time_zone).date}). Times are in ${settings.time_zone}.`,
+    '- When the caller wants an appointment, call check_availability (with date YYYY-MM-DD if they asked for a day) and offer two or three of the times it returns. Never offer other times.',
+    '- Before booking, get the caller\'s name and confirm the time, then call book_appointment with the start value exactly as returned.',
+    '- Bookings are requests: tell the caller the business will confirm the appointment.',
+  ];
+
+  if (booked) {
+    lines.push(`Already booked in this conversation: ${booked.label} (booking another time replaces it)`);
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Create the booking tools for one conversation turn
+ *
+ * The returned capture.appointment holds the appointment booked this turn
+ * ({ id, start, label, status }, null if none).
+ *
+ * @param {Object} customer - Customer document
+ * @param {Object} conversation - { id, channel, from, appointment } - appointment is what the session already knows
+ * @returns {{tools: Object[], appointment: Object|null}|null} Tools, or null if booking is off
+ */
+function createBookingTools(customer, conversation) {
+  const settings = getBookingSettings(customer);
+  if (!settings.enabled) {
+    return null;
+  }
+
+  const capture = {
+    appointment: null,
+    tools: [
+      {
+        name: 'check_availability',
+        description: 'List open appointment times. Pass a date (YYYY-MM-DD) for a specific day, or nothing for the next open times.',
+        instructions: buildBookingInstructions(settings, conversation.appointment),
+        parameters: {
+          type: 'object',
+          properties: {
+            date: { type: 'string', description: 'Day to check (YYYY-MM-DD), optional' },
+          },
+        },
+        handler: async (args) => {
+          if (args.date && !/^\d{4}-\d{2}-\d{2}$/.test(args.date)) {
+            return { error: 'date must be YYYY-MM-DD' };
+          }
+
+          const { slots } = await findOpenSlots(customer, { date: args.date });
+          return slots.length > 0
+            ? { slots: slots.map((slot) => ({ start: slot.start, label: slot.label })) }
+            : { slots: [], message: args.date ? 'No open times that day' : 'No open times soon' };
+        },
+      },
+      {
+        name: 'book_appointment',
+        description: 'Tentatively book an appointment at a start time returned by check_availability.',
+        exclusive: true,
+        parameters: {
+          type: 'object',
+          properties: {
+            start: { type: 'string', description: 'start value from check_availability' },
+            name: { type: 'string', description: 'Caller\'s name' },
+            callback_number: { type: 'string', description: 'Phone number to confirm the appointment on' },
+            reason: { type: 'string', description: 'What the appointment is for' },
+          },
+          required: ['start', 'name'],
+        },
+        handler: async (args) => {
+          const { appointment } = await bookAppointment(customer, {
+            start: args.start,
+            name: args.name,
+            callback_number: args.callback_number || conversation.from,
+            reason: args.reason,
+            call_id: conversation.id,
+            channel: conversation.channel,
+          });
+
+          capture.appointment = {
+            id: appointment.id,
+            start: appointment.start,
+            label: formatSpoken(new Date(appointment.start), settings.time_zone),
+            status: appointment.status,
+          };
+          return { booked: true, time: capture.appointment.label, status: appointment.status };
+        },
+      },
+    ],
+  };
+
+  return capture;
+}
+
+module.exports = {
+  APPOINTMENT_STATUSES,
+  STATUS_TENTATIVE,
+  STATUS_CONFIRMED,
+  STATUS_CANCELLED,
+  getBookingSettings,
+  toPublicBookingSettings,
+  validateBookingSettingsUpdate,
+  findOpenSlots,
+  bookAppointment,
+  setAppointmentStatus,
+  listAppointments,
+  createBookingTools,
+};
@@ -0,0 +1,160 @@
+/**
+ * US Area Code Data
+ *
+ * Used by provisionPhoneNumber to stay local when the requested area code is sold out:
+ * - Overlay area codes (different codes serving the same region)
+ * - The state each area code belongs to (for Twilio inRegion searches)
+ */
+
+// Area codes by state (two-letter code, as used by Twilio inRegion)
+const AREA_CODES_BY_STATE = {
+  AL: ['205', '251', '256', '334', '659', '938'],
+  AK: ['907'],
+  AZ: ['480', '520', '602', '623', '928'],
+  AR: ['327', '479', '501', '870'],
+  CA: ['209', '213', '279', '310', '323', '341', '350', '369', '408', '415', '424', '442', '510', '530', '559',
+    '562', '619', '626', '628', '650', '657', '661', '669', '707', '714', '747', '760', '805', '818', '820',
+    '831', '840', '858', '909', '916', '925', '949', '951'],
+  CO: ['303', '719', '720', '970', '983'],
+  CT: ['203', '475', '860', '959'],
+  DC: ['202', '771'],
+  DE: ['302'],
+  FL: ['239', '305', '321', '324', '352', '386', '407', '448', '561', '645', '656', '689', '727', '728', '754',
+    '772', '786', '813', '850', '863', '904', '941', '954'],
+  GA: ['229', '404', '470', '478', '678', '706', '762', '770', '912', '943'],
+  HI: ['808'],
+  ID: ['208', '986'],
+  IL: ['217', '224', '309', '312', '331', '447', '464', '618', '630', '708', '730', '773', '779', '815', '847',
+    '861', '872'],
+  IN: ['219', '260', '317', '463', '574', '765', '812', '930'],
+  IA: ['319', '515', '563', '641', '712'],
+  KS: ['316', '620', '785', '913'],
+  KY: ['270', '364', '502', '606', '859'],
+  LA: ['225', '318', '337', '504', '985'],
+  ME: ['207'],
+  MD: ['227', '240', '301', '410', '443', '667'],
+  MA: ['339', '351', '413', '508', '617', '774', '781', '857', '978'],
+  MI: ['231', '248', '269', '313', '517', '586', '616', '679', '734', '810', '906', '947', '989'],
+  MN: ['218', '320', '507', '612', '651', '763', '952'],
+  MS: ['228', '601', '662', '769'],
+  MO: ['235', '314', '417', '557', '573', '636', '660', '816', '975'],
+  MT: ['406'],
+  NE: ['308', '402', '531'],
+  NV: ['702', '725', '775'],
+  NH: ['603'],
+  NJ: ['201', '551', '609', '640', '732', '848', '856', '862', '908', '973'],
+  NM: ['505', '575'],
+  NY: ['212', '315', '329', '332', '347', '363', '516', '518', '585', '607', '624', '631', '646', '680', '716',
+    '718', '838', '845', '914', '917', '929', '934'],
+  NC: ['252', '336', '472', '704', '743', '828', '910', '919', '980', '984'],
+  ND: ['701'],
+  OH: ['216', '220', '234', '283', '326', '330', '380', '419', '436', '440', '513', '567', '614', '740', '937'],
+  OK: ['405', '539', '572', '580', '918'],
+  OR: ['458', '503', '541', '971'],
+  PA: ['215', '223', '267', '272', '412', '445', '484', '570', '582', '610', '717', '724', '814', '835', '878'],
+  RI: ['401'],
+  SC: ['803', '821', '839', '843', '854', '864'],
+  SD: ['605'],
+  TN: ['423', '615', '629', '731', '865', '901', '931'],
+  TX: ['210', '214', '254', '281', '325', '346', '361', '409', '430', '432', '469', '512', '682', '713', '726',
+    '737', '806', '817', '830', '832', '903', '915', '936', '940', '945', '956', '972', '979'],
+  UT: ['385', '435', '801'],
+  VT: ['802'],
+  VA: ['276', '434', '540', '571', '686', '703', '757', '804', '826', '948'],
+  WA: ['206', '253', '360', '425', '509', '564'],
+  WV: ['304', '681'],
+  WI: ['262', '274', '353', '414', '534', '608', '715', '920'],
+  WY: ['307'],
+};
+
+// Area codes serving the same region (overlays and metro splits)
+const OVERLAY_GROUPS = [
+  // Florida
+  ['305', '786', '645'], ['954', '754'], ['561', '728'], ['407', '689', '321'], ['813', '656'],
+  ['904', '324'], ['850', '448'],
+  // New York
+  ['212', '646', '332', '917'], ['718', '347', '929', '917'], ['516', '363'], ['631', '934'],
+  ['845', '329'], ['315', '680'], ['518', '838'],
+  // California
+  ['213', '323'], ['310', '424'], ['818', '747'], ['714', '657'], ['909', '840'], ['619', '858'],
+  ['760', '442'], ['415', '628'], ['510', '341'], ['408', '669'], ['916', '279'], ['707', '369'],
+  ['805', '820'], ['209', '350'],
+  // Texas
+  ['214', '469', '972', '945'], ['713', '281', '832', '346'], ['512', '737'], ['210', '726'],
+  ['817', '682'], ['903', '430'],
+  // Illinois
+  ['312', '773', '872'], ['847', '224'], ['630', '331'], ['708', '464'], ['815', '779'],
+  ['217', '447'], ['618', '730'], ['309', '861'],
+  // Georgia
+  ['404', '678', '470', '770', '943'], ['706', '762'],
+  // Massachusetts
+  ['617', '857'], ['781', '339'], ['508', '774'], ['978', '351'],
+  // Pennsylvania
+  ['215', '267', '445'], ['610', '484', '835'], ['412', '724', '878'], ['717', '223'], ['570', '272'],
+  ['814', '582'],
+  // New Jersey
+  ['201', '551'], ['973', '862'], ['732', '848'], ['609', '640'],
+  // Mid-Atlantic
+  ['202', '771'], ['301', '240', '227'], ['410', '443', '667'], ['703', '571'], ['757', '948'],
+  ['804', '686'], ['540', '826'], ['304', '681'],
+  // Southeast
+  ['704', '980'], ['919', '984'], ['336', '743'], ['910', '252', '472'], ['803', '839'], ['843', '854'],
+  ['864', '821'], ['615', '629'], ['601', '769'], ['205', '659'], ['256', '938'], ['502', '364'],
+  ['270', '364'], ['225', '985'],
+  // Midwest
+  ['614', '380'], ['513', '283'], ['330', '234'], ['419', '567'], ['440', '436'], ['937', '326'],
+  ['740', '220'], ['313', '679'], ['248', '947'], ['317', '463'], ['812', '930'], ['314', '557'],
+  ['816', '975'], ['573', '235'], ['402', '531'], ['414', '262'], ['715', '534'], ['920', '274'],
+  ['608', '353'],
+  // West
+  ['602', '480', '623'], ['303', '720', '983'], ['206', '253', '425', '360', '564'], ['503', '971'],
+  ['541', '458'], ['801', '385'], ['702', '725'], ['208', '986'], ['405', '572'], ['918', '539'],
+  ['501', '327'],
+];
+
+// Area code -> state
+const AREA_CODE_STATE = {};
+Object.entries(AREA_CODES_BY_STATE).forEach(([state, codes]) => {
+  codes.forEach((code) => {
+    AREA_CODE_STATE[code] = state;
+  });
+});
+
+// Area code -> overlay area codes (excluding itself)
+const AREA_CODE_OVERLAYS = {};
+OVERLAY_GROUPS.forEach((group) => {
+  group.forEach((code) => {
+    const overlays = AREA_CODE_OVERLAYS[code] || [];
+    group.forEach((other) => {
+      if (other !== code && !overlays.includes(other)) {
+        overlays.push(other);
+      }
+    });
+    AREA_CODE_OVERLAYS[code] = overlays;
+  });
+});
+
+/**
+ * Get area codes that serve the same region as an area code
+ *
+ * @param {string} areaCode - Three-digit area code
+ * @returns {string[]} Overlay area codes (may be empty)
+ */
+function getOverlayAreaCodes(areaCode) {
+  return AREA_CODE_OVERLAYS[areaCode] || [];
+}
+
+/**
+ * Get the state for an area code
+ *
+ * @param {string} areaCode - Three-digit area code
+ * @returns {string|null} Two-letter state code, or null if unknown
+ */
+function getAreaCodeState(areaCode) {
+  return AREA_CODE_STATE[areaCode] || null;
+}
+
+module.exports = {
+  getOverlayAreaCodes,
+  getAreaCodeState,
+};
@@ -0,0 +1,250 @@
+/**
+ * Billing Period Service
+ *
+ * Rolls customers over to a new billing period once the current one ends:
+ * - Archive the period's usage to customers/{id}/usage_history/{period_start}
+ * - Reset the usage counters (calls, filtered calls, training, SMS)
+ * - Advance billing_period_start / billing_period_end
+ *
+ * Rollover happens lazily when a customer is loaded (see firestore.getCustomer)
+ * and in bulk via the admin sweep (POST /api/v1/admin/billing/rollover), so
+ * customers that never call still get their history archived.
+ */
+
+const { Firestore } = require('@google-cloud/firestore');
+
+// Initialize Firestore
+const firestore = new Firestore({
+  projectId: process.env.GOOGLE_CLOUD_PROJECT,
+});
+
+const CUSTOMERS_COLLECTION = 'customers';
+const USAGE_HISTORY_SUBCOLLECTION = 'usage_history';
+
+// firestore.CUSTOMER_STATUS_CANCELLED (firestore.js requires this module, so not imported)
+const CUSTOMER_STATUS_CANCELLED = 'cancelled';
+
+const BILLING_PERIOD_DAYS = 30;
+const BILLING_PERIOD_MS = BILLING_PERIOD_DAYS * 24 * 60 * 60 * 1000;
+
+// Counters archived and reset to 0 at the end of each billing period
+const USAGE_COUNTERS = [
+  'billable_calls_used',
+  'filtered_calls',
+  'total_calls',
+  'spam_calls',
+  'silent_calls',
+  'test_calls',
+  'training_used',
+  'correction_detections',
+  'sms_received',
+  'sms_sent',
+  'sms_segments',
+];
+
+// Maximum customers rolled over per sweep request
+const DEFAULT_SWEEP_LIMIT = 200;
+const MAX_SWEEP_LIMIT = 1000;
+
+/**
+ * Build billing period fields for a period starting at the given time
+ *
+ * @param {Date|string} start - Period start (default: now)
+ * @returns {{billing_period_start: string, billing_period_end: string}}
+ */
+function newBillingPeriod(start = new Date()) {
+  const startMs = new Date(start).getTime();
+
+  return {
+    billing_period_start: new Date(startMs).toISOString(),
+    billing_period_end: new Date(startMs + BILLING_PERIOD_MS).toISOString(),
+  };
+}
+
+/**
+ * Work out what a customer's billing period should be right now
+ *
+ * Customers without a period (auto-registered before periods existed) get one
+ * anchored at created_at. If several periods were missed, the new period is the
+ * one containing `now`; all usage is archived under the period that ended.
+ *
+ * @param {Object} customer - Customer document data
+ * @param {Date} now - Current time
+ * @returns {Object|null} { period, archive } - archive is null if nothing ended; null if no change
+ */
+function planRollover(customer, now) {
+  const hasPeriod = Boolean(customer.billing_period_start && customer.billing_period_end);
+  const current = hasPeriod
+    ? { billing_period_start: customer.billing_period_start, billing_period_end: customer.billing_period_end }
+    : newBillingPeriod(customer.created_at || now);
+
+  let endMs = new Date(current.billing_period_end).getTime();
+
+  if (isNaN(endMs)) {
+    // Unreadable period - start a fresh one now
+    return { period: newBillingPeriod(now), archive: null };
+  }
+
+  if (endMs > now.getTime()) {
+    return hasPeriod ? null : { period: current, archive: null };
+  }
+
+  // Skip over periods with no activity to the one containing now
+  while (endMs + BILLING_PERIOD_MS <= now.getTime()) {
+    endMs += BILLING_PERIOD_MS;
+  }
+  const period = newBillingPeriod(new Date(endMs));
+
+  const archive = {
+    ...current,
+    calls_limit: customer.calls_limit === undefined ? null : customer.calls_limit,
+    training_limit: customer.training_limit === undefined ? null : customer.training_limit,
+  };
+  USAGE_COUNTERS.forEach((field) => {
+    archive[field] = customer[field] || 0;
+  });
+
+  return { period, archive };
+}
+
+/**
+ * Make sure a customer is in their current billing period
+ *
+ * Runs in a transaction so usage recorded concurrently (metering, training)
+ * lands either before the archive or after the reset, never lost in between.
+ *
+ * @param {Object} customer - Customer document (with id)
+ * @returns {Promise<Object>} Customer with current period and counters
+ */
+async function ensureCurrentPeriod(customer) {
+  const now = new Date();
+
+  // Fast path - no transaction needed. Deprovisioned customers keep their last period.
+  if (customer.status === CUSTOMER_STATUS_CANCELLED || !planRollover(customer, now)) {
+    return customer;
+  }
+
+  try {
+    const customerRef = firestore.collection(CUSTOMERS_COLLECTION).doc(customer.id);
+
+    const updates = await firestore.runTransaction(async (transaction) => {
+      const customerDoc = await transaction.get(customerRef);
+
+      if (!customerDoc.exists) {
+        return null;
+      }
+
+      // Re-plan against the stored document - another instance may have rolled over already
+      const plan = planRollover(customerDoc.data(), now);
+      if (!plan) {
+        return customerDoc.data();
+      }
+
+      const changes = { ...plan.period, updated_at: now.toISOString() };
+
+      if (plan.archive) {
+        const historyRef = customerRef
+          .collection(USAGE_HISTORY_SUBCOLLECTION)
+          .doc(plan.archive.billing_period_start);
+
+        transaction.set(historyRef, {
+          ...plan.archive,
+          archived_at: now.toISOString(),
+        });
+
+        USAGE_COUNTERS.forEach((field) => {
+          changes[field] = 0;
+        });
+      }
+
+      transaction.update(customerRef, changes);
+
+      console.log(plan.archive
+        ? `Billing: Rolled over customer ${customer.id} to ${plan.period.billing_period_start}`
+        : `Billing: Started billing period for customer ${customer.id}`);
+
+      return { ...customerDoc.data(), ...changes };
+    });
+
+    return updates ? { ...customer, ...updates } : customer;
+  } catch (error) {
+    console.error(`Billing: Error rolling over customer ${customer.id}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Roll over every customer whose billing period has ended
+ *
+ * Customers without a billing period are picked up lazily on their next request.
+ * Deprovisioned (cancelled) customers are skipped, and their billing_period_end
+ * is cleared so later sweeps don't pick them up again.
+ *
+ * @param {Object} options - Sweep options
+ * @param {number} options.limit - Maximum customers to process (default 200, max 1000)
+ * @param {boolean} options.dryRun - Only report which customers are due
+ * @returns {Promise<{due: number, rolledOver: Array, errors: Array}>} Sweep results
+ */
+async function sweepExpiredPeriods(options = {}) {
+  const limit = Math.min(parseInt(options.limit, 10) || DEFAULT_SWEEP_LIMIT, MAX_SWEEP_LIMIT);
+  const now = new Date().toISOString();
+
+  console.log(`Billing: Sweeping billing periods ended before ${now} (limit ${limit}${options.dryRun ? ', dry run' : ''})`);
+
+  const snapshot = await firestore
+    .collection(CUSTOMERS_COLLECTION)
+    .where('billing_period_end', '<=', now)
+    .limit(limit)
+    .get();
+
+  const rolledOver = [];
+  const errors = [];
+  let skipped = 0;
+
+  for (const doc of snapshot.docs) {
+    const customer = { id: doc.id, ...doc.data() };
+
+    if (customer.status === CUSTOMER_STATUS_CANCELLED) {
+      skipped++;
+      if (!options.dryRun) {
+        try {
+          await doc.ref.update({ billing_period_end: null });
+        } catch (error) {
+          errors.push({ site_token: customer.site_token, error: error.message });
+        }
+      }
+      continue;
+    }
+
+    const ended = {
+      site_token: customer.site_token,
+      period_start: customer.billing_period_start,
+      period_end: customer.billing_period_end,
+    };
+
+    if (options.dryRun) {
+      rolledOver.push(ended);
+      continue;
+    }
+
+    try {
+      const updated = await ensureCurrentPeriod(customer);
+      rolledOver.push({ ...ended, new_period_end: updated.billing_period_end });
+    } catch (error) {
+      errors.push({ site_token: customer.site_token, error: error.message });
+    }
+  }
+
+  console.log(`Billing: Sweep done - ${rolledOver.length} rolled over, ${skipped} cancelled skipped, ${errors.length} errors`);
+
+  return { due: snapshot.size - skipped, rolledOver, errors };
+}
+
+module.exports = {
+  BILLING_PERIOD_DAYS,
+  USAGE_COUNTERS,
+  newBillingPeriod,
+  planRollover,
+  ensureCurrentPeriod,
+  sweepExpiredPeriods,
+};
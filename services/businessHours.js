@@ -0,0 +1,487 @@
+/**
+ * Business Hours Service
+ *
+ * customers/{id}.hours - Structured opening hours:
+ * {
+ *   time_zone: 'America/New_York',
+ *   weekly: { mon: ['09:00-17:00'], ..., sun: [] },         // [] = closed that day
+ *   closures: [{ date: '2026-12-24', end_date: '2026-12-26', name: 'Christmas' }],
+ *   special_hours: [{ date: '2026-11-27', hours: ['10:00-14:00'], name: 'Black Friday' }],
+ *   after_hours: { behavior: 'answer' | 'voicemail', greeting: string|null }
+ * }
+ *
+ * Computes whether the business is open at a moment and when it next opens, so
+ * prompts say "we are closed, we open Monday at 9:00 AM" instead of leaving the
+ * model to interpret a free-text business_hours string. Closures win over special
+ * hours, which win over the weekly hours.
+ *
+ * Customers without structured hours keep the free-text business_hours.
+ */
+
+const {
+  WEEKDAYS,
+  isValidTimeZone,
+  getZonedParts,
+  addDays,
+  formatSpoken,
+  parseHoursRange,
+  zonedMinutesToUtc,
+} = require('../lib/timeZones');
+
+const DEFAULT_TIME_ZONE = process.env.DEFAULT_TIME_ZONE || 'America/New_York';
+
+const AFTER_HOURS_ANSWER = 'answer';
+const AFTER_HOURS_VOICEMAIL = 'voicemail';
+const AFTER_HOURS_BEHAVIORS = [AFTER_HOURS_ANSWER, AFTER_HOURS_VOICEMAIL];
+
+const HOURS_FIELDS = ['time_zone', 'weekly', 'closures', 'special_hours', 'after_hours'];
+
+// Days in the order they are listed to callers
+const WEEK_ORDER = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Limits for closures / special_hours entries and their text
+const MAX_DATED_ENTRIES = 100;
+const MAX_NAME_LENGTH = 100;
+const MAX_GREETING_LENGTH = 500;
+
+// How far ahead to look for the next opening (covers long closures)
+const NEXT_OPEN_SEARCH_DAYS = 366;
+
+// Closures and special hours this close are listed in prompts
+const UPCOMING_DAYS = 14;
+
+/**
+ * Get a customer's structured hours with defaults applied
+ *
+ * @param {Object} customer - Customer document
+ * @returns {Object|null} Hours, or null if the customer only has free-text business_hours
+ */
+function getHours(customer) {
+  if (!customer || !customer.hours) {
+    return null;
+  }
+
+  const stored = customer.hours;
+  return {
+    time_zone: stored.time_zone || DEFAULT_TIME_ZONE,
+    weekly: stored.weekly || {},
+    closures: stored.closures || [],
+    special_hours: stored.special_hours || [],
+    after_hours: { behavior: AFTER_HOURS_ANSWER, greeting: null, ...(stored.after_hours || {}) },
+  };
+}
+
+/**
+ * Whether a string is a real calendar date (YYYY-MM-DD)
+ *
+ * @param {string} date - Date
+ * @returns {boolean}
+ */
+function isValidDate(date) {
+  return typeof date === 'string' && DATE_PATTERN.test(date) &&
+    !isNaN(Date.parse(date)) && new Date(`${date}T00:00:00Z`).toISOString().startsWith(date);
+}
+
+/**
+ * Validate an optional entry name
+ *
+ * @param {*} name - Name
+ * @returns {boolean}
+ */
+function isValidName(name) {
+  return name === undefined || name === null || (typeof name === 'string' && name.length <= MAX_NAME_LENGTH);
+}
+
+/**
+ * Validate an hours update and merge it over the stored hours
+ *
+ * Omitted fields are unchanged. Days omitted from weekly are unchanged ([] closes a day);
+ * closures and special_hours replace the stored lists.
+ *
+ * @param {Object} body - Any of the hours fields
+ * @param {Object} current - Stored hours (optional)
+ * @returns {{hours: Object|null, error: string|null}} Hours to store, or a 400 error message
+ */
+function validateHoursUpdate(body, current = {}) {
+  const unknown = Object.keys(body).filter((field) => !HOURS_FIELDS.includes(field));
+  if (unknown.length > 0) {
+    return { hours: null, error: `Unknown hours settings: ${unknown.join(', ')}` };
+  }
+
+  // Without weekly hours every day would be closed
+  if (!current.weekly && body.weekly === undefined) {
+    return { hours: null, error: 'weekly is required when setting hours for the first time' };
+  }
+
+  const hours = {
+    time_zone: DEFAULT_TIME_ZONE,
+    weekly: {},
+    closures: [],
+    special_hours: [],
+    ...current,
+  };
+
+  if (body.time_zone !== undefined) {
+    if (!isValidTimeZone(body.time_zone)) {
+      return { hours: null, error: 'time_zone must be an IANA time zone (e.g. America/New_York)' };
+    }
+    hours.time_zone = body.time_zone;
+  }
+
+  if (body.weekly !== undefined) {
+    if (!body.weekly || typeof body.weekly !== 'object' || Array.isArray(body.weekly)) {
+      return { hours: null, error: 'weekly must be an object keyed by day (mon..sun)' };
+    }
+
+    const weekly = { ...hours.weekly };
+    for (const [day, ranges] of Object.entries(body.weekly)) {
+      if (!WEEKDAYS.includes(day)) {
+        return { hours: null, error: `Unknown weekly day: ${day} (use mon..sun)` };
+      }
+      if (!Array.isArray(ranges) || ranges.some((range) => !parseHoursRange(range))) {
+        return { hours: null, error: `weekly.${day} must be an array of "HH:MM-HH:MM" ranges` };
+      }
+      weekly[day] = ranges;
+    }
+    hours.weekly = weekly;
+  }
+
+  if (body.closures !== undefined) {
+    if (!Array.isArray(body.closures) || body.closures.length > MAX_DATED_ENTRIES) {
+      return { hours: null, error: `closures must be an array of at most ${MAX_DATED_ENTRIES} entries` };
+    }
+
+    for (const closure of body.closures) {
+      if (!closure || !isValidDate(closure.date)) {
+        return { hours: null, error: 'closures[].date must be a date (YYYY-MM-DD)' };
+      }
+      if (closure.end_date !== undefined && closure.end_date !== null &&
+        (!isValidDate(closure.end_date) || closure.end_date < closure.date)) {
+        return { hours: null, error: 'closures[].end_date must be a date (YYYY-MM-DD) on or after date' };
+      }
+      if (!isValidName(closure.name)) {
+        return { hours: null, error: `closures[].name must be a string of at most ${MAX_NAME_LENGTH} characters` };
+      }
+    }
+
+    hours.closures = body.closures.map((closure) => ({
+      date: closure.date,
+      end_date: closure.end_date || null,
+      name: closure.name || null,
+    }));
+  }
+
+  if (body.special_hours !== undefined) {
+    if (!Array.isArray(body.special_hours) || body.special_hours.length > MAX_DATED_ENTRIES) {
+      return { hours: null, error: `special_hours must be an array of at most ${MAX_DATED_ENTRIES} entries` };
+    }
+
+    const dates = new Set();
+    for (const special of body.special_hours) {
+      if (!special || !isValidDate(special.date)) {
+        return { hours: null, error: 'special_hours[].date must be a date (YYYY-MM-DD)' };
+      }
+      if (dates.has(special.date)) {
+        return { hours: null, error: `special_hours has more than one entry for ${special.date}` };
+      }
+      if (!Array.isArray(special.hours) || special.hours.length === 0 ||
+        special.hours.some((range) => !parseHoursRange(range))) {
+        return { hours: null, error: 'special_hours[].hours must be a non-empty array of "HH:MM-HH:MM" ranges (use closures for closed days)' };
+      }
+      if (!isValidName(special.name)) {
+        return { hours: null, error: `special_hours[].name must be a string of at most ${MAX_NAME_LENGTH} characters` };
+      }
+      dates.add(special.date);
+    }
+
+    hours.special_hours = body.special_hours.map((special) => ({
+      date: special.date,
+      hours: special.hours,
+      name: special.name || null,
+    }));
+  }
+
+  if (body.after_hours !== undefined) {
+    const afterHours = body.after_hours;
+    if (!afterHours || typeof afterHours !== 'object' || Array.isArray(afterHours)) {
+      return { hours: null, error: 'after_hours must be an object' };
+    }
+    if (afterHours.behavior !== undefined && !AFTER_HOURS_BEHAVIORS.includes(afterHours.behavior)) {
+      return { hours: null, error: `after_hours.behavior must be one of: ${AFTER_HOURS_BEHAVIORS.join(', ')}` };
+    }
+    if (afterHours.greeting !== undefined && afterHours.greeting !== null &&
+      (typeof afterHours.greeting !== 'string' || afterHours.greeting.length > MAX_GREETING_LENGTH)) {
+      return { hours: null, error: `after_hours.greeting must be a string of at most ${MAX_GREETING_LENGTH} characters` };
+    }
+
+    const stored = current.after_hours || {};
+    hours.after_hours = {
+      behavior: afterHours.behavior || stored.behavior || AFTER_HOURS_ANSWER,
+      greeting: afterHours.greeting !== undefined ? (afterHours.greeting || null) : (stored.greeting || null),
+    };
+  }
+
+  return { hours, error: null };
+}
+
+/**
+ * Get the opening ranges for a local date
+ *
+ * @param {Object} hours - Hours (from getHours)
+ * @param {string} date - Local date (YYYY-MM-DD)
+ * @returns {{ranges: Array<{start: number, end: number}>, closure: Object|null, special: Object|null}}
+ *   ranges are minutes since midnight, sorted
+ */
+function getDaySchedule(hours, date) {
+  const closure = hours.closures.find((entry) => date >= entry.date && date <= (entry.end_date || entry.date));
+  if (closure) {
+    return { ranges: [], closure, special: null };
+  }
+
+  const special = hours.special_hours.find((entry) => entry.date === date) || null;
+  const weekday = WEEKDAYS[new Date(`${date}T12:00:00Z`).getUTCDay()];
+  const ranges = (special ? special.hours : (hours.weekly[weekday] || []))
+    .map(parseHoursRange)
+    .filter(Boolean)
+    .sort((a, b) => a.start - b.start);
+
+  return { ranges, closure: null, special };
+}
+
+/**
+ * Find when the business next opens after a local date and time
+ *
+ * @param {Object} hours - Hours (from getHours)
+ * @param {string} date - Local date (YYYY-MM-DD)
+ * @param {number} minutes - Minutes since midnight
+ * @returns {Date|null} Next opening, or null if there is none within NEXT_OPEN_SEARCH_DAYS
+ */
+function findNextOpening(hours, date, minutes) {
+  for (let day = 0; day <= NEXT_OPEN_SEARCH_DAYS; day++) {
+    const candidate = addDays(date, day);
+    const range = getDaySchedule(hours, candidate).ranges.find((entry) => day > 0 || entry.start > minutes);
+
+    if (range) {
+      return zonedMinutesToUtc(candidate, range.start, hours.time_zone);
+    }
+  }
+  return null;
+}
+
+/**
+ * Compute whether the business is open at a moment
+ *
+ * @param {Object} hours - Hours (from getHours)
+ * @param {Date} at - Moment (default now)
+ * @returns {{open: boolean, time_zone: string, closes_at: string|null, next_open_at: string|null,
+ *   closure: string|null, special_hours: string|null}}
+ *   closes_at when open, next_open_at when closed (ISO); closure / special_hours name what applies today
+ */
+function getHoursStatus(hours, at = new Date()) {
+  const timeZone = hours.time_zone;
+  const local = getZonedParts(at, timeZone);
+  const minutes = local.hour * 60 + local.minute;
+  const today = getDaySchedule(hours, local.date);
+
+  const current = today.ranges.find((range) => range.start <= minutes && minutes < range.end);
+  const nextOpen = current ? null : findNextOpening(hours, local.date, minutes);
+
+  return {
+    open: Boolean(current),
+    time_zone: timeZone,
+    closes_at: current ? zonedMinutesToUtc(local.date, current.end, timeZone).toISOString() : null,
+    next_open_at: nextOpen ? nextOpen.toISOString() : null,
+    closure: today.closure ? (today.closure.name || 'closed') : null,
+    special_hours: today.special ? (today.special.name || 'special hours') : null,
+  };
+}
+
+/**
+ * Format minutes since midnight for people, e.g. 570 -> "9:30 AM"
+ *
+ * @param {number} minutes - Minutes
+ * @returns {string}
+ */
+function formatMinutes(minutes) {
+  if (minutes === 24 * 60) {
+    return 'midnight';
+  }
+
+  const hour = Math.floor(minutes / 60);
+  const suffix = hour < 12 ? 'AM' : 'PM';
+  return `${hour % 12 || 12}:${String(minutes % 60).padStart(2, '0')} ${suffix}`;
+}
+
+/**
+ * Format "HH:MM-HH:MM" ranges, e.g. "9:00 AM-12:00 PM, 1:00 PM-5:00 PM"
+ *
+ * @param {string[]} ranges - Hours ranges
+ * @returns {string} Ranges, or "closed"
+ */
+function formatRanges(ranges) {
+  const parsed = (ranges || []).map(parseHoursRange).filter(Boolean);
+  if (parsed.length === 0) {
+    return 'closed';
+  }
+  return parsed.map((range) => `${formatMinutes(range.start)}-${formatMinutes(range.end)}`).join(', ');
+}
+
+/**
+ * Format a local date, e.g. "Thursday, November 26"
+ *
+ * @param {string} date - Local date (YYYY-MM-DD)
+ * @returns {string}
+ */
+function formatDate(date) {
+  return new Date(`${date}T12:00:00Z`).toLocaleDateString('en-US', {
+    timeZone: 'UTC',
+    weekday: 'long',
+    month: 'long',
+    day: 'numeric',
+  });
+}
+
+/**
+ * Summarize the hours for prompts, e.g.
+ * "Mon-Fri 9:00 AM-5:00 PM; Sat-Sun closed (times in America/New_York). Closed Thursday, November 26 (Thanksgiving)."
+ *
+ * Only closures and special hours in the next UPCOMING_DAYS days are listed.
+ *
+ * @param {Object} hours - Hours (from getHours)
+ * @param {Date} at - Moment (default now)
+ * @returns {string} Summary
+ */
+function formatHoursSummary(hours, at = new Date()) {
+  // Group consecutive days with the same hours: Mon-Fri 9:00 AM-5:00 PM
+  const groups = [];
+  WEEK_ORDER.forEach((day) => {
+    const text = formatRanges(hours.weekly[day]);
+    const last = groups[groups.length - 1];
+    if (last && last.text === text) {
+      last.to = day;
+    } else {
+      groups.push({ from: day, to: day, text });
+    }
+  });
+
+  const label = (day) => day.charAt(0).toUpperCase() + day.slice(1);
+  const weekly = groups
+    .map((group) => `${label(group.from)}${group.to !== group.from ? `-${label(group.to)}` : ''} ${group.text}`)
+    .join('; ');
+
+  const today = getZonedParts(at, hours.time_zone).date;
+  const horizon = addDays(today, UPCOMING_DAYS);
+  const notes = [];
+
+  hours.closures
+    .filter((closure) => (closure.end_date || closure.date) >= today && closure.date <= horizon)
+    .sort((a, b) => a.date.localeCompare(b.date))
+    .forEach((closure) => {
+      const until = closure.end_date && closure.end_date !== closure.date ? ` through ${formatDate(closure.end_date)}` : '';
+      notes.push(`Closed ${formatDate(closure.date)}${until}${closure.name ? ` (${closure.name})` : ''}.`);
+    });
+
+  hours.special_hours
+    .filter((special) => special.date >= today && special.date <= horizon)
+    .sort((a, b) => a.date.localeCompare(b.date))
+    .forEach((special) => {
+      notes.push(`${formatDate(special.date)}: ${formatRanges(special.hours)}${special.name ? ` (${special.name})` : ''}.`);
+    });
+
+  return [`${weekly} (times in ${hours.time_zone}).`, ...notes].join(' ');
+}
+
+/**
+ * Describe the open / closed status for prompts, e.g.
+ * "Right now it is Monday, October 19 at 6:05 PM. We are CLOSED. We next open Tuesday, October 20 at 9:00 AM."
+ *
+ * @param {Object} hours - Hours (from getHours)
+ * @param {Object} status - Status (from getHoursStatus)
+ * @param {Date} at - Moment the status was computed for
+ * @returns {string} Description
+ */
+function describeHoursStatus(hours, status, at = new Date()) {
+  const timeZone = hours.time_zone;
+  const sentences = [`Right now it is ${formatSpoken(at, timeZone)}.`];
+
+  if (status.open) {
+    const closesAt = new Date(status.closes_at).toLocaleTimeString('en-US', { timeZone, hour: 'numeric', minute: '2-digit' });
+    sentences.push(`We are OPEN until ${closesAt}${status.special_hours ? ` (${status.special_hours})` : ''}.`);
+  } else {
+    sentences.push(`We are CLOSED${status.closure ? ` today (${status.closure})` : ''}.`);
+    sentences.push(status.next_open_at
+      ? `We next open ${formatSpoken(new Date(status.next_open_at), timeZone)}.`
+      : 'We have no upcoming opening hours.');
+  }
+
+  return sentences.join(' ');
+}
+
+/**
+ * Get the hours prompt context for a customer
+ *
+ * @param {Object} customer - Customer document
+ * @param {Date} at - Moment (default now)
+ * @returns {{business_hours: string, hours_status: string, status: Object, after_hours: Object}|null}
+ *   business_hours replaces the free-text hours in prompts; null if the customer has no structured hours
+ */
+function getHoursContext(customer, at = new Date()) {
+  const hours = getHours(customer);
+  if (!hours) {
+    return null;
+  }
+
+  const status = getHoursStatus(hours, at);
+  return {
+    business_hours: formatHoursSummary(hours, at),
+    hours_status: describeHoursStatus(hours, status, at),
+    status,
+    after_hours: hours.after_hours,
+  };
+}
+
+/**
+ * Add structured hours to business_info (prompt context)
+ *
+ * @param {Object} businessInfo - Business information (from WordPress or getBusinessInfo)
+ * @param {Object|null} context - Hours context (from getHoursContext)
+ * @returns {Object} Business information with business_hours / hours_status, unchanged if there is no context
+ */
+function withHoursContext(businessInfo, context) {
+  if (!context) {
+    return businessInfo;
+  }
+
+  return {
+    ...businessInfo,
+    business_hours: context.business_hours,
+    hours_status: context.hours_status,
+  };
+}
+
+/**
+ * Hours status returned to WordPress with chat responses
+ *
+ * @param {Object|null} context - Hours context (from getHoursContext)
+ * @returns {Object|undefined} { open, time_zone, closes_at, next_open_at, closure, special_hours, after_hours }
+ */
+function toHoursResponse(context) {
+  return context ? { ...context.status, after_hours: context.after_hours } : undefined;
+}
+
+module.exports = {
+  AFTER_HOURS_ANSWER,
+  AFTER_HOURS_VOICEMAIL,
+  AFTER_HOURS_BEHAVIORS,
+  getHours,
+  validateHoursUpdate,
+  getDaySchedule,
+  getHoursStatus,
+  formatHoursSummary,
+  describeHoursStatus,
+  getHoursContext,
+  withHoursContext,
+  toHoursResponse,
+};
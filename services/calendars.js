@@ -0,0 +1,478 @@
+/**
+ * Calendar Adapters
+ *
+ * External calendars a customer can connect for appointment booking
+ * (booking_settings.calendar.type):
+ * - none   - Only appointments booked through PhoneEase block slots (default)
+ * - ics    - Read-only ICS feed (e.g. a Google Calendar "secret address in iCal format");
+ *            its events block slots, bookings are not written back
+ * - caldav - CalDAV calendar collection (Nextcloud, Fastmail, iCloud, ...); its events
+ *            block slots and each booking is written to it as an event (Basic auth)
+ *
+ * Each adapter implements getBusyTimes(calendar, start, end, timeZone) and
+ * optionally putEvent(calendar, appointment) / deleteEvent(calendar, appointment).
+ * Recurring events are only expanded by CalDAV (server-side) - RRULEs in ICS feeds are ignored.
+ *
+ * Calendar URLs are customer-supplied, so every request goes through calendarFetch():
+ * https only, no redirects, hosts that resolve to private, loopback or link-local
+ * addresses are refused, and response bodies are capped at MAX_CALENDAR_BYTES.
+ */
+
+const dns = require('dns').promises;
+const net = require('net');
+const { zonedTimeToUtc, isValidTimeZone } = require('../lib/timeZones');
+
+// Give up on a calendar request after this long
+const CALENDAR_TIMEOUT_MS = 10 * 1000;
+
+// Largest calendar response we read
+const MAX_CALENDAR_BYTES = 5 * 1024 * 1024;
+
+// Addresses a calendar host may not resolve to (private, loopback, link-local incl. cloud metadata, ...)
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3],
+].forEach(([prefix, bits]) => BLOCKED_ADDRESSES.addSubnet(prefix, bits, 'ipv4'));
+[
+  ['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8], ['64:ff9b::', 96],
+].forEach(([prefix, bits]) => BLOCKED_ADDRESSES.addSubnet(prefix, bits, 'ipv6'));
+
+// Busy times are cached briefly so checking slots and booking one fetch the calendar once
+const BUSY_CACHE_MS = 60 * 1000;
+const busyCache = new Map();
+
+/**
+ * Unfold and split an iCalendar document into content lines
+ *
+ * @param {string} text - iCalendar text
+ * @returns {Array<{name: string, params: Object, value: string}>} Content lines
+ */
+function parseContentLines(text) {
+  return text
+    .replace(/\r?\n[ \t]/g, '')
+    .split(/\r?\n/)
+    .filter(Boolean)
+    .map((line) => {
+      const colon = line.indexOf(':');
+      const [name, ...params] = line.substring(0, colon).split(';');
+      const paramMap = {};
+      params.forEach((param) => {
+        const [key, value] = param.split('=');
+        paramMap[key.toUpperCase()] = (value || '').replace(/^"|"$/g, '');
+      });
+      return { name: name.toUpperCase(), params: paramMap, value: line.substring(colon + 1) };
+    });
+}
+
+/**
+ * Parse an iCalendar DATE / DATE-TIME value
+ *
+ * @param {Object} line - Content line (DTSTART / DTEND)
+ * @param {string} timeZone - Customer time zone (for floating times)
+ * @returns {Date|null} Instant, or null if unparseable
+ */
+function parseIcsDate(line, timeZone) {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(line.value.trim());
+  if (!match) {
+    return null;
+  }
+
+  const [, year, month, day, hour, minute, , utc] = match;
+  const date = `${year}-${month}-${day}`;
+
+  if (utc) {
+    return new Date(`${date}T${hour}:${minute}:00Z`);
+  }
+
+  // All-day (VALUE=DATE) events block from local midnight
+  const zone = isValidTimeZone(line.params.TZID) ? line.params.TZID : timeZone;
+  return zonedTimeToUtc(date, hour ? `${hour}:${minute}` : '00:00', zone);
+}
+
+/**
+ * Parse an iCalendar DURATION value (e.g. PT1H30M, P1D)
+ *
+ * @param {string} value - Duration
+ * @returns {number} Duration in ms (0 if unparseable)
+ */
+function parseIcsDuration(value) {
+  const match = /^P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(value.trim());
+  if (!match) {
+    return 0;
+  }
+
+  const [, weeks, days, hours, minutes, seconds] = match.map((part) => Number(part) || 0);
+  return ((((weeks * 7 + days) * 24 + hours) * 60 + minutes) * 60 + seconds) * 1000;
+}
+
+/**
+ * Extract busy intervals from iCalendar text
+ *
+ * Cancelled and transparent (free) events are skipped.
+ *
+ * @param {string} text - iCalendar text (VCALENDAR with VEVENTs)
+ * @param {string} timeZone - Customer time zone (for floating and all-day times)
+ * @returns {Array<{start: Date, end: Date}>} Busy intervals
+ */
+function parseBusyTimes(text, timeZone) {
+  const busy = [];
+  let event = null;
+
+  parseContentLines(text).forEach((line) => {
+    if (line.name === 'BEGIN' && line.value === 'VEVENT') {
+      event = {};
+    } else if (line.name === 'END' && line.value === 'VEVENT' && event) {
+      const start = event.DTSTART && parseIcsDate(event.DTSTART, timeZone);
+      let end = event.DTEND && parseIcsDate(event.DTEND, timeZone);
+
+      if (start && !end) {
+        const allDay = !event.DTSTART.value.includes('T');
+        end = new Date(start.getTime() + (event.DURATION
+          ? parseIcsDuration(event.DURATION.value)
+          : (allDay ? 24 * 60 * 60 * 1000 : 0)));
+      }
+
+      const cancelled = event.STATUS && event.STATUS.value === 'CANCELLED';
+      const free = event.TRANSP && event.TRANSP.value === 'TRANSPARENT';
+      if (start && end > start && !cancelled && !free) {
+        busy.push({ start, end });
+      }
+      event = null;
+    } else if (event && !event[line.name]) {
+      event[line.name] = line;
+    }
+  });
+
+  return busy;
+}
+
+/**
+ * Format an instant as an iCalendar UTC DATE-TIME (20250101T090000Z)
+ *
+ * @param {Date|string} date - Instant
+ * @returns {string}
+ */
+function toIcsDate(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Escape an iCalendar TEXT value
+ *
+ * @param {string} text - Text
+ * @returns {string}
+ */
+function escapeIcsText(text) {
+  return String(text || '').replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Build an iCalendar event for an appointment
+ *
+ * @param {Object} appointment - Appointment (id, start, end, name, callback_number, reason, status)
+ * @returns {string} VCALENDAR text
+ */
+function buildIcsEvent(appointment) {
+  const description = [
+    appointment.reason && `Reason: ${appointment.reason}`,
+    appointment.callback_number && `Callback: ${appointment.callback_number}`,
+    `Booked by the PhoneEase receptionist (${appointment.status})`,
+  ].filter(Boolean).join('\n');
+
+  return [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//PhoneEase//Appointments//EN',
+    'BEGIN:VEVENT',
+    `UID:${appointment.id}@phoneease`,
+    `DTSTAMP:${toIcsDate(new Date())}`,
+    `DTSTART:${toIcsDate(appointment.start)}`,
+    `DTEND:${toIcsDate(appointment.end)}`,
+    `SUMMARY:${escapeIcsText(`Appointment: ${appointment.name || 'Caller'}`)}`,
+    `DESCRIPTION:${escapeIcsText(description)}`,
+    `STATUS:${appointment.status === 'confirmed' ? 'CONFIRMED' : 'TENTATIVE'}`,
+    'END:VEVENT',
+    'END:VCALENDAR',
+    '',
+  ].join('\r\n');
+}
+
+/**
+ * Build request headers for a calendar (Basic auth when a username is set)
+ *
+ * @param {Object} calendar - Calendar settings
+ * @param {Object} headers - Extra headers
+ * @returns {Object} Headers
+ */
+function buildHeaders(calendar, headers = {}) {
+  if (calendar.username) {
+    const credentials = Buffer.from(`${calendar.username}:${calendar.password || ''}`).toString('base64');
+    return { ...headers, Authorization: `Basic ${credentials}` };
+  }
+  return headers;
+}
+
+/**
+ * Whether an IP address is one a calendar host may not resolve to
+ *
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} True if private, loopback, link-local or otherwise internal
+ */
+function isBlockedAddress(address) {
+  // BlockList also matches IPv4-mapped IPv6 addresses (::ffff:10.0.0.1) against the IPv4 ranges
+  return BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Whether a calendar URL may be saved (https, and not a literal private address or localhost)
+ *
+ * Hostnames are resolved and checked again on every request (see calendarFetch).
+ *
+ * @param {string} url - Calendar URL
+ * @returns {boolean} True if allowed
+ */
+function isAllowedCalendarUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return false;
+  }
+
+  const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+  return parsed.protocol === 'https:'
+    && hostname !== 'localhost'
+    && !hostname.endsWith('.localhost')
+    && !(net.isIP(hostname) && isBlockedAddress(hostname));
+}
+
+/**
+ * Fetch a customer calendar URL
+ *
+ * @param {string} url - Calendar URL
+ * @param {Object} options - fetch() options
+ * @returns {Promise<{ok: boolean, status: number, text: string}>} Response status and body
+ */
+async function calendarFetch(url, options = {}) {
+  if (!isAllowedCalendarUrl(url)) {
+    throw new Error('Calendar URL must be a public https:// URL');
+  }
+
+  const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+  const addresses = net.isIP(hostname)
+    ? [{ address: hostname }]
+    : await dns.lookup(hostname, { all: true, verbatim: true });
+  if (addresses.length === 0 || addresses.some(({ address }) => isBlockedAddress(address))) {
+    throw new Error(`Calendar host ${hostname} resolves to a private address`);
+  }
+
+  const response = await fetch(url, {
+    ...options,
+    redirect: 'manual',
+    signal: AbortSignal.timeout(CALENDAR_TIMEOUT_MS),
+  });
+
+  const length = Number(response.headers.get('content-length'));
+  if (length > MAX_CALENDAR_BYTES) {
+    throw new Error(`Calendar response is larger than ${MAX_CALENDAR_BYTES} bytes`);
+  }
+
+  const chunks = [];
+  let received = 0;
+  if (response.body) {
+    for await (const chunk of response.body) {
+      received += chunk.length;
+      if (received > MAX_CALENDAR_BYTES) {
+        throw new Error(`Calendar response is larger than ${MAX_CALENDAR_BYTES} bytes`);
+      }
+      chunks.push(chunk);
+    }
+  }
+
+  return { ok: response.ok, status: response.status, text: Buffer.concat(chunks).toString('utf8') };
+}
+
+/**
+ * Get the URL of an appointment's event in a CalDAV collection
+ *
+ * @param {Object} calendar - Calendar settings
+ * @param {Object} appointment - Appointment
+ * @returns {string} Event URL
+ */
+function getEventUrl(calendar, appointment) {
+  return `${calendar.url.replace(/\/?$/, '/')}${appointment.id}.ics`;
+}
+
+/**
+ * Adapters (booking_settings.calendar.type -> implementation)
+ */
+const ADAPTERS = {
+  none: {
+    async getBusyTimes() {
+      return [];
+    },
+  },
+
+  ics: {
+    async getBusyTimes(calendar, start, end, timeZone) {
+      const response = await calendarFetch(calendar.url, {
+        headers: buildHeaders(calendar),
+      });
+
+      if (!response.ok) {
+        throw new Error(`ICS feed returned ${response.status}`);
+      }
+
+      return parseBusyTimes(response.text, timeZone)
+        .filter((busy) => busy.start < end && busy.end > start);
+    },
+  },
+
+  caldav: {
+    async getBusyTimes(calendar, start, end, timeZone) {
+      const range = `start="${toIcsDate(start)}" end="${toIcsDate(end)}"`;
+      const body = `<?xml version="1.0" encoding="utf-8"?>
+<C:calendar-query xmlns:D="DAV:" xmlns:C="urn:ietf:params:xml:ns:caldav">
+  <D:prop><C:calendar-data><C:expand ${range}/></C:calendar-data></D:prop>
+  <C:filter><C:comp-filter name="VCALENDAR"><C:comp-filter name="VEVENT"><C:time-range ${range}/></C:comp-filter></C:comp-filter></C:filter>
+</C:calendar-query>`;
+
+      const response = await calendarFetch(calendar.url, {
+        method: 'REPORT',
+        headers: buildHeaders(calendar, { 'Content-Type': 'application/xml; charset=utf-8', Depth: '1' }),
+        body,
+      });
+
+      if (!response.ok) {
+        throw new Error(`CalDAV REPORT returned ${response.status}`);
+      }
+
+      // Each <calendar-data> element holds one VCALENDAR
+      const xml = response.text;
+      const documents = [...xml.matchAll(/<(?:\w+:)?calendar-data[^>]*>([\s\S]*?)<\/(?:\w+:)?calendar-data>/g)]
+        .map((match) => match[1].replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&'));
+
+      return documents.flatMap((text) => parseBusyTimes(text, timeZone));
+    },
+
+    async putEvent(calendar, appointment) {
+      const response = await calendarFetch(getEventUrl(calendar, appointment), {
+        method: 'PUT',
+        headers: buildHeaders(calendar, { 'Content-Type': 'text/calendar; charset=utf-8' }),
+        body: buildIcsEvent(appointment),
+      });
+
+      if (!response.ok) {
+        throw new Error(`CalDAV PUT returned ${response.status}`);
+      }
+    },
+
+    async deleteEvent(calendar, appointment) {
+      const response = await calendarFetch(getEventUrl(calendar, appointment), {
+        method: 'DELETE',
+        headers: buildHeaders(calendar),
+      });
+
+      // Already gone is fine
+      if (!response.ok && response.status !== 404) {
+        throw new Error(`CalDAV DELETE returned ${response.status}`);
+      }
+    },
+  },
+};
+
+const CALENDAR_TYPES = Object.keys(ADAPTERS);
+
+/**
+ * Get the adapter for a calendar
+ *
+ * @param {Object|null} calendar - booking_settings.calendar
+ * @returns {Object} Adapter
+ */
+function getAdapter(calendar) {
+  return ADAPTERS[(calendar && calendar.type) || 'none'] || ADAPTERS.none;
+}
+
+/**
+ * Get busy intervals from a customer's external calendar
+ *
+ * @param {Object|null} calendar - booking_settings.calendar
+ * @param {Date} start - Range start
+ * @param {Date} end - Range end
+ * @param {string} timeZone - Customer time zone
+ * @returns {Promise<Array<{start: Date, end: Date}>>} Busy intervals
+ */
+async function getBusyTimes(calendar, start, end, timeZone) {
+  const cacheKey = calendar && calendar.url ? `${calendar.url}|${start.toISOString()}|${end.toISOString()}` : null;
+  const cached = cacheKey && busyCache.get(cacheKey);
+
+  if (cached && Date.now() - cached.cachedAt < BUSY_CACHE_MS) {
+    return cached.busy;
+  }
+
+  try {
+    const busy = await getAdapter(calendar).getBusyTimes(calendar, start, end, timeZone);
+
+    if (cacheKey) {
+      busyCache.forEach((entry, key) => {
+        if (Date.now() - entry.cachedAt >= BUSY_CACHE_MS) {
+          busyCache.delete(key);
+        }
+      });
+      busyCache.set(cacheKey, { busy, cachedAt: Date.now() });
+    }
+    return busy;
+  } catch (error) {
+    console.error(`Calendars: Error reading ${calendar.type} calendar:`, error);
+    throw new Error(`Failed to read calendar: ${error.message}`);
+  }
+}
+
+/**
+ * Write (create or update) an appointment to a customer's external calendar
+ *
+ * @param {Object|null} calendar - booking_settings.calendar
+ * @param {Object} appointment - Appointment
+ * @returns {Promise<boolean>} True if written, false if the calendar is read-only / not connected
+ */
+async function putEvent(calendar, appointment) {
+  const adapter = getAdapter(calendar);
+  if (!adapter.putEvent) {
+    return false;
+  }
+
+  busyCache.clear();
+  await adapter.putEvent(calendar, appointment);
+  console.log(`Calendars: Wrote appointment ${appointment.id} to ${calendar.type} calendar`);
+  return true;
+}
+
+/**
+ * Remove an appointment from a customer's external calendar
+ *
+ * @param {Object|null} calendar - booking_settings.calendar
+ * @param {Object} appointment - Appointment
+ * @returns {Promise<boolean>} True if removed, false if the calendar is read-only / not connected
+ */
+async function deleteEvent(calendar, appointment) {
+  const adapter = getAdapter(calendar);
+  if (!adapter.deleteEvent) {
+    return false;
+  }
+
+  busyCache.clear();
+  await adapter.deleteEvent(calendar, appointment);
+  console.log(`Calendars: Removed appointment ${appointment.id} from ${calendar.type} calendar`);
+  return true;
+}
+
+module.exports = {
+  CALENDAR_TYPES,
+  MAX_CALENDAR_BYTES,
+  parseBusyTimes,
+  isAllowedCalendarUrl,
+  getBusyTimes,
+  putEvent,
+  deleteEvent,
+};
@@ -0,0 +1,487 @@
+/**
+ * Owner Corrections Service
+ *
+ * Turns what owners tell the training assistant into receptionist knowledge:
+ * - Each /api/v1/train message is checked for corrections ("no, we actually close at
+ *   6 on Fridays") and instructions ("always ask for the caller's address")
+ * - They are stored as pending proposals - corrections/{id} - for the owner to approve
+ * - Approved ones are copied to the customer document (owner_facts) and added to every
+ *   receptionist prompt, so they apply from the next call on
+ *
+ * A proposal can replace an earlier approved fact (e.g. new Friday hours) - approving
+ * it removes the old one.
+ */
+
+const { Firestore } = require('@google-cloud/firestore');
+const { v4: uuidv4 } = require('uuid');
+const llm = require('./llm');
+
+// Initialize Firestore
+const firestore = new Firestore({
+  projectId: process.env.GOOGLE_CLOUD_PROJECT,
+});
+
+const CORRECTIONS_COLLECTION = 'corrections';
+const CUSTOMERS_COLLECTION = 'customers';
+
+const TYPE_FACT = 'fact';
+const TYPE_INSTRUCTION = 'instruction';
+const CORRECTION_TYPES = [TYPE_FACT, TYPE_INSTRUCTION];
+
+const STATUS_PENDING = 'pending';
+const STATUS_APPROVED = 'approved';
+const STATUS_REJECTED = 'rejected';
+const STATUS_REPLACED = 'replaced';
+const CORRECTION_STATUSES = [STATUS_PENDING, STATUS_APPROVED, STATUS_REJECTED, STATUS_REPLACED];
+
+// Approved facts and instructions per customer (all of them go into every prompt)
+const MAX_OWNER_FACTS = 50;
+
+// Proposals kept from one owner message
+const MAX_PROPOSALS_PER_MESSAGE = 5;
+
+// Pending proposals per customer - new ones are dropped until the owner approves or rejects some
+const MAX_PENDING_CORRECTIONS = 50;
+
+const MAX_TEXT_LENGTH = 500;
+
+// Pagination limits for listCorrections()
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+const DETECTION_INSTRUCTIONS = `You keep an AI phone receptionist's knowledge up to date. A business owner is talking to
+a training assistant. Find what the receptionist should remember from the owner's latest message:
+- fact: a fact about the business, especially a correction ("no, we actually close at 6 on Fridays")
+- instruction: how the receptionist should handle callers ("always ask for the caller's address")
+Reply with ONLY a JSON object, no other text:
+{
+  "corrections": [
+    { "type": "fact" | "instruction", "text": string, "replaces": string or null }
+  ]
+}
+- text: one self-contained sentence, e.g. "We close at 6:00 PM on Fridays." or "Always ask callers for their address."
+- replaces: the id of a saved item this one corrects or replaces, or null
+- Only include what the owner stated as true or asked for. Questions, hypotheticals and test
+  messages ("what would you say if...") are not corrections.
+- Use an empty list if there is nothing to remember.`;
+
+/**
+ * Create a corrections error with a code the routes map to a status
+ *
+ * @param {string} code - NOT_FOUND | INVALID_STATUS | LIMIT_REACHED
+ * @param {string} message - Message
+ * @returns {Error}
+ */
+function correctionsError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Normalize text for duplicate checks
+ *
+ * @param {string} text - Text
+ * @returns {string}
+ */
+function normalize(text) {
+  return String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Get a customer's approved facts and instructions
+ *
+ * @param {Object} customer - Customer document
+ * @returns {Object[]} [{ id, type, text, approved_at }]
+ */
+function getOwnerFacts(customer) {
+  return (customer && customer.owner_facts) || [];
+}
+
+/**
+ * Add approved facts and instructions to business_info (prompt context)
+ *
+ * @param {Object} businessInfo - Business information
+ * @param {Object} customer - Customer document
+ * @returns {Object} Business information with owner_facts / owner_instructions (string[]), unchanged if there are none
+ */
+function withOwnerFacts(businessInfo, customer) {
+  const facts = getOwnerFacts(customer);
+  if (facts.length === 0) {
+    return businessInfo;
+  }
+
+  return {
+    ...businessInfo,
+    owner_facts: facts.filter((fact) => fact.type === TYPE_FACT).map((fact) => fact.text),
+    owner_instructions: facts.filter((fact) => fact.type === TYPE_INSTRUCTION).map((fact) => fact.text),
+  };
+}
+
+/**
+ * Correction safe to return to the client
+ *
+ * @param {Object} correction - Stored correction (with id)
+ * @returns {Object}
+ */
+function toPublicCorrection(correction) {
+  const { customer_id, site_token, ...rest } = correction;
+  return rest;
+}
+
+/**
+ * Format the detection input
+ *
+ * @param {Object} customer - Customer document
+ * @param {Object} businessInfo - Business information the training assistant sees
+ * @param {string} message - Owner's message
+ * @param {Array} conversationHistory - Earlier turns of the training session
+ * @returns {string}
+ */
+function buildDetectionInput(customer, businessInfo, message, conversationHistory) {
+  const facts = getOwnerFacts(customer);
+  const lastReply = [...(conversationHistory || [])].reverse().find((turn) => turn.role === 'assistant');
+
+  return [
+    `Business: ${businessInfo.business_name || customer.business_name}`,
+    `Hours: ${businessInfo.business_hours || 'NOT SET'}`,
+    `Description: ${businessInfo.business_description || 'NOT SET'}`,
+    '',
+    'Saved items:',
+    ...(facts.length > 0 ? facts.map((fact) => `- [${fact.id}] (${fact.type}) ${fact.text}`) : ['(none)']),
+    '',
+    `Training assistant's last reply: ${lastReply ? lastReply.content : '(none)'}`,
+    `Owner's latest message: ${message}`,
+  ].join('\n');
+}
+
+/**
+ * Find corrections and instructions in an owner's training message
+ *
+ * Never throws - a detection failure just means nothing is proposed.
+ *
+ * @param {Object} customer - Customer document
+ * @param {Object} businessInfo - Business information the training assistant sees
+ * @param {string} message - Owner's message
+ * @param {Array} conversationHistory - Earlier turns of the training session
+ * @returns {Promise<Object[]>} Detected items [{ type, text, replaces }] (not saved yet)
+ */
+async function detectCorrections(customer, businessInfo, message, conversationHistory = []) {
+  try {
+    const input = buildDetectionInput(customer, businessInfo, message, conversationHistory);
+    const response = await llm.generateTaskResponse(null, DETECTION_INSTRUCTIONS, input, { maxTokens: 400 });
+    const parsed = llm.parseJsonResponse(response.text);
+
+    if (!parsed || !Array.isArray(parsed.corrections)) {
+      return [];
+    }
+
+    const factIds = new Set(getOwnerFacts(customer).map((fact) => fact.id));
+    const known = new Set(getOwnerFacts(customer).map((fact) => normalize(fact.text)));
+
+    return parsed.corrections
+      .filter((item) => item && CORRECTION_TYPES.includes(item.type) && typeof item.text === 'string' && item.text.trim())
+      .map((item) => ({
+        type: item.type,
+        text: item.text.trim().substring(0, MAX_TEXT_LENGTH),
+        replaces: factIds.has(item.replaces) ? item.replaces : null,
+      }))
+      .filter((item) => {
+        const key = normalize(item.text);
+        if (known.has(key)) {
+          return false;
+        }
+        known.add(key);
+        return true;
+      })
+      .slice(0, MAX_PROPOSALS_PER_MESSAGE);
+  } catch (error) {
+    console.error(`Corrections: Detection failed for ${customer.site_token}:`, error);
+    return [];
+  }
+}
+
+/**
+ * Store detected items as pending proposals
+ *
+ * At most MAX_PENDING_CORRECTIONS proposals wait per customer; items past that are dropped.
+ * Best-effort: errors are logged and nothing is proposed, so the owner still
+ * gets the training reply.
+ *
+ * @param {Object} customer - Customer document
+ * @param {Object[]} detected - Items from detectCorrections()
+ * @param {Object} source - Where they came from
+ * @param {string} source.message - Owner's message
+ * @param {string} source.sessionId - Training session id (optional)
+ * @returns {Promise<Object[]>} Proposals (public form)
+ */
+async function proposeCorrections(customer, detected, source = {}) {
+  if (detected.length === 0) {
+    return [];
+  }
+
+  try {
+    const pendingSnapshot = await firestore
+      .collection(CORRECTIONS_COLLECTION)
+      .where('site_token', '==', customer.site_token)
+      .where('status', '==', STATUS_PENDING)
+      .count()
+      .get();
+    const room = Math.max(0, MAX_PENDING_CORRECTIONS - pendingSnapshot.data().count);
+
+    if (room < detected.length) {
+      console.log(`Corrections: ${customer.site_token} has ${MAX_PENDING_CORRECTIONS - room} pending - dropping ${detected.length - room} proposals`);
+    }
+    if (room === 0) {
+      return [];
+    }
+
+    const now = new Date().toISOString();
+    const batch = firestore.batch();
+
+    const proposals = detected.slice(0, room).map((item) => {
+      const correction = {
+        id: `corr_${uuidv4()}`,
+        customer_id: customer.id,
+        site_token: customer.site_token,
+        type: item.type,
+        text: item.text,
+        replaces: item.replaces || null,
+        status: STATUS_PENDING,
+        source_message: source.message || null,
+        session_id: source.sessionId || null,
+        created_at: now,
+        decided_at: null,
+      };
+      batch.set(firestore.collection(CORRECTIONS_COLLECTION).doc(correction.id), correction);
+      return correction;
+    });
+
+    await batch.commit();
+
+    console.log(`Corrections: Proposed ${proposals.length} for ${customer.site_token}`);
+    return proposals.map(toPublicCorrection);
+  } catch (error) {
+    console.error(`Corrections: Error saving proposals for ${customer.site_token}:`, error);
+    return [];
+  }
+}
+
+/**
+ * Validate the edited text sent with an approval
+ *
+ * @param {*} text - Text from the request body (optional)
+ * @returns {string|null} 400 error message, or null if valid
+ */
+function validateApprovalText(text) {
+  if (text === undefined) {
+    return null;
+  }
+  if (typeof text !== 'string' || !text.trim()) {
+    return 'text must be a non-empty string';
+  }
+  if (text.length > MAX_TEXT_LENGTH) {
+    return `text must be at most ${MAX_TEXT_LENGTH} characters`;
+  }
+  return null;
+}
+
+/**
+ * Approve a proposal - it goes into receptionist prompts from the next turn on
+ *
+ * Approving again is a no-op (or edits the wording when text is sent). Rejected or
+ * replaced proposals can't be approved.
+ *
+ * @param {Object} customer - Customer document
+ * @param {string} correctionId - Correction id
+ * @param {string} text - Edited text (optional - defaults to the proposed text)
+ * @returns {Promise<{correction: Object, ownerFacts: Object[]}>} Approved correction and the customer's facts
+ */
+async function approveCorrection(customer, correctionId, text = undefined) {
+  const correctionRef = firestore.collection(CORRECTIONS_COLLECTION).doc(correctionId);
+  const customerRef = firestore.collection(CUSTOMERS_COLLECTION).doc(customer.id);
+
+  const result = await firestore.runTransaction(async (transaction) => {
+    const doc = await transaction.get(correctionRef);
+
+    if (!doc.exists || doc.data().site_token !== customer.site_token) {
+      throw correctionsError('NOT_FOUND', 'Correction not found');
+    }
+
+    const customerDoc = await transaction.get(customerRef);
+    const correction = { id: doc.id, ...doc.data() };
+    const ownerFacts = customerDoc.exists ? customerDoc.data().owner_facts || [] : [];
+
+    if (correction.status === STATUS_APPROVED) {
+      if (text === undefined || text.trim() === correction.text) {
+        return { correction, ownerFacts, changed: false };
+      }
+
+      // Re-approving with new wording edits the approved text
+      const reworded = ownerFacts.map((fact) => (fact.id === correction.id ? { ...fact, text: text.trim() } : fact));
+      transaction.update(correctionRef, { text: text.trim() });
+      transaction.update(customerRef, { owner_facts: reworded, updated_at: new Date().toISOString() });
+      return { correction: { ...correction, text: text.trim() }, ownerFacts: reworded, changed: true };
+    }
+    if (correction.status !== STATUS_PENDING) {
+      throw correctionsError('INVALID_STATUS', `Correction is ${correction.status}`);
+    }
+
+    const replacedRef = correction.replaces
+      ? firestore.collection(CORRECTIONS_COLLECTION).doc(correction.replaces)
+      : null;
+    const replacedDoc = replacedRef ? await transaction.get(replacedRef) : null;
+
+    const remaining = ownerFacts.filter((fact) => fact.id !== correction.replaces);
+    if (remaining.length >= MAX_OWNER_FACTS) {
+      throw correctionsError('LIMIT_REACHED', `At most ${MAX_OWNER_FACTS} approved corrections - delete one first`);
+    }
+
+    const now = new Date().toISOString();
+    const update = {
+      status: STATUS_APPROVED,
+      text: text !== undefined ? text.trim() : correction.text,
+      decided_at: now,
+    };
+    const updatedFacts = [...remaining, { id: correction.id, type: correction.type, text: update.text, approved_at: now }];
+
+    transaction.update(correctionRef, update);
+    transaction.update(customerRef, { owner_facts: updatedFacts, updated_at: now });
+    if (replacedDoc && replacedDoc.exists) {
+      transaction.update(replacedRef, { status: STATUS_REPLACED, replaced_by: correction.id });
+    }
+
+    return { correction: { ...correction, ...update }, ownerFacts: updatedFacts, changed: true };
+  });
+
+  if (result.changed) {
+    console.log(`Corrections: Approved ${correctionId} for ${customer.site_token}`);
+  }
+  return { correction: toPublicCorrection(result.correction), ownerFacts: result.ownerFacts };
+}
+
+/**
+ * Reject a proposal
+ *
+ * Rejecting again is a no-op. Approved corrections are removed with deleteCorrection().
+ *
+ * @param {Object} customer - Customer document
+ * @param {string} correctionId - Correction id
+ * @returns {Promise<Object>} Rejected correction
+ */
+async function rejectCorrection(customer, correctionId) {
+  const correctionRef = firestore.collection(CORRECTIONS_COLLECTION).doc(correctionId);
+
+  const correction = await firestore.runTransaction(async (transaction) => {
+    const doc = await transaction.get(correctionRef);
+
+    if (!doc.exists || doc.data().site_token !== customer.site_token) {
+      throw correctionsError('NOT_FOUND', 'Correction not found');
+    }
+
+    const current = { id: doc.id, ...doc.data() };
+    if (current.status === STATUS_REJECTED) {
+      return current;
+    }
+    if (current.status !== STATUS_PENDING) {
+      throw correctionsError('INVALID_STATUS', `Correction is ${current.status}`);
+    }
+
+    const update = { status: STATUS_REJECTED, decided_at: new Date().toISOString() };
+    transaction.update(correctionRef, update);
+    return { ...current, ...update };
+  });
+
+  console.log(`Corrections: Rejected ${correctionId} for ${customer.site_token}`);
+  return toPublicCorrection(correction);
+}
+
+/**
+ * Delete a correction (an approved one stops being used in prompts)
+ *
+ * @param {Object} customer - Customer document
+ * @param {string} correctionId - Correction id
+ * @returns {Promise<Object[]>} The customer's remaining facts
+ */
+async function deleteCorrection(customer, correctionId) {
+  const correctionRef = firestore.collection(CORRECTIONS_COLLECTION).doc(correctionId);
+  const customerRef = firestore.collection(CUSTOMERS_COLLECTION).doc(customer.id);
+
+  const ownerFacts = await firestore.runTransaction(async (transaction) => {
+    const doc = await transaction.get(correctionRef);
+
+    if (!doc.exists || doc.data().site_token !== customer.site_token) {
+      throw correctionsError('NOT_FOUND', 'Correction not found');
+    }
+
+    const customerDoc = await transaction.get(customerRef);
+    const current = customerDoc.exists ? customerDoc.data().owner_facts || [] : [];
+    const remaining = current.filter((fact) => fact.id !== correctionId);
+
+    if (remaining.length !== current.length) {
+      transaction.update(customerRef, { owner_facts: remaining, updated_at: new Date().toISOString() });
+    }
+    transaction.delete(correctionRef);
+    return remaining;
+  });
+
+  console.log(`Corrections: Deleted ${correctionId} for ${customer.site_token}`);
+  return ownerFacts;
+}
+
+/**
+ * List a customer's corrections, newest first
+ *
+ * NOTE: Requires a composite index on corrections (site_token ASC, status ASC, created_at DESC).
+ *
+ * @param {string} siteToken - Customer site token
+ * @param {Object} options - Query options
+ * @param {string} options.status - Only corrections with this status (default pending)
+ * @param {number} options.limit - Page size (default 20, max 100)
+ * @param {string} options.pageToken - Correction id to start after (from previous page)
+ * @returns {Promise<{corrections: Object[], nextPageToken: string|null}>}
+ */
+async function listCorrections(siteToken, options = {}) {
+  try {
+    const limit = Math.min(parseInt(options.limit, 10) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+    console.log(`Corrections: Listing ${options.status || STATUS_PENDING} for ${siteToken} (limit ${limit})`);
+
+    let query = firestore
+      .collection(CORRECTIONS_COLLECTION)
+      .where('site_token', '==', siteToken)
+      .where('status', '==', options.status || STATUS_PENDING)
+      .orderBy('created_at', 'desc');
+
+    if (options.pageToken) {
+      const cursorDoc = await firestore.collection(CORRECTIONS_COLLECTION).doc(options.pageToken).get();
+      if (cursorDoc.exists) {
+        query = query.startAfter(cursorDoc);
+      }
+    }
+
+    // Fetch one extra to know if there is another page
+    const snapshot = await query.limit(limit + 1).get();
+    const docs = snapshot.docs.slice(0, limit);
+
+    return {
+      corrections: docs.map((doc) => toPublicCorrection({ id: doc.id, ...doc.data() })),
+      nextPageToken: snapshot.docs.length > limit ? docs[docs.length - 1].id : null,
+    };
+  } catch (error) {
+    console.error('Corrections: Error listing corrections:', error);
+    throw error;
+  }
+}
+
+module.exports = {
+  CORRECTION_STATUSES,
+  getOwnerFacts,
+  withOwnerFacts,
+  detectCorrections,
+  proposeCorrections,
+  validateApprovalText,
+  approveCorrection,
+  rejectCorrection,
+  deleteCorrection,
+  listCorrections,
+};
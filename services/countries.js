@@ -0,0 +1,174 @@
+/**
+ * Country Data for Phone Provisioning
+ *
+ * Supported countries, how business phone numbers are parsed into
+ * country + national destination code (area code), and what Twilio requires
+ * before a number can be purchased there:
+ * - requiresAddress: an Address resource on the sub-account (addressSid)
+ * - requiresBundle:  an approved Regulatory Bundle (bundleSid)
+ */
+
+const DEFAULT_COUNTRY = 'US';
+
+// numberTypes = Twilio availablePhoneNumbers inventories to search, in order
+const COUNTRIES = {
+  US: {
+    name: 'United States',
+    callingCode: '1',
+    numberTypes: ['local'],
+    requiresAddress: false,
+    requiresBundle: false,
+    postalCodePattern: /^\d{5}(-\d{4})?$/,
+  },
+  CA: {
+    name: 'Canada',
+    callingCode: '1',
+    numberTypes: ['local'],
+    requiresAddress: false,
+    requiresBundle: false,
+    postalCodePattern: /^[A-Za-z]\d[A-Za-z] ?\d[A-Za-z]\d$/,
+  },
+  GB: {
+    name: 'United Kingdom',
+    callingCode: '44',
+    numberTypes: ['local', 'mobile'],
+    requiresAddress: true,
+    requiresBundle: true,
+    postalCodePattern: /^[A-Za-z]{1,2}\d[A-Za-z\d]? ?\d[A-Za-z]{2}$/,
+  },
+};
+
+// NANP area codes assigned to Canada (all others are treated as US)
+const CANADIAN_AREA_CODES = [
+  '204', '226', '236', '249', '250', '263', '289', '306', '343', '354', '365', '367', '368', '382', '403',
+  '416', '418', '428', '431', '437', '438', '450', '468', '474', '506', '514', '519', '548', '579', '581',
+  '584', '587', '604', '613', '639', '647', '672', '683', '705', '709', '742', '753', '778', '780', '782',
+  '807', '819', '825', '867', '873', '879', '902', '905',
+];
+
+/**
+ * Get a supported country
+ *
+ * @param {string} code - ISO 3166-1 alpha-2 code (any case)
+ * @returns {Object|null} Country data, or null if unsupported
+ */
+function getCountry(code) {
+  return (code && COUNTRIES[String(code).toUpperCase()]) || null;
+}
+
+/**
+ * Whether a country uses the North American Numbering Plan (+1)
+ *
+ * NANP numbers support area code, postal code and nearNumber searches.
+ *
+ * @param {string} code - ISO country code
+ * @returns {boolean}
+ */
+function isNanpCountry(code) {
+  const country = getCountry(code);
+  return Boolean(country) && country.callingCode === '1';
+}
+
+/**
+ * Split a UK national number (without trunk 0) into destination code and type
+ *
+ * @param {string} national - National significant number, e.g. "2079460000"
+ * @returns {{nationalDestinationCode: string, numberType: string}}
+ */
+function parseUkNationalNumber(national) {
+  if (national[0] === '7') {
+    return { nationalDestinationCode: national.substring(0, 4), numberType: 'mobile' };
+  }
+  if (national[0] === '2') {
+    // 20 London, 29 Cardiff, ...
+    return { nationalDestinationCode: national.substring(0, 2), numberType: 'local' };
+  }
+  if (national[0] === '1' && (national[1] === '1' || national[2] === '1')) {
+    // 11x / 1x1 - 113 Leeds, 121 Birmingham, ...
+    return { nationalDestinationCode: national.substring(0, 3), numberType: 'local' };
+  }
+  if (national[0] === '1') {
+    // 1xxx - 1223 Cambridge, ...
+    return { nationalDestinationCode: national.substring(0, 4), numberType: 'local' };
+  }
+  // 3xx / 8xx / 9xx non-geographic
+  return { nationalDestinationCode: national.substring(0, 3), numberType: 'national' };
+}
+
+/**
+ * Parse a phone number into country and national destination code
+ *
+ * Numbers with a + or 00 prefix are matched by calling code; others are read
+ * as national numbers of defaultCountry. +1 numbers resolve to US or CA by area code.
+ *
+ * @param {string} phoneNumber - Phone number (any format)
+ * @param {string} defaultCountry - Country for numbers without a calling code
+ * @returns {{country: string, callingCode: string, nationalDestinationCode: string, numberType: string, e164: string}|null}
+ */
+function parsePhoneNumber(phoneNumber, defaultCountry = DEFAULT_COUNTRY) {
+  if (!phoneNumber || typeof phoneNumber !== 'string') {
+    return null;
+  }
+
+  const trimmed = phoneNumber.trim();
+  const isInternational = trimmed.startsWith('+') || trimmed.startsWith('00');
+  let digits = trimmed.replace(/\D/g, '');
+  let callingCode;
+
+  if (isInternational) {
+    if (trimmed.startsWith('00')) {
+      digits = digits.substring(2);
+    }
+    callingCode = ['1', '44'].find((code) => digits.startsWith(code));
+    if (!callingCode) {
+      return null;
+    }
+    digits = digits.substring(callingCode.length);
+  } else {
+    const country = getCountry(defaultCountry);
+    if (!country) {
+      return null;
+    }
+    callingCode = country.callingCode;
+
+    if (callingCode === '1' && digits.length === 11 && digits[0] === '1') {
+      digits = digits.substring(1);
+    } else if (callingCode === '44' && digits[0] === '0') {
+      digits = digits.substring(1); // trunk prefix
+    }
+  }
+
+  if (callingCode === '1') {
+    if (digits.length !== 10) {
+      return null;
+    }
+    const areaCode = digits.substring(0, 3);
+    return {
+      country: CANADIAN_AREA_CODES.includes(areaCode) ? 'CA' : 'US',
+      callingCode,
+      nationalDestinationCode: areaCode,
+      numberType: 'local',
+      e164: `+1${digits}`,
+    };
+  }
+
+  // UK national significant numbers are 9-10 digits
+  if (digits.length < 9 || digits.length > 10) {
+    return null;
+  }
+
+  return {
+    country: 'GB',
+    callingCode,
+    ...parseUkNationalNumber(digits),
+    e164: `+44${digits}`,
+  };
+}
+
+module.exports = {
+  DEFAULT_COUNTRY,
+  SUPPORTED_COUNTRIES: Object.keys(COUNTRIES),
+  getCountry,
+  isNanpCountry,
+  parsePhoneNumber,
+};
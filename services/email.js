@@ -0,0 +1,121 @@
+/**
+ * Email Service
+ *
+ * Sends plain-text email through a pluggable transport (EMAIL_TRANSPORT):
+ * - smtp    - Any SMTP server via nodemailer (SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS)
+ * - webhook - POST { from, to, subject, text } as JSON to EMAIL_WEBHOOK_URL
+ *             (e.g. a SendGrid / Mailgun relay or a Zapier hook), with
+ *             Authorization: Bearer EMAIL_WEBHOOK_TOKEN when set
+ * - none    - Email disabled (default)
+ *
+ * Messages are sent from EMAIL_FROM.
+ */
+
+const EMAIL_TRANSPORT = (process.env.EMAIL_TRANSPORT || 'none').toLowerCase();
+const EMAIL_FROM = process.env.EMAIL_FROM || 'PhoneEase <notifications@phoneease.com>';
+
+// Give up on a webhook delivery after this long
+const WEBHOOK_TIMEOUT_MS = 10 * 1000;
+
+// Created on first use so nodemailer is only loaded when SMTP is configured
+let smtpTransporter = null;
+
+/**
+ * Get (or create) the nodemailer SMTP transporter
+ *
+ * @returns {Object} nodemailer transporter
+ */
+function getSmtpTransporter() {
+  if (!smtpTransporter) {
+    const nodemailer = require('nodemailer');
+
+    smtpTransporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT, 10) || 587,
+      secure: process.env.SMTP_SECURE === 'true', // true = implicit TLS (port 465)
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined,
+    });
+  }
+  return smtpTransporter;
+}
+
+/**
+ * Transports (EMAIL_TRANSPORT -> send function)
+ *
+ * Each takes { from, to, subject, text } and resolves with { messageId } (may be null).
+ */
+const TRANSPORTS = {
+  async smtp(message) {
+    if (!process.env.SMTP_HOST) {
+      throw new Error('SMTP_HOST is not configured');
+    }
+
+    const info = await getSmtpTransporter().sendMail(message);
+    return { messageId: info.messageId || null };
+  },
+
+  async webhook(message) {
+    if (!process.env.EMAIL_WEBHOOK_URL) {
+      throw new Error('EMAIL_WEBHOOK_URL is not configured');
+    }
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (process.env.EMAIL_WEBHOOK_TOKEN) {
+      headers.Authorization = `Bearer ${process.env.EMAIL_WEBHOOK_TOKEN}`;
+    }
+
+    const response = await fetch(process.env.EMAIL_WEBHOOK_URL, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(message),
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+    });
+
+    if (!response.ok) {
+      throw new Error(`Email webhook returned ${response.status}`);
+    }
+
+    return { messageId: response.headers.get('x-message-id') };
+  },
+};
+
+/**
+ * Whether email can be sent in this deployment
+ *
+ * @returns {boolean}
+ */
+function isEmailEnabled() {
+  return Boolean(TRANSPORTS[EMAIL_TRANSPORT]);
+}
+
+/**
+ * Send a plain-text email
+ *
+ * @param {Object} message - Email
+ * @param {string} message.to - Recipient address
+ * @param {string} message.subject - Subject line
+ * @param {string} message.text - Plain-text body
+ * @returns {Promise<{messageId: string|null}>}
+ */
+async function sendEmail({ to, subject, text }) {
+  if (!isEmailEnabled()) {
+    throw new Error(`Email is disabled (EMAIL_TRANSPORT=${EMAIL_TRANSPORT})`);
+  }
+
+  try {
+    console.log(`Email: Sending "${subject}" to ${to} via ${EMAIL_TRANSPORT}`);
+    const result = await TRANSPORTS[EMAIL_TRANSPORT]({ from: EMAIL_FROM, to, subject, text });
+    console.log(`Email: Sent${result.messageId ? ` - ${result.messageId}` : ''}`);
+    return result;
+  } catch (error) {
+    console.error('Email: Error sending email:', error);
+    throw new Error(`Failed to send email: ${error.message}`);
+  }
+}
+
+module.exports = {
+  isEmailEnabled,
+  sendEmail,
+};
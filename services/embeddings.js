@@ -0,0 +1,133 @@
+/**
+ * Text Embeddings Service
+ *
+ * Embeds text with a Vertex AI text embedding model for knowledge base retrieval
+ * (services/knowledge.js). The @google-cloud/vertexai SDK has no embeddings API, so
+ * this calls the model's :predict REST endpoint with Application Default Credentials
+ * (the Cloud Run service account in production, gcloud auth locally).
+ */
+
+const { GoogleAuth } = require('google-auth-library');
+
+const LOCATION = process.env.VERTEX_AI_LOCATION || 'us-central1';
+const EMBEDDING_MODEL = process.env.EMBEDDING_MODEL || 'text-embedding-005';
+
+// Set KNOWLEDGE_EMBEDDINGS=false to rank knowledge with BM25 only (offline / local testing)
+const EMBEDDINGS_ENABLED = process.env.KNOWLEDGE_EMBEDDINGS !== 'false';
+
+// Texts per :predict request (the API allows 250 texts / 20,000 tokens - chunks are ~250 tokens)
+const MAX_BATCH_SIZE = 40;
+
+const EMBEDDING_TIMEOUT_MS = 10 * 1000;
+
+const auth = new GoogleAuth({
+  scopes: ['https://www.googleapis.com/auth/cloud-platform'],
+});
+
+/**
+ * Whether embeddings can be used (enabled and a project is configured)
+ *
+ * @returns {boolean}
+ */
+function isEnabled() {
+  return EMBEDDINGS_ENABLED && Boolean(process.env.GOOGLE_CLOUD_PROJECT);
+}
+
+/**
+ * Wait for a promise, rejecting if the signal aborts first
+ *
+ * @param {Promise} promise - Promise to wait for
+ * @param {AbortSignal} signal - Abort signal (e.g. AbortSignal.timeout())
+ * @returns {Promise} The promise's result
+ */
+function untilAborted(promise, signal) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason);
+    if (signal.aborted) {
+      onAbort();
+      return;
+    }
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
+
+/**
+ * Embed texts
+ *
+ * The access token fetch counts toward the first request's timeout.
+ *
+ * @param {string[]} texts - Texts to embed
+ * @param {string} taskType - RETRIEVAL_DOCUMENT (stored chunks) or RETRIEVAL_QUERY (search queries)
+ * @param {Object} options - { timeoutMs } per request (default EMBEDDING_TIMEOUT_MS)
+ * @returns {Promise<number[][]>} One vector per text, in order
+ */
+async function embedTexts(texts, taskType = 'RETRIEVAL_DOCUMENT', options = {}) {
+  if (!isEnabled()) {
+    throw new Error('Embeddings are disabled');
+  }
+
+  const url = `https://${LOCATION}-aiplatform.googleapis.com/v1/projects/${process.env.GOOGLE_CLOUD_PROJECT}` +
+    `/locations/${LOCATION}/publishers/google/models/${EMBEDDING_MODEL}:predict`;
+  const timeoutMs = options.timeoutMs || EMBEDDING_TIMEOUT_MS;
+  let signal = AbortSignal.timeout(timeoutMs);
+  const token = await untilAborted(auth.getAccessToken(), signal);
+  const vectors = [];
+
+  for (let start = 0; start < texts.length; start += MAX_BATCH_SIZE) {
+    const batch = texts.slice(start, start + MAX_BATCH_SIZE);
+    if (start > 0) {
+      signal = AbortSignal.timeout(timeoutMs);
+    }
+
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${token}`,
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({
+        instances: batch.map((content) => ({ content, task_type: taskType })),
+      }),
+      signal,
+    });
+
+    if (!response.ok) {
+      const detail = await response.text().catch(() => '');
+      throw new Error(`Embedding request failed: ${response.status} ${detail.substring(0, 200)}`);
+    }
+
+    const body = await response.json();
+    vectors.push(...body.predictions.map((prediction) => prediction.embeddings.values));
+  }
+
+  return vectors;
+}
+
+/**
+ * Cosine similarity of two vectors
+ *
+ * @param {number[]} a - Vector
+ * @param {number[]} b - Vector (same length)
+ * @returns {number} Similarity (-1 to 1)
+ */
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+module.exports = {
+  EMBEDDING_MODEL,
+  isEnabled,
+  embedTexts,
+  cosineSimilarity,
+};
@@ -8,6 +8,10 @@
  */
 
 const { Firestore } = require('@google-cloud/firestore');
+const { v4: uuidv4 } = require('uuid');
+const billing = require('./billing');
+const { getHoursContext, withHoursContext } = require('./businessHours');
+const { withOwnerFacts } = require('./corrections');
 
 // Initialize Firestore
 const firestore = new Firestore({
@@ -16,9 +20,27 @@ const firestore = new Firestore({
 
 const CUSTOMERS_COLLECTION = 'customers';
 
+// Customer status values
+const CUSTOMER_STATUS_ACTIVE = 'active';
+const CUSTOMER_STATUS_SUSPENDED = 'suspended';
+const CUSTOMER_STATUS_CANCELLED = 'cancelled'; // Deprovisioned - tombstoned document
+
+// Who suspended a customer (suspended_by) - only an admin can lift an admin suspension
+const SUSPENDED_BY_ADMIN = 'admin';
+const SUSPENDED_BY_CUSTOMER = 'customer';
+
+// How long a phone number change holds the customer before another may start
+const PHONE_CHANGE_LEASE_MS = 2 * 60 * 1000;
+
+// Auto-register unknown site_tokens on /api/v1/chat and /api/v1/train (set to 'false' to disable)
+const AUTO_REGISTER_CUSTOMERS = process.env.AUTO_REGISTER_CUSTOMERS !== 'false';
+
 /**
  * Get customer by site_token
  *
+ * Rolls the customer over to a new billing period if the current one has ended.
+ * If the rollover fails the customer is returned as stored.
+ *
  * @param {string} siteToken - The site token to lookup
  * @returns {Promise<Object|null>} Customer document or null if not found
  */
@@ -41,7 +63,14 @@ async function getCustomer(siteToken) {
     const data = { id: doc.id, ...doc.data() };
 
     console.log(`Firestore: Customer found - ${data.business_name}`);
-    return data;
+
+    // The next load or the admin sweep retries a failed rollover
+    try {
+      return await billing.ensureCurrentPeriod(data);
+    } catch (error) {
+      console.error(`Firestore: Billing period rollover failed for ${siteToken}:`, error);
+      return data;
+    }
   } catch (error) {
     console.error('Firestore: Error getting customer:', error);
     throw error;
@@ -93,9 +122,21 @@ async function registerCustomer(siteToken, businessName, additionalInfo = {}) {
       silent_calls: 0,                 // Silent/abandoned calls (subset of filtered)
       test_calls: 0,                   // Owner test calls (FREE)
 
+      // SMS tracking (separate from calls - see services/metering.js)
+      sms_received: 0,                 // Inbound texts
+      sms_sent: 0,                     // Receptionist replies
+      sms_segments: 0,                 // Segments in both directions (what Twilio bills)
+
       // Training tracking
       training_used: 0,
       training_limit: 100,             // Default training limit
+      correction_detections: 0,        // Correction detection model calls (see services/corrections.js)
+
+      // Billing period (rolled over by services/billing.js)
+      ...billing.newBillingPeriod(),
+
+      // Status
+      status: CUSTOMER_STATUS_ACTIVE,
 
       // Timestamps
       created_at: new Date().toISOString(),
@@ -118,23 +159,55 @@ async function registerCustomer(siteToken, businessName, additionalInfo = {}) {
   }
 }
 
+/**
+ * Get customer by site_token, auto-registering if not found
+ *
+ * @param {string} siteToken - The site token
+ * @param {Object} businessInfo - Business info from the request (business_name required)
+ * @returns {Promise<Object|null>} Customer document, or null if not found and auto-registration is disabled
+ */
+async function getOrRegisterCustomer(siteToken, businessInfo) {
+  const customer = await getCustomer(siteToken);
+
+  if (customer) {
+    return customer;
+  }
+
+  if (!AUTO_REGISTER_CUSTOMERS) {
+    console.log('Firestore: Customer not found - auto-registration disabled');
+    return null;
+  }
+
+  console.log('Firestore: Customer not found - auto-registering');
+  return await registerCustomer(siteToken, businessInfo.business_name, {
+    business_hours: businessInfo.business_hours,
+    business_description: businessInfo.business_description,
+  });
+}
+
 /**
  * Increment training usage counter
  *
  * @param {string} customerId - Firestore document ID
+ * @param {Object} options - { correctionDetection } also counts a correction detection call
  * @returns {Promise<void>}
  */
-async function incrementTrainingUsage(customerId) {
+async function incrementTrainingUsage(customerId, options = {}) {
   try {
     console.log(`Firestore: Incrementing training usage for customer: ${customerId}`);
 
+    const updates = {
+      training_used: Firestore.FieldValue.increment(1),
+      updated_at: new Date().toISOString(),
+    };
+    if (options.correctionDetection) {
+      updates.correction_detections = Firestore.FieldValue.increment(1);
+    }
+
     await firestore
       .collection(CUSTOMERS_COLLECTION)
       .doc(customerId)
-      .update({
-        training_used: Firestore.FieldValue.increment(1),
-        updated_at: new Date().toISOString(),
-      });
+      .update(updates);
 
     console.log('Firestore: Training usage incremented');
   } catch (error) {
@@ -175,14 +248,16 @@ async function getCustomerBySiteUrl(siteUrl) {
     console.log(`Firestore: Looking up customer by site_url: ${siteUrl}`);
 
     const customersRef = firestore.collection(CUSTOMERS_COLLECTION);
-    const snapshot = await customersRef.where('site_url', '==', siteUrl).limit(1).get();
+    const snapshot = await customersRef.where('site_url', '==', siteUrl).limit(10).get();
 
-    if (snapshot.empty) {
+    // Ignore tombstones left by deprovisioned customers
+    const doc = snapshot.docs.find((d) => d.data().status !== CUSTOMER_STATUS_CANCELLED);
+
+    if (!doc) {
       console.log('Firestore: No customer found with this site_url');
       return null;
     }
 
-    const doc = snapshot.docs[0];
     const data = { id: doc.id, ...doc.data() };
 
     console.log(`Firestore: Customer found - ${data.business_name} (${data.phone_number})`);
@@ -193,6 +268,260 @@ async function getCustomerBySiteUrl(siteUrl) {
   }
 }
 
+/**
+ * Get customer by provisioned phone number
+ *
+ * Rolls the customer over to a new billing period if the current one has ended.
+ *
+ * @param {string} phoneNumber - PhoneEase number in E.164 format (Twilio "To")
+ * @returns {Promise<Object|null>} Customer data or null if not found
+ */
+async function getCustomerByPhoneNumber(phoneNumber) {
+  try {
+    console.log(`Firestore: Looking up customer by phone_number: ${phoneNumber}`);
+
+    const snapshot = await firestore
+      .collection(CUSTOMERS_COLLECTION)
+      .where('phone_number', '==', phoneNumber)
+      .limit(1)
+      .get();
+
+    if (snapshot.empty) {
+      console.log('Firestore: No customer found with this phone_number');
+      return null;
+    }
+
+    const doc = snapshot.docs[0];
+    const data = { id: doc.id, ...doc.data() };
+
+    console.log(`Firestore: Customer found - ${data.business_name}`);
+
+    // The next load or the admin sweep retries a failed rollover
+    try {
+      return await billing.ensureCurrentPeriod(data);
+    } catch (error) {
+      console.error(`Firestore: Billing period rollover failed for ${siteToken}:`, error);
+      return data;
+    }
+  } catch (error) {
+    console.error('Firestore: Error fetching customer by phone number:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get customer by Twilio sub-account SID
+ *
+ * @param {string} subAccountSid - Twilio sub-account SID (webhook AccountSid)
+ * @returns {Promise<Object|null>} Customer data or null if not found
+ */
+async function getCustomerBySubaccountSid(subAccountSid) {
+  try {
+    console.log(`Firestore: Looking up customer by twilio_subaccount_sid: ${subAccountSid}`);
+
+    const snapshot = await firestore
+      .collection(CUSTOMERS_COLLECTION)
+      .where('twilio_subaccount_sid', '==', subAccountSid)
+      .limit(1)
+      .get();
+
+    if (snapshot.empty) {
+      console.log('Firestore: No customer found with this twilio_subaccount_sid');
+      return null;
+    }
+
+    const doc = snapshot.docs[0];
+    return { id: doc.id, ...doc.data() };
+  } catch (error) {
+    console.error('Firestore: Error fetching customer by sub-account SID:', error);
+    throw error;
+  }
+}
+
+/**
+ * Update customer fields
+ *
+ * @param {string} customerId - Firestore document ID
+ * @param {Object} updates - Fields to update
+ * @returns {Promise<void>}
+ */
+async function updateCustomer(customerId, updates) {
+  try {
+    console.log(`Firestore: Updating customer ${customerId}: ${Object.keys(updates).join(', ')}`);
+
+    await firestore
+      .collection(CUSTOMERS_COLLECTION)
+      .doc(customerId)
+      .update({
+        ...updates,
+        updated_at: new Date().toISOString(),
+      });
+
+    console.log('Firestore: Customer updated');
+  } catch (error) {
+    console.error('Firestore: Error updating customer:', error);
+    throw error;
+  }
+}
+
+/**
+ * Suspend a customer
+ *
+ * An admin suspension replaces a customer's own; a customer can't replace an
+ * admin suspension (nothing changes).
+ *
+ * @param {Object} customer - Customer document
+ * @param {string} suspendedBy - SUSPENDED_BY_ADMIN or SUSPENDED_BY_CUSTOMER
+ * @param {string|null} reason - Reason (optional)
+ * @returns {Promise<void>}
+ */
+async function suspendCustomer(customer, suspendedBy, reason) {
+  if (customer.status === CUSTOMER_STATUS_SUSPENDED &&
+    (customer.suspended_by === SUSPENDED_BY_ADMIN || suspendedBy === SUSPENDED_BY_CUSTOMER)) {
+    return;
+  }
+
+  await updateCustomer(customer.id, {
+    status: CUSTOMER_STATUS_SUSPENDED,
+    suspended_at: new Date().toISOString(),
+    suspended_by: suspendedBy,
+    suspended_reason: typeof reason === 'string' ? reason : null,
+  });
+}
+
+/**
+ * Lift a customer's suspension
+ *
+ * @param {Object} customer - Customer document
+ * @returns {Promise<void>}
+ */
+async function resumeCustomer(customer) {
+  if (customer.status !== CUSTOMER_STATUS_SUSPENDED) {
+    return;
+  }
+
+  await updateCustomer(customer.id, {
+    status: CUSTOMER_STATUS_ACTIVE,
+    suspended_at: null,
+    suspended_by: null,
+    suspended_reason: null,
+  });
+}
+
+/**
+ * Start a phone number change: take the customer's phone_change_in_progress lease
+ *
+ * Only one change runs at a time, so overlapping requests can't both buy a number
+ * and release the same old one.
+ *
+ * @param {string} customerId - Firestore document ID
+ * @param {string} phoneNumber - Number being switched to
+ * @returns {Promise<Object|null>} { customer, leaseId } with the customer as stored now,
+ *   or null if another change holds the lease
+ */
+async function claimPhoneChange(customerId, phoneNumber) {
+  const customerRef = firestore.collection(CUSTOMERS_COLLECTION).doc(customerId);
+
+  return await firestore.runTransaction(async (transaction) => {
+    const customerDoc = await transaction.get(customerRef);
+    if (!customerDoc.exists) {
+      return null;
+    }
+
+    const customer = { id: customerDoc.id, ...customerDoc.data() };
+    const held = customer.phone_change_in_progress;
+    const now = Date.now();
+
+    if (held && new Date(held.lease_expires_at).getTime() > now) {
+      return null;
+    }
+
+    const lease = {
+      id: uuidv4(),
+      phone_number: phoneNumber,
+      started_at: new Date(now).toISOString(),
+      lease_expires_at: new Date(now + PHONE_CHANGE_LEASE_MS).toISOString(),
+    };
+    transaction.update(customerRef, { phone_change_in_progress: lease });
+
+    return { customer: { ...customer, phone_change_in_progress: lease }, leaseId: lease.id };
+  });
+}
+
+/**
+ * Point a customer at a different number, if it still has the number sid we read
+ *
+ * @param {string} customerId - Firestore document ID
+ * @param {string|null} expectedNumberSid - twilio_number_sid the change started from
+ * @param {Object} updates - phone_number, twilio_number_sid, ... to store
+ * @returns {Promise<boolean>} False if twilio_number_sid changed in the meantime (nothing written)
+ */
+async function switchPhoneNumber(customerId, expectedNumberSid, updates) {
+  const customerRef = firestore.collection(CUSTOMERS_COLLECTION).doc(customerId);
+
+  return await firestore.runTransaction(async (transaction) => {
+    const customerDoc = await transaction.get(customerRef);
+    if (!customerDoc.exists || (customerDoc.data().twilio_number_sid || null) !== (expectedNumberSid || null)) {
+      return false;
+    }
+
+    transaction.update(customerRef, { ...updates, updated_at: new Date().toISOString() });
+    return true;
+  });
+}
+
+/**
+ * End a phone number change: drop the lease if this change still holds it
+ *
+ * @param {string} customerId - Firestore document ID
+ * @param {string} leaseId - leaseId from claimPhoneChange
+ * @returns {Promise<void>}
+ */
+async function finishPhoneChange(customerId, leaseId) {
+  const customerRef = firestore.collection(CUSTOMERS_COLLECTION).doc(customerId);
+
+  await firestore.runTransaction(async (transaction) => {
+    const customerDoc = await transaction.get(customerRef);
+    const held = customerDoc.exists ? customerDoc.data().phone_change_in_progress : null;
+
+    if (held && held.id === leaseId) {
+      transaction.update(customerRef, { phone_change_in_progress: null });
+    }
+  });
+}
+
+/**
+ * Build business_info (prompt context) from a stored customer document
+ *
+ * Used where there is no WordPress request carrying business_info
+ * (e.g. Twilio webhooks handled directly by the middleware). Structured hours
+ * replace the free-text business_hours (see services/businessHours.js) and
+ * approved owner corrections are added (see services/corrections.js).
+ *
+ * @param {Object} customer - Customer document
+ * @returns {Object} Business information
+ */
+function getBusinessInfo(customer) {
+  return withOwnerFacts(withHoursContext({
+    business_name: customer.business_name,
+    business_hours: customer.business_hours || null,
+    business_description: customer.business_description || null,
+    services: customer.services || null,
+  }, getHoursContext(customer)), customer);
+}
+
+/**
+ * Check if a customer may use the service
+ *
+ * Customers auto-registered before status existed have no status field.
+ *
+ * @param {Object} customer - Customer document
+ * @returns {boolean} True if active
+ */
+function isCustomerActive(customer) {
+  return !customer.status || customer.status === CUSTOMER_STATUS_ACTIVE;
+}
+
 /**
  * Check if customer has exceeded training limit
  *
@@ -204,10 +533,26 @@ function hasExceededTrainingLimit(customer) {
 }
 
 module.exports = {
+  CUSTOMER_STATUS_ACTIVE,
+  CUSTOMER_STATUS_SUSPENDED,
+  CUSTOMER_STATUS_CANCELLED,
+  SUSPENDED_BY_ADMIN,
+  SUSPENDED_BY_CUSTOMER,
   getCustomer,
   registerCustomer,
+  getOrRegisterCustomer,
   createCustomer,
   incrementTrainingUsage,
   hasExceededTrainingLimit,
   getCustomerBySiteUrl,
+  getCustomerByPhoneNumber,
+  getCustomerBySubaccountSid,
+  updateCustomer,
+  suspendCustomer,
+  resumeCustomer,
+  claimPhoneChange,
+  switchPhoneNumber,
+  finishPhoneChange,
+  getBusinessInfo,
+  isCustomerActive,
 };
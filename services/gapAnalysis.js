@@ -0,0 +1,361 @@
+/**
+ * Configuration Gap Analysis Service
+ *
+ * Builds the setup checklist for /api/v1/train (mode: gap_analysis):
+ * - Settings checks: each stored setting the receptionist relies on is checked directly
+ *   (hours, description, services, greeting, notifications, knowledge base, booking)
+ * - Caller questions: turns from recent calls where the receptionist said it didn't
+ *   know the answer are reviewed by the LLM, which turns them into "add this
+ *   information" items
+ *
+ * The settings checks never depend on the LLM - if it fails or returns something
+ * unusable the checklist is still returned, with analysis_error set.
+ */
+
+const llm = require('./llm');
+const transcripts = require('./transcripts');
+const knowledge = require('./knowledge');
+const businessHours = require('./businessHours');
+const appointments = require('./appointments');
+const { getNotificationPreferences } = require('./notifications');
+const { getZonedParts } = require('../lib/timeZones');
+
+const STATUS_OK = 'ok';
+const STATUS_INCOMPLETE = 'incomplete';
+const STATUS_MISSING = 'missing';
+
+const PRIORITIES = ['high', 'medium', 'low'];
+
+// Calls reviewed for unanswered questions
+const CALL_LOOKBACK_DAYS = 30;
+const MAX_CALLS_REVIEWED = 20;
+const MAX_UNANSWERED_QUESTIONS = 25;
+
+// Checklist items suggested by the LLM
+const MAX_SUGGESTED_ITEMS = 8;
+const MAX_EXAMPLE_QUESTIONS = 5;
+
+// Trim long turns in the analysis prompt
+const MAX_TURN_LENGTH = 300;
+
+// Receptionist replies that mean it couldn't answer the caller's question
+const UNANSWERED_PATTERN = new RegExp([
+  "\\b(don'?t|do not) (have|know)\\b",
+  '\\bnot sure\\b',
+  "\\b(can'?t|cannot|unable to) (tell|say|confirm|answer|provide|help with)\\b",
+  '\\b(check|confirm) (that )?with (the|our)\\b',
+  '\\bhave someone (call|get back|follow up)\\b',
+  '\\b(pass|forward) (that|this|your question)\\b',
+  "\\bno (information|details)\\b",
+].join('|'), 'i');
+
+const GAP_ANALYSIS_INSTRUCTIONS = `You review how well an AI phone receptionist is set up for a small business.
+You get the business configuration, a checklist of settings that were already checked, and
+caller questions the receptionist recently could not answer.
+Reply with ONLY a JSON object, no other text:
+{
+  "summary": string,
+  "items": [
+    { "title": string, "detail": string, "priority": "high" | "medium" | "low", "questions": [string] }
+  ]
+}
+- summary: 1-2 sentences telling the owner what to fix first
+- items: information the receptionist is missing that the owner should add (e.g. prices, service
+  area, parking), based on the unanswered questions and gaps in the configuration. Don't repeat
+  settings that are already on the checklist.
+- title: what to add, e.g. "Add your service area"
+- detail: one sentence on why, mentioning what callers asked
+- questions: the caller questions this item would answer, copied from the list
+- At most ${MAX_SUGGESTED_ITEMS} items, most important first. Use an empty list if nothing is missing.
+Never invent facts about the business.`;
+
+/**
+ * Shorten text for the analysis prompt
+ *
+ * @param {string} text - Text
+ * @returns {string}
+ */
+function truncate(text) {
+  const value = String(text || '').replace(/\s+/g, ' ').trim();
+  return value.length > MAX_TURN_LENGTH ? `${value.substring(0, MAX_TURN_LENGTH - 3)}...` : value;
+}
+
+/**
+ * Build one checklist item
+ *
+ * @param {string} area - Setting area (business_hours, business_description, ..., knowledge)
+ * @param {string} status - ok | incomplete | missing
+ * @param {string} priority - high | medium | low (how much it matters when not ok)
+ * @param {string} title - Short label
+ * @param {string} detail - One sentence for the owner
+ * @returns {Object} Checklist item
+ */
+function checkItem(area, status, priority, title, detail) {
+  return { id: area, area, status, priority, title, detail, source: 'settings' };
+}
+
+/**
+ * Check the stored settings the receptionist relies on
+ *
+ * Request business_info fills in what the customer document doesn't have (the
+ * WordPress plugin sends it with every chat request).
+ *
+ * @param {Object} customer - Customer document
+ * @param {Object} businessInfo - business_info from the request
+ * @param {boolean|null} hasKnowledge - Whether the knowledge base has entries (null: unknown)
+ * @returns {Object[]} Checklist items
+ */
+function checkSettings(customer, businessInfo = {}, hasKnowledge = null) {
+  const items = [];
+  const hours = businessHours.getHours(customer);
+  const freeTextHours = customer.business_hours || businessInfo.business_hours;
+
+  if (hours) {
+    items.push(checkItem('business_hours', STATUS_OK, 'high', 'Business hours',
+      businessHours.formatHoursSummary(hours)));
+
+    const today = getZonedParts(new Date(), hours.time_zone).date;
+    const hasUpcomingClosure = hours.closures.some((closure) => (closure.end_date || closure.date) >= today);
+    items.push(checkItem('closures', hasUpcomingClosure ? STATUS_OK : STATUS_MISSING, 'low', 'Holiday closures',
+      hasUpcomingClosure
+        ? 'Upcoming closures are set.'
+        : 'Add upcoming holidays and closures so callers aren\'t told you\'re open when you\'re not.'));
+  } else {
+    items.push(freeTextHours
+      ? checkItem('business_hours', STATUS_INCOMPLETE, 'medium', 'Business hours',
+        'Hours are free text. Set structured hours so the receptionist knows when you\'re open right now and can handle holidays and after-hours calls.')
+      : checkItem('business_hours', STATUS_MISSING, 'high', 'Business hours',
+        'Callers ask when you\'re open more than anything else - add your hours.'));
+  }
+
+  items.push(customer.business_description || businessInfo.business_description
+    ? checkItem('business_description', STATUS_OK, 'high', 'Business description', 'Set.')
+    : checkItem('business_description', STATUS_MISSING, 'high', 'Business description',
+      'Describe what the business does so the receptionist can answer basic questions.'));
+
+  items.push(customer.services || businessInfo.services
+    ? checkItem('services', STATUS_OK, 'medium', 'Services', 'Set.')
+    : checkItem('services', STATUS_MISSING, 'medium', 'Services',
+      'List the services you offer (and prices if you share them) so callers get real answers.'));
+
+  items.push(customer.greeting
+    ? checkItem('greeting', STATUS_OK, 'low', 'Greeting', 'Set.')
+    : checkItem('greeting', STATUS_MISSING, 'low', 'Greeting',
+      'Callers hear a generic greeting - add one in your own words.'));
+
+  items.push(customer.business_phone
+    ? checkItem('business_phone', STATUS_OK, 'medium', 'Business phone', 'Set.')
+    : checkItem('business_phone', STATUS_MISSING, 'medium', 'Business phone',
+      'Add your own phone number - call summaries are texted to it and your test calls aren\'t billed.'));
+
+  const notifications = getNotificationPreferences(customer);
+  const notified = (notifications.sms.enabled && notifications.sms.to) ||
+    (notifications.email.enabled && notifications.email.to);
+  items.push(notified
+    ? checkItem('notifications', STATUS_OK, 'medium', 'Call notifications', 'You get a summary after each call.')
+    : checkItem('notifications', STATUS_MISSING, 'medium', 'Call notifications',
+      'Turn on text or email summaries so you hear about every call.'));
+
+  if (hasKnowledge !== null) {
+    items.push(hasKnowledge
+      ? checkItem('knowledge', STATUS_OK, 'medium', 'Knowledge base', 'FAQs or documents are added.')
+      : checkItem('knowledge', STATUS_MISSING, 'medium', 'Knowledge base',
+        'Add FAQs or documents (price list, policies) so the receptionist can answer detailed questions.'));
+  }
+
+  items.push(appointments.getBookingSettings(customer).enabled
+    ? checkItem('booking', STATUS_OK, 'low', 'Appointment booking', 'The receptionist can book appointments.')
+    : checkItem('booking', STATUS_MISSING, 'low', 'Appointment booking',
+      'Optional - turn on booking so callers can schedule an appointment during the call.'));
+
+  return items;
+}
+
+/**
+ * Find recent caller questions the receptionist couldn't answer
+ *
+ * @param {string} siteToken - Customer site token
+ * @returns {Promise<{questions: Object[], callsReviewed: number}>} questions: [{ call_id, question, reply, at }] newest first
+ */
+async function findUnansweredQuestions(siteToken) {
+  const from = new Date(Date.now() - CALL_LOOKBACK_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  const { calls } = await transcripts.listCalls(siteToken, { from, limit: MAX_CALLS_REVIEWED });
+  const withTurns = calls.filter((call) => call.turn_count > 0);
+
+  const details = await Promise.all(withTurns.map((call) => transcripts.getCall(siteToken, call.id)));
+  const questions = [];
+
+  details.filter(Boolean).forEach((call) => {
+    call.turns
+      .filter((turn) => turn.caller_message && UNANSWERED_PATTERN.test(turn.ai_response || ''))
+      .forEach((turn) => questions.push({
+        call_id: call.id,
+        question: truncate(turn.caller_message),
+        reply: truncate(turn.ai_response),
+        at: turn.created_at,
+      }));
+  });
+
+  return {
+    questions: questions.slice(0, MAX_UNANSWERED_QUESTIONS),
+    callsReviewed: withTurns.length,
+  };
+}
+
+/**
+ * Format the analysis input
+ *
+ * @param {Object} customer - Customer document
+ * @param {Object} businessInfo - Business information (with structured hours applied)
+ * @param {Object[]} checklist - Settings checklist
+ * @param {Object[]} questions - Unanswered questions
+ * @returns {string}
+ */
+function buildAnalysisInput(customer, businessInfo, checklist, questions) {
+  const lines = [
+    `Business: ${businessInfo.business_name || customer.business_name}`,
+    `Description: ${businessInfo.business_description || customer.business_description || 'NOT SET'}`,
+    `Services: ${businessInfo.services || customer.services || 'NOT SET'}`,
+    `Hours: ${businessInfo.business_hours || customer.business_hours || 'NOT SET'}`,
+    '',
+    'Checklist:',
+    ...checklist.map((item) => `- [${item.status}] ${item.title}: ${item.detail}`),
+    '',
+    `Unanswered caller questions (${questions.length}):`,
+    ...(questions.length > 0
+      ? questions.map((question) => `- "${question.question}" (receptionist said: "${question.reply}")`)
+      : ['(none)']),
+  ];
+
+  return lines.join('\n');
+}
+
+/**
+ * Checklist items from the LLM's suggestions
+ *
+ * @param {Array} suggestions - Parsed items
+ * @returns {Object[]} Checklist items
+ */
+function toSuggestedItems(suggestions) {
+  return (Array.isArray(suggestions) ? suggestions : [])
+    .filter((item) => item && typeof item.title === 'string' && item.title.trim())
+    .slice(0, MAX_SUGGESTED_ITEMS)
+    .map((item, index) => ({
+      id: `suggestion_${index + 1}`,
+      area: 'knowledge',
+      status: STATUS_MISSING,
+      priority: PRIORITIES.includes(item.priority) ? item.priority : 'medium',
+      title: item.title.trim(),
+      detail: typeof item.detail === 'string' ? item.detail.trim() : '',
+      source: 'calls',
+      example_questions: (Array.isArray(item.questions) ? item.questions : [])
+        .filter((question) => typeof question === 'string' && question.trim())
+        .slice(0, MAX_EXAMPLE_QUESTIONS),
+    }));
+}
+
+/**
+ * Checklist item used when the LLM is unavailable but callers went unanswered
+ *
+ * @param {Object[]} questions - Unanswered questions
+ * @returns {Object} Checklist item
+ */
+function buildFallbackItem(questions) {
+  return {
+    id: 'suggestion_1',
+    area: 'knowledge',
+    status: STATUS_MISSING,
+    priority: 'medium',
+    title: 'Answer recent caller questions',
+    detail: `The receptionist couldn't answer ${questions.length} caller question(s) in the last ${CALL_LOOKBACK_DAYS} days - add the answers to your knowledge base.`,
+    source: 'calls',
+    example_questions: questions.slice(0, MAX_EXAMPLE_QUESTIONS).map((question) => question.question),
+  };
+}
+
+/**
+ * Summary used when the LLM is unavailable or returns something unusable
+ *
+ * @param {Object[]} checklist - Checklist items
+ * @returns {string}
+ */
+function buildFallbackSummary(checklist) {
+  const open = checklist.filter((item) => item.status !== STATUS_OK);
+  if (open.length === 0) {
+    return 'Everything we check is set up.';
+  }
+
+  const first = open.find((item) => item.priority === 'high') || open[0];
+  return `${open.length} item(s) need attention - start with: ${first.title}.`;
+}
+
+/**
+ * Run a gap analysis for a customer
+ *
+ * @param {Object} customer - Customer document
+ * @param {Object} businessInfo - Business information (with structured hours applied)
+ * @param {string} model - Model id (optional - defaults to TASK_MODEL)
+ * @returns {Promise<Object>} { summary, checklist, unanswered_questions, calls_reviewed,
+ *   tokens_used, model, provider, analysis_error? }
+ */
+async function analyzeGaps(customer, businessInfo, model = null) {
+  const [knowledgePage, unanswered] = await Promise.all([
+    knowledge.listEntries(customer.site_token, { limit: 1 }).catch((error) => {
+      console.error('GapAnalysis: Error checking knowledge base:', error);
+      return null;
+    }),
+    findUnansweredQuestions(customer.site_token).catch((error) => {
+      console.error('GapAnalysis: Error reviewing calls:', error);
+      return { questions: [], callsReviewed: 0 };
+    }),
+  ]);
+
+  const settingsItems = checkSettings(customer, businessInfo, knowledgePage ? knowledgePage.entries.length > 0 : null);
+
+  try {
+    const input = buildAnalysisInput(customer, businessInfo, settingsItems, unanswered.questions);
+    const response = await llm.generateTaskResponse(model, GAP_ANALYSIS_INSTRUCTIONS, input, { maxTokens: 1024 });
+    const parsed = llm.parseJsonResponse(response.text);
+
+    if (!parsed || typeof parsed.summary !== 'string' || !parsed.summary.trim()) {
+      throw new Error('Unusable gap analysis response');
+    }
+
+    console.log(`GapAnalysis: ${customer.site_token} reviewed with ${response.model}`);
+    return {
+      summary: parsed.summary.trim(),
+      checklist: [...settingsItems, ...toSuggestedItems(parsed.items)],
+      unanswered_questions: unanswered.questions,
+      calls_reviewed: unanswered.callsReviewed,
+      tokens_used: response.tokensUsed,
+      model: response.model,
+      provider: response.provider,
+    };
+  } catch (error) {
+    console.error(`GapAnalysis: Error analyzing ${customer.site_token} - returning settings checks only:`, error);
+
+    const checklist = unanswered.questions.length > 0
+      ? [...settingsItems, buildFallbackItem(unanswered.questions)]
+      : settingsItems;
+
+    return {
+      summary: buildFallbackSummary(checklist),
+      checklist,
+      unanswered_questions: unanswered.questions,
+      calls_reviewed: unanswered.callsReviewed,
+      tokens_used: 0,
+      model: null,
+      provider: null,
+      analysis_error: error.message,
+    };
+  }
+}
+
+module.exports = {
+  STATUS_OK,
+  STATUS_INCOMPLETE,
+  STATUS_MISSING,
+  checkSettings,
+  findUnansweredQuestions,
+  analyzeGaps,
+};
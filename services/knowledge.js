@@ -0,0 +1,524 @@
+/**
+ * Knowledge Base Service
+ *
+ * Owner-provided FAQ entries and documents the receptionist answers from:
+ * - knowledge/{entryId}               - Entry as the owner wrote it (faq: question + answer, document: title + content)
+ * - knowledge_chunks/{entryId}_{n}    - Retrieval chunks with their embedding
+ *
+ * Entries are split into chunks and embedded with Vertex AI (services/embeddings.js).
+ * On each conversation turn the chunks closest to what the caller asked are added to
+ * the receptionist prompt. Chunks without a current embedding, and all chunks when
+ * embeddings are off or fail, are ranked with BM25 instead (lib/bm25.js), so retrieval
+ * also works offline.
+ *
+ * Chunks are loaded per customer and cached in memory with their BM25 index
+ * (CHUNK_CACHE_MS) - edits on another instance show up once its cache expires.
+ * A customer can have at most MAX_CHUNKS_PER_CUSTOMER chunks; saves past that are refused.
+ */
+
+const { Firestore } = require('@google-cloud/firestore');
+const { v4: uuidv4 } = require('uuid');
+const embeddings = require('./embeddings');
+const bm25 = require('../lib/bm25');
+
+// Initialize Firestore
+const firestore = new Firestore({
+  projectId: process.env.GOOGLE_CLOUD_PROJECT,
+});
+
+const KNOWLEDGE_COLLECTION = 'knowledge';
+const CHUNKS_COLLECTION = 'knowledge_chunks';
+
+const TYPE_FAQ = 'faq';
+const TYPE_DOCUMENT = 'document';
+const ENTRY_TYPES = [TYPE_FAQ, TYPE_DOCUMENT];
+
+// Field limits (request bodies are capped at 100kb by express.json)
+const MAX_TITLE_LENGTH = 200;
+const MAX_QUESTION_LENGTH = 500;
+const MAX_ANSWER_LENGTH = 5000;
+const MAX_CONTENT_LENGTH = 50000;
+
+// Target chunk size (characters) - about 250 tokens
+const CHUNK_CHARS = 1000;
+
+// Most chunks a customer can have (saves past it are refused, retrieval loads no more)
+const MAX_CHUNKS_PER_CUSTOMER = 2000;
+
+// Chunks added to the prompt per turn
+const TOP_K = 3;
+
+// Embedding matches below this cosine similarity are not relevant enough to add
+const MIN_SIMILARITY = 0.55;
+
+// Query embeddings are on the call's critical path - fall back to BM25 rather than wait
+const QUERY_EMBEDDING_TIMEOUT_MS = 1500;
+
+const CHUNK_CACHE_MS = 5 * 60 * 1000;
+
+// Pagination limits for listEntries()
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// site_token -> { chunks, index (BM25, built on first search), cachedAt }
+const chunkCache = new Map();
+
+/**
+ * Create a knowledge error with a code the routes map to a status
+ *
+ * @param {string} code - NOT_FOUND, LIMIT_REACHED
+ * @param {string} message - Message
+ * @returns {Error}
+ */
+function knowledgeError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Validate a knowledge entry (create or full replace)
+ *
+ * @param {Object} body - { type: 'faq', question, answer } or { type: 'document', title, content }
+ * @returns {{fields: Object|null, error: string|null}} Entry fields, or a 400 error message
+ */
+function validateEntry(body) {
+  const text = (value) => (typeof value === 'string' ? value.trim() : '');
+  const type = body.type || TYPE_FAQ;
+
+  if (!ENTRY_TYPES.includes(type)) {
+    return { fields: null, error: `type must be one of: ${ENTRY_TYPES.join(', ')}` };
+  }
+
+  if (type === TYPE_FAQ) {
+    const question = text(body.question);
+    const answer = text(body.answer);
+
+    if (!question || question.length > MAX_QUESTION_LENGTH) {
+      return { fields: null, error: `question is required (at most ${MAX_QUESTION_LENGTH} characters)` };
+    }
+    if (!answer || answer.length > MAX_ANSWER_LENGTH) {
+      return { fields: null, error: `answer is required (at most ${MAX_ANSWER_LENGTH} characters)` };
+    }
+    return { fields: { type, title: question, question, answer, content: null }, error: null };
+  }
+
+  const title = text(body.title);
+  const content = text(body.content);
+
+  if (!title || title.length > MAX_TITLE_LENGTH) {
+    return { fields: null, error: `title is required (at most ${MAX_TITLE_LENGTH} characters)` };
+  }
+  if (!content || content.length > MAX_CONTENT_LENGTH) {
+    return { fields: null, error: `content is required (at most ${MAX_CONTENT_LENGTH} characters)` };
+  }
+  return { fields: { type, title, question: null, answer: null, content }, error: null };
+}
+
+/**
+ * Split text into chunks of about CHUNK_CHARS, on paragraph then sentence boundaries
+ *
+ * @param {string} text - Text
+ * @returns {string[]} Chunks
+ */
+function chunkText(text) {
+  // Paragraphs, then sentences for long paragraphs, then hard cuts for very long sentences
+  const pieces = [];
+  text.split(/\n\s*\n/).map((paragraph) => paragraph.replace(/\s+/g, ' ').trim()).filter(Boolean)
+    .forEach((paragraph) => {
+      if (paragraph.length <= CHUNK_CHARS) {
+        pieces.push(paragraph);
+        return;
+      }
+      paragraph.split(/(?<=[.!?])\s+/).forEach((sentence) => {
+        for (let start = 0; start < sentence.length; start += CHUNK_CHARS) {
+          pieces.push(sentence.substring(start, start + CHUNK_CHARS));
+        }
+      });
+    });
+
+  const chunks = [];
+  let current = '';
+  pieces.forEach((piece) => {
+    if (current && current.length + piece.length + 1 > CHUNK_CHARS) {
+      chunks.push(current);
+      current = '';
+    }
+    current = current ? `${current}\n${piece}` : piece;
+  });
+  if (current) {
+    chunks.push(current);
+  }
+
+  return chunks;
+}
+
+/**
+ * Build the retrieval chunks for an entry
+ *
+ * FAQ entries are one chunk (question and answer together); document chunks
+ * carry the title so they make sense on their own.
+ *
+ * @param {Object} fields - Entry fields
+ * @returns {string[]} Chunk texts
+ */
+function buildChunks(fields) {
+  if (fields.type === TYPE_FAQ) {
+    return [`Q: ${fields.question}\nA: ${fields.answer}`];
+  }
+  return chunkText(fields.content).map((chunk) => `${fields.title}: ${chunk}`);
+}
+
+/**
+ * Entry as returned by the API (document content only when asked for)
+ *
+ * @param {Object} entry - Entry (with id)
+ * @param {boolean} includeContent - Include document content
+ * @returns {Object}
+ */
+function toPublicEntry(entry, includeContent = false) {
+  const { content, ...rest } = entry;
+  return {
+    ...rest,
+    content_length: content ? content.length : 0,
+    ...(includeContent && { content: content || null }),
+  };
+}
+
+/**
+ * Save a knowledge entry: store it, replace its chunks and embed them
+ *
+ * Embedding is best-effort: if it fails the entry is saved without embeddings
+ * (embedding_error is set) and retrieval falls back to BM25.
+ *
+ * @param {Object} customer - Customer document
+ * @param {Object} fields - Validated entry fields (validateEntry)
+ * @param {string} entryId - Existing entry id to replace (optional)
+ * @returns {Promise<Object>} Saved entry (public form)
+ */
+async function saveEntry(customer, fields, entryId = null) {
+  try {
+    const entryRef = firestore.collection(KNOWLEDGE_COLLECTION).doc(entryId || `kb_${uuidv4()}`);
+    const now = new Date().toISOString();
+
+    let existing = null;
+    if (entryId) {
+      const doc = await entryRef.get();
+      if (!doc.exists || doc.data().site_token !== customer.site_token) {
+        throw knowledgeError('NOT_FOUND', 'Knowledge entry not found');
+      }
+      existing = doc.data();
+    }
+
+    const texts = buildChunks(fields);
+
+    const countSnapshot = await firestore
+      .collection(CHUNKS_COLLECTION)
+      .where('site_token', '==', customer.site_token)
+      .count()
+      .get();
+    const chunkTotal = countSnapshot.data().count - (existing ? existing.chunk_count || 0 : 0) + texts.length;
+    if (chunkTotal > MAX_CHUNKS_PER_CUSTOMER) {
+      throw knowledgeError(
+        'LIMIT_REACHED',
+        `Knowledge base is full (${MAX_CHUNKS_PER_CUSTOMER} chunks of about ${CHUNK_CHARS} characters) - shorten or delete entries first`
+      );
+    }
+
+    let vectors = null;
+    let embeddingError = null;
+    if (embeddings.isEnabled()) {
+      try {
+        vectors = await embeddings.embedTexts(texts, 'RETRIEVAL_DOCUMENT');
+      } catch (error) {
+        console.error(`Knowledge: Embedding failed for ${entryRef.id}:`, error.message);
+        embeddingError = error.message;
+      }
+    }
+
+    const entry = {
+      customer_id: customer.id,
+      site_token: customer.site_token,
+      ...fields,
+      chunk_count: texts.length,
+      embedding_model: vectors ? embeddings.EMBEDDING_MODEL : null,
+      embedding_error: embeddingError,
+      created_at: existing ? existing.created_at : now,
+      updated_at: now,
+    };
+
+    const oldChunks = existing
+      ? await firestore.collection(CHUNKS_COLLECTION).where('entry_id', '==', entryRef.id).get()
+      : { docs: [] };
+
+    // Entries have at most MAX_CONTENT_LENGTH / CHUNK_CHARS chunks, well within a batch's 500 writes
+    const batch = firestore.batch();
+    oldChunks.docs.forEach((doc) => batch.delete(doc.ref));
+    batch.set(entryRef, entry);
+    texts.forEach((text, index) => {
+      batch.set(firestore.collection(CHUNKS_COLLECTION).doc(`${entryRef.id}_${index}`), {
+        site_token: customer.site_token,
+        entry_id: entryRef.id,
+        index,
+        title: fields.title,
+        text,
+        embedding: vectors ? vectors[index] : null,
+        embedding_model: vectors ? embeddings.EMBEDDING_MODEL : null,
+      });
+    });
+    await batch.commit();
+
+    chunkCache.delete(customer.site_token);
+    console.log(`Knowledge: Saved ${entryRef.id} for ${customer.site_token} (${texts.length} chunks${vectors ? ', embedded' : ''})`);
+
+    return toPublicEntry({ id: entryRef.id, ...entry });
+  } catch (error) {
+    if (error.code !== 'NOT_FOUND' && error.code !== 'LIMIT_REACHED') {
+      console.error('Knowledge: Error saving entry:', error);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Get a knowledge entry
+ *
+ * @param {string} siteToken - Customer site token
+ * @param {string} entryId - Entry id
+ * @returns {Promise<Object>} Entry (public form, with content)
+ */
+async function getEntry(siteToken, entryId) {
+  const doc = await firestore.collection(KNOWLEDGE_COLLECTION).doc(entryId).get();
+
+  if (!doc.exists || doc.data().site_token !== siteToken) {
+    throw knowledgeError('NOT_FOUND', 'Knowledge entry not found');
+  }
+  return toPublicEntry({ id: doc.id, ...doc.data() }, true);
+}
+
+/**
+ * Delete a knowledge entry and its chunks
+ *
+ * @param {Object} customer - Customer document
+ * @param {string} entryId - Entry id
+ * @returns {Promise<void>}
+ */
+async function deleteEntry(customer, entryId) {
+  const entryRef = firestore.collection(KNOWLEDGE_COLLECTION).doc(entryId);
+  const doc = await entryRef.get();
+
+  if (!doc.exists || doc.data().site_token !== customer.site_token) {
+    throw knowledgeError('NOT_FOUND', 'Knowledge entry not found');
+  }
+
+  const chunks = await firestore.collection(CHUNKS_COLLECTION).where('entry_id', '==', entryId).get();
+  const batch = firestore.batch();
+  chunks.docs.forEach((chunk) => batch.delete(chunk.ref));
+  batch.delete(entryRef);
+  await batch.commit();
+
+  chunkCache.delete(customer.site_token);
+  console.log(`Knowledge: Deleted ${entryId} for ${customer.site_token}`);
+}
+
+/**
+ * List a customer's knowledge entries, newest first (document content omitted)
+ *
+ * Requires composite indexes on knowledge: site_token ASC, created_at DESC
+ * (and site_token ASC, type ASC, created_at DESC for the type filter).
+ *
+ * @param {string} siteToken - Customer site token
+ * @param {Object} options - Query options
+ * @param {string} options.type - Only entries of this type
+ * @param {number} options.limit - Page size (default 20, max 100)
+ * @param {string} options.pageToken - Entry id to start after (from previous page)
+ * @returns {Promise<{entries: Object[], nextPageToken: string|null}>}
+ */
+async function listEntries(siteToken, options = {}) {
+  try {
+    const limit = Math.min(parseInt(options.limit, 10) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+    console.log(`Knowledge: Listing entries for ${siteToken} (limit ${limit})`);
+
+    let query = firestore
+      .collection(KNOWLEDGE_COLLECTION)
+      .where('site_token', '==', siteToken);
+
+    if (options.type) {
+      query = query.where('type', '==', options.type);
+    }
+
+    query = query.orderBy('created_at', 'desc');
+
+    if (options.pageToken) {
+      const cursorDoc = await firestore.collection(KNOWLEDGE_COLLECTION).doc(options.pageToken).get();
+      if (cursorDoc.exists) {
+        query = query.startAfter(cursorDoc);
+      }
+    }
+
+    // Fetch one extra to know if there is another page
+    const snapshot = await query.limit(limit + 1).get();
+    const docs = snapshot.docs.slice(0, limit);
+
+    return {
+      entries: docs.map((doc) => toPublicEntry({ id: doc.id, ...doc.data() })),
+      nextPageToken: snapshot.docs.length > limit ? docs[docs.length - 1].id : null,
+    };
+  } catch (error) {
+    console.error('Knowledge: Error listing entries:', error);
+    throw error;
+  }
+}
+
+/**
+ * Load a customer's chunks (cached for CHUNK_CACHE_MS)
+ *
+ * @param {string} siteToken - Customer site token
+ * @returns {Promise<Object>} Cache entry { chunks: [{ entry_id, title, text, embedding, embedding_model }], index }
+ */
+async function loadChunks(siteToken) {
+  const cached = chunkCache.get(siteToken);
+  if (cached && Date.now() - cached.cachedAt < CHUNK_CACHE_MS) {
+    return cached;
+  }
+
+  const snapshot = await firestore
+    .collection(CHUNKS_COLLECTION)
+    .where('site_token', '==', siteToken)
+    .limit(MAX_CHUNKS_PER_CUSTOMER)
+    .get();
+
+  if (snapshot.docs.length === MAX_CHUNKS_PER_CUSTOMER) {
+    console.warn(`Knowledge: ${siteToken} has more than ${MAX_CHUNKS_PER_CUSTOMER} chunks - only the first are searched`);
+  }
+
+  const loaded = { chunks: snapshot.docs.map((doc) => doc.data()), index: null, cachedAt: Date.now() };
+  chunkCache.set(siteToken, loaded);
+  return loaded;
+}
+
+/**
+ * Find the knowledge chunks most relevant to a query
+ *
+ * Chunks embedded with the current model are ranked by embedding similarity, the
+ * rest (embedding failed, or an older model) by BM25. The two scores aren't
+ * comparable, so the lists are interleaved best-first. Everything is ranked with
+ * BM25 when embeddings are off, no chunk is embedded, or the query doesn't embed in time.
+ *
+ * @param {Object} customer - Customer document
+ * @param {string} query - What the caller asked
+ * @param {Object} options - { limit } (default TOP_K)
+ * @returns {Promise<{results: Array<{entry_id: string, title: string, text: string, score: number}>, method: string|null}>}
+ *   method is 'embedding', 'bm25', 'embedding+bm25' (some chunks not embedded),
+ *   or null if the customer has no knowledge
+ */
+async function searchKnowledge(customer, query, options = {}) {
+  const limit = options.limit || TOP_K;
+  const loaded = await loadChunks(customer.site_token);
+  const { chunks } = loaded;
+
+  if (chunks.length === 0 || !query || !query.trim()) {
+    return { results: [], method: chunks.length === 0 ? null : 'bm25' };
+  }
+
+  const toResult = (chunk, score) => ({
+    entry_id: chunk.entry_id,
+    title: chunk.title,
+    text: chunk.text,
+    score: Math.round(score * 1000) / 1000,
+  });
+
+  // BM25 over all chunks (document frequencies from the whole knowledge base),
+  // restricted to the chunks that pass the filter. The index is cached with the chunks.
+  const rankWithBm25 = (include) => {
+    if (!loaded.index) {
+      loaded.index = bm25.createIndex(chunks.map((chunk) => chunk.text));
+    }
+    return loaded.index.search(query, chunks.length)
+      .filter((result) => include(chunks[result.index]))
+      .slice(0, limit)
+      .map((result) => toResult(chunks[result.index], result.score));
+  };
+
+  const isEmbedded = (chunk) => Boolean(chunk.embedding) && chunk.embedding_model === embeddings.EMBEDDING_MODEL;
+  const embeddedCount = chunks.filter(isEmbedded).length;
+
+  if (embeddings.isEnabled() && embeddedCount > 0) {
+    try {
+      const [queryVector] = await embeddings.embedTexts([query], 'RETRIEVAL_QUERY', {
+        timeoutMs: QUERY_EMBEDDING_TIMEOUT_MS,
+      });
+
+      const byEmbedding = chunks
+        .filter(isEmbedded)
+        .map((chunk) => ({ chunk, score: embeddings.cosineSimilarity(queryVector, chunk.embedding) }))
+        .filter((result) => result.score >= MIN_SIMILARITY)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit)
+        .map((result) => toResult(result.chunk, result.score));
+
+      if (embeddedCount === chunks.length) {
+        return { results: byEmbedding, method: 'embedding' };
+      }
+
+      const byKeyword = rankWithBm25((chunk) => !isEmbedded(chunk));
+      const results = [];
+      for (let i = 0; results.length < limit && (i < byEmbedding.length || i < byKeyword.length); i++) {
+        if (i < byEmbedding.length) {
+          results.push(byEmbedding[i]);
+        }
+        if (i < byKeyword.length && results.length < limit) {
+          results.push(byKeyword[i]);
+        }
+      }
+
+      return { results, method: 'embedding+bm25' };
+    } catch (error) {
+      console.error('Knowledge: Query embedding failed, using BM25:', error.message);
+    }
+  }
+
+  return { results: rankWithBm25(() => true), method: 'bm25' };
+}
+
+/**
+ * Add the knowledge relevant to a conversation turn to business_info (prompt context)
+ *
+ * The query is the caller's message plus their previous message, so short
+ * follow-ups ("how much is that?") still match. Never throws - a retrieval
+ * failure leaves business_info unchanged.
+ *
+ * @param {Object} businessInfo - Business information
+ * @param {Object} customer - Customer document
+ * @param {string} message - Caller's message
+ * @param {Array} conversationHistory - Previous turns (optional)
+ * @returns {Promise<Object>} Business information with knowledge (string[]) when something relevant was found
+ */
+async function withKnowledge(businessInfo, customer, message, conversationHistory = []) {
+  try {
+    const previous = [...(conversationHistory || [])].reverse().find((turn) => turn.role === 'user');
+    const query = [previous && previous.content, message].filter(Boolean).join('\n');
+
+    const { results, method } = await searchKnowledge(customer, query);
+    if (results.length === 0) {
+      return businessInfo;
+    }
+
+    console.log(`Knowledge: ${results.length} chunks for ${customer.site_token} (${method})`);
+    return { ...businessInfo, knowledge: results.map((result) => result.text) };
+  } catch (error) {
+    console.error('Knowledge: Retrieval failed:', error);
+    return businessInfo;
+  }
+}
+
+module.exports = {
+  ENTRY_TYPES,
+  validateEntry,
+  saveEntry,
+  getEntry,
+  deleteEntry,
+  listEntries,
+  searchKnowledge,
+  withKnowledge,
+};
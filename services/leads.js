@@ -0,0 +1,257 @@
+/**
+ * Lead Capture Service
+ *
+ * The receptionist fills in a lead as the conversation goes, using the
+ * save_lead tool (Gemini function calling / Claude tool use, see services/tools.js):
+ * - leads/{conversationId} - One lead per call / chat session / SMS thread
+ *
+ * Each save_lead call merges the fields the model sends into the stored lead,
+ * so a retried or hedged model attempt can't create a second lead.
+ */
+
+const { Firestore } = require('@google-cloud/firestore');
+
+// Initialize Firestore
+const firestore = new Firestore({
+  projectId: process.env.GOOGLE_CLOUD_PROJECT,
+});
+
+const LEADS_COLLECTION = 'leads';
+
+const URGENCY_LEVELS = ['low', 'normal', 'high', 'emergency'];
+
+// Fields the model fills in (everything else is set server-side)
+const LEAD_FIELDS = ['name', 'callback_number', 'reason', 'urgency'];
+
+// Longest value kept for any lead field
+const MAX_FIELD_LENGTH = 500;
+
+// Pagination limits for listLeads()
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+const SAVE_LEAD_PARAMETERS = {
+  type: 'object',
+  properties: {
+    name: { type: 'string', description: 'Caller\'s name' },
+    callback_number: { type: 'string', description: 'Phone number to call the caller back on' },
+    reason: { type: 'string', description: 'Why the caller is getting in touch, in one sentence' },
+    urgency: { type: 'string', enum: URGENCY_LEVELS, description: 'How urgent the request is' },
+  },
+};
+
+/**
+ * Keep only known, non-empty lead fields from model arguments
+ *
+ * @param {Object} args - save_lead arguments
+ * @returns {Object} Clean lead fields
+ */
+function cleanLeadFields(args) {
+  const fields = {};
+
+  LEAD_FIELDS.forEach((field) => {
+    const value = typeof args[field] === 'string' ? args[field].trim() : '';
+    if (value) {
+      fields[field] = value.substring(0, MAX_FIELD_LENGTH);
+    }
+  });
+
+  if (fields.urgency && !URGENCY_LEVELS.includes(fields.urgency.toLowerCase())) {
+    delete fields.urgency;
+  } else if (fields.urgency) {
+    fields.urgency = fields.urgency.toLowerCase();
+  }
+
+  return fields;
+}
+
+/**
+ * Save (merge) lead fields for a conversation
+ *
+ * @param {Object} customer - Customer document
+ * @param {Object} conversation - Conversation the lead came from
+ * @param {string} conversation.id - Conversation id (call id / session id / SMS thread id)
+ * @param {string} conversation.channel - 'voice', 'chat' or 'sms'
+ * @param {string} conversation.from - Caller number (optional)
+ * @param {Object} fields - Lead fields (name, callback_number, reason, urgency)
+ * @returns {Promise<Object>} Saved lead
+ */
+async function saveLead(customer, conversation, fields) {
+  try {
+    const leadRef = firestore.collection(LEADS_COLLECTION).doc(conversation.id);
+    const now = new Date().toISOString();
+
+    const lead = await firestore.runTransaction(async (transaction) => {
+      const leadDoc = await transaction.get(leadRef);
+
+      const merged = leadDoc.exists
+        ? { ...leadDoc.data(), ...fields, updated_at: now }
+        : {
+          customer_id: customer.id,
+          site_token: customer.site_token,
+          call_id: conversation.id,
+          channel: conversation.channel || 'chat',
+          caller_number: conversation.from || null,
+          name: null,
+          callback_number: null,
+          reason: null,
+          urgency: 'normal',
+          ...fields,
+          created_at: now,
+          updated_at: now,
+        };
+
+      transaction.set(leadRef, merged);
+      return merged;
+    });
+
+    console.log(`Leads: Saved lead for ${conversation.id} (${Object.keys(fields).join(', ')})`);
+    return { id: conversation.id, ...lead };
+  } catch (error) {
+    console.error(`Leads: Error saving lead for ${conversation.id}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Build the prompt instructions for save_lead
+ *
+ * @param {Object|null} known - Lead fields captured earlier in the conversation
+ * @returns {string} Instructions
+ */
+function buildLeadInstructions(known) {
+  const lines = [
+    'LEAD CAPTURE:',
+    '- When the caller tells you their name, a callback number, why they are calling or how urgent it is, call save_lead with what you learned.',
+    '- Only send fields the caller actually gave you - never guess them.',
+    '- If the caller wants a call back, ask for their name and the best number to reach them.',
+    '- Use urgency "emergency" only for safety issues or situations that cannot wait.',
+    '- Always reply to the caller as well - never mention save_lead or that you are taking notes in a system.',
+  ];
+
+  const knownFields = LEAD_FIELDS
+    .filter((field) => known && known[field])
+    .map((field) => `${field}: ${known[field]}`);
+  if (knownFields.length > 0) {
+    lines.push(`Already saved: ${knownFields.join('; ')}`);
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Create the save_lead tool for one conversation turn
+ *
+ * The returned capture.lead holds the latest saved lead (null until the model
+ * calls save_lead).
+ *
+ * @param {Object} customer - Customer document
+ * @param {Object} conversation - { id, channel, from, lead } - lead is what the session already knows
+ * @returns {{tool: Object, lead: Object|null}} Tool definition and captured lead
+ */
+function createLeadCapture(customer, conversation) {
+  const capture = {
+    lead: null,
+    tool: {
+      name: 'save_lead',
+      description: 'Save details about the caller for the business owner: name, callback number, reason for calling and urgency. Send only the fields you learned.',
+      instructions: buildLeadInstructions(conversation.lead),
+      parameters: SAVE_LEAD_PARAMETERS,
+      silent: true,
+      handler: async (args) => {
+        const fields = cleanLeadFields(args);
+        if (Object.keys(fields).length === 0) {
+          return { error: 'No lead fields provided' };
+        }
+
+        capture.lead = await saveLead(customer, conversation, fields);
+        return { saved: true };
+      },
+    },
+  };
+
+  return capture;
+}
+
+/**
+ * Pick the fields the caller-facing APIs return for a lead
+ *
+ * @param {Object|null} lead - Saved lead
+ * @returns {Object|null} { name, callback_number, reason, urgency }
+ */
+function toLeadSummary(lead) {
+  if (!lead) {
+    return null;
+  }
+
+  const summary = {};
+  LEAD_FIELDS.forEach((field) => {
+    summary[field] = lead[field] || null;
+  });
+  return summary;
+}
+
+/**
+ * List a customer's leads, newest first
+ *
+ * Requires composite indexes on leads: site_token ASC, created_at DESC
+ * (and site_token ASC, urgency ASC, created_at DESC for the urgency filter).
+ *
+ * @param {string} siteToken - Customer site token
+ * @param {Object} options - Query options
+ * @param {string} options.from - ISO date - leads created at/after
+ * @param {string} options.to - ISO date - leads created at/before
+ * @param {string} options.urgency - Only leads with this urgency
+ * @param {number} options.limit - Page size (default 20, max 100)
+ * @param {string} options.pageToken - Lead id to start after (from previous page)
+ * @returns {Promise<{leads: Object[], nextPageToken: string|null}>}
+ */
+async function listLeads(siteToken, options = {}) {
+  try {
+    const limit = Math.min(parseInt(options.limit, 10) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+    console.log(`Leads: Listing leads for ${siteToken} (limit ${limit})`);
+
+    let query = firestore
+      .collection(LEADS_COLLECTION)
+      .where('site_token', '==', siteToken);
+
+    if (options.urgency) {
+      query = query.where('urgency', '==', options.urgency);
+    }
+    if (options.from) {
+      query = query.where('created_at', '>=', options.from);
+    }
+    if (options.to) {
+      query = query.where('created_at', '<=', options.to);
+    }
+
+    query = query.orderBy('created_at', 'desc');
+
+    if (options.pageToken) {
+      const cursorDoc = await firestore.collection(LEADS_COLLECTION).doc(options.pageToken).get();
+      if (cursorDoc.exists) {
+        query = query.startAfter(cursorDoc);
+      }
+    }
+
+    // Fetch one extra to know if there is another page
+    const snapshot = await query.limit(limit + 1).get();
+    const docs = snapshot.docs.slice(0, limit);
+
+    return {
+      leads: docs.map((doc) => ({ id: doc.id, ...doc.data() })),
+      nextPageToken: snapshot.docs.length > limit ? docs[docs.length - 1].id : null,
+    };
+  } catch (error) {
+    console.error('Leads: Error listing leads:', error);
+    throw error;
+  }
+}
+
+module.exports = {
+  URGENCY_LEVELS,
+  createLeadCapture,
+  saveLead,
+  toLeadSummary,
+  listLeads,
+};
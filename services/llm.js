@@ -0,0 +1,574 @@
+/**
+ * LLM Provider Registry
+ *
+ * Single entry point for AI text generation across providers:
+ * - Resolves a model id to its provider (Vertex AI / Anthropic)
+ * - Normalizes training and conversation calls to one signature
+ * - Returns the same { text, tokensUsed, responseTimeMs } shape for every provider
+ * - Failover and hedged requests across models for live-call responses
+ * - Token streaming for both providers
+ * - Back-office tasks (call summaries) with JSON output
+ */
+
+const vertexAI = require('./vertexai');
+const anthropic = require('./anthropic');
+
+// Default model when the request doesn't specify one
+const DEFAULT_MODEL = process.env.VERTEX_AI_MODEL || 'gemini-2.0-flash-exp';
+
+// Deployment-wide failover policy for live-call responses (overridable per customer)
+const CHAT_PRIMARY_MODEL = process.env.CHAT_PRIMARY_MODEL || DEFAULT_MODEL;
+const CHAT_FALLBACK_MODELS = (process.env.CHAT_FALLBACK_MODELS || '')
+  .split(',')
+  .map((m) => m.trim())
+  .filter(Boolean);
+const CHAT_ATTEMPT_TIMEOUT_MS = parseInt(process.env.CHAT_ATTEMPT_TIMEOUT_MS, 10) || 4000;
+const CHAT_HEDGE_AFTER_MS = parseInt(process.env.CHAT_HEDGE_AFTER_MS, 10) || 0; // 0 = hedging disabled
+
+// Model for back-office tasks that nobody is waiting on (call summaries)
+const TASK_MODEL = process.env.TASK_MODEL || DEFAULT_MODEL;
+
+/**
+ * Provider adapters
+ *
+ * Each adapter exposes:
+ * - generateTrainingResponse(model, businessInfo, message, conversationHistory)
+ * - generateConversationResponse(model, businessInfo, message, conversationHistory, systemPrompt, options)
+ * - streamTrainingResponse(model, businessInfo, message, conversationHistory, onToken)
+ * - streamConversationResponse(model, businessInfo, message, conversationHistory, systemPrompt, onToken)
+ * - generateTaskResponse(model, instructions, input, options)
+ */
+const PROVIDERS = {
+  vertexai: {
+    generateTrainingResponse(model, businessInfo, message, conversationHistory) {
+      return vertexAI.generateTrainingResponse(businessInfo, message, conversationHistory, model);
+    },
+    generateConversationResponse(model, businessInfo, message, conversationHistory, systemPrompt, options) {
+      return vertexAI.generateConversationResponse(businessInfo, message, conversationHistory, systemPrompt, model, options);
+    },
+    streamTrainingResponse(model, businessInfo, message, conversationHistory, onToken) {
+      return vertexAI.streamTrainingResponse(businessInfo, message, conversationHistory, model, onToken);
+    },
+    streamConversationResponse(model, businessInfo, message, conversationHistory, systemPrompt, onToken) {
+      return vertexAI.streamConversationResponse(businessInfo, message, conversationHistory, systemPrompt, model, onToken);
+    },
+    generateTaskResponse(model, instructions, input, options) {
+      return vertexAI.generateTaskResponse(instructions, input, model, options);
+    },
+  },
+  anthropic: {
+    generateTrainingResponse(model, businessInfo, message, conversationHistory) {
+      const instructions = vertexAI.buildTrainingInstructions(businessInfo);
+      return anthropic.generateTrainingResponse(model, instructions, message, conversationHistory);
+    },
+    generateConversationResponse(model, businessInfo, message, conversationHistory, systemPrompt, options) {
+      // Claude takes instructions as a system prompt and history as messages
+      const instructions = systemPrompt
+        ? vertexAI.withBusinessContext(vertexAI.optimizeSystemPrompt(systemPrompt), businessInfo)
+        : vertexAI.buildReceptionistInstructions(businessInfo);
+      return anthropic.generateConversationResponse(model, instructions, message, conversationHistory, options);
+    },
+    streamTrainingResponse(model, businessInfo, message, conversationHistory, onToken) {
+      const instructions = vertexAI.buildTrainingInstructions(businessInfo);
+      return anthropic.streamTrainingResponse(model, instructions, message, conversationHistory, onToken);
+    },
+    streamConversationResponse(model, businessInfo, message, conversationHistory, systemPrompt, onToken) {
+      const instructions = systemPrompt
+        ? vertexAI.withBusinessContext(vertexAI.optimizeSystemPrompt(systemPrompt), businessInfo)
+        : vertexAI.buildReceptionistInstructions(businessInfo);
+      return anthropic.streamConversationResponse(model, instructions, message, conversationHistory, onToken);
+    },
+    generateTaskResponse(model, instructions, input, options) {
+      return anthropic.generateTaskResponse(model, instructions, input, options);
+    },
+  },
+};
+
+/**
+ * Supported models (model id -> provider name)
+ */
+const MODELS = {
+  'gemini-2.0-flash-exp': 'vertexai',
+  'gemini-2.5-flash-lite': 'vertexai',
+  'gemini-2.5-flash': 'vertexai',
+  'gemini-3-flash-preview': 'vertexai',
+  'claude-haiku-4-5': 'anthropic',
+  'claude-sonnet-4-5': 'anthropic',
+};
+
+// A deployment-configured default (VERTEX_AI_MODEL) is always a Gemini model
+if (!MODELS[DEFAULT_MODEL]) {
+  MODELS[DEFAULT_MODEL] = 'vertexai';
+}
+
+/**
+ * List supported model ids
+ *
+ * @returns {string[]} Supported model ids
+ */
+function getSupportedModels() {
+  return Object.keys(MODELS);
+}
+
+/**
+ * Resolve a model id to its provider
+ *
+ * @param {string} model - Model id (optional - defaults to DEFAULT_MODEL)
+ * @returns {{model: string, provider: string}|null} Resolved model or null if unsupported
+ */
+function resolveModel(model) {
+  const selectedModel = model || DEFAULT_MODEL;
+  const provider = MODELS[selectedModel];
+
+  if (!provider) {
+    return null;
+  }
+
+  return { model: selectedModel, provider };
+}
+
+/**
+ * Resolve a model id or throw an UNSUPPORTED_MODEL error
+ *
+ * @param {string} model - Model id
+ * @returns {{model: string, provider: string}} Resolved model
+ */
+function requireModel(model) {
+  const resolved = resolveModel(model);
+
+  if (!resolved) {
+    const error = new Error(`Unsupported model: ${model}`);
+    error.code = 'UNSUPPORTED_MODEL';
+    error.supportedModels = getSupportedModels();
+    throw error;
+  }
+
+  return resolved;
+}
+
+/**
+ * Generate AI training response with the provider for the given model
+ *
+ * @param {string} model - Model id
+ * @param {Object} businessInfo - Business information
+ * @param {string} message - Owner's training question
+ * @param {Array} conversationHistory - Earlier turns of the training session
+ * @returns {Promise<Object>} AI response with text, tokens, response time, model and provider
+ */
+async function generateTrainingResponse(model, businessInfo, message, conversationHistory = []) {
+  const resolved = requireModel(model);
+  console.log(`LLM: Training response via ${resolved.provider} (${resolved.model})`);
+
+  const response = await PROVIDERS[resolved.provider].generateTrainingResponse(
+    resolved.model,
+    businessInfo,
+    message,
+    conversationHistory
+  );
+
+  return { ...response, model: resolved.model, provider: resolved.provider };
+}
+
+/**
+ * Generate AI conversation response with the provider for the given model
+ *
+ * @param {string} model - Model id
+ * @param {Object} businessInfo - Business information
+ * @param {string} message - Customer's message
+ * @param {Array} conversationHistory - Previous conversation turns
+ * @param {string} systemPrompt - Optional: Full system prompt from WordPress
+ * @param {Object} options - Optional { tools } the model may call (see services/tools.js)
+ * @returns {Promise<Object>} AI response with text, tokens, response time, model, provider (and toolCalls with tools)
+ */
+async function generateConversationResponse(model, businessInfo, message, conversationHistory = [], systemPrompt = null, options = {}) {
+  const resolved = requireModel(model);
+  console.log(`LLM: Conversation response via ${resolved.provider} (${resolved.model})`);
+
+  const response = await PROVIDERS[resolved.provider].generateConversationResponse(
+    resolved.model,
+    businessInfo,
+    message,
+    conversationHistory,
+    systemPrompt,
+    options
+  );
+
+  return { ...response, model: resolved.model, provider: resolved.provider };
+}
+
+/**
+ * Generate a back-office task response (e.g. a call summary)
+ *
+ * @param {string} model - Model id (optional - defaults to TASK_MODEL)
+ * @param {string} instructions - Task instructions
+ * @param {string} input - Task input (e.g. a call transcript)
+ * @param {Object} options - { maxTokens, temperature } (provider defaults: 1024 tokens, 0.2)
+ * @returns {Promise<Object>} AI response with text, tokens, response time, model and provider
+ */
+async function generateTaskResponse(model, instructions, input, options = {}) {
+  const resolved = requireModel(model || TASK_MODEL);
+  console.log(`LLM: Task response via ${resolved.provider} (${resolved.model})`);
+
+  const response = await PROVIDERS[resolved.provider].generateTaskResponse(resolved.model, instructions, input, options);
+
+  return { ...response, model: resolved.model, provider: resolved.provider };
+}
+
+/**
+ * Parse a JSON object out of a model response
+ *
+ * Models sometimes wrap JSON in ```json fences or add a sentence around it.
+ *
+ * @param {string} text - Model response text
+ * @returns {Object|null} Parsed object, or null if there is none
+ */
+function parseJsonResponse(text) {
+  const start = (text || '').indexOf('{');
+  const end = (text || '').lastIndexOf('}');
+
+  if (start === -1 || end <= start) {
+    return null;
+  }
+
+  try {
+    const parsed = JSON.parse(text.substring(start, end + 1));
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Build the failover policy for a live-call response
+ *
+ * Precedence: request model > customer llm_policy > deployment env defaults.
+ * Unknown models in stored configuration are skipped (request models are
+ * validated by the route before we get here).
+ *
+ * Customer document field (optional):
+ * llm_policy: {
+ *   primary_model: string,
+ *   fallback_models: string[],     // Ordered, e.g. ['claude-haiku-4-5']
+ *   attempt_timeout_ms: number,    // Per-attempt timeout
+ *   hedge_after_ms: number         // Fire next model if no answer after N ms (0 = off)
+ * }
+ *
+ * @param {Object} customer - Customer document (optional)
+ * @param {string} requestedModel - Model requested by the client (optional)
+ * @returns {{models: string[], attemptTimeoutMs: number, hedgeAfterMs: number}} Failover policy
+ */
+function getFailoverPolicy(customer = null, requestedModel = null) {
+  const customerPolicy = (customer && customer.llm_policy) || {};
+
+  const primary = requestedModel || customerPolicy.primary_model || CHAT_PRIMARY_MODEL;
+  const fallbacks = Array.isArray(customerPolicy.fallback_models)
+    ? customerPolicy.fallback_models
+    : CHAT_FALLBACK_MODELS;
+
+  const models = [];
+  [primary, ...fallbacks].forEach((model) => {
+    if (!MODELS[model]) {
+      console.log(`LLM: ⚠️  Skipping unsupported model in failover policy: ${model}`);
+      return;
+    }
+    if (!models.includes(model)) {
+      models.push(model);
+    }
+  });
+
+  if (models.length === 0) {
+    models.push(DEFAULT_MODEL);
+  }
+
+  return {
+    models,
+    attemptTimeoutMs: customerPolicy.attempt_timeout_ms || CHAT_ATTEMPT_TIMEOUT_MS,
+    hedgeAfterMs: customerPolicy.hedge_after_ms !== undefined ? customerPolicy.hedge_after_ms : CHAT_HEDGE_AFTER_MS,
+  };
+}
+
+/**
+ * Reject if a promise doesn't settle within the given time
+ *
+ * NOTE: The underlying provider request is not cancelled - its result is just ignored.
+ *
+ * @param {Promise} promise - Promise to race
+ * @param {number} timeoutMs - Timeout in milliseconds
+ * @param {string} model - Model id (for the error message)
+ * @returns {Promise} Original result or timeout rejection
+ */
+function withTimeout(promise, timeoutMs, model) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(`${model} timed out after ${timeoutMs}ms`);
+      error.code = 'LLM_TIMEOUT';
+      reject(error);
+    }, timeoutMs);
+  });
+
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Wrap the turn's tools for one failover attempt
+ *
+ * Once another attempt has answered, or this attempt has failed or timed out,
+ * its tool calls are refused. Exclusive tools belong to the first attempt that calls them until that
+ * attempt fails, so a hedged attempt can't replace a booking another attempt
+ * is about to confirm to the caller.
+ *
+ * @param {Array} tools - Tool definitions (see services/tools.js)
+ * @param {number} attempt - Attempt number
+ * @param {Object} turn - Shared { winner, failed, exclusiveOwner } state for the turn
+ * @returns {Array} Tools whose handlers check the attempt first
+ */
+function toolsForAttempt(tools, attempt, turn) {
+  return tools.map((tool) => ({
+    ...tool,
+    handler: async (args) => {
+      if (turn.winner && turn.winner !== attempt) {
+        console.log(`LLM: Ignoring ${tool.name} from attempt ${attempt} - attempt ${turn.winner} already answered`);
+        return { error: 'This request was already answered' };
+      }
+      if (turn.failed.has(attempt)) {
+        console.log(`LLM: Ignoring ${tool.name} from failed attempt ${attempt}`);
+        return { error: 'This attempt has ended' };
+      }
+      if (tool.exclusive) {
+        if (turn.exclusiveOwner && turn.exclusiveOwner !== attempt) {
+          console.log(`LLM: Ignoring ${tool.name} from attempt ${attempt} - attempt ${turn.exclusiveOwner} is handling it`);
+          return { error: 'This is already being handled' };
+        }
+        turn.exclusiveOwner = attempt;
+      }
+      return tool.handler(args);
+    },
+  }));
+}
+
+/**
+ * Generate AI conversation response with failover (and optional hedging)
+ *
+ * Models in policy.models are tried in order. An attempt that throws or exceeds
+ * attemptTimeoutMs moves on to the next model. With hedgeAfterMs set, the next
+ * model is also fired when the current attempt hasn't answered within that time,
+ * and whichever answers first wins.
+ *
+ * Each attempt gets its own copy of options.tools (see toolsForAttempt), so a
+ * timed-out or hedged attempt can't change what the winning answer did.
+ * Non-exclusive handlers must still be safe to run more than once per turn.
+ *
+ * @param {Object} policy - Failover policy from getFailoverPolicy()
+ * @param {Object} businessInfo - Business information
+ * @param {string} message - Customer's message
+ * @param {Array} conversationHistory - Previous conversation turns
+ * @param {string} systemPrompt - Optional: Full system prompt from WordPress
+ * @param {Object} options - Optional { tools } the model may call (see services/tools.js)
+ * @returns {Promise<Object>} AI response with model, provider, fallbackUsed and attempts
+ */
+function generateConversationWithFailover(policy, businessInfo, message, conversationHistory = [], systemPrompt = null, options = {}) {
+  const { models, attemptTimeoutMs, hedgeAfterMs } = policy;
+  console.log(`LLM: Failover chain: ${models.join(' → ')} (timeout ${attemptTimeoutMs}ms, hedge ${hedgeAfterMs ? `${hedgeAfterMs}ms` : 'off'})`);
+
+  return new Promise((resolve, reject) => {
+    const failures = [];
+    let nextIndex = 0;
+    let pending = 0;
+    let settled = false;
+    let hedgeTimer = null;
+    const turn = { winner: null, failed: new Set(), exclusiveOwner: null };
+
+    const launchNext = () => {
+      if (settled || nextIndex >= models.length) {
+        return;
+      }
+
+      const model = models[nextIndex];
+      const attempt = ++nextIndex;
+      pending++;
+
+      clearTimeout(hedgeTimer);
+      if (hedgeAfterMs > 0 && nextIndex < models.length) {
+        hedgeTimer = setTimeout(() => {
+          console.log(`LLM: ⚠️  No answer from ${model} after ${hedgeAfterMs}ms - hedging with ${models[nextIndex]}`);
+          launchNext();
+        }, hedgeAfterMs);
+      }
+
+      const attemptOptions = options.tools
+        ? { ...options, tools: toolsForAttempt(options.tools, attempt, turn) }
+        : options;
+
+      withTimeout(
+        generateConversationResponse(model, businessInfo, message, conversationHistory, systemPrompt, attemptOptions),
+        attemptTimeoutMs,
+        model
+      ).then((response) => {
+        pending--;
+        if (settled) {
+          return;
+        }
+        settled = true;
+        turn.winner = attempt;
+        clearTimeout(hedgeTimer);
+
+        if (attempt > 1) {
+          console.log(`LLM: ✓ Answered by fallback ${model} (attempt ${attempt})`);
+        }
+
+        resolve({
+          ...response,
+          fallbackUsed: attempt > 1,
+          attempts: nextIndex,
+          failures,
+        });
+      }, (error) => {
+        pending--;
+        turn.failed.add(attempt);
+        if (turn.exclusiveOwner === attempt) {
+          turn.exclusiveOwner = null;
+        }
+        failures.push({ model, error: error.message });
+        console.log(`LLM: ❌ ${model} failed: ${error.message}`);
+        if (settled) {
+          return;
+        }
+
+        if (nextIndex < models.length) {
+          launchNext();
+        } else if (pending === 0) {
+          settled = true;
+          clearTimeout(hedgeTimer);
+          const aggregate = new Error(`All AI providers failed: ${failures.map((f) => `${f.model} (${f.error})`).join(', ')}`);
+          aggregate.code = 'LLM_ALL_FAILED';
+          aggregate.failures = failures;
+          reject(aggregate);
+        }
+      });
+    };
+
+    launchNext();
+  });
+}
+
+/**
+ * Stream AI training response with the provider for the given model
+ *
+ * @param {string} model - Model id
+ * @param {Object} businessInfo - Business information
+ * @param {string} message - Owner's training question
+ * @param {Array} conversationHistory - Earlier turns of the training session
+ * @param {Function} onToken - Called with each text chunk
+ * @returns {Promise<Object>} AI response with text, tokens, response time, model and provider
+ */
+async function streamTrainingResponse(model, businessInfo, message, conversationHistory = [], onToken = () => {}) {
+  const resolved = requireModel(model);
+  console.log(`LLM: Streaming training response via ${resolved.provider} (${resolved.model})`);
+
+  const response = await PROVIDERS[resolved.provider].streamTrainingResponse(
+    resolved.model,
+    businessInfo,
+    message,
+    conversationHistory,
+    onToken
+  );
+
+  return { ...response, model: resolved.model, provider: resolved.provider };
+}
+
+/**
+ * Stream AI conversation response with failover
+ *
+ * Models are tried in order until one produces its first token within
+ * attemptTimeoutMs. Once tokens have been sent to the caller we are committed
+ * to that model - a later error is thrown rather than failed over, since the
+ * caller has already heard part of the answer. Hedging is not applied to
+ * streams (two providers can't share one token stream).
+ *
+ * @param {Object} policy - Failover policy from getFailoverPolicy()
+ * @param {Object} businessInfo - Business information
+ * @param {string} message - Customer's message
+ * @param {Array} conversationHistory - Previous conversation turns
+ * @param {string} systemPrompt - Optional: Full system prompt from WordPress
+ * @param {Function} onToken - Called with each text chunk
+ * @returns {Promise<Object>} AI response with model, provider, fallbackUsed and attempts
+ */
+async function streamConversationWithFailover(policy, businessInfo, message, conversationHistory = [], systemPrompt = null, onToken = () => {}) {
+  const { models, attemptTimeoutMs } = policy;
+  console.log(`LLM: Streaming failover chain: ${models.join(' → ')} (first-token timeout ${attemptTimeoutMs}ms)`);
+
+  const failures = [];
+
+  for (let i = 0; i < models.length; i++) {
+    const model = models[i];
+    const resolved = requireModel(model);
+    let abandoned = false;
+    let started = false;
+    let markStarted;
+    const firstToken = new Promise((resolve) => { markStarted = resolve; });
+
+    const attempt = PROVIDERS[resolved.provider].streamConversationResponse(
+      resolved.model,
+      businessInfo,
+      message,
+      conversationHistory,
+      systemPrompt,
+      (chunk) => {
+        // Drop late tokens from an attempt we already gave up on
+        if (abandoned) {
+          return;
+        }
+        started = true;
+        markStarted();
+        onToken(chunk);
+      }
+    );
+
+    try {
+      // Wait for either the first token or the whole (possibly empty) response
+      await withTimeout(Promise.race([firstToken, attempt]), attemptTimeoutMs, model);
+      const response = await attempt;
+
+      if (i > 0) {
+        console.log(`LLM: ✓ Streamed by fallback ${model} (attempt ${i + 1})`);
+      }
+
+      return {
+        ...response,
+        model: resolved.model,
+        provider: resolved.provider,
+        fallbackUsed: i > 0,
+        attempts: i + 1,
+        failures,
+      };
+    } catch (error) {
+      if (started && !abandoned) {
+        throw error;
+      }
+      abandoned = true;
+      attempt.catch(() => {});
+      failures.push({ model, error: error.message });
+      console.log(`LLM: ❌ ${model} failed before first token: ${error.message}`);
+    }
+  }
+
+  const aggregate = new Error(`All AI providers failed: ${failures.map((f) => `${f.model} (${f.error})`).join(', ')}`);
+  aggregate.code = 'LLM_ALL_FAILED';
+  aggregate.failures = failures;
+  throw aggregate;
+}
+
+module.exports = {
+  DEFAULT_MODEL,
+  getSupportedModels,
+  resolveModel,
+  generateTrainingResponse,
+  generateConversationResponse,
+  getFailoverPolicy,
+  generateConversationWithFailover,
+  streamTrainingResponse,
+  streamConversationWithFailover,
+  generateTaskResponse,
+  parseJsonResponse,
+};
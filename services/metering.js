@@ -0,0 +1,461 @@
+/**
+ * Call Metering Service
+ *
+ * Billable vs filtered call accounting (see schema in firestore.registerCustomer):
+ * - Classify each finished call: billable, spam, silent or owner test
+ * - Atomically increment the matching counters on the customer document
+ * - Enforce calls_limit with a configurable over-limit behavior
+ *
+ * Each call is metered at most once - the outcome is recorded on calls/{callId}
+ * in the same transaction as the counter increments.
+ *
+ * SMS usage is counted separately from calls (sms_received, sms_sent, sms_segments)
+ * and never counts toward calls_limit; texts beyond sms_limit per billing period get
+ * no AI reply. Each message is metered at most once via sms_messages/{MessageSid}.
+ */
+
+const { Firestore } = require('@google-cloud/firestore');
+
+// Initialize Firestore
+const firestore = new Firestore({
+  projectId: process.env.GOOGLE_CLOUD_PROJECT,
+});
+
+const CUSTOMERS_COLLECTION = 'customers';
+const CALLS_COLLECTION = 'calls';
+const SMS_MESSAGES_COLLECTION = 'sms_messages';
+
+// GSM-7 basic character set (plus the extension table, which costs 2 septets)
+const GSM7_BASIC = '@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !"#¤%&\'()*+,-./0123456789:;<=>?' +
+  '¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà';
+const GSM7_EXTENDED = '^{}\\[~]|€\f';
+
+// Call outcomes
+const OUTCOME_BILLABLE = 'billable';
+const OUTCOME_SPAM = 'spam';
+const OUTCOME_SILENT = 'silent';
+const OUTCOME_TEST = 'test';
+const OUTCOME_OVER_LIMIT = 'over_limit'; // Turned away by the over-limit behavior - not billable
+const OUTCOMES = [OUTCOME_BILLABLE, OUTCOME_SPAM, OUTCOME_SILENT, OUTCOME_TEST, OUTCOME_OVER_LIMIT];
+
+// Counter fields incremented per outcome (total_calls is always incremented)
+const OUTCOME_COUNTERS = {
+  [OUTCOME_BILLABLE]: ['billable_calls_used'],
+  [OUTCOME_SPAM]: ['spam_calls', 'filtered_calls'],
+  [OUTCOME_SILENT]: ['silent_calls', 'filtered_calls'],
+  [OUTCOME_TEST]: ['test_calls', 'filtered_calls'],
+  [OUTCOME_OVER_LIMIT]: [],
+};
+
+// What happens when a customer is over calls_limit
+const OVER_LIMIT_CALLBACK = 'callback';   // Polite "we'll call you back" message, then hang up
+const OVER_LIMIT_VOICEMAIL = 'voicemail'; // Ask the caller to leave a voicemail
+const OVER_LIMIT_ALLOW = 'allow';         // Keep answering (overage)
+const OVER_LIMIT_BEHAVIORS = [OVER_LIMIT_CALLBACK, OVER_LIMIT_VOICEMAIL, OVER_LIMIT_ALLOW];
+// What customers may choose themselves - only an admin can set 'allow' (overage)
+const CUSTOMER_OVER_LIMIT_BEHAVIORS = [OVER_LIMIT_CALLBACK, OVER_LIMIT_VOICEMAIL];
+const DEFAULT_OVER_LIMIT_BEHAVIOR = process.env.OVER_LIMIT_BEHAVIOR || OVER_LIMIT_CALLBACK;
+
+// Inbound texts answered by the AI per billing period when the customer has no sms_limit
+const DEFAULT_SMS_LIMIT = parseInt(process.env.SMS_LIMIT, 10) || 500;
+
+// A redelivered text isn't answered again while the first attempt may still be replying
+const SMS_REPLY_WINDOW_MS = 60 * 1000;
+
+// Owner numbers (besides business_phone) whose calls are free tests - set by an admin
+const MAX_OWNER_TEST_NUMBERS = 5;
+
+// Robocall / telemarketer phrases (lower-case)
+const SPAM_PATTERNS = [
+  /\bpress (one|1|two|2|nine|9)\b/,
+  /\bcar'?s? (extended )?warranty\b/,
+  /\bthis is an? (automated|recorded|courtesy) (call|message)\b/,
+  /\b(final|last) (notice|attempt)\b/,
+  /\byou('ve| have) (been )?(pre-?approved|selected)\b/,
+  /\b(lower|reduce) your (interest rate|credit card)\b/,
+  /\bsocial security (number )?(has been )?suspended\b/,
+  /\bgoogle (business )?listing\b/,
+];
+
+/**
+ * Create a metering error with a code the routes map to a status
+ *
+ * @param {string} code - NOT_FOUND
+ * @param {string} message - Message
+ * @returns {Error}
+ */
+function meteringError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Normalize a phone number to its last 10 digits for comparison
+ *
+ * @param {string} phoneNumber - Phone number (any format)
+ * @returns {string} Digits only (last 10), or empty string
+ */
+function normalizeNumber(phoneNumber) {
+  return (phoneNumber || '').replace(/\D/g, '').slice(-10);
+}
+
+/**
+ * Check whether a caller is the business owner testing their receptionist
+ *
+ * @param {Object} customer - Customer document
+ * @param {string} from - Caller number
+ * @returns {boolean} True if the caller is a known owner number
+ */
+function isOwnerNumber(customer, from) {
+  const caller = normalizeNumber(from);
+
+  if (!caller) {
+    return false;
+  }
+
+  const ownerNumbers = [customer.business_phone, ...(customer.owner_test_numbers || [])];
+  return ownerNumbers.some((number) => normalizeNumber(number) === caller);
+}
+
+/**
+ * Classify a finished call
+ *
+ * Order: owner test > silent > spam > billable.
+ *
+ * @param {Object} customer - Customer document
+ * @param {Object} call - Call facts
+ * @param {string} call.from - Caller number
+ * @param {string[]} call.callerMessages - What the caller said, turn by turn
+ * @param {boolean} call.voicemail - The caller left a voicemail (after-hours voicemail-only calls)
+ * @returns {string} Outcome (billable, spam, silent or test)
+ */
+function classifyCall(customer, call) {
+  if (isOwnerNumber(customer, call.from)) {
+    return OUTCOME_TEST;
+  }
+
+  const messages = (call.callerMessages || []).filter((m) => m && m.trim());
+
+  if (messages.length === 0) {
+    return call.voicemail ? OUTCOME_BILLABLE : OUTCOME_SILENT;
+  }
+
+  const text = messages.join(' ').toLowerCase();
+  if (SPAM_PATTERNS.some((pattern) => pattern.test(text))) {
+    return OUTCOME_SPAM;
+  }
+
+  return OUTCOME_BILLABLE;
+}
+
+/**
+ * Record a call outcome and increment the customer's counters
+ *
+ * Idempotent per callId: a call that was already metered is left unchanged.
+ * A call recorded for another customer is rejected (NOT_FOUND) and left unchanged.
+ *
+ * @param {Object} customer - Customer document
+ * @param {string} callId - Call id (CallSid / session id)
+ * @param {string} outcome - billable, spam, silent, test or over_limit
+ * @param {Object} details - Extra call fields to store (from, to, duration_seconds)
+ * @returns {Promise<{outcome: string, alreadyMetered: boolean}>}
+ */
+async function recordCallOutcome(customer, callId, outcome, details = {}) {
+  if (!OUTCOMES.includes(outcome)) {
+    throw new Error(`Invalid call outcome: ${outcome}`);
+  }
+
+  try {
+    console.log(`Metering: Recording ${outcome} call ${callId} for customer ${customer.id}`);
+
+    const customerRef = firestore.collection(CUSTOMERS_COLLECTION).doc(customer.id);
+    const callRef = firestore.collection(CALLS_COLLECTION).doc(callId);
+
+    return await firestore.runTransaction(async (transaction) => {
+      const callDoc = await transaction.get(callRef);
+
+      if (callDoc.exists && callDoc.data().site_token !== customer.site_token) {
+        throw meteringError('NOT_FOUND', 'Call not found');
+      }
+
+      if (callDoc.exists && callDoc.data().outcome) {
+        console.log(`Metering: Call ${callId} already metered as ${callDoc.data().outcome}`);
+        return { outcome: callDoc.data().outcome, alreadyMetered: true };
+      }
+
+      const now = new Date().toISOString();
+      const counters = { total_calls: Firestore.FieldValue.increment(1), updated_at: now };
+      OUTCOME_COUNTERS[outcome].forEach((field) => {
+        counters[field] = Firestore.FieldValue.increment(1);
+      });
+
+      transaction.update(customerRef, counters);
+
+      // Calls with no turns (e.g. silent) get a call record here
+      const callData = {
+        ...details,
+        outcome,
+        metered_at: now,
+      };
+      if (!callDoc.exists) {
+        Object.assign(callData, {
+          call_id: callId,
+          customer_id: customer.id,
+          site_token: customer.site_token,
+          turn_count: 0,
+          total_tokens: 0,
+          started_at: now,
+        });
+      }
+      transaction.set(callRef, callData, { merge: true });
+
+      return { outcome, alreadyMetered: false };
+    });
+  } catch (error) {
+    console.error('Metering: Error recording call outcome:', error);
+    throw error;
+  }
+}
+
+/**
+ * Estimate how many SMS segments a message is sent as
+ *
+ * GSM-7 text fits 160 characters in one segment (153 per segment when split);
+ * anything else is sent as UCS-2 (70, then 67 per segment).
+ *
+ * @param {string} text - Message body
+ * @returns {number} Segment count (at least 1)
+ */
+function countSmsSegments(text) {
+  const chars = Array.from(text || '');
+  const isGsm7 = chars.every((c) => GSM7_BASIC.includes(c) || GSM7_EXTENDED.includes(c));
+
+  if (!isGsm7) {
+    return chars.length <= 70 ? 1 : Math.ceil(chars.length / 67);
+  }
+
+  const septets = chars.reduce((total, c) => total + (GSM7_EXTENDED.includes(c) ? 2 : 1), 0);
+  return septets <= 160 ? 1 : Math.ceil(septets / 153);
+}
+
+/**
+ * Record an inbound SMS and increment the customer's SMS counters
+ *
+ * Idempotent per MessageSid: Twilio webhook retries are reported as
+ * alreadyRecorded (with whether a reply was already sent) and not counted again.
+ * Each attempt that goes on to reply claims the message (replying_at); a retry
+ * within SMS_REPLY_WINDOW_MS of that is reported as replying and should be dropped.
+ *
+ * @param {Object} customer - Customer document
+ * @param {string} messageSid - Twilio MessageSid
+ * @param {Object} details - Message fields to store (from, to, thread_id, body_length)
+ * @param {number} details.segments - NumSegments from the webhook (default 1)
+ * @returns {Promise<{alreadyRecorded: boolean, replied: boolean, replying: boolean}>}
+ */
+async function recordSmsReceived(customer, messageSid, details = {}) {
+  try {
+    const { segments, ...fields } = details;
+    const customerRef = firestore.collection(CUSTOMERS_COLLECTION).doc(customer.id);
+    const messageRef = firestore.collection(SMS_MESSAGES_COLLECTION).doc(messageSid);
+
+    return await firestore.runTransaction(async (transaction) => {
+      const messageDoc = await transaction.get(messageRef);
+      const now = new Date().toISOString();
+
+      if (messageDoc.exists) {
+        console.log(`Metering: SMS ${messageSid} already recorded`);
+        const message = messageDoc.data();
+
+        if (message.replied_at) {
+          return { alreadyRecorded: true, replied: true, replying: false };
+        }
+        if (message.replying_at && Date.now() - new Date(message.replying_at).getTime() < SMS_REPLY_WINDOW_MS) {
+          return { alreadyRecorded: true, replied: false, replying: true };
+        }
+
+        transaction.update(messageRef, { replying_at: now });
+        return { alreadyRecorded: true, replied: false, replying: false };
+      }
+
+      const segmentCount = segments > 0 ? segments : 1;
+
+      transaction.update(customerRef, {
+        sms_received: Firestore.FieldValue.increment(1),
+        sms_segments: Firestore.FieldValue.increment(segmentCount),
+        updated_at: now,
+      });
+
+      transaction.set(messageRef, {
+        ...fields,
+        message_sid: messageSid,
+        customer_id: customer.id,
+        site_token: customer.site_token,
+        segments: segmentCount,
+        received_at: now,
+        replying_at: now,
+      });
+
+      return { alreadyRecorded: false, replied: false, replying: false };
+    });
+  } catch (error) {
+    console.error('Metering: Error recording inbound SMS:', error);
+    throw error;
+  }
+}
+
+/**
+ * Drop an inbound SMS's replying_at claim after a failed attempt, so a redelivery is answered
+ *
+ * @param {string} messageSid - Twilio MessageSid
+ * @returns {Promise<void>}
+ */
+async function releaseSmsReply(messageSid) {
+  try {
+    await firestore.collection(SMS_MESSAGES_COLLECTION).doc(messageSid).update({ replying_at: null });
+  } catch (error) {
+    console.error('Metering: Error releasing SMS reply claim:', error);
+    throw error;
+  }
+}
+
+/**
+ * Record the reply sent to an inbound SMS and increment the customer's SMS counters
+ *
+ * Idempotent per inbound MessageSid.
+ *
+ * @param {Object} customer - Customer document
+ * @param {string} messageSid - Inbound Twilio MessageSid being answered
+ * @param {string} replyText - Reply body
+ * @returns {Promise<{segments: number, alreadyRecorded: boolean}>}
+ */
+async function recordSmsSent(customer, messageSid, replyText) {
+  try {
+    const customerRef = firestore.collection(CUSTOMERS_COLLECTION).doc(customer.id);
+    const messageRef = firestore.collection(SMS_MESSAGES_COLLECTION).doc(messageSid);
+    const segments = countSmsSegments(replyText);
+
+    return await firestore.runTransaction(async (transaction) => {
+      const messageDoc = await transaction.get(messageRef);
+
+      if (messageDoc.exists && messageDoc.data().replied_at) {
+        return { segments: messageDoc.data().reply_segments, alreadyRecorded: true };
+      }
+
+      const now = new Date().toISOString();
+
+      transaction.update(customerRef, {
+        sms_sent: Firestore.FieldValue.increment(1),
+        sms_segments: Firestore.FieldValue.increment(segments),
+        updated_at: now,
+      });
+
+      transaction.set(messageRef, {
+        reply_length: replyText.length,
+        reply_segments: segments,
+        replied_at: now,
+      }, { merge: true });
+
+      return { segments, alreadyRecorded: false };
+    });
+  } catch (error) {
+    console.error('Metering: Error recording SMS reply:', error);
+    throw error;
+  }
+}
+
+/**
+ * Count a text the middleware sent on its own (e.g. an owner notification)
+ *
+ * @param {Object} customer - Customer document
+ * @param {string} text - Message body
+ * @returns {Promise<void>}
+ */
+async function recordSmsNotification(customer, text) {
+  try {
+    await firestore.collection(CUSTOMERS_COLLECTION).doc(customer.id).update({
+      sms_sent: Firestore.FieldValue.increment(1),
+      sms_segments: Firestore.FieldValue.increment(countSmsSegments(text)),
+      updated_at: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error('Metering: Error recording notification SMS:', error);
+    throw error;
+  }
+}
+
+/**
+ * Check if customer has used up their billable calls
+ *
+ * @param {Object} customer - Customer document
+ * @returns {boolean} True if limit exceeded
+ */
+function hasExceededCallLimit(customer) {
+  // No calls_limit on the document = unlimited
+  if (customer.calls_limit === undefined || customer.calls_limit === null) {
+    return false;
+  }
+  return (customer.billable_calls_used || 0) >= customer.calls_limit;
+}
+
+/**
+ * Check whether a customer has used up their AI-answered texts for the billing period
+ *
+ * @param {Object} customer - Customer document
+ * @returns {boolean} True if sms_received has reached sms_limit (default SMS_LIMIT)
+ */
+function hasExceededSmsLimit(customer) {
+  const limit = typeof customer.sms_limit === 'number' ? customer.sms_limit : DEFAULT_SMS_LIMIT;
+  return (customer.sms_received || 0) >= limit;
+}
+
+/**
+ * Get what to do with a call when the customer is over their limit
+ *
+ * @param {Object} customer - Customer document
+ * @returns {{behavior: string, message: string}|null} Over-limit action, or null if under limit / allowed
+ */
+function getOverLimitAction(customer) {
+  if (!hasExceededCallLimit(customer)) {
+    return null;
+  }
+
+  const behavior = OVER_LIMIT_BEHAVIORS.includes(customer.over_limit_behavior)
+    ? customer.over_limit_behavior
+    : DEFAULT_OVER_LIMIT_BEHAVIOR;
+
+  console.log(`Metering: Customer ${customer.id} over call limit (${customer.billable_calls_used}/${customer.calls_limit}) - ${behavior}`);
+
+  if (behavior === OVER_LIMIT_ALLOW) {
+    return null;
+  }
+
+  const defaultMessage = behavior === OVER_LIMIT_VOICEMAIL
+    ? `Thank you for calling ${customer.business_name}. We're not able to take your call right now. Please leave your name, number and a brief message after the tone, and we'll call you back.`
+    : `Thank you for calling ${customer.business_name}. We're not able to take your call right now, but we'll call you back as soon as possible at the number you're calling from. Goodbye.`;
+
+  return {
+    behavior,
+    message: customer.over_limit_message || defaultMessage,
+  };
+}
+
+module.exports = {
+  OUTCOMES,
+  OUTCOME_OVER_LIMIT,
+  OVER_LIMIT_BEHAVIORS,
+  CUSTOMER_OVER_LIMIT_BEHAVIORS,
+  OVER_LIMIT_VOICEMAIL,
+  MAX_OWNER_TEST_NUMBERS,
+  normalizeNumber,
+  classifyCall,
+  recordCallOutcome,
+  hasExceededCallLimit,
+  hasExceededSmsLimit,
+  getOverLimitAction,
+  countSmsSegments,
+  recordSmsReceived,
+  releaseSmsReply,
+  recordSmsSent,
+  recordSmsNotification,
+};
@@ -0,0 +1,460 @@
+/**
+ * After-Call Notification Service
+ *
+ * Tells the business owner about a finished call without them checking WordPress:
+ * - Summarize the transcript with the LLM (caller name, callback number, reason)
+ * - Text the summary to the owner from the customer's PhoneEase number
+ * - Email the summary + transcript through services/email.js (SMTP or webhook)
+ *
+ * Customer document field (optional - defaults shown):
+ * notification_preferences: {
+ *   sms:   { enabled: false, to: business_phone (as E.164) },
+ *   email: { enabled: false, to: null },
+ *   outcomes: ['billable', 'over_limit']   // Call outcomes that notify (see services/metering.js)
+ * }
+ *
+ * Each call notifies at most once - delivery is tracked on call_notifications/{callId}.
+ * A call whose delivery failed is retried (failed channels only) the next time it is notified.
+ */
+
+const { Firestore } = require('@google-cloud/firestore');
+const llm = require('./llm');
+const emailService = require('./email');
+const twilioService = require('./twilio');
+const transcripts = require('./transcripts');
+const metering = require('./metering');
+const countries = require('./countries');
+
+// Initialize Firestore
+const firestore = new Firestore({
+  projectId: process.env.GOOGLE_CLOUD_PROJECT,
+});
+
+const NOTIFICATIONS_COLLECTION = 'call_notifications';
+const CALLS_COLLECTION = 'calls';
+
+const CHANNEL_SMS = 'sms';
+const CHANNEL_EMAIL = 'email';
+const CHANNELS = [CHANNEL_SMS, CHANNEL_EMAIL];
+
+// Outcomes that notify unless the customer chooses otherwise (spam / silent / owner tests don't)
+const DEFAULT_NOTIFY_OUTCOMES = ['billable', 'over_limit'];
+
+// Keep owner texts to about three segments
+const MAX_SMS_LENGTH = 450;
+
+// E.164 phone number / loose email address check
+const E164_PATTERN = /^\+[1-9]\d{7,14}$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const SUMMARY_INSTRUCTIONS = `You summarize phone calls answered by an AI receptionist so the business owner can follow up.
+Read the transcript and reply with ONLY a JSON object, no other text:
+{
+  "caller_name": string or null,
+  "callback_number": string or null,
+  "reason": string,
+  "summary": string,
+  "callback_requested": boolean,
+  "urgent": boolean
+}
+- caller_name: the name the caller gave, or null
+- callback_number: a phone number the caller gave for a call back, or null
+- reason: why they called, in one short sentence
+- summary: 2-3 sentences - what the caller wanted and what they were told
+- callback_requested: true if the caller asked for someone to get back to them
+- urgent: true only if the caller said it is urgent or an emergency
+Use null for anything the caller didn't say. Never invent details.`;
+
+/**
+ * Get a customer's notification preferences with defaults applied
+ *
+ * @param {Object} customer - Customer document
+ * @returns {{sms: {enabled: boolean, to: string|null}, email: {enabled: boolean, to: string|null}, outcomes: string[]}}
+ */
+function getNotificationPreferences(customer) {
+  const stored = customer.notification_preferences || {};
+  const sms = stored.sms || {};
+  const mail = stored.email || {};
+
+  // business_phone is stored as entered ("(786) 555-1234") - texts need E.164
+  const businessPhone = countries.parsePhoneNumber(customer.business_phone, customer.country || countries.DEFAULT_COUNTRY);
+
+  return {
+    sms: {
+      enabled: sms.enabled === true,
+      to: sms.to || (businessPhone && businessPhone.e164) || null,
+    },
+    email: {
+      enabled: mail.enabled === true,
+      to: mail.to || null,
+    },
+    outcomes: stored.outcomes || DEFAULT_NOTIFY_OUTCOMES,
+  };
+}
+
+/**
+ * Validate a preferences update and merge it over the stored preferences
+ *
+ * @param {Object} body - { sms?: { enabled?, to? }, email?: { enabled?, to? }, outcomes? }
+ * @param {Object} current - Stored notification_preferences (optional)
+ * @returns {{preferences: Object|null, error: string|null}} Preferences to store, or a 400 error message
+ */
+function validatePreferencesUpdate(body, current = {}) {
+  const unknown = Object.keys(body).filter((field) => ![...CHANNELS, 'outcomes'].includes(field));
+  if (unknown.length > 0) {
+    return { preferences: null, error: `Unknown notification settings: ${unknown.join(', ')}` };
+  }
+
+  const preferences = { ...current };
+
+  for (const channel of CHANNELS) {
+    if (body[channel] === undefined) {
+      continue;
+    }
+
+    const update = body[channel];
+    if (!update || typeof update !== 'object' || Array.isArray(update)) {
+      return { preferences: null, error: `${channel} must be an object` };
+    }
+    if (update.enabled !== undefined && typeof update.enabled !== 'boolean') {
+      return { preferences: null, error: `${channel}.enabled must be a boolean` };
+    }
+
+    const to = typeof update.to === 'string' ? update.to.trim() : update.to;
+    if (to !== undefined && to !== null) {
+      const pattern = channel === CHANNEL_SMS ? E164_PATTERN : EMAIL_PATTERN;
+      if (typeof to !== 'string' || !pattern.test(to)) {
+        return {
+          preferences: null,
+          error: channel === CHANNEL_SMS
+            ? 'sms.to must be a phone number in E.164 format (+15551234567)'
+            : 'email.to must be a valid email address',
+        };
+      }
+    }
+
+    preferences[channel] = {
+      ...(current[channel] || {}),
+      ...(update.enabled !== undefined && { enabled: update.enabled }),
+      ...(to !== undefined && { to }),
+    };
+  }
+
+  if (body.outcomes !== undefined) {
+    if (!Array.isArray(body.outcomes) || body.outcomes.some((outcome) => !metering.OUTCOMES.includes(outcome))) {
+      return { preferences: null, error: `outcomes must be an array of: ${metering.OUTCOMES.join(', ')}` };
+    }
+    preferences.outcomes = [...new Set(body.outcomes)];
+  }
+
+  const emailPreferences = preferences[CHANNEL_EMAIL];
+  if (emailPreferences && emailPreferences.enabled && !emailPreferences.to) {
+    return { preferences: null, error: 'email.to is required to enable email notifications' };
+  }
+
+  return { preferences, error: null };
+}
+
+/**
+ * Format a call transcript for the summary prompt
+ *
+ * @param {Object} call - Call with turns (transcripts.getCall)
+ * @returns {string} Transcript text
+ */
+function formatTranscript(call) {
+  const lines = (call.turns || []).map((turn) => `Caller: ${turn.caller_message}\nReceptionist: ${turn.ai_response}`);
+
+  if (call.voicemail_url) {
+    lines.push('(The caller left a voicemail - not transcribed)');
+  }
+
+  return lines.length > 0 ? lines.join('\n') : '(The caller didn\'t say anything to the receptionist)';
+}
+
+/**
+ * Summary used when the LLM is unavailable or returns something unusable
+ *
+ * @param {Object} call - Call with turns
+ * @returns {Object} Summary
+ */
+function buildFallbackSummary(call) {
+  const firstMessage = (call.turns || []).map((turn) => turn.caller_message).find((message) => message && message.trim());
+
+  return {
+    caller_name: null,
+    callback_number: null,
+    reason: firstMessage
+      ? `"${firstMessage.length > 120 ? `${firstMessage.substring(0, 117)}...` : firstMessage}"`
+      : (call.voicemail_url ? 'Left a voicemail' : 'Missed call'),
+    summary: null,
+    callback_requested: Boolean(call.voicemail_url),
+    urgent: false,
+    generated_by: 'fallback',
+  };
+}
+
+/**
+ * Summarize a call with the LLM
+ *
+ * @param {Object} customer - Customer document
+ * @param {Object} call - Call with turns
+ * @returns {Promise<Object>} Summary (caller_name, callback_number, reason, summary, callback_requested, urgent)
+ */
+async function summarizeCall(customer, call) {
+  if (!call.turns || call.turns.length === 0) {
+    return buildFallbackSummary(call);
+  }
+
+  try {
+    const input = `Business: ${customer.business_name}\nCaller ID: ${call.from || 'unknown'}\n\nTranscript:\n${formatTranscript(call)}`;
+    const response = await llm.generateTaskResponse(null, SUMMARY_INSTRUCTIONS, input, { maxTokens: 400 });
+    const parsed = llm.parseJsonResponse(response.text);
+
+    if (!parsed || typeof parsed.reason !== 'string' || !parsed.reason.trim()) {
+      console.log(`Notifications: Unusable summary for call ${call.id} - using fallback`);
+      return buildFallbackSummary(call);
+    }
+
+    const asString = (value) => (typeof value === 'string' && value.trim() ? value.trim() : null);
+
+    return {
+      caller_name: asString(parsed.caller_name),
+      callback_number: asString(parsed.callback_number),
+      reason: parsed.reason.trim(),
+      summary: asString(parsed.summary),
+      callback_requested: parsed.callback_requested === true,
+      urgent: parsed.urgent === true,
+      generated_by: response.model,
+    };
+  } catch (error) {
+    console.error(`Notifications: Error summarizing call ${call.id}:`, error);
+    return buildFallbackSummary(call);
+  }
+}
+
+/**
+ * Describe the caller in one phrase ("Jane (+15551234567)")
+ *
+ * @param {Object} summary - Call summary
+ * @param {Object} call - Call
+ * @returns {string}
+ */
+function describeCaller(summary, call) {
+  const number = summary.callback_number || call.from || 'unknown number';
+  return summary.caller_name ? `${summary.caller_name} (${number})` : number;
+}
+
+/**
+ * Build the owner text message
+ *
+ * @param {Object} customer - Customer document
+ * @param {Object} summary - Call summary
+ * @param {Object} call - Call
+ * @returns {string} SMS body
+ */
+function buildSmsText(customer, summary, call) {
+  const parts = [
+    `${summary.urgent ? 'URGENT - ' : ''}New call for ${customer.business_name}: ${describeCaller(summary, call)}`,
+    summary.reason,
+  ];
+
+  if (summary.callback_requested) {
+    parts.push('Wants a call back.');
+  }
+  if (call.voicemail_url) {
+    parts.push(`Voicemail: ${call.voicemail_url}`);
+  }
+
+  const text = parts.join('\n');
+  return text.length > MAX_SMS_LENGTH ? `${text.substring(0, MAX_SMS_LENGTH - 3)}...` : text;
+}
+
+/**
+ * Build the owner email
+ *
+ * @param {Object} customer - Customer document
+ * @param {Object} summary - Call summary
+ * @param {Object} call - Call with turns
+ * @returns {{subject: string, text: string}}
+ */
+function buildEmail(customer, summary, call) {
+  const caller = describeCaller(summary, call);
+  const lines = [
+    `Your receptionist answered a call for ${customer.business_name}.`,
+    '',
+    `Caller: ${summary.caller_name || 'Not given'}`,
+    `Caller ID: ${call.from || 'Unknown'}`,
+  ];
+
+  if (summary.callback_number && summary.callback_number !== call.from) {
+    lines.push(`Call back on: ${summary.callback_number}`);
+  }
+  lines.push(`Reason: ${summary.reason}`);
+  if (summary.summary) {
+    lines.push('', summary.summary);
+  }
+  if (summary.callback_requested) {
+    lines.push('', 'The caller asked for someone to get back to them.');
+  }
+  if (call.voicemail_url) {
+    lines.push('', `Voicemail: ${call.voicemail_url}`);
+  }
+  if (call.turns && call.turns.length > 0) {
+    lines.push('', 'Transcript:', formatTranscript(call));
+  }
+  lines.push('', `Call received ${new Date(call.started_at || Date.now()).toUTCString()}`);
+
+  return {
+    subject: `${summary.urgent ? '[Urgent] ' : ''}New call from ${caller} - ${customer.business_name}`,
+    text: lines.join('\n'),
+  };
+}
+
+/**
+ * Claim a call for notification
+ *
+ * Only the customer the call belongs to can claim it.
+ *
+ * @param {Object} customer - Customer document
+ * @param {string} callId - Call id
+ * @returns {Promise<Object|null>} Previous delivery record ({} if new), or null if already notified / in progress / not this customer's call
+ */
+async function claimNotification(customer, callId) {
+  const docRef = firestore.collection(NOTIFICATIONS_COLLECTION).doc(callId);
+  const callRef = firestore.collection(CALLS_COLLECTION).doc(callId);
+
+  return await firestore.runTransaction(async (transaction) => {
+    const doc = await transaction.get(docRef);
+    const callDoc = await transaction.get(callRef);
+
+    const isForeign = (snapshot) => snapshot.exists && snapshot.data().site_token
+      && snapshot.data().site_token !== customer.site_token;
+
+    if (isForeign(doc) || isForeign(callDoc)) {
+      console.log(`Notifications: Call ${callId} belongs to another customer`);
+      return null;
+    }
+
+    if (doc.exists && doc.data().status !== 'failed') {
+      return null;
+    }
+
+    const now = new Date().toISOString();
+    transaction.set(docRef, {
+      call_id: callId,
+      customer_id: customer.id,
+      site_token: customer.site_token,
+      status: 'sending',
+      attempts: Firestore.FieldValue.increment(1),
+      updated_at: now,
+      ...(!doc.exists && { created_at: now }),
+    }, { merge: true });
+
+    return doc.exists ? doc.data() : {};
+  });
+}
+
+/**
+ * Send one notification channel, recording the result
+ *
+ * @param {Function} fn - Async send function resolving with delivery fields
+ * @returns {Promise<Object>} { status: 'sent', ...fields } or { status: 'failed', error }
+ */
+async function deliver(fn) {
+  try {
+    const result = await fn();
+    return { status: 'sent', ...result, sent_at: new Date().toISOString() };
+  } catch (error) {
+    return { status: 'failed', error: error.message };
+  }
+}
+
+/**
+ * Notify the owner about a finished call
+ *
+ * Best-effort: errors are logged, never thrown, so a failed notification
+ * can't fail the status callback / metering request that triggered it.
+ *
+ * @param {Object} customer - Customer document
+ * @param {string} callId - Call id (CallSid / session id)
+ * @param {Object} options - { outcome } from metering
+ * @returns {Promise<{status: string, channels: Object}|null>} Delivery result, or null if nothing was sent
+ */
+async function notifyCallEnded(customer, callId, options = {}) {
+  try {
+    const preferences = getNotificationPreferences(customer);
+
+    if (options.outcome && !preferences.outcomes.includes(options.outcome)) {
+      return null;
+    }
+
+    const wanted = CHANNELS.filter((channel) => preferences[channel].enabled && preferences[channel].to);
+    if (wanted.length === 0) {
+      return null;
+    }
+
+    const previous = await claimNotification(customer, callId);
+    if (!previous) {
+      console.log(`Notifications: Call ${callId} already notified or not claimable`);
+      return null;
+    }
+
+    const call = await transcripts.getCall(customer.site_token, callId)
+      || { id: callId, turns: [], started_at: new Date().toISOString(), from: options.from || null };
+    const summary = previous.summary || await summarizeCall(customer, call);
+    const channels = { ...(previous.channels || {}) };
+
+    for (const channel of wanted) {
+      if (channels[channel] && channels[channel].status === 'sent') {
+        continue;
+      }
+
+      const to = preferences[channel].to;
+
+      if (channel === CHANNEL_SMS) {
+        channels[channel] = await deliver(async () => {
+          if (!customer.phone_number || !customer.twilio_subaccount_sid) {
+            throw new Error('Customer has no PhoneEase number');
+          }
+          const text = buildSmsText(customer, summary, call);
+          const { messageSid } = await twilioService.sendSms(customer.twilio_subaccount_sid, customer.phone_number, to, text);
+          await metering.recordSmsNotification(customer, text);
+          return { to, message_sid: messageSid };
+        });
+      } else {
+        channels[channel] = await deliver(async () => {
+          const { messageId } = await emailService.sendEmail({ to, ...buildEmail(customer, summary, call) });
+          return { to, message_id: messageId };
+        });
+      }
+    }
+
+    const status = wanted.every((channel) => channels[channel].status === 'sent') ? 'sent' : 'failed';
+
+    await Promise.all([
+      firestore.collection(NOTIFICATIONS_COLLECTION).doc(callId).set({
+        customer_id: customer.id,
+        site_token: customer.site_token,
+        outcome: options.outcome || null,
+        status,
+        summary,
+        channels,
+        updated_at: new Date().toISOString(),
+      }, { merge: true }),
+      transcripts.recordSummary(customer.site_token, callId, summary),
+    ]);
+
+    console.log(`Notifications: Call ${callId} ${status} (${wanted.map((channel) => `${channel}=${channels[channel].status}`).join(', ')})`);
+    return { status, channels };
+  } catch (error) {
+    console.error(`Notifications: Error notifying for call ${callId}:`, error);
+    return null;
+  }
+}
+
+module.exports = {
+  getNotificationPreferences,
+  validatePreferencesUpdate,
+  summarizeCall,
+  notifyCallEnded,
+};
@@ -0,0 +1,50 @@
+/**
+ * Receptionist Tools
+ *
+ * Assembles the tools offered to the model on each conversation turn
+ * (chat, middleware-hosted voice and SMS):
+ * - save_lead                              - Always (services/leads.js)
+ * - check_availability / book_appointment - When booking is enabled (services/appointments.js)
+ *
+ * What the tools captured is kept on the session (lead, appointment) so the next
+ * turn's instructions know what is already saved.
+ */
+
+const leads = require('./leads');
+const appointments = require('./appointments');
+
+/**
+ * Create the tools for one conversation turn
+ *
+ * @param {Object} customer - Customer document
+ * @param {Object} session - Conversation session (lead / appointment from earlier turns)
+ * @param {string} conversationId - Transcript id (call id / session id / SMS thread id)
+ * @returns {{tools: Object[], getSessionUpdates: Function}}
+ *   getSessionUpdates() returns the session fields to save after the turn ({} if nothing was captured)
+ */
+function createReceptionistTools(customer, session, conversationId) {
+  const conversation = {
+    id: conversationId,
+    channel: session.channel,
+    from: session.from,
+    lead: session.lead,
+    appointment: session.appointment,
+  };
+
+  const leadCapture = leads.createLeadCapture(customer, conversation);
+  const booking = appointments.createBookingTools(customer, conversation);
+
+  return {
+    tools: [leadCapture.tool, ...(booking ? booking.tools : [])],
+    getSessionUpdates() {
+      return {
+        ...(leadCapture.lead && { lead: leads.toLeadSummary(leadCapture.lead) }),
+        ...(booking && booking.appointment && { appointment: booking.appointment }),
+      };
+    },
+  };
+}
+
+module.exports = {
+  createReceptionistTools,
+};
@@ -0,0 +1,263 @@
+/**
+ * Twilio Reconciliation Service
+ *
+ * Compares Twilio sub-accounts and their numbers against the customers
+ * collection and reports drift:
+ * - orphaned_sub_accounts  - Active sub-account with no live customer (closable)
+ * - orphaned_numbers       - PhoneEase number on a customer's sub-account that isn't their number (releasable)
+ * - relinks                - Customer whose sub-account / number SID points at the wrong resource,
+ *                            found again by phone_number (re-linkable)
+ * - missing_in_twilio      - Customer whose sub-account or number no longer exists (report only)
+ * - unmanaged_sub_accounts - Sub-accounts with numbers not bought by PhoneEase, or with nothing
+ *                            showing PhoneEase created them (never touched)
+ *
+ * PhoneEase numbers are recognized by their friendlyName ("PhoneEase - <sid>"). An unlinked
+ * sub-account is only treated as an orphan with positive evidence PhoneEase created it: a
+ * PhoneEase number, a "PhoneEase - " friendlyName, or a registration / compensation record.
+ * Sub-accounts younger than RECONCILE_GRACE_MS, or still owned by a registration
+ * in progress or a queued compensation, are skipped. So are stray numbers younger than
+ * RECONCILE_GRACE_MS, and all stray numbers of a customer whose phone number change
+ * (phone_change_in_progress lease) is still running - it may have just bought them.
+ *
+ * Run via POST /api/v1/admin/reconcile - dry run unless dry_run: false.
+ */
+
+const { Firestore } = require('@google-cloud/firestore');
+const twilioService = require('./twilio');
+const registrations = require('./registrations');
+const { updateCustomer, CUSTOMER_STATUS_CANCELLED } = require('./firestore');
+
+// Initialize Firestore
+const firestore = new Firestore({
+  projectId: process.env.GOOGLE_CLOUD_PROJECT,
+});
+
+const CUSTOMERS_COLLECTION = 'customers';
+
+// Sub-accounts and numbers younger than this may still be mid-registration / mid-replace
+const RECONCILE_GRACE_MS = 60 * 60 * 1000;
+
+/**
+ * Load every non-cancelled customer with Twilio resources
+ *
+ * @returns {Promise<Object[]>} Customers (with id)
+ */
+async function loadLinkedCustomers() {
+  const snapshot = await firestore.collection(CUSTOMERS_COLLECTION).get();
+
+  return snapshot.docs
+    .map((doc) => ({ id: doc.id, ...doc.data() }))
+    .filter((customer) => customer.status !== CUSTOMER_STATUS_CANCELLED &&
+      (customer.twilio_subaccount_sid || customer.phone_number));
+}
+
+/**
+ * Run an action unless this is a dry run, recording the outcome on the report entry
+ *
+ * @param {Object} entry - Report entry (action / error set in place)
+ * @param {boolean} apply - Whether to run the action
+ * @param {string} done - Action label when applied (e.g. 'closed')
+ * @param {string} planned - Action label for dry runs / disabled actions (e.g. 'would_close')
+ * @param {Function} fn - Async action
+ * @returns {Promise<void>}
+ */
+async function applyAction(entry, apply, done, planned, fn) {
+  if (!apply) {
+    entry.action = planned;
+    return;
+  }
+
+  try {
+    await fn();
+    entry.action = done;
+  } catch (error) {
+    entry.action = 'error';
+    entry.error = error.message;
+  }
+}
+
+/**
+ * Reconcile Twilio resources with Firestore customers
+ *
+ * @param {Object} options - Reconciliation options
+ * @param {boolean} options.dryRun - Only report (default true)
+ * @param {boolean} options.closeOrphans - Close orphaned sub-accounts and release orphaned numbers
+ * @param {boolean} options.relink - Point customer records at the resources found for them
+ * @returns {Promise<Object>} Drift report
+ */
+async function reconcile(options = {}) {
+  const dryRun = options.dryRun !== false;
+  const closeOrphans = !dryRun && options.closeOrphans === true;
+  const relink = !dryRun && options.relink === true;
+  const now = Date.now();
+
+  console.log(`Reconcile: Starting (${dryRun ? 'dry run' : `close_orphans=${closeOrphans}, relink=${relink}`})`);
+
+  const [subAccounts, customers, inFlight, recorded] = await Promise.all([
+    twilioService.listSubAccounts(),
+    loadLinkedCustomers(),
+    registrations.getInFlightSubAccountSids(),
+    registrations.getRecordedSubAccountSids(),
+  ]);
+
+  const report = {
+    checked: { sub_accounts: subAccounts.length, phone_numbers: 0, customers: customers.length },
+    orphaned_sub_accounts: [],
+    orphaned_numbers: [],
+    relinks: [],
+    missing_in_twilio: [],
+    unmanaged_sub_accounts: [],
+    skipped: [],
+  };
+
+  // Twilio side: numbers by sub-account and by phone number
+  const numbersBySubAccount = new Map();
+  const subAccountByPhoneNumber = new Map();
+
+  for (const subAccount of subAccounts) {
+    const numbers = await twilioService.listPhoneNumbers(subAccount.sid);
+    numbersBySubAccount.set(subAccount.sid, numbers);
+    report.checked.phone_numbers += numbers.length;
+
+    numbers.forEach((num) => {
+      subAccountByPhoneNumber.set(num.phoneNumber, { subAccount, number: num });
+    });
+  }
+
+  const customersBySubAccount = new Map();
+  customers.forEach((customer) => {
+    if (customer.twilio_subaccount_sid) {
+      customersBySubAccount.set(customer.twilio_subaccount_sid, customer);
+    }
+  });
+
+  // Customers: relink, missing resources, stray numbers on their sub-account
+  const relinkedSubAccounts = new Set();
+
+  for (const customer of customers) {
+    const numbers = numbersBySubAccount.get(customer.twilio_subaccount_sid);
+    const found = customer.phone_number ? subAccountByPhoneNumber.get(customer.phone_number) : null;
+
+    if (found && (found.subAccount.sid !== customer.twilio_subaccount_sid || found.number.sid !== customer.twilio_number_sid)) {
+      const entry = {
+        site_token: customer.site_token,
+        phone_number: customer.phone_number,
+        from: { sub_account_sid: customer.twilio_subaccount_sid || null, number_sid: customer.twilio_number_sid || null },
+        to: { sub_account_sid: found.subAccount.sid, number_sid: found.number.sid },
+      };
+      relinkedSubAccounts.add(found.subAccount.sid);
+
+      await applyAction(entry, relink, 'relinked', 'would_relink', () => updateCustomer(customer.id, {
+        twilio_subaccount_sid: found.subAccount.sid,
+        twilio_subaccount_token: found.subAccount.authToken,
+        twilio_number_sid: found.number.sid,
+      }));
+
+      report.relinks.push(entry);
+    } else if (!found) {
+      report.missing_in_twilio.push({
+        site_token: customer.site_token,
+        sub_account_sid: customer.twilio_subaccount_sid || null,
+        phone_number: customer.phone_number || null,
+        problem: numbers ? 'phone_number_not_found' : 'sub_account_not_found',
+      });
+    }
+
+    // Numbers left behind on the customer's own sub-account (e.g. a failed release after a number replace)
+    const phoneChange = customer.phone_change_in_progress;
+    const changingNumber = Boolean(phoneChange) && new Date(phoneChange.lease_expires_at).getTime() > now;
+
+    for (const num of numbers || []) {
+      if (num.phoneNumber === customer.phone_number || !twilioService.isPhoneEaseNumber(num)) {
+        continue;
+      }
+
+      if (changingNumber) {
+        report.skipped.push({ sub_account_sid: customer.twilio_subaccount_sid, number_sid: num.sid, reason: 'phone_change_in_progress' });
+        continue;
+      }
+      if (now - new Date(num.dateCreated).getTime() < RECONCILE_GRACE_MS) {
+        report.skipped.push({ sub_account_sid: customer.twilio_subaccount_sid, number_sid: num.sid, reason: 'recently_created' });
+        continue;
+      }
+
+      const entry = {
+        site_token: customer.site_token,
+        sub_account_sid: customer.twilio_subaccount_sid,
+        number_sid: num.sid,
+        phone_number: num.phoneNumber,
+      };
+
+      await applyAction(entry, closeOrphans, 'released', 'would_release', () =>
+        twilioService.releasePhoneNumber(customer.twilio_subaccount_sid, num.sid));
+
+      report.orphaned_numbers.push(entry);
+    }
+  }
+
+  // Sub-accounts: orphans (no live customer, not being relinked to one)
+  for (const subAccount of subAccounts) {
+    if (customersBySubAccount.has(subAccount.sid) || relinkedSubAccounts.has(subAccount.sid)) {
+      continue;
+    }
+
+    const numbers = numbersBySubAccount.get(subAccount.sid);
+
+    if (inFlight.has(subAccount.sid)) {
+      report.skipped.push({ sub_account_sid: subAccount.sid, reason: 'registration_in_progress' });
+      continue;
+    }
+    if (now - new Date(subAccount.dateCreated).getTime() < RECONCILE_GRACE_MS) {
+      report.skipped.push({ sub_account_sid: subAccount.sid, reason: 'recently_created' });
+      continue;
+    }
+    if (numbers.some((num) => !twilioService.isPhoneEaseNumber(num))) {
+      report.unmanaged_sub_accounts.push({
+        sub_account_sid: subAccount.sid,
+        friendly_name: subAccount.friendlyName,
+        reason: 'foreign_numbers',
+      });
+      continue;
+    }
+
+    // numbers.some() is vacuously false for an empty sub-account - that alone doesn't make it ours
+    const createdByPhoneEase = numbers.length > 0
+      || twilioService.isPhoneEaseSubAccount(subAccount)
+      || recorded.has(subAccount.sid);
+
+    if (!createdByPhoneEase) {
+      report.unmanaged_sub_accounts.push({
+        sub_account_sid: subAccount.sid,
+        friendly_name: subAccount.friendlyName,
+        reason: 'not_created_by_phoneease',
+      });
+      continue;
+    }
+
+    const entry = {
+      sub_account_sid: subAccount.sid,
+      friendly_name: subAccount.friendlyName,
+      created_at: new Date(subAccount.dateCreated).toISOString(),
+      phone_numbers: numbers.map((num) => num.phoneNumber),
+    };
+
+    await applyAction(entry, closeOrphans, 'closed', 'would_close', async () => {
+      for (const num of numbers) {
+        await twilioService.releasePhoneNumber(subAccount.sid, num.sid);
+      }
+      await twilioService.closeSubAccount(subAccount.sid);
+    });
+
+    report.orphaned_sub_accounts.push(entry);
+  }
+
+  console.log(`Reconcile: ${report.orphaned_sub_accounts.length} orphaned sub-accounts, ` +
+    `${report.orphaned_numbers.length} orphaned numbers, ${report.relinks.length} relinks, ` +
+    `${report.missing_in_twilio.length} missing in Twilio`);
+
+  return { dry_run: dryRun, ...report };
+}
+
+module.exports = {
+  reconcile,
+};
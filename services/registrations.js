@@ -0,0 +1,516 @@
+/**
+ * Registration Saga Service
+ *
+ * POST /api/v1/customers/register runs as a saga persisted in
+ * registrations/{sha256(Idempotency-Key)}:
+ *   sub_account -> address (GB) -> phone_number -> customer
+ *
+ * Each step's result is recorded as soon as it succeeds, so a retry with the
+ * same Idempotency-Key resumes after the last recorded step (or replays the
+ * original response once complete) instead of buying a second number.
+ * While a request is working on a registration it holds a short lease, renewed
+ * before each step; a concurrent retry gets 409 until the lease ends. A request
+ * whose lease was taken over stops at its next renewal (LEASE_LOST).
+ *
+ * Secrets are never stored here: the sub-account step keeps only its SID (the auth
+ * token is fetched again on resume), and the stored response keeps only a hash of
+ * the api_secret (replays take it from the customer document).
+ *
+ * On failure the recorded steps are compensated in reverse (release the number,
+ * close the sub-account). Compensations that fail are queued in
+ * registration_compensations and retried by the admin sweep
+ * (POST /api/v1/admin/registrations/compensations/retry) until they succeed.
+ *
+ * Configure Firestore TTL policies on registrations.expires_at and
+ * registration_compensations.expires_at.
+ */
+
+const crypto = require('crypto');
+const { Firestore } = require('@google-cloud/firestore');
+const { v4: uuidv4 } = require('uuid');
+const twilioService = require('./twilio');
+
+// Initialize Firestore
+const firestore = new Firestore({
+  projectId: process.env.GOOGLE_CLOUD_PROJECT,
+});
+
+const REGISTRATIONS_COLLECTION = 'registrations';
+const COMPENSATIONS_COLLECTION = 'registration_compensations';
+
+// Saga steps, in execution order
+const STEP_SUB_ACCOUNT = 'sub_account';
+const STEP_ADDRESS = 'address';
+const STEP_PHONE_NUMBER = 'phone_number';
+const STEP_CUSTOMER = 'customer';
+
+const STATUS_IN_PROGRESS = 'in_progress';
+const STATUS_COMPLETED = 'completed';
+const STATUS_FAILED = 'failed';
+
+// How long a request owns a registration before a retry may take it over
+const LEASE_MS = 2 * 60 * 1000;
+
+// How long an Idempotency-Key is remembered
+const REGISTRATION_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Kept long after done so the queue can be audited
+const COMPENSATION_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Compensation retry backoff: 1, 2, 4, ... minutes, capped at 6 hours
+const COMPENSATION_BACKOFF_BASE_MS = 60 * 1000;
+const COMPENSATION_BACKOFF_MAX_MS = 6 * 60 * 60 * 1000;
+
+// Maximum compensations retried per sweep request
+const DEFAULT_SWEEP_LIMIT = 50;
+const MAX_SWEEP_LIMIT = 500;
+
+/**
+ * Hash a value for use as a document id / fingerprint
+ *
+ * @param {string} value - Value to hash
+ * @returns {string} Hex SHA-256
+ */
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+/**
+ * Serialize a value as JSON with object keys sorted at every level
+ *
+ * @param {*} value - JSON value
+ * @returns {string} Canonical JSON
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map((item) => canonicalJson(item === undefined ? null : item)).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Fingerprint a registration request body
+ *
+ * Key order doesn't matter. Reusing an Idempotency-Key with a different body is rejected.
+ *
+ * @param {Object} body - Request body
+ * @returns {string} Fingerprint
+ */
+function fingerprintRequest(body) {
+  return sha256(canonicalJson(body || {}));
+}
+
+/**
+ * Error for a request whose registration lease was taken over by a retry
+ *
+ * @param {Object} registration - Registration
+ * @returns {Error} Error with code LEASE_LOST
+ */
+function leaseLostError(registration) {
+  const error = new Error(`Registration ${registration.id} was taken over by another request`);
+  error.code = 'LEASE_LOST';
+  return error;
+}
+
+/**
+ * Claim a registration for this request
+ *
+ * Outcomes:
+ * - claimed     - New registration, or resuming one whose lease ended / that failed
+ * - replay      - Already completed; registration.response holds the original response
+ * - in_progress - Another request holds the lease
+ * - mismatch    - Key was used with a different request body
+ *
+ * @param {string} idempotencyKey - Idempotency-Key header (generated if the client sent none)
+ * @param {string} fingerprint - fingerprintRequest(body)
+ * @returns {Promise<{outcome: string, registration: Object}>}
+ */
+async function claimRegistration(idempotencyKey, fingerprint) {
+  const registrationRef = firestore.collection(REGISTRATIONS_COLLECTION).doc(sha256(idempotencyKey));
+
+  return await firestore.runTransaction(async (transaction) => {
+    const registrationDoc = await transaction.get(registrationRef);
+    const now = Date.now();
+    const lease = {
+      lease_id: uuidv4(),
+      lease_expires_at: new Date(now + LEASE_MS).toISOString(),
+      updated_at: new Date(now).toISOString(),
+    };
+
+    if (!registrationDoc.exists) {
+      const registration = {
+        fingerprint,
+        status: STATUS_IN_PROGRESS,
+        site_token: uuidv4(),
+        steps: {},
+        attempt: 1,
+        created_at: new Date(now).toISOString(),
+        expires_at: new Date(now + REGISTRATION_TTL_MS),
+        ...lease,
+      };
+
+      transaction.set(registrationRef, registration);
+      return { outcome: 'claimed', registration: { id: registrationRef.id, ...registration } };
+    }
+
+    const existing = { id: registrationRef.id, ...registrationDoc.data() };
+
+    if (existing.fingerprint !== fingerprint) {
+      return { outcome: 'mismatch', registration: existing };
+    }
+
+    if (existing.status === STATUS_COMPLETED) {
+      return { outcome: 'replay', registration: existing };
+    }
+
+    if (existing.status === STATUS_IN_PROGRESS && new Date(existing.lease_expires_at).getTime() > now) {
+      return { outcome: 'in_progress', registration: existing };
+    }
+
+    // Lease ended (request crashed or timed out) - resume; failed - start over (steps were compensated)
+    const changes = {
+      status: STATUS_IN_PROGRESS,
+      attempt: (existing.attempt || 1) + 1,
+      ...lease,
+    };
+    if (existing.status === STATUS_FAILED) {
+      changes.steps = {};
+    }
+
+    transaction.update(registrationRef, changes);
+    return { outcome: 'claimed', registration: { ...existing, ...changes } };
+  });
+}
+
+/**
+ * Renew this request's lease before starting a step
+ *
+ * @param {Object} registration - Claimed registration
+ * @returns {Promise<void>}
+ * @throws {Error} LEASE_LOST if a retry has claimed the registration since
+ */
+async function renewLease(registration) {
+  const registrationRef = firestore.collection(REGISTRATIONS_COLLECTION).doc(registration.id);
+
+  await firestore.runTransaction(async (transaction) => {
+    const registrationDoc = await transaction.get(registrationRef);
+    const current = registrationDoc.exists ? registrationDoc.data() : null;
+
+    if (!current || current.status !== STATUS_IN_PROGRESS || current.lease_id !== registration.lease_id) {
+      throw leaseLostError(registration);
+    }
+
+    const now = Date.now();
+    transaction.update(registrationRef, {
+      lease_expires_at: new Date(now + LEASE_MS).toISOString(),
+      updated_at: new Date(now).toISOString(),
+    });
+  });
+}
+
+/**
+ * Record a completed step (and extend the lease)
+ *
+ * @param {Object} registration - Claimed registration (steps updated in place)
+ * @param {string} step - STEP_* name
+ * @param {Object} result - Step result needed to resume or compensate
+ * @returns {Promise<void>}
+ */
+async function recordStep(registration, step, result) {
+  const now = Date.now();
+
+  // Updated first so a failed write still compensates the step
+  registration.steps = { ...registration.steps, [step]: result };
+
+  await firestore.collection(REGISTRATIONS_COLLECTION).doc(registration.id).update({
+    [`steps.${step}`]: { ...result, completed_at: new Date(now).toISOString() },
+    lease_expires_at: new Date(now + LEASE_MS).toISOString(),
+    updated_at: new Date(now).toISOString(),
+  });
+
+  console.log(`Registrations: ${registration.id} - step ${step} recorded`);
+}
+
+/**
+ * Mark a registration complete and store the response for replays
+ *
+ * The body's api_secret is stored as a hash only (see buildReplayBody()).
+ *
+ * @param {Object} registration - Claimed registration
+ * @param {number} status - HTTP status
+ * @param {Object} body - Response body
+ * @returns {Promise<void>}
+ */
+async function completeRegistration(registration, status, body) {
+  const { api_secret: apiSecret, ...storedBody } = body;
+
+  await firestore.collection(REGISTRATIONS_COLLECTION).doc(registration.id).update({
+    status: STATUS_COMPLETED,
+    response: { status, body: storedBody, api_secret_hash: apiSecret ? sha256(apiSecret) : null },
+    lease_expires_at: null,
+    completed_at: new Date().toISOString(),
+    updated_at: new Date().toISOString(),
+  });
+
+  console.log(`Registrations: ${registration.id} completed (${status})`);
+}
+
+/**
+ * Response body to replay for a completed registration
+ *
+ * The api_secret is added back from the customer document while it still matches
+ * the hash stored at completion - a rotated or removed secret is never replayed.
+ *
+ * @param {Object} registration - Completed registration
+ * @param {Object|null} customer - Customer the registration created
+ * @returns {Object} Response body
+ */
+function buildReplayBody(registration, customer) {
+  const { body, api_secret_hash: apiSecretHash } = registration.response;
+
+  if (apiSecretHash && customer && customer.api_secret && sha256(customer.api_secret) === apiSecretHash) {
+    return { ...body, api_secret: customer.api_secret };
+  }
+  return body;
+}
+
+/**
+ * Run one compensating action against Twilio
+ *
+ * @param {Object} action - { type, sub_account_sid, number_sid }
+ * @returns {Promise<void>}
+ */
+async function runCompensation(action) {
+  if (action.type === 'release_phone_number') {
+    await twilioService.releasePhoneNumber(action.sub_account_sid, action.number_sid);
+  } else if (action.type === 'close_sub_account') {
+    await twilioService.closeSubAccount(action.sub_account_sid);
+  } else {
+    throw new Error(`Unknown compensation type: ${action.type}`);
+  }
+}
+
+/**
+ * Queue a compensation that failed for retry by the admin sweep
+ *
+ * @param {string} registrationId - Registration the action belongs to
+ * @param {Object} action - Compensating action
+ * @param {Error} error - Failure
+ * @returns {Promise<void>}
+ */
+async function queueCompensation(registrationId, action, error) {
+  const now = Date.now();
+
+  await firestore.collection(COMPENSATIONS_COLLECTION).add({
+    registration_id: registrationId,
+    ...action,
+    status: 'pending',
+    attempts: 1,
+    last_error: error.message,
+    next_attempt_at: new Date(now + COMPENSATION_BACKOFF_BASE_MS).toISOString(),
+    created_at: new Date(now).toISOString(),
+    updated_at: new Date(now).toISOString(),
+    expires_at: new Date(now + COMPENSATION_TTL_MS),
+  });
+
+  console.log(`Registrations: Queued ${action.type} for ${action.sub_account_sid} - ${error.message}`);
+}
+
+/**
+ * Compensate a registration's recorded steps and mark it failed
+ *
+ * A retry with the same Idempotency-Key starts over from the first step.
+ *
+ * @param {Object} registration - Claimed registration
+ * @param {Object} error - { status, body } response returned to the client
+ * @returns {Promise<{compensated: string[], queued: string[]}>}
+ */
+async function failRegistration(registration, error) {
+  const steps = registration.steps || {};
+  const actions = [];
+
+  // Reverse step order. The address goes away with the sub-account.
+  if (steps[STEP_PHONE_NUMBER]) {
+    actions.push({
+      type: 'release_phone_number',
+      sub_account_sid: steps[STEP_SUB_ACCOUNT].account_sid,
+      number_sid: steps[STEP_PHONE_NUMBER].number_sid,
+    });
+  }
+  if (steps[STEP_SUB_ACCOUNT]) {
+    actions.push({
+      type: 'close_sub_account',
+      sub_account_sid: steps[STEP_SUB_ACCOUNT].account_sid,
+    });
+  }
+
+  const compensated = [];
+  const queued = [];
+
+  for (const action of actions) {
+    try {
+      await runCompensation(action);
+      compensated.push(action.type);
+    } catch (compensationError) {
+      await queueCompensation(registration.id, action, compensationError);
+      queued.push(action.type);
+    }
+  }
+
+  await firestore.collection(REGISTRATIONS_COLLECTION).doc(registration.id).update({
+    status: STATUS_FAILED,
+    steps: {},
+    last_error: error,
+    lease_expires_at: null,
+    failed_at: new Date().toISOString(),
+    updated_at: new Date().toISOString(),
+  });
+
+  console.log(`Registrations: ${registration.id} failed - compensated [${compensated.join(', ')}], queued [${queued.join(', ')}]`);
+  return { compensated, queued };
+}
+
+/**
+ * Sub-accounts that registrations are still working on
+ *
+ * In-progress registrations and queued compensations own their sub-accounts,
+ * so reconciliation must not treat them as orphans.
+ *
+ * @returns {Promise<Set<string>>} Sub-account SIDs
+ */
+async function getInFlightSubAccountSids() {
+  const [inProgress, pending] = await Promise.all([
+    firestore.collection(REGISTRATIONS_COLLECTION).where('status', '==', STATUS_IN_PROGRESS).get(),
+    firestore.collection(COMPENSATIONS_COLLECTION).where('status', '==', 'pending').get(),
+  ]);
+
+  const sids = new Set();
+
+  inProgress.docs.forEach((doc) => {
+    const subAccount = (doc.data().steps || {})[STEP_SUB_ACCOUNT];
+    if (subAccount) {
+      sids.add(subAccount.account_sid);
+    }
+  });
+  pending.docs.forEach((doc) => {
+    sids.add(doc.data().sub_account_sid);
+  });
+
+  return sids;
+}
+
+/**
+ * Sub-accounts the registration records show PhoneEase created
+ *
+ * Any status - completed, failed and in-progress registrations, and queued or
+ * finished compensations. Registrations expire after REGISTRATION_TTL_MS, so
+ * older sub-accounts aren't covered.
+ *
+ * @returns {Promise<Set<string>>} Sub-account SIDs
+ */
+async function getRecordedSubAccountSids() {
+  const [registrationsSnapshot, compensationsSnapshot] = await Promise.all([
+    firestore.collection(REGISTRATIONS_COLLECTION).get(),
+    firestore.collection(COMPENSATIONS_COLLECTION).get(),
+  ]);
+
+  const sids = new Set();
+
+  registrationsSnapshot.docs.forEach((doc) => {
+    const subAccount = (doc.data().steps || {})[STEP_SUB_ACCOUNT];
+    if (subAccount) {
+      sids.add(subAccount.account_sid);
+    }
+  });
+  compensationsSnapshot.docs.forEach((doc) => {
+    sids.add(doc.data().sub_account_sid);
+  });
+
+  return sids;
+}
+
+/**
+ * Retry queued compensations that are due
+ *
+ * @param {Object} options - Sweep options
+ * @param {number} options.limit - Maximum compensations to retry (default 50, max 500)
+ * @returns {Promise<{due: number, succeeded: Array, failed: Array}>} Sweep results
+ */
+async function retryCompensations(options = {}) {
+  const limit = Math.min(parseInt(options.limit, 10) || DEFAULT_SWEEP_LIMIT, MAX_SWEEP_LIMIT);
+  const now = new Date();
+
+  console.log(`Registrations: Retrying compensations due before ${now.toISOString()} (limit ${limit})`);
+
+  const snapshot = await firestore
+    .collection(COMPENSATIONS_COLLECTION)
+    .where('status', '==', 'pending')
+    .where('next_attempt_at', '<=', now.toISOString())
+    .limit(limit)
+    .get();
+
+  const succeeded = [];
+  const failed = [];
+
+  for (const doc of snapshot.docs) {
+    const action = doc.data();
+    const summary = {
+      id: doc.id,
+      type: action.type,
+      sub_account_sid: action.sub_account_sid,
+      attempts: action.attempts + 1,
+    };
+
+    try {
+      await runCompensation(action);
+
+      await doc.ref.update({
+        status: 'done',
+        attempts: action.attempts + 1,
+        completed_at: new Date().toISOString(),
+        updated_at: new Date().toISOString(),
+      });
+      succeeded.push(summary);
+    } catch (error) {
+      const backoff = Math.min(
+        COMPENSATION_BACKOFF_BASE_MS * Math.pow(2, action.attempts),
+        COMPENSATION_BACKOFF_MAX_MS
+      );
+
+      await doc.ref.update({
+        attempts: action.attempts + 1,
+        last_error: error.message,
+        next_attempt_at: new Date(Date.now() + backoff).toISOString(),
+        updated_at: new Date().toISOString(),
+      });
+      failed.push({ ...summary, error: error.message });
+    }
+  }
+
+  console.log(`Registrations: Compensations retried - ${succeeded.length} succeeded, ${failed.length} failed`);
+  return { due: snapshot.size, succeeded, failed };
+}
+
+module.exports = {
+  STEP_SUB_ACCOUNT,
+  STEP_ADDRESS,
+  STEP_PHONE_NUMBER,
+  STEP_CUSTOMER,
+  fingerprintRequest,
+  claimRegistration,
+  renewLease,
+  recordStep,
+  completeRegistration,
+  buildReplayBody,
+  failRegistration,
+  getInFlightSubAccountSids,
+  getRecordedSubAccountSids,
+  retryCompensations,
+};
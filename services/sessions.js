@@ -0,0 +1,327 @@
+/**
+ * Conversation Session Service
+ *
+ * Server-side conversation state so clients only send the new message:
+ * - Keyed by Twilio CallSid (voice) or a middleware-issued session id
+ * - Persisted in Firestore (sessions collection) with an in-memory cache for hot calls
+ * - Sessions expire after SESSION_IDLE_TIMEOUT_MS without activity (or the session's
+ *   own idle_timeout_ms, e.g. SMS threads that stay open for a day)
+ *
+ * NOTE: The cache is per Cloud Run instance. Turns are always written to Firestore,
+ * but a cached session can be stale if another instance handled the previous turn.
+ * Enable Cloud Run session affinity, or set SESSION_CACHE_TTL_MS=0 to always read
+ * from Firestore. A Firestore TTL policy on `expires_at` cleans up old documents.
+ */
+
+const { Firestore } = require('@google-cloud/firestore');
+const { v4: uuidv4 } = require('uuid');
+
+// Initialize Firestore
+const firestore = new Firestore({
+  projectId: process.env.GOOGLE_CLOUD_PROJECT,
+});
+
+const SESSIONS_COLLECTION = 'sessions';
+
+// Session expires after this long without a new turn (default: 30 minutes)
+const SESSION_IDLE_TIMEOUT_MS = parseInt(process.env.SESSION_IDLE_TIMEOUT_MS, 10) || 30 * 60 * 1000;
+
+// How long a cached session is trusted before re-reading Firestore (default: 60 seconds)
+const SESSION_CACHE_TTL_MS = process.env.SESSION_CACHE_TTL_MS !== undefined
+  ? parseInt(process.env.SESSION_CACHE_TTL_MS, 10)
+  : 60 * 1000;
+
+// Fields kept in the in-memory cache only (never persisted)
+const MEMORY_ONLY_FIELDS = ['customer'];
+
+// sessionId -> { session, cachedAt }
+const cache = new Map();
+
+/**
+ * Compute expiry timestamp from a last-activity time
+ *
+ * @param {number} lastActivityMs - Last activity (epoch ms)
+ * @param {number} idleTimeoutMs - Session idle timeout (default SESSION_IDLE_TIMEOUT_MS)
+ * @returns {string} ISO timestamp
+ */
+function getExpiry(lastActivityMs, idleTimeoutMs) {
+  return new Date(lastActivityMs + (idleTimeoutMs || SESSION_IDLE_TIMEOUT_MS)).toISOString();
+}
+
+/**
+ * Get the idle timeout of a cached session
+ *
+ * @param {string} sessionId - Session id
+ * @returns {number|undefined} idle_timeout_ms, or undefined for the default
+ */
+function getCachedIdleTimeout(sessionId) {
+  const cached = cache.get(sessionId);
+  return cached ? cached.session.idle_timeout_ms : undefined;
+}
+
+/**
+ * Check whether a session has expired or ended
+ *
+ * @param {Object} session - Session
+ * @returns {boolean} True if the session can no longer be used
+ */
+function isExpired(session) {
+  return session.status !== 'active' || new Date(session.expires_at).getTime() <= Date.now();
+}
+
+/**
+ * Strip memory-only fields before writing to Firestore
+ *
+ * @param {Object} session - Session
+ * @returns {Object} Firestore document data
+ */
+function toDocument(session) {
+  const data = { ...session };
+  MEMORY_ONLY_FIELDS.forEach((field) => delete data[field]);
+  return data;
+}
+
+/**
+ * Create a new session
+ *
+ * @param {Object} data - Session data
+ * @param {string} data.session_id - Optional id (e.g. Twilio CallSid) - generated if omitted
+ * @param {string} data.customer_id - Firestore customer document ID
+ * @param {string} data.site_token - Customer site token
+ * @param {string} data.channel - 'voice', 'chat' or 'sms'
+ * @param {number} data.idle_timeout_ms - Optional idle timeout for this session
+ * @param {Object} data.customer - Optional customer document (cached in memory only)
+ * @param {Object} options - Create options
+ * @param {boolean} options.onlyIfNew - Keep an existing session with this id (e.g. an ended call) instead of replacing it
+ * @returns {Promise<Object|null>} Session, or null if onlyIfNew and the id is already used
+ */
+async function createSession(data = {}, options = {}) {
+  try {
+    const sessionId = data.session_id || `sess_${uuidv4()}`;
+    const now = Date.now();
+
+    const session = {
+      ...data,
+      session_id: sessionId,
+      channel: data.channel || 'chat',
+      status: 'active',
+      history: [],
+      silent_prompts: 0,
+      started_at: new Date(now).toISOString(),
+      updated_at: new Date(now).toISOString(),
+      expires_at: getExpiry(now, data.idle_timeout_ms),
+    };
+
+    const docRef = firestore.collection(SESSIONS_COLLECTION).doc(sessionId);
+
+    if (options.onlyIfNew) {
+      try {
+        await docRef.create(toDocument(session));
+      } catch (error) {
+        // 6 = ALREADY_EXISTS
+        if (error.code === 6) {
+          console.log(`Sessions: Session ${sessionId} already exists - not replaced`);
+          return null;
+        }
+        throw error;
+      }
+    } else {
+      await docRef.set(toDocument(session));
+    }
+    cache.set(sessionId, { session, cachedAt: now });
+
+    console.log(`Sessions: Created ${session.channel} session ${sessionId} (${cache.size} cached)`);
+    return session;
+  } catch (error) {
+    console.error('Sessions: Error creating session:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get an active session
+ *
+ * Expired sessions are marked ended on access and reported as not found.
+ *
+ * @param {string} sessionId - Session id or Twilio CallSid
+ * @returns {Promise<Object|null>} Session or null if not found / expired
+ */
+async function getSession(sessionId) {
+  try {
+    const cached = cache.get(sessionId);
+    let session = null;
+
+    if (cached && Date.now() - cached.cachedAt < SESSION_CACHE_TTL_MS) {
+      session = cached.session;
+    } else {
+      const doc = await firestore.collection(SESSIONS_COLLECTION).doc(sessionId).get();
+
+      if (!doc.exists) {
+        cache.delete(sessionId);
+        return null;
+      }
+
+      // Keep memory-only fields (e.g. customer) from the previous cache entry
+      session = { ...(cached ? cached.session : {}), ...doc.data() };
+      cache.set(sessionId, { session, cachedAt: Date.now() });
+    }
+
+    if (isExpired(session)) {
+      if (session.status === 'active') {
+        console.log(`Sessions: Session ${sessionId} expired after ${session.idle_timeout_ms || SESSION_IDLE_TIMEOUT_MS}ms idle`);
+        await endSession(sessionId, 'expired');
+      }
+      cache.delete(sessionId);
+      return null;
+    }
+
+    return session;
+  } catch (error) {
+    console.error('Sessions: Error getting session:', error);
+    throw error;
+  }
+}
+
+/**
+ * Update session fields (and refresh idle expiry)
+ *
+ * @param {string} sessionId - Session id
+ * @param {Object} updates - Fields to update
+ * @returns {Promise<void>}
+ */
+async function updateSession(sessionId, updates) {
+  try {
+    const now = Date.now();
+    const fields = {
+      ...updates,
+      updated_at: new Date(now).toISOString(),
+      expires_at: getExpiry(now, getCachedIdleTimeout(sessionId)),
+    };
+
+    await firestore.collection(SESSIONS_COLLECTION).doc(sessionId).update(toDocument(fields));
+
+    const cached = cache.get(sessionId);
+    if (cached) {
+      Object.assign(cached.session, fields);
+    }
+  } catch (error) {
+    console.error('Sessions: Error updating session:', error);
+    throw error;
+  }
+}
+
+/**
+ * Append one user/assistant exchange to the session history
+ *
+ * @param {string} sessionId - Session id
+ * @param {string} userText - What the caller said
+ * @param {string} assistantText - What the receptionist replied
+ * @returns {Promise<void>}
+ */
+async function appendTurns(sessionId, userText, assistantText) {
+  try {
+    const now = Date.now();
+    const at = new Date(now).toISOString();
+    const expiresAt = getExpiry(now, getCachedIdleTimeout(sessionId));
+
+    // `at` keeps otherwise identical turns ("yes") distinct for arrayUnion
+    const turns = [
+      { role: 'user', content: userText, at },
+      { role: 'assistant', content: assistantText, at },
+    ];
+
+    await firestore.collection(SESSIONS_COLLECTION).doc(sessionId).update({
+      history: Firestore.FieldValue.arrayUnion(...turns),
+      silent_prompts: 0,
+      updated_at: at,
+      expires_at: expiresAt,
+    });
+
+    const cached = cache.get(sessionId);
+    if (cached) {
+      cached.session.history.push(...turns);
+      cached.session.silent_prompts = 0;
+      cached.session.updated_at = at;
+      cached.session.expires_at = expiresAt;
+    }
+  } catch (error) {
+    console.error('Sessions: Error appending turns:', error);
+    throw error;
+  }
+}
+
+/**
+ * End a session
+ *
+ * @param {string} sessionId - Session id
+ * @param {string} reason - Why the session ended (e.g. 'completed', 'expired')
+ * @returns {Promise<Object|null>} Ended session or null if not found
+ */
+async function endSession(sessionId, reason = 'completed') {
+  try {
+    const docRef = firestore.collection(SESSIONS_COLLECTION).doc(sessionId);
+    const doc = await docRef.get();
+
+    if (!doc.exists) {
+      cache.delete(sessionId);
+      return null;
+    }
+
+    const endedAt = new Date().toISOString();
+    await docRef.update({
+      status: 'ended',
+      end_reason: reason,
+      ended_at: endedAt,
+      updated_at: endedAt,
+    });
+
+    const cached = cache.get(sessionId);
+    cache.delete(sessionId);
+
+    const session = {
+      ...(cached ? cached.session : {}),
+      ...doc.data(),
+      status: 'ended',
+      end_reason: reason,
+      ended_at: endedAt,
+    };
+
+    console.log(`Sessions: Ended session ${sessionId} (${reason}, ${session.history.length / 2} turns, ${cache.size} cached)`);
+    return session;
+  } catch (error) {
+    console.error('Sessions: Error ending session:', error);
+    throw error;
+  }
+}
+
+/**
+ * Drop expired sessions from the in-memory cache
+ *
+ * Firestore documents are expired lazily in getSession() (and by the TTL policy).
+ */
+function sweepCache() {
+  let removed = 0;
+
+  cache.forEach(({ session }, sessionId) => {
+    if (isExpired(session)) {
+      cache.delete(sessionId);
+      removed++;
+    }
+  });
+
+  if (removed > 0) {
+    console.log(`Sessions: Removed ${removed} expired sessions from cache (${cache.size} cached)`);
+  }
+}
+
+// Periodic cache cleanup - unref() so it never keeps the process alive
+setInterval(sweepCache, 60 * 1000).unref();
+
+module.exports = {
+  SESSION_IDLE_TIMEOUT_MS,
+  createSession,
+  getSession,
+  updateSession,
+  appendTurns,
+  endSession,
+};
@@ -0,0 +1,143 @@
+/**
+ * LLM Tool Calling Helpers
+ *
+ * Tools are defined once, provider-neutral, and converted for Gemini function
+ * calling (vertexai.js) and Claude tool use (anthropic.js):
+ *
+ * {
+ *   name: 'save_lead',
+ *   description: string,          // What the tool does (shown to the model)
+ *   instructions: string,         // Added to the receptionist prompt when the tool is offered
+ *   parameters: { type: 'object', properties: {...}, required: [...] },  // JSON Schema
+ *   silent: boolean,              // Record-only: no need to show the result to the model again
+ *   exclusive: boolean,           // Only one model attempt per turn may run it (see llm.js failover)
+ *   handler: async (args) => result  // Runs server-side, result is sent back to the model
+ * }
+ *
+ * Providers run up to MAX_TOOL_ROUNDS model calls per turn. After the model
+ * calls only silent tools and already has a reply for the caller, the turn
+ * ends without another round trip.
+ */
+
+// Model calls per conversation turn when tools are used
+const MAX_TOOL_ROUNDS = 3;
+
+// Output budget when tools are offered (tool arguments count toward it)
+const TOOL_MAX_OUTPUT_TOKENS = 300;
+
+// Said when the model only called tools and never produced a reply
+const DEFAULT_TOOL_REPLY = 'Thank you, I\'ve made a note of that. Is there anything else I can help you with?';
+
+/**
+ * Append the tools' prompt instructions to receptionist instructions
+ *
+ * @param {string} instructions - Receptionist instructions / system prompt
+ * @param {Array} tools - Tool definitions (optional)
+ * @returns {string} Instructions with tool guidance
+ */
+function withToolInstructions(instructions, tools = []) {
+  const guidance = tools.map((tool) => tool.instructions).filter(Boolean);
+  return guidance.length > 0 ? `${instructions}\n\n${guidance.join('\n\n')}` : instructions;
+}
+
+/**
+ * Convert a JSON Schema to the Vertex AI schema format (upper-case types)
+ *
+ * @param {Object} schema - JSON Schema
+ * @returns {Object} Vertex AI schema
+ */
+function toGeminiSchema(schema) {
+  const converted = { ...schema, type: schema.type.toUpperCase() };
+
+  if (schema.properties) {
+    converted.properties = {};
+    Object.entries(schema.properties).forEach(([name, property]) => {
+      converted.properties[name] = toGeminiSchema(property);
+    });
+  }
+  if (schema.items) {
+    converted.items = toGeminiSchema(schema.items);
+  }
+
+  return converted;
+}
+
+/**
+ * Convert tools to Gemini function declarations
+ *
+ * @param {Array} tools - Tool definitions
+ * @returns {Array} Vertex AI `tools` request field
+ */
+function toGeminiTools(tools) {
+  return [{
+    functionDeclarations: tools.map((tool) => ({
+      name: tool.name,
+      description: tool.description,
+      parameters: toGeminiSchema(tool.parameters),
+    })),
+  }];
+}
+
+/**
+ * Convert tools to Claude tool definitions
+ *
+ * @param {Array} tools - Tool definitions
+ * @returns {Array} Anthropic `tools` request field
+ */
+function toClaudeTools(tools) {
+  return tools.map((tool) => ({
+    name: tool.name,
+    description: tool.description,
+    input_schema: tool.parameters,
+  }));
+}
+
+/**
+ * Run one tool call from the model
+ *
+ * Handler errors are returned to the model as { error } instead of failing the turn.
+ *
+ * @param {Array} tools - Tool definitions
+ * @param {string} name - Tool name from the model
+ * @param {Object} args - Tool arguments from the model
+ * @returns {Promise<{name: string, args: Object, result: Object, silent: boolean}>}
+ */
+async function runToolCall(tools, name, args) {
+  const tool = tools.find((candidate) => candidate.name === name);
+
+  if (!tool) {
+    console.log(`Tools: Model called unknown tool ${name}`);
+    return { name, args, result: { error: `Unknown tool: ${name}` }, silent: false };
+  }
+
+  try {
+    console.log(`Tools: ${name}(${JSON.stringify(args)})`);
+    const result = await tool.handler(args || {});
+    return { name, args, result: result || { ok: true }, silent: Boolean(tool.silent) };
+  } catch (error) {
+    console.error(`Tools: Error running ${name}:`, error);
+    return { name, args, result: { error: error.message }, silent: false };
+  }
+}
+
+/**
+ * Whether a turn can end after these tool calls
+ *
+ * @param {string} text - Reply text produced so far
+ * @param {Array} calls - Results of runToolCall() for this round
+ * @returns {boolean} True if no follow-up model call is needed
+ */
+function canSkipFollowUp(text, calls) {
+  return Boolean(text) && calls.every((call) => call.silent);
+}
+
+module.exports = {
+  MAX_TOOL_ROUNDS,
+  TOOL_MAX_OUTPUT_TOKENS,
+  DEFAULT_TOOL_REPLY,
+  withToolInstructions,
+  toGeminiTools,
+  toClaudeTools,
+  runToolCall,
+  canSkipFollowUp,
+};
@@ -0,0 +1,250 @@
+/**
+ * Training Session Service
+ *
+ * Persisted owner conversations with the training assistant (/api/v1/train):
+ * - training_sessions/{sessionId} - Session with its full history
+ *
+ * Unlike receptionist sessions (services/sessions.js) training sessions don't
+ * expire - owners come back to them from the WordPress admin. The prompt only
+ * gets the most recent PROMPT_HISTORY_TURNS exchanges. Owner messages are limited to
+ * MAX_MESSAGE_LENGTH, and the stored history is capped at MAX_STORED_MESSAGES and
+ * MAX_STORED_HISTORY_BYTES so a long session can't outgrow its document (Firestore: 1 MiB).
+ */
+
+const { Firestore } = require('@google-cloud/firestore');
+const { v4: uuidv4 } = require('uuid');
+
+// Initialize Firestore
+const firestore = new Firestore({
+  projectId: process.env.GOOGLE_CLOUD_PROJECT,
+});
+
+const TRAINING_SESSIONS_COLLECTION = 'training_sessions';
+
+// Owner + assistant exchanges sent to the model with each new message
+const PROMPT_HISTORY_TURNS = 10;
+
+// Longest owner message accepted (characters)
+const MAX_MESSAGE_LENGTH = 8000;
+
+// Messages kept per session, and their total JSON size (oldest are dropped first)
+const MAX_STORED_MESSAGES = 200;
+const MAX_STORED_HISTORY_BYTES = 512 * 1024;
+
+// Session titles are the owner's first message, shortened
+const MAX_TITLE_LENGTH = 80;
+
+// Pagination limits for listTrainingSessions()
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Create a training error with a code the routes map to a status
+ *
+ * @param {string} code - NOT_FOUND
+ * @param {string} message - Message
+ * @returns {Error}
+ */
+function trainingError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Session title from the owner's first message
+ *
+ * @param {string} message - Owner message
+ * @returns {string}
+ */
+function buildTitle(message) {
+  const title = String(message).replace(/\s+/g, ' ').trim();
+  return title.length > MAX_TITLE_LENGTH ? `${title.substring(0, MAX_TITLE_LENGTH - 3)}...` : title;
+}
+
+/**
+ * Session summary safe to list (history omitted unless requested)
+ *
+ * @param {Object} session - Stored session
+ * @param {boolean} includeHistory - Include the full history
+ * @returns {Object}
+ */
+function toPublicSession(session, includeHistory = false) {
+  const { customer_id, site_token, history, ...summary } = session;
+  return includeHistory ? { ...summary, history: history || [] } : summary;
+}
+
+/**
+ * Get a training session
+ *
+ * @param {string} siteToken - Customer site token (session must belong to this customer)
+ * @param {string} sessionId - Session id
+ * @returns {Promise<Object>} Stored session (with history)
+ */
+async function getTrainingSession(siteToken, sessionId) {
+  const doc = await firestore.collection(TRAINING_SESSIONS_COLLECTION).doc(sessionId).get();
+
+  if (!doc.exists || doc.data().site_token !== siteToken) {
+    throw trainingError('NOT_FOUND', 'Training session not found');
+  }
+  return doc.data();
+}
+
+/**
+ * History to send to the model for the next message
+ *
+ * @param {Object|null} session - Stored session (null for a new session)
+ * @returns {Array} Recent turns [{ role, content }]
+ */
+function getPromptHistory(session) {
+  if (!session || !session.history) {
+    return [];
+  }
+
+  return session.history
+    .slice(-PROMPT_HISTORY_TURNS * 2)
+    .map((turn) => ({ role: turn.role, content: turn.content }));
+}
+
+/**
+ * Keep the most recent messages that fit MAX_STORED_MESSAGES and MAX_STORED_HISTORY_BYTES
+ *
+ * @param {Object[]} history - Stored messages, oldest first
+ * @returns {Object[]} Trimmed history
+ */
+function trimHistory(history) {
+  const kept = [];
+  let bytes = 0;
+
+  for (let index = history.length - 1; index >= 0 && kept.length < MAX_STORED_MESSAGES; index--) {
+    bytes += Buffer.byteLength(JSON.stringify(history[index]));
+    if (bytes > MAX_STORED_HISTORY_BYTES && kept.length > 0) {
+      break;
+    }
+    kept.unshift(history[index]);
+  }
+
+  return kept;
+}
+
+/**
+ * Store one owner/assistant exchange, creating the session on the first one
+ *
+ * @param {Object} customer - Customer document
+ * @param {string|null} sessionId - Existing session id, or null to start a new session
+ * @param {string} message - What the owner said
+ * @param {Object} aiResponse - LLM response (text, model)
+ * @returns {Promise<Object>} Session summary (session_id, title, turn_count, ...)
+ */
+async function recordExchange(customer, sessionId, message, aiResponse) {
+  try {
+    const sessionRef = firestore
+      .collection(TRAINING_SESSIONS_COLLECTION)
+      .doc(sessionId || `train_${uuidv4()}`);
+    const now = new Date().toISOString();
+    const turns = [
+      { role: 'user', content: message, at: now },
+      { role: 'assistant', content: aiResponse.text, model: aiResponse.model || null, at: now },
+    ];
+
+    const session = await firestore.runTransaction(async (transaction) => {
+      const doc = await transaction.get(sessionRef);
+
+      if (sessionId && (!doc.exists || doc.data().site_token !== customer.site_token)) {
+        throw trainingError('NOT_FOUND', 'Training session not found');
+      }
+
+      const current = doc.exists ? doc.data() : {
+        session_id: sessionRef.id,
+        customer_id: customer.id,
+        site_token: customer.site_token,
+        title: buildTitle(message),
+        history: [],
+        turn_count: 0,
+        started_at: now,
+      };
+
+      const updated = {
+        ...current,
+        history: trimHistory([...current.history, ...turns]),
+        turn_count: current.turn_count + 1,
+        updated_at: now,
+      };
+
+      transaction.set(sessionRef, updated);
+      return updated;
+    });
+
+    console.log(`Training: Recorded turn ${session.turn_count} of ${session.session_id}`);
+    return toPublicSession(session);
+  } catch (error) {
+    console.error('Training: Error recording exchange:', error);
+    throw error;
+  }
+}
+
+/**
+ * List a customer's training sessions, most recently used first (history omitted)
+ *
+ * NOTE: Requires a composite index on training_sessions (site_token ASC, updated_at DESC).
+ *
+ * @param {string} siteToken - Customer site token
+ * @param {Object} options - Query options
+ * @param {number} options.limit - Page size (default 20, max 100)
+ * @param {string} options.pageToken - Session id to start after (from previous page)
+ * @returns {Promise<{sessions: Object[], nextPageToken: string|null}>}
+ */
+async function listTrainingSessions(siteToken, options = {}) {
+  try {
+    const limit = Math.min(parseInt(options.limit, 10) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+    console.log(`Training: Listing sessions for ${siteToken} (limit ${limit})`);
+
+    let query = firestore
+      .collection(TRAINING_SESSIONS_COLLECTION)
+      .where('site_token', '==', siteToken)
+      .orderBy('updated_at', 'desc');
+
+    if (options.pageToken) {
+      const cursorDoc = await firestore.collection(TRAINING_SESSIONS_COLLECTION).doc(options.pageToken).get();
+      if (cursorDoc.exists) {
+        query = query.startAfter(cursorDoc);
+      }
+    }
+
+    // Fetch one extra to know if there is another page
+    const snapshot = await query.limit(limit + 1).get();
+    const docs = snapshot.docs.slice(0, limit);
+
+    return {
+      sessions: docs.map((doc) => toPublicSession(doc.data())),
+      nextPageToken: snapshot.docs.length > limit ? docs[docs.length - 1].id : null,
+    };
+  } catch (error) {
+    console.error('Training: Error listing sessions:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete a training session
+ *
+ * @param {string} siteToken - Customer site token
+ * @param {string} sessionId - Session id
+ * @returns {Promise<void>}
+ */
+async function deleteTrainingSession(siteToken, sessionId) {
+  await getTrainingSession(siteToken, sessionId);
+  await firestore.collection(TRAINING_SESSIONS_COLLECTION).doc(sessionId).delete();
+
+  console.log(`Training: Deleted session ${sessionId} for ${siteToken}`);
+}
+
+module.exports = {
+  MAX_MESSAGE_LENGTH,
+  getTrainingSession,
+  getPromptHistory,
+  recordExchange,
+  listTrainingSessions,
+  deleteTrainingSession,
+  toPublicSession,
+};
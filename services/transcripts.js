@@ -0,0 +1,295 @@
+/**
+ * Call Transcript Service
+ *
+ * Persists what was said on each call:
+ * - calls/{callId}                - Call summary (customer, caller, turn count, tokens)
+ * - calls/{callId}/turns/{turnId} - One caller message + receptionist reply per turn
+ * - calls/{callId}.summary        - After-call summary (services/notifications.js)
+ *
+ * callId is the conversation session id (Twilio CallSid for voice calls).
+ */
+
+const { Firestore } = require('@google-cloud/firestore');
+
+// Initialize Firestore
+const firestore = new Firestore({
+  projectId: process.env.GOOGLE_CLOUD_PROJECT,
+});
+
+const CALLS_COLLECTION = 'calls';
+const TURNS_SUBCOLLECTION = 'turns';
+
+// Pagination limits for listCalls()
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Record one conversation turn
+ *
+ * Best-effort: errors are logged, never thrown, so a transcript write can't
+ * break a live call.
+ *
+ * @param {string} callId - Call id (session id / CallSid)
+ * @param {Object} turn - Turn data
+ * @param {Object} turn.customer - Customer document
+ * @param {string} turn.channel - 'voice' or 'chat'
+ * @param {string} turn.from - Caller number (optional)
+ * @param {string} turn.to - PhoneEase number (optional)
+ * @param {string} turn.callerMessage - What the caller said
+ * @param {Object} turn.aiResponse - LLM response (text, tokensUsed, responseTimeMs, model, provider)
+ * @returns {Promise<void>}
+ */
+async function recordTurn(callId, turn) {
+  try {
+    const { customer, channel, from, to, callerMessage, aiResponse } = turn;
+    const callRef = firestore.collection(CALLS_COLLECTION).doc(callId);
+    const now = new Date().toISOString();
+
+    await firestore.runTransaction(async (transaction) => {
+      const callDoc = await transaction.get(callRef);
+      const turnIndex = callDoc.exists ? (callDoc.data().turn_count || 0) : 0;
+
+      if (!callDoc.exists) {
+        transaction.set(callRef, {
+          call_id: callId,
+          customer_id: customer.id,
+          site_token: customer.site_token,
+          channel: channel || 'chat',
+          from: from || null,
+          to: to || customer.phone_number || null,
+          status: 'in-progress',
+          started_at: now,
+          last_turn_at: now,
+          turn_count: 1,
+          total_tokens: aiResponse.tokensUsed || 0,
+        });
+      } else {
+        transaction.update(callRef, {
+          last_turn_at: now,
+          turn_count: Firestore.FieldValue.increment(1),
+          total_tokens: Firestore.FieldValue.increment(aiResponse.tokensUsed || 0),
+        });
+      }
+
+      // Zero-padded index keeps turn document ids in conversation order
+      const turnRef = callRef.collection(TURNS_SUBCOLLECTION).doc(String(turnIndex).padStart(4, '0'));
+      transaction.set(turnRef, {
+        index: turnIndex,
+        caller_message: callerMessage,
+        ai_response: aiResponse.text,
+        model: aiResponse.model || null,
+        provider: aiResponse.provider || null,
+        response_time_ms: aiResponse.responseTimeMs || null,
+        tokens_used: aiResponse.tokensUsed || 0,
+        created_at: now,
+      });
+    });
+
+    console.log(`Transcripts: Recorded turn for call ${callId}`);
+  } catch (error) {
+    console.error(`Transcripts: Error recording turn for call ${callId}:`, error);
+    // Don't throw - transcripts are best-effort
+  }
+}
+
+/**
+ * Store the after-call summary on a call (see services/notifications.js)
+ *
+ * Best-effort like recordTurn(). Calls without a transcript (or recorded for another
+ * customer) get no summary.
+ *
+ * @param {string} siteToken - Customer site token (call must belong to this customer)
+ * @param {string} callId - Call id
+ * @param {Object} summary - Summary (caller_name, callback_number, reason, summary, ...)
+ * @returns {Promise<void>}
+ */
+async function recordSummary(siteToken, callId, summary) {
+  try {
+    const callRef = firestore.collection(CALLS_COLLECTION).doc(callId);
+    const callDoc = await callRef.get();
+
+    if (!callDoc.exists || callDoc.data().site_token !== siteToken) {
+      return;
+    }
+
+    await callRef.update({ summary, summarized_at: new Date().toISOString() });
+  } catch (error) {
+    console.error(`Transcripts: Error recording summary for call ${callId}:`, error);
+  }
+}
+
+/**
+ * Mark a call as finished (from the Twilio status callback)
+ *
+ * @param {string} callId - Call id (CallSid)
+ * @param {string} status - Final Twilio CallStatus (completed, busy, no-answer, ...)
+ * @param {number} durationSeconds - Call duration in seconds (optional)
+ * @returns {Promise<void>}
+ */
+async function completeCall(callId, status, durationSeconds = null) {
+  try {
+    const callRef = firestore.collection(CALLS_COLLECTION).doc(callId);
+    const callDoc = await callRef.get();
+
+    // Only calls that had at least one turn have a transcript
+    if (!callDoc.exists) {
+      return;
+    }
+
+    await callRef.update({
+      status,
+      duration_seconds: durationSeconds,
+      ended_at: new Date().toISOString(),
+    });
+
+    console.log(`Transcripts: Call ${callId} marked ${status}`);
+  } catch (error) {
+    console.error(`Transcripts: Error completing call ${callId}:`, error);
+    // Don't throw - transcripts are best-effort
+  }
+}
+
+/**
+ * Attach a voicemail recording to a call
+ *
+ * @param {string} callId - Call id (CallSid)
+ * @param {Object} customer - Customer document
+ * @param {Object} voicemail - Recording details
+ * @param {string} voicemail.recordingUrl - Twilio RecordingUrl
+ * @param {number} voicemail.durationSeconds - Recording length in seconds
+ * @param {string} voicemail.from - Caller number
+ * @returns {Promise<void>}
+ */
+async function recordVoicemail(callId, customer, voicemail) {
+  try {
+    const callRef = firestore.collection(CALLS_COLLECTION).doc(callId);
+    const now = new Date().toISOString();
+
+    await firestore.runTransaction(async (transaction) => {
+      const callDoc = await transaction.get(callRef);
+
+      const callData = {
+        voicemail_url: voicemail.recordingUrl,
+        voicemail_duration_seconds: voicemail.durationSeconds || null,
+        voicemail_at: now,
+      };
+
+      if (!callDoc.exists) {
+        Object.assign(callData, {
+          call_id: callId,
+          customer_id: customer.id,
+          site_token: customer.site_token,
+          channel: 'voice',
+          from: voicemail.from || null,
+          to: customer.phone_number || null,
+          status: 'in-progress',
+          started_at: now,
+          turn_count: 0,
+          total_tokens: 0,
+        });
+      }
+
+      transaction.set(callRef, callData, { merge: true });
+    });
+
+    console.log(`Transcripts: Recorded voicemail for call ${callId}`);
+  } catch (error) {
+    console.error(`Transcripts: Error recording voicemail for call ${callId}:`, error);
+    // Don't throw - transcripts are best-effort
+  }
+}
+
+/**
+ * List a customer's calls, newest first
+ *
+ * NOTE: Requires a composite index on calls (site_token ASC, started_at DESC).
+ *
+ * @param {string} siteToken - Customer site token
+ * @param {Object} options - Query options
+ * @param {string} options.from - Only calls started at/after this ISO date (optional)
+ * @param {string} options.to - Only calls started at/before this ISO date (optional)
+ * @param {number} options.limit - Page size (default 20, max 100)
+ * @param {string} options.pageToken - Call id to continue after (from previous page)
+ * @returns {Promise<{calls: Array, nextPageToken: string|null}>} Page of calls
+ */
+async function listCalls(siteToken, options = {}) {
+  try {
+    const limit = Math.min(parseInt(options.limit, 10) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+    console.log(`Transcripts: Listing calls for ${siteToken} (limit ${limit})`);
+
+    let query = firestore
+      .collection(CALLS_COLLECTION)
+      .where('site_token', '==', siteToken);
+
+    if (options.from) {
+      query = query.where('started_at', '>=', options.from);
+    }
+    if (options.to) {
+      query = query.where('started_at', '<=', options.to);
+    }
+
+    query = query.orderBy('started_at', 'desc');
+
+    if (options.pageToken) {
+      const cursorDoc = await firestore.collection(CALLS_COLLECTION).doc(options.pageToken).get();
+      if (cursorDoc.exists) {
+        query = query.startAfter(cursorDoc);
+      }
+    }
+
+    // Fetch one extra to know if there is another page
+    const snapshot = await query.limit(limit + 1).get();
+    const docs = snapshot.docs.slice(0, limit);
+
+    return {
+      calls: docs.map((doc) => ({ id: doc.id, ...doc.data() })),
+      nextPageToken: snapshot.docs.length > limit ? docs[docs.length - 1].id : null,
+    };
+  } catch (error) {
+    console.error('Transcripts: Error listing calls:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get one call with its full transcript
+ *
+ * @param {string} siteToken - Customer site token (call must belong to this customer)
+ * @param {string} callId - Call id
+ * @returns {Promise<Object|null>} Call with turns, or null if not found
+ */
+async function getCall(siteToken, callId) {
+  try {
+    console.log(`Transcripts: Getting call ${callId}`);
+
+    const callRef = firestore.collection(CALLS_COLLECTION).doc(callId);
+    const callDoc = await callRef.get();
+
+    if (!callDoc.exists || callDoc.data().site_token !== siteToken) {
+      return null;
+    }
+
+    const turnsSnapshot = await callRef
+      .collection(TURNS_SUBCOLLECTION)
+      .orderBy('index', 'asc')
+      .get();
+
+    return {
+      id: callDoc.id,
+      ...callDoc.data(),
+      turns: turnsSnapshot.docs.map((doc) => doc.data()),
+    };
+  } catch (error) {
+    console.error('Transcripts: Error getting call:', error);
+    throw error;
+  }
+}
+
+module.exports = {
+  recordTurn,
+  completeCall,
+  recordVoicemail,
+  recordSummary,
+  listCalls,
+  getCall,
+};
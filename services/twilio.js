@@ -3,11 +3,14 @@
  *
  * Handles Twilio API operations:
  * - Create sub-accounts for customers
- * - Provision phone numbers with area code matching
+ * - Provision phone numbers with area code matching (US, Canada, UK)
+ * - Register addresses for countries with regulatory requirements
  * - Configure webhook URLs for voice and SMS
  */
 
 const twilio = require('twilio');
+const areaCodes = require('./areaCodes');
+const countries = require('./countries');
 
 // Initialize Twilio client with master account credentials
 const accountSid = process.env.TWILIO_ACCOUNT_SID;
@@ -20,6 +23,62 @@ const middlewareUrl = process.env.MIDDLEWARE_URL || 'https://phoneease-middlewar
 // Default area code (Miami)
 const DEFAULT_AREA_CODE = '786';
 
+// Radius for nearNumber searches
+const NEARBY_DISTANCE_MILES = 25;
+
+// friendlyName of purchased numbers ("PhoneEase - <sub-account sid>"), used by reconciliation
+const PHONE_NUMBER_FRIENDLY_NAME_PREFIX = 'PhoneEase - ';
+
+// friendlyName of sub-accounts ("PhoneEase - <business name>", at most 64 characters), used by reconciliation
+const SUB_ACCOUNT_FRIENDLY_NAME_PREFIX = 'PhoneEase - ';
+const MAX_FRIENDLY_NAME_LENGTH = 64;
+
+// Where a number's voice webhook points
+const VOICE_MODE_WORDPRESS = 'wordpress';   // Customer's WordPress site handles the call (default)
+const VOICE_MODE_MIDDLEWARE = 'middleware'; // Middleware returns TwiML directly (/api/v1/voice/*)
+const VOICE_MODES = [VOICE_MODE_WORDPRESS, VOICE_MODE_MIDDLEWARE];
+
+/**
+ * Get the middleware base URL without a trailing slash
+ * @returns {string}
+ */
+function getMiddlewareBaseUrl() {
+  return middlewareUrl.endsWith('/') ? middlewareUrl.slice(0, -1) : middlewareUrl;
+}
+
+/**
+ * Build the SMS webhook URL for a phone number
+ *
+ * SMS is always answered by the middleware (/api/v1/sms/incoming), whatever the voice mode.
+ * @returns {string}
+ */
+function buildSmsWebhook() {
+  return `${getMiddlewareBaseUrl()}/api/v1/sms/incoming`;
+}
+
+/**
+ * Build voice webhook URLs for a phone number
+ * @param {string} siteUrl - Customer's WordPress site URL
+ * @param {string} voiceMode - 'wordpress' or 'middleware'
+ * @returns {{voiceUrl: string, statusCallbackUrl: string}}
+ */
+function buildVoiceWebhooks(siteUrl, voiceMode = VOICE_MODE_WORDPRESS) {
+  if (voiceMode === VOICE_MODE_MIDDLEWARE) {
+    const cleanMiddlewareUrl = getMiddlewareBaseUrl();
+    return {
+      voiceUrl: `${cleanMiddlewareUrl}/api/v1/voice/incoming`,
+      statusCallbackUrl: `${cleanMiddlewareUrl}/api/v1/voice/status`
+    };
+  }
+
+  // Remove trailing slash from siteUrl if present
+  const cleanSiteUrl = siteUrl.endsWith('/') ? siteUrl.slice(0, -1) : siteUrl;
+  return {
+    voiceUrl: `${cleanSiteUrl}/wp-json/phoneease/v1/call`,
+    statusCallbackUrl: `${cleanSiteUrl}/wp-json/phoneease/v1/call/status`
+  };
+}
+
 /**
  * Create a Twilio sub-account for a customer
  * @param {string} businessName - Customer's business name
@@ -30,7 +89,7 @@ async function createSubAccount(businessName) {
     console.log(`Twilio: Creating sub-account for: ${businessName}`);
 
     const subAccount = await client.api.accounts.create({
-      friendlyName: businessName
+      friendlyName: `${SUB_ACCOUNT_FRIENDLY_NAME_PREFIX}${businessName}`.substring(0, MAX_FRIENDLY_NAME_LENGTH)
     });
 
     console.log(`Twilio: Sub-account created - SID: ${subAccount.sid}`);
@@ -45,61 +104,129 @@ async function createSubAccount(businessName) {
   }
 }
 
+/**
+ * Build the ordered number search chain for provisioning
+ *
+ * US / Canada (NANP) tiers, most local first:
+ * - area_code:  requested area code (or DEFAULT_AREA_CODE for US if no location at all)
+ * - overlay:    overlay area codes serving the same region
+ * - nearby:     inPostalCode / nearNumber (business phone)
+ * - state:      anywhere in the area code's state
+ * - nationwide: any local number in the country
+ * Other countries search by national destination code, then the whole
+ * country, in each of the country's number types (e.g. GB local, then mobile).
+ * @param {string} areaCode - Requested area code / national destination code (optional)
+ * @param {Object} location - { country, postalCode, nearNumber } (all optional)
+ * @returns {Array<{tier: string, type: string, params: Object}>}
+ */
+function buildNumberSearchChain(areaCode, location = {}) {
+  const country = location.country || countries.DEFAULT_COUNTRY;
+  const chain = [];
+
+  if (!countries.isNanpCountry(country)) {
+    const { callingCode, numberTypes } = countries.getCountry(country);
+
+    if (areaCode && numberTypes.includes('local')) {
+      // E.164 prefix pattern - Twilio's areaCode filter is NANP only
+      chain.push({ tier: 'area_code', type: 'local', params: { contains: `+${callingCode}${areaCode}` } });
+    }
+    numberTypes.forEach((type) => {
+      chain.push({ tier: 'nationwide', type, params: {} });
+    });
+
+    return chain;
+  }
+
+  const parsedNearNumber = countries.parsePhoneNumber(location.nearNumber, country);
+  const nearNumber = parsedNearNumber && parsedNearNumber.callingCode === '1' ? parsedNearNumber.e164 : null;
+  const hasLocation = Boolean(location.postalCode || nearNumber);
+
+  if (areaCode || (!hasLocation && country === 'US')) {
+    chain.push({ tier: 'area_code', type: 'local', params: { areaCode: areaCode || DEFAULT_AREA_CODE } });
+  }
+
+  if (areaCode) {
+    areaCodes.getOverlayAreaCodes(areaCode).forEach((overlay) => {
+      chain.push({ tier: 'overlay', type: 'local', params: { areaCode: overlay } });
+    });
+  }
+
+  if (location.postalCode) {
+    chain.push({ tier: 'nearby', type: 'local', params: { inPostalCode: location.postalCode } });
+  }
+  if (nearNumber) {
+    chain.push({ tier: 'nearby', type: 'local', params: { nearNumber, distance: NEARBY_DISTANCE_MILES } });
+  }
+
+  const state = areaCode ? areaCodes.getAreaCodeState(areaCode) : null;
+  if (state) {
+    chain.push({ tier: 'state', type: 'local', params: { inRegion: state } });
+  }
+
+  chain.push({ tier: 'nationwide', type: 'local', params: {} });
+
+  return chain;
+}
+
 /**
  * Provision a phone number for a customer
  * @param {string} subAccountSid - Sub-account SID to assign number to
  * @param {string} siteUrl - Customer's WordPress site URL for webhooks
  * @param {string} areaCode - Preferred area code (e.g., "786", "305")
- * @returns {Promise<{phoneNumber: string, numberSid: string}>}
+ * @param {string} voiceMode - Voice webhook target: 'wordpress' (default) or 'middleware'
+ * @param {Object} location - Country and fallbacks if the area code is sold out (all optional)
+ * @param {string} location.country - ISO country code (default US)
+ * @param {string} location.postalCode - Business postal code (inPostalCode, US/CA only)
+ * @param {string} location.nearNumber - Business phone number (nearNumber, US/CA only)
+ * @param {Object} regulatory - { addressSid, bundleSid } for countries that require them
+ * @returns {Promise<{phoneNumber: string, numberSid: string, tier: string, numberType: string}>} tier = which search produced the number
  */
-async function provisionPhoneNumber(subAccountSid, siteUrl, areaCode = null) {
+async function provisionPhoneNumber(subAccountSid, siteUrl, areaCode = null, voiceMode = VOICE_MODE_WORDPRESS, location = {}, regulatory = {}) {
   try {
     // Validate siteUrl parameter
     if (!siteUrl || typeof siteUrl !== 'string' || !siteUrl.startsWith('http')) {
       throw new Error('siteUrl is required and must be a valid URL (https://yourdomain.com)');
     }
 
-    // Use default area code if none provided
-    const targetAreaCode = areaCode || DEFAULT_AREA_CODE;
-    const usingDefault = !areaCode;
-
     console.log('=== TWILIO PHONE PROVISIONING START ===');
-    console.log(`Twilio: Target area code: ${targetAreaCode} ${usingDefault ? '(default - no business phone provided)' : '(extracted from business phone)'}`);
+    console.log(`Twilio: Requested area code: ${areaCode || `none (default ${DEFAULT_AREA_CODE} unless a location is given)`}`);
+    console.log(`Twilio: Location: ${JSON.stringify(location)}`);
     console.log(`Twilio: Sub-account SID: ${subAccountSid}`);
     console.log(`Twilio: Site URL: ${siteUrl}`);
 
-    // Search for available phone numbers using master account
-    console.log(`Twilio: API Search Parameters: { country: 'US', type: 'local', areaCode: '${targetAreaCode}', limit: 5 }`);
-    let availableNumbers = await client.availablePhoneNumbers('US')
-      .local
-      .list({ areaCode: targetAreaCode, limit: 5 });
+    const country = location.country || countries.DEFAULT_COUNTRY;
 
-    console.log(`Twilio: Found ${availableNumbers.length} available numbers in area code ${targetAreaCode}`);
+    // Walk the search chain until a tier has inventory
+    let availableNumbers = [];
+    let tier = null;
+    let numberType = null;
 
-    if (availableNumbers.length > 0) {
-      // Log all available numbers for debugging
-      availableNumbers.forEach((num, index) => {
-        console.log(`  Option ${index + 1}: ${num.phoneNumber} (${num.locality || 'Unknown'}, ${num.region || 'Unknown'})`);
-      });
-    }
+    for (const attempt of buildNumberSearchChain(areaCode, location)) {
+      console.log(`Twilio: [${attempt.tier}] API Search Parameters: ${JSON.stringify({ country, type: attempt.type, ...attempt.params, limit: 5 })}`);
 
-    // Fallback: If no numbers in preferred area code, try without area code filter
-    if (availableNumbers.length === 0) {
-      console.log(`Twilio: ⚠️  FALLBACK TRIGGERED - No numbers available in area code ${targetAreaCode}`);
-      console.log(`Twilio: Reason: Twilio inventory for ${targetAreaCode} is empty or area code doesn't exist`);
-      console.log(`Twilio: Searching nationwide without area code filter...`);
-      console.log(`Twilio: API Search Parameters: { country: 'US', type: 'local', limit: 5 }`);
+      try {
+        availableNumbers = await client.availablePhoneNumbers(country)[attempt.type]
+          .list({ ...attempt.params, limit: 5 });
+      } catch (error) {
+        // e.g. unknown postal code - try the next tier
+        console.log(`Twilio: [${attempt.tier}] Search failed: ${error.message}`);
+        availableNumbers = [];
+      }
 
-      availableNumbers = await client.availablePhoneNumbers('US')
-        .local
-        .list({ limit: 5 });
+      // Numbers that need an address can only be bought if we registered one
+      if (!regulatory.addressSid) {
+        availableNumbers = availableNumbers.filter((num) => !num.addressRequirements || num.addressRequirements === 'none');
+      }
 
-      console.log(`Twilio: Found ${availableNumbers.length} available numbers nationwide`);
+      console.log(`Twilio: [${attempt.tier}] Found ${availableNumbers.length} available numbers`);
 
       if (availableNumbers.length > 0) {
+        tier = attempt.tier;
+        numberType = attempt.type;
         availableNumbers.forEach((num, index) => {
           console.log(`  Option ${index + 1}: ${num.phoneNumber} (${num.locality || 'Unknown'}, ${num.region || 'Unknown'})`);
         });
+        break;
       }
     }
 
@@ -113,47 +240,190 @@ async function provisionPhoneNumber(subAccountSid, siteUrl, areaCode = null) {
     const selectedLocality = availableNumbers[0].locality || 'Unknown';
     const selectedRegion = availableNumbers[0].region || 'Unknown';
 
-    console.log(`Twilio: ✓ SELECTED: ${selectedNumber} (${selectedLocality}, ${selectedRegion})`);
+    console.log(`Twilio: ✓ SELECTED: ${selectedNumber} (${selectedLocality}, ${selectedRegion}) - tier: ${tier}`);
+
+    const purchased = await purchasePhoneNumber(subAccountSid, selectedNumber, siteUrl, voiceMode, regulatory);
+
+    return {
+      ...purchased,
+      tier,
+      numberType,
+    };
+  } catch (error) {
+    console.error('Twilio: Error provisioning phone number:', error);
+    throw new Error(`Failed to provision phone number: ${error.message}`);
+  }
+}
+
+/**
+ * Purchase a specific number for a sub-account with PhoneEase webhooks
+ * @param {string} subAccountSid - Sub-account SID to assign number to
+ * @param {string} phoneNumber - Available number in E.164 format
+ * @param {string} siteUrl - Customer's WordPress site URL for webhooks
+ * @param {string} voiceMode - Voice webhook target: 'wordpress' (default) or 'middleware'
+ * @param {Object} regulatory - { addressSid, bundleSid } for countries that require them (optional)
+ * @returns {Promise<{phoneNumber: string, numberSid: string}>}
+ */
+async function purchasePhoneNumber(subAccountSid, phoneNumber, siteUrl, voiceMode = VOICE_MODE_WORDPRESS, regulatory = {}) {
+  // Configure webhook URLs (customer's WordPress site or middleware voice routes)
+  const { voiceUrl, statusCallbackUrl } = buildVoiceWebhooks(siteUrl, voiceMode);
+  const smsUrl = buildSmsWebhook();
+
+  // Purchase number for sub-account using master account client
+  // Use client.api.accounts(subAccountSid) to scope the purchase to the sub-account
+  const purchasedNumber = await client.api.accounts(subAccountSid)
+    .incomingPhoneNumbers
+    .create({
+      phoneNumber: phoneNumber,
+      voiceUrl: voiceUrl,
+      voiceMethod: 'POST',
+      statusCallback: statusCallbackUrl,
+      statusCallbackMethod: 'POST',
+      smsUrl: smsUrl,
+      smsMethod: 'POST',
+      friendlyName: `${PHONE_NUMBER_FRIENDLY_NAME_PREFIX}${subAccountSid}`,
+      ...(regulatory.addressSid && { addressSid: regulatory.addressSid }),
+      ...(regulatory.bundleSid && { bundleSid: regulatory.bundleSid })
+    });
+
+  console.log(`Twilio: Phone number provisioned - SID: ${purchasedNumber.sid}`);
+  console.log(`Twilio: Voice webhook: ${voiceUrl}`);
+  console.log(`Twilio: Status callback: ${statusCallbackUrl}`);
+  console.log(`Twilio: SMS webhook: ${smsUrl}`);
 
-    // Extract area code from selected number to compare
-    const selectedAreaCode = selectedNumber.substring(2, 5); // +1XXXYYYZZZZ -> XXX
-    if (selectedAreaCode !== targetAreaCode) {
-      console.log(`Twilio: ⚠️  Area code mismatch: Requested ${targetAreaCode}, got ${selectedAreaCode}`);
-      console.log(`Twilio: This is expected when preferred area code has no available numbers`);
-    } else {
-      console.log(`Twilio: ✓ Area code match: ${selectedAreaCode} matches requested ${targetAreaCode}`);
+  return {
+    phoneNumber: purchasedNumber.phoneNumber, // E.164 format
+    numberSid: purchasedNumber.sid
+  };
+}
+
+/**
+ * Search available numbers
+ * @param {Object} criteria - Search criteria (all optional)
+ * @param {string} criteria.country - ISO country code (default US)
+ * @param {string} criteria.areaCode - Area code / national destination code
+ * @param {string} criteria.locality - City name
+ * @param {string} criteria.contains - Digits/letters pattern (e.g. "FLOWERS", "555****")
+ * @param {boolean} criteria.tollFree - Search toll-free instead of local numbers
+ * @param {number} criteria.limit - Maximum results (default 10, max 30)
+ * @returns {Promise<Array<{phoneNumber: string, friendlyName: string, locality: string, region: string, postalCode: string}>>}
+ */
+async function searchAvailableNumbers(criteria = {}) {
+  try {
+    const country = criteria.country || countries.DEFAULT_COUNTRY;
+    const limit = Math.min(parseInt(criteria.limit, 10) || 10, 30);
+    const params = { limit };
+
+    if (criteria.areaCode && countries.isNanpCountry(country)) {
+      params.areaCode = criteria.areaCode;
+    } else if (criteria.areaCode) {
+      params.contains = `+${countries.getCountry(country).callingCode}${criteria.areaCode}`;
+    }
+    if (criteria.locality) {
+      params.inLocality = criteria.locality;
+    }
+    if (criteria.contains) {
+      params.contains = criteria.contains;
     }
 
-    // Configure webhook URLs to customer's WordPress site
-    // Remove trailing slash from siteUrl if present
-    const cleanSiteUrl = siteUrl.endsWith('/') ? siteUrl.slice(0, -1) : siteUrl;
-    const voiceUrl = `${cleanSiteUrl}/wp-json/phoneease/v1/call`;
-    const statusCallbackUrl = `${cleanSiteUrl}/wp-json/phoneease/v1/call/status`;
+    console.log(`Twilio: Searching ${country} ${criteria.tollFree ? 'toll-free' : 'local'} numbers: ${JSON.stringify(params)}`);
 
-    // Purchase number for sub-account using master account client
-    // Use client.api.accounts(subAccountSid) to scope the purchase to the sub-account
-    const purchasedNumber = await client.api.accounts(subAccountSid)
-      .incomingPhoneNumbers
+    const numbers = await client.availablePhoneNumbers(country)[criteria.tollFree ? 'tollFree' : 'local']
+      .list(params);
+
+    console.log(`Twilio: Found ${numbers.length} available numbers`);
+
+    return numbers.map((num) => ({
+      phoneNumber: num.phoneNumber,
+      friendlyName: num.friendlyName,
+      locality: num.locality || null,
+      region: num.region || null,
+      postalCode: num.postalCode || null,
+    }));
+  } catch (error) {
+    console.error('Twilio: Error searching phone numbers:', error);
+    throw new Error(`Failed to search phone numbers: ${error.message}`);
+  }
+}
+
+/**
+ * Register a business address on a sub-account
+ *
+ * Required before buying numbers in countries such as the UK.
+ * @param {string} subAccountSid - Sub-account SID
+ * @param {Object} address - { customerName, street, city, region, postalCode, isoCountry }
+ * @returns {Promise<string>} Address SID (AD...)
+ */
+async function createAddress(subAccountSid, address) {
+  try {
+    console.log(`Twilio: Creating ${address.isoCountry} address for sub-account ${subAccountSid}`);
+
+    const created = await client.api.accounts(subAccountSid)
+      .addresses
       .create({
-        phoneNumber: selectedNumber,
+        customerName: address.customerName,
+        street: address.street,
+        city: address.city,
+        region: address.region,
+        postalCode: address.postalCode,
+        isoCountry: address.isoCountry
+      });
+
+    console.log(`Twilio: Address created - SID: ${created.sid}`);
+    return created.sid;
+  } catch (error) {
+    console.error('Twilio: Error creating address:', error);
+    throw new Error(`Failed to create address: ${error.message}`);
+  }
+}
+
+/**
+ * Point an existing phone number's voice webhook at WordPress or the middleware
+ *
+ * Also (re)sets the SMS webhook, so numbers bought before SMS support get it here.
+ * @param {string} subAccountSid - Sub-account SID that owns the number
+ * @param {string} phoneNumber - Phone number in E.164 format
+ * @param {string} siteUrl - Customer's WordPress site URL
+ * @param {string} voiceMode - 'wordpress' or 'middleware'
+ * @returns {Promise<{numberSid: string, voiceUrl: string}>}
+ */
+async function configureVoiceWebhook(subAccountSid, phoneNumber, siteUrl, voiceMode) {
+  try {
+    console.log(`Twilio: Configuring voice webhook for ${phoneNumber} -> ${voiceMode}`);
+
+    const numbers = await client.api.accounts(subAccountSid)
+      .incomingPhoneNumbers
+      .list({ phoneNumber, limit: 1 });
+
+    if (numbers.length === 0) {
+      throw new Error(`Phone number ${phoneNumber} not found on sub-account ${subAccountSid}`);
+    }
+
+    const { voiceUrl, statusCallbackUrl } = buildVoiceWebhooks(siteUrl, voiceMode);
+    const smsUrl = buildSmsWebhook();
+
+    await client.api.accounts(subAccountSid)
+      .incomingPhoneNumbers(numbers[0].sid)
+      .update({
         voiceUrl: voiceUrl,
         voiceMethod: 'POST',
         statusCallback: statusCallbackUrl,
         statusCallbackMethod: 'POST',
-        friendlyName: `PhoneEase - ${subAccountSid}`
+        smsUrl: smsUrl,
+        smsMethod: 'POST'
       });
 
-    console.log(`Twilio: Phone number provisioned - SID: ${purchasedNumber.sid}`);
     console.log(`Twilio: Voice webhook: ${voiceUrl}`);
     console.log(`Twilio: Status callback: ${statusCallbackUrl}`);
+    console.log(`Twilio: SMS webhook: ${smsUrl}`);
 
     return {
-      phoneNumber: purchasedNumber.phoneNumber, // E.164 format
-      numberSid: purchasedNumber.sid
+      numberSid: numbers[0].sid,
+      voiceUrl
     };
   } catch (error) {
-    console.error('Twilio: Error provisioning phone number:', error);
-    throw new Error(`Failed to provision phone number: ${error.message}`);
+    console.error('Twilio: Error configuring voice webhook:', error);
+    throw new Error(`Failed to configure voice webhook: ${error.message}`);
   }
 }
 
@@ -174,52 +444,193 @@ async function deleteSubAccount(subAccountSid) {
 }
 
 /**
- * Extract area code from phone number
- * @param {string} phoneNumber - Phone number (any format)
- * @returns {string|null} - Three-digit area code or null
+ * Release a phone number from a sub-account
+ * @param {string} subAccountSid - Sub-account SID that owns the number
+ * @param {string} numberSid - IncomingPhoneNumber SID (PN...)
+ * @returns {Promise<void>}
  */
-function extractAreaCode(phoneNumber) {
-  console.log('=== AREA CODE EXTRACTION START ===');
-  console.log(`Twilio: Input phone number: "${phoneNumber}"`);
-  console.log(`Twilio: Input type: ${typeof phoneNumber}`);
+async function releasePhoneNumber(subAccountSid, numberSid) {
+  try {
+    console.log(`Twilio: Releasing phone number ${numberSid} from sub-account ${subAccountSid}`);
+    await client.api.accounts(subAccountSid).incomingPhoneNumbers(numberSid).remove();
+    console.log('Twilio: Phone number released');
+  } catch (error) {
+    // 20404 = already released
+    if (error.code === 20404) {
+      console.log('Twilio: Phone number already released');
+      return;
+    }
+    console.error('Twilio: Error releasing phone number:', error);
+    throw new Error(`Failed to release phone number: ${error.message}`);
+  }
+}
 
-  if (!phoneNumber) {
-    console.log('Twilio: ⚠️  No phone number provided, returning null');
-    return null;
+/**
+ * Send a text message from a customer's PhoneEase number
+ * @param {string} subAccountSid - Sub-account SID that owns the number
+ * @param {string} from - PhoneEase number in E.164 format
+ * @param {string} to - Recipient number
+ * @param {string} body - Message text
+ * @returns {Promise<{messageSid: string}>}
+ */
+async function sendSms(subAccountSid, from, to, body) {
+  try {
+    console.log(`Twilio: Sending SMS ${from} -> ${to} (${body.length} chars)`);
+
+    const message = await client.api.accounts(subAccountSid)
+      .messages
+      .create({ from, to, body });
+
+    console.log(`Twilio: SMS sent - SID: ${message.sid}`);
+    return { messageSid: message.sid };
+  } catch (error) {
+    console.error('Twilio: Error sending SMS:', error);
+    throw new Error(`Failed to send SMS: ${error.message}`);
+  }
+}
+
+/**
+ * Close a customer's sub-account (deprovisioning)
+ *
+ * Unlike deleteSubAccount (best-effort rollback), errors are thrown so the
+ * caller can keep the customer record until the sub-account is really closed.
+ * @param {string} subAccountSid - Sub-account SID to close
+ * @returns {Promise<void>}
+ */
+async function closeSubAccount(subAccountSid) {
+  try {
+    console.log(`Twilio: Closing sub-account: ${subAccountSid}`);
+    await client.api.accounts(subAccountSid).update({ status: 'closed' });
+    console.log('Twilio: Sub-account closed');
+  } catch (error) {
+    console.error('Twilio: Error closing sub-account:', error);
+    throw new Error(`Failed to close sub-account: ${error.message}`);
+  }
+}
+
+/**
+ * Get a sub-account's auth token
+ *
+ * Used when a registration resumes - auth tokens aren't stored in the registration saga.
+ * @param {string} subAccountSid - Sub-account SID
+ * @returns {Promise<string>} Auth token
+ */
+async function getSubAccountAuthToken(subAccountSid) {
+  try {
+    const account = await client.api.accounts(subAccountSid).fetch();
+    return account.authToken;
+  } catch (error) {
+    console.error('Twilio: Error fetching sub-account:', error);
+    throw new Error(`Failed to fetch sub-account: ${error.message}`);
+  }
+}
+
+/**
+ * List the master account's sub-accounts (excluding closed ones)
+ * @returns {Promise<Array<{sid: string, friendlyName: string, status: string, authToken: string, dateCreated: Date}>>}
+ */
+async function listSubAccounts() {
+  try {
+    const accounts = await client.api.accounts.list();
+
+    return accounts
+      .filter((account) => account.sid !== accountSid && account.status !== 'closed')
+      .map((account) => ({
+        sid: account.sid,
+        friendlyName: account.friendlyName,
+        status: account.status,
+        authToken: account.authToken,
+        dateCreated: account.dateCreated
+      }));
+  } catch (error) {
+    console.error('Twilio: Error listing sub-accounts:', error);
+    throw new Error(`Failed to list sub-accounts: ${error.message}`);
+  }
+}
+
+/**
+ * List the phone numbers owned by a sub-account
+ * @param {string} subAccountSid - Sub-account SID
+ * @returns {Promise<Array<{sid: string, phoneNumber: string, friendlyName: string, dateCreated: Date}>>}
+ */
+async function listPhoneNumbers(subAccountSid) {
+  try {
+    const numbers = await client.api.accounts(subAccountSid).incomingPhoneNumbers.list();
+
+    return numbers.map((num) => ({
+      sid: num.sid,
+      phoneNumber: num.phoneNumber,
+      friendlyName: num.friendlyName,
+      dateCreated: num.dateCreated
+    }));
+  } catch (error) {
+    console.error('Twilio: Error listing phone numbers:', error);
+    throw new Error(`Failed to list phone numbers: ${error.message}`);
   }
+}
 
-  // Remove all non-digit characters
-  const digits = phoneNumber.replace(/\D/g, '');
-  console.log(`Twilio: Digits after removing non-numeric: "${digits}"`);
-  console.log(`Twilio: Total digits: ${digits.length}`);
+/**
+ * Whether a number was purchased by PhoneEase (friendlyName "PhoneEase - <sub-account sid>")
+ * @param {{friendlyName: string}} number - Number from listPhoneNumbers
+ * @returns {boolean}
+ */
+function isPhoneEaseNumber(number) {
+  return typeof number.friendlyName === 'string' && number.friendlyName.startsWith(PHONE_NUMBER_FRIENDLY_NAME_PREFIX);
+}
 
-  // Check if we have at least 10 digits (US phone number)
-  if (digits.length >= 10) {
-    // Extract first 3 digits after country code (if present)
-    // If 11 digits starting with 1: +1 (786) 333-7300 -> extract 786
-    // If 10 digits: (786) 333-7300 -> extract 786
-    const hasCountryCode = digits.length === 11 && digits[0] === '1';
-    const areaCode = hasCountryCode
-      ? digits.substring(1, 4)  // Skip country code 1
-      : digits.substring(0, 3); // No country code
+/**
+ * Whether a sub-account is marked as created by PhoneEase (friendlyName "PhoneEase - <business name>")
+ *
+ * Sub-accounts created before the marker was added are named after the business only.
+ * @param {{friendlyName: string}} subAccount - Sub-account from listSubAccounts
+ * @returns {boolean}
+ */
+function isPhoneEaseSubAccount(subAccount) {
+  return typeof subAccount.friendlyName === 'string' && subAccount.friendlyName.startsWith(SUB_ACCOUNT_FRIENDLY_NAME_PREFIX);
+}
+
+/**
+ * Extract area code from phone number
+ * @param {string} phoneNumber - Phone number (any format; +44... for UK)
+ * @param {string} defaultCountry - Country for numbers without a calling code (default US)
+ * @returns {string|null} - Area code / national destination code or null
+ */
+function extractAreaCode(phoneNumber, defaultCountry = countries.DEFAULT_COUNTRY) {
+  console.log('=== AREA CODE EXTRACTION START ===');
+  console.log(`Twilio: Input phone number: "${phoneNumber}" (default country ${defaultCountry})`);
 
-    console.log(`Twilio: Format detected: ${hasCountryCode ? '11 digits with country code (+1)' : '10 digits (no country code)'}`);
-    console.log(`Twilio: ✓ Extracted area code: ${areaCode}`);
-    console.log(`Twilio: Full number breakdown: ${hasCountryCode ? '+1' : ''}(${areaCode}) ${digits.substring(hasCountryCode ? 4 : 3, hasCountryCode ? 7 : 6)}-${digits.substring(hasCountryCode ? 7 : 6, hasCountryCode ? 11 : 10)}`);
-    console.log('=== AREA CODE EXTRACTION SUCCESS ===');
+  const parsed = countries.parsePhoneNumber(phoneNumber, defaultCountry);
 
-    return areaCode;
+  if (!parsed) {
+    console.log(`Twilio: ❌ Could not parse ${phoneNumber} as a US, Canadian or UK number`);
+    console.log('=== AREA CODE EXTRACTION FAILED ===');
+    return null;
   }
 
-  console.log(`Twilio: ❌ Invalid phone number - need at least 10 digits, got ${digits.length}`);
-  console.log(`Twilio: Could not extract area code from ${phoneNumber}`);
-  console.log('=== AREA CODE EXTRACTION FAILED ===');
-  return null;
+  console.log(`Twilio: ✓ Country: ${parsed.country}, area code: ${parsed.nationalDestinationCode} (${parsed.numberType}), E.164: ${parsed.e164}`);
+  console.log('=== AREA CODE EXTRACTION SUCCESS ===');
+
+  return parsed.nationalDestinationCode;
 }
 
 module.exports = {
+  VOICE_MODE_WORDPRESS,
+  VOICE_MODE_MIDDLEWARE,
+  VOICE_MODES,
   createSubAccount,
+  createAddress,
   provisionPhoneNumber,
+  purchasePhoneNumber,
+  searchAvailableNumbers,
+  configureVoiceWebhook,
   deleteSubAccount,
+  releasePhoneNumber,
+  sendSms,
+  closeSubAccount,
+  getSubAccountAuthToken,
+  listSubAccounts,
+  listPhoneNumbers,
+  isPhoneEaseNumber,
+  isPhoneEaseSubAccount,
   extractAreaCode
 };
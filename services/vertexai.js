@@ -5,6 +5,7 @@
  */
 
 const { VertexAI } = require('@google-cloud/vertexai');
+const tools = require('./tools');
 
 // Initialize Vertex AI
 const vertexAI = new VertexAI({
@@ -16,7 +17,7 @@ const vertexAI = new VertexAI({
 const MODEL_NAME = process.env.VERTEX_AI_MODEL || 'gemini-2.0-flash-exp';
 
 /**
- * Build AI prompt for training (Owner-Assistant Context)
+ * Build training assistant instructions (Owner-Assistant Context)
  *
  * This prompt is used for the /api/v1/train endpoint where business OWNERS
  * configure and test their AI receptionist through the WordPress admin interface.
@@ -24,37 +25,77 @@ const MODEL_NAME = process.env.VERTEX_AI_MODEL || 'gemini-2.0-flash-exp';
  * IMPORTANT: The AI is talking to the business OWNER, not to customers.
  * The AI helps owners identify missing configuration and guides them to Settings.
  *
+ * Rules and configuration only - no conversation or current message - so it can
+ * be used directly as a system prompt by providers that take one (Claude).
+ *
  * @param {Object} businessInfo - Business information
- * @param {string} message - Owner's training question
- * @returns {string} Formatted prompt
+ * @returns {string} Training instructions
  */
-function buildTrainingPrompt(businessInfo, message) {
-  const prompt = `You are an AI training assistant helping the owner of ${businessInfo.business_name} configure their phone receptionist.
+function buildTrainingInstructions(businessInfo) {
+  return `You are an AI training assistant helping the owner of ${businessInfo.business_name} configure their phone receptionist.
 
 CONTEXT:
 - The person you're talking to is the business OWNER, not a customer
 - Help them identify and configure missing information
 - Be helpful and guide them to Settings when needed
 - Explain how you will interact with customers once configured
+- When the owner corrects you or tells you how to handle callers, acknowledge it - it is offered to them to approve as a saved correction
 
 CURRENT CONFIGURATION:
 Business Name: ${businessInfo.business_name}
 Business Hours: ${businessInfo.business_hours || 'NOT SET - Recommend adding in Settings'}
   (When the physical business is open. NOTE: Your AI receptionist operates 24/7 and is always available to answer calls)
-Business Description: ${businessInfo.business_description || 'NOT SET - Optional but helpful'}
+${businessInfo.hours_status ? `Status Now: ${businessInfo.hours_status}\n` : ''}Business Description: ${businessInfo.business_description || 'NOT SET - Optional but helpful'}${formatSavedCorrections(businessInfo)}`;
+}
 
-The owner asks: ${message}
+/**
+ * List the owner's approved corrections for the training prompt
+ *
+ * @param {Object} businessInfo - Business information
+ * @returns {string} Section text ('' if there are none)
+ */
+function formatSavedCorrections(businessInfo) {
+  const saved = [...(businessInfo.owner_facts || []), ...(businessInfo.owner_instructions || [])];
+  if (saved.length === 0) {
+    return '';
+  }
+
+  return `\nSaved Corrections (approved by the owner - the receptionist uses these on every call):\n${saved.map((text) => `- ${text}`).join('\n')}`;
+}
+
+/**
+ * Build AI prompt for training (single-turn prompt for Gemini)
+ *
+ * Training instructions followed by the session so far and the owner's message.
+ *
+ * @param {Object} businessInfo - Business information
+ * @param {string} message - Owner's training question
+ * @param {Array} conversationHistory - Earlier turns of the training session (optional)
+ * @returns {string} Formatted prompt
+ */
+function buildTrainingPrompt(businessInfo, message, conversationHistory = []) {
+  let prompt = buildTrainingInstructions(businessInfo);
+
+  if (conversationHistory && conversationHistory.length > 0) {
+    prompt += '\n\nConversation so far:';
+    conversationHistory.forEach((turn) => {
+      const speaker = turn.role === 'user' ? 'Owner' : 'You';
+      prompt += `\n${speaker}: ${turn.content}`;
+    });
+  }
 
-Respond as a helpful AI training assistant who helps them improve their setup:`;
+  prompt += `\n\nThe owner asks: ${message}\n\nRespond as a helpful AI training assistant who helps them improve their setup:`;
 
   return prompt;
 }
 
 /**
- * Build AI prompt for customer conversations (Production Context)
+ * Build receptionist instructions for customer conversations (Production Context)
  *
- * This prompt is used for actual customer phone calls where the AI acts as
- * a professional receptionist for the business.
+ * This is the instruction set used for actual customer phone calls where the AI
+ * acts as a professional receptionist for the business. It contains the rules and
+ * business context only - no conversation history or current message - so it can
+ * be used directly as a system prompt by providers that take one (Claude).
  *
  * IMPORTANT DIFFERENCES FROM TRAINING PROMPT:
  * - Use "we" and "our" instead of "I'm an AI"
@@ -63,11 +104,9 @@ Respond as a helpful AI training assistant who helps them improve their setup:`;
  * - Provide professional, employee-like responses
  *
  * @param {Object} businessInfo - Business information
- * @param {string} message - Customer's message
- * @param {Array} conversationHistory - Previous conversation turns (optional)
- * @returns {string} Formatted prompt
+ * @returns {string} Formatted instructions
  */
-function buildConversationPrompt(businessInfo, message, conversationHistory = []) {
+function buildReceptionistInstructions(businessInfo) {
   let prompt = `You are the virtual receptionist for ${businessInfo.business_name}.
 
 CRITICAL RULES:
@@ -87,10 +126,66 @@ CRITICAL RULES:
     prompt += `\n\nOur business hours: ${businessInfo.business_hours}`;
   }
 
+  prompt = withBusinessContext(prompt, businessInfo);
+
   if (businessInfo.services) {
     prompt += `\n\nServices we offer: ${businessInfo.services}`;
   }
 
+  return prompt;
+}
+
+/**
+ * Append per-turn business context to receptionist instructions
+ *
+ * - hours_status: current open / closed status (structured hours, services/businessHours.js)
+ * - knowledge: owner knowledge relevant to this turn (services/knowledge.js)
+ * - owner_facts / owner_instructions: corrections the owner approved in training (services/corrections.js)
+ *
+ * Applied to WordPress system prompts too, which can't know the time of the call
+ * or what the caller is asking.
+ *
+ * @param {string} instructions - Receptionist instructions
+ * @param {Object} businessInfo - Business information
+ * @returns {string} Instructions
+ */
+function withBusinessContext(instructions, businessInfo) {
+  let prompt = instructions;
+
+  if (businessInfo && businessInfo.hours_status) {
+    prompt += `\n\nCURRENT STATUS: ${businessInfo.hours_status}\nWhen we are closed, say so and offer to take a message - never promise someone is available right now.`;
+  }
+
+  if (businessInfo && businessInfo.knowledge && businessInfo.knowledge.length > 0) {
+    prompt += `\n\nBUSINESS KNOWLEDGE (from the owner - answer from it when it covers the question):\n${businessInfo.knowledge.map((text) => `- ${text}`).join('\n')}`;
+  }
+
+  if (businessInfo && businessInfo.owner_facts && businessInfo.owner_facts.length > 0) {
+    prompt += `\n\nOWNER CORRECTIONS (confirmed by the owner - they override any other business information):\n${businessInfo.owner_facts.map((text) => `- ${text}`).join('\n')}`;
+  }
+
+  if (businessInfo && businessInfo.owner_instructions && businessInfo.owner_instructions.length > 0) {
+    prompt += `\n\nOWNER INSTRUCTIONS (always follow these):\n${businessInfo.owner_instructions.map((text) => `- ${text}`).join('\n')}`;
+  }
+
+  return prompt;
+}
+
+/**
+ * Build AI prompt for customer conversations (Production Context)
+ *
+ * Single-turn prompt for Gemini: receptionist instructions followed by the
+ * conversation so far and the customer's current message.
+ *
+ * @param {Object} businessInfo - Business information
+ * @param {string} message - Customer's message
+ * @param {Array} conversationHistory - Previous conversation turns (optional)
+ * @param {Array} toolDefinitions - Tools offered this turn - their instructions are added (optional)
+ * @returns {string} Formatted prompt
+ */
+function buildConversationPrompt(businessInfo, message, conversationHistory = [], toolDefinitions = []) {
+  let prompt = tools.withToolInstructions(buildReceptionistInstructions(businessInfo), toolDefinitions);
+
   // Add conversation history if provided
   if (conversationHistory && conversationHistory.length > 0) {
     prompt += `\n\nConversation so far:`;
@@ -105,14 +200,76 @@ CRITICAL RULES:
   return prompt;
 }
 
+/**
+ * Compact a WordPress system prompt to reduce token count
+ *
+ * PERFORMANCE OPTIMIZATION: Trim excessive whitespace - same content, smaller token footprint
+ *
+ * @param {string} systemPrompt - Full system prompt from WordPress
+ * @returns {string} Optimized system prompt
+ */
+function optimizeSystemPrompt(systemPrompt) {
+  const optimizedPrompt = systemPrompt
+    .replace(/\n{3,}/g, '\n\n')      // Replace 3+ newlines with 2
+    .replace(/\s{2,}/g, ' ')         // Replace multiple spaces with 1
+    .trim();
+
+  if (systemPrompt.length !== optimizedPrompt.length) {
+    console.log(`System prompt optimization - Size reduced: ${systemPrompt.length} → ${optimizedPrompt.length} chars (${systemPrompt.length - optimizedPrompt.length} chars saved)`);
+  }
+
+  return optimizedPrompt;
+}
+
+/**
+ * Get a Gemini model instance with receptionist generation settings
+ *
+ * @param {string} selectedModel - Model name
+ * @param {Object} generationOverrides - generationConfig fields to override (e.g. maxOutputTokens for tasks)
+ * @param {Array} toolDefinitions - Tools the model may call (optional, see services/tools.js)
+ * @returns {GenerativeModel} Vertex AI generative model
+ */
+function getGenerativeModel(selectedModel, generationOverrides = {}, toolDefinitions = []) {
+  return vertexAI.getGenerativeModel({
+    model: selectedModel,
+    ...(toolDefinitions.length > 0 && { tools: tools.toGeminiTools(toolDefinitions) }),
+    generationConfig: {
+      maxOutputTokens: 150,      // Receptionist responses should be concise (1-2 sentences)
+      temperature: 0.7,           // Lower = faster, more consistent responses
+      topP: 0.9,                  // Slightly more focused sampling
+      candidateCount: 1,          // Only generate 1 response
+      ...generationOverrides,
+    },
+    safetySettings: [
+      {
+        category: 'HARM_CATEGORY_HATE_SPEECH',
+        threshold: 'BLOCK_ONLY_HIGH',
+      },
+      {
+        category: 'HARM_CATEGORY_DANGEROUS_CONTENT',
+        threshold: 'BLOCK_ONLY_HIGH',
+      },
+      {
+        category: 'HARM_CATEGORY_SEXUALLY_EXPLICIT',
+        threshold: 'BLOCK_ONLY_HIGH',
+      },
+      {
+        category: 'HARM_CATEGORY_HARASSMENT',
+        threshold: 'BLOCK_ONLY_HIGH',
+      },
+    ],
+  });
+}
+
 /**
  * Call Gemini API with prompt
  *
  * @param {string} prompt - The prompt to send
  * @param {string} modelName - Optional model name (defaults to MODEL_NAME)
+ * @param {Object} generationOverrides - Optional generationConfig overrides
  * @returns {Promise<Object>} Response with text, tokens, and response time
  */
-async function callGemini(prompt, modelName = null) {
+async function callGemini(prompt, modelName = null, generationOverrides = {}) {
   console.log('=== VERTEX AI API CALL ===');
   const startTime = Date.now();
 
@@ -124,33 +281,7 @@ async function callGemini(prompt, modelName = null) {
 
     // Model initialization
     const modelInitStart = Date.now();
-    const model = vertexAI.getGenerativeModel({
-      model: selectedModel,
-      generationConfig: {
-        maxOutputTokens: 150,      // Receptionist responses should be concise (1-2 sentences)
-        temperature: 0.7,           // Lower = faster, more consistent responses
-        topP: 0.9,                  // Slightly more focused sampling
-        candidateCount: 1,          // Only generate 1 response
-      },
-      safetySettings: [
-        {
-          category: 'HARM_CATEGORY_HATE_SPEECH',
-          threshold: 'BLOCK_ONLY_HIGH',
-        },
-        {
-          category: 'HARM_CATEGORY_DANGEROUS_CONTENT',
-          threshold: 'BLOCK_ONLY_HIGH',
-        },
-        {
-          category: 'HARM_CATEGORY_SEXUALLY_EXPLICIT',
-          threshold: 'BLOCK_ONLY_HIGH',
-        },
-        {
-          category: 'HARM_CATEGORY_HARASSMENT',
-          threshold: 'BLOCK_ONLY_HIGH',
-        },
-      ],
-    });
+    const model = getGenerativeModel(selectedModel, generationOverrides);
     const modelInitTime = Date.now() - modelInitStart;
     console.log(`├─ Model initialization: ${modelInitTime}ms`);
 
@@ -194,29 +325,172 @@ async function callGemini(prompt, modelName = null) {
   }
 }
 
+/**
+ * Call Gemini API with function calling
+ *
+ * Runs the model's function calls through the tool handlers and sends the
+ * results back until the model answers the caller (see services/tools.js).
+ *
+ * @param {string} prompt - The prompt to send
+ * @param {string} modelName - Optional model name (defaults to MODEL_NAME)
+ * @param {Array} toolDefinitions - Tools the model may call
+ * @returns {Promise<Object>} Response with text, tokens, response time and toolCalls
+ */
+async function callGeminiWithTools(prompt, modelName, toolDefinitions) {
+  console.log('=== VERTEX AI API CALL (TOOLS) ===');
+  const startTime = Date.now();
+
+  const selectedModel = modelName || MODEL_NAME;
+
+  try {
+    console.log('├─ Model:', selectedModel);
+    console.log('├─ Prompt length:', prompt.length, 'characters');
+    console.log(`├─ Tools: ${toolDefinitions.map((tool) => tool.name).join(', ')}`);
+
+    const model = getGenerativeModel(selectedModel, { maxOutputTokens: tools.TOOL_MAX_OUTPUT_TOKENS }, toolDefinitions);
+    const contents = [{ role: 'user', parts: [{ text: prompt }] }];
+    const toolCalls = [];
+    let text = '';
+    let tokensUsed = 0;
+
+    for (let round = 1; round <= tools.MAX_TOOL_ROUNDS; round++) {
+      const result = await model.generateContent({ contents });
+      const response = result.response;
+      const content = response.candidates[0].content;
+      const parts = content.parts || [];
+      tokensUsed += response.usageMetadata?.totalTokenCount || 0;
+
+      const roundText = parts.map((part) => part.text || '').join('').trim();
+      if (roundText) {
+        text = roundText;
+      }
+
+      const functionCalls = parts.filter((part) => part.functionCall).map((part) => part.functionCall);
+      if (functionCalls.length === 0) {
+        break;
+      }
+
+      const calls = await Promise.all(functionCalls.map((call) => tools.runToolCall(toolDefinitions, call.name, call.args)));
+      toolCalls.push(...calls);
+      console.log(`├─ Round ${round}: ${calls.map((call) => call.name).join(', ')}`);
+
+      if (tools.canSkipFollowUp(text, calls)) {
+        break;
+      }
+
+      contents.push(content, {
+        role: 'user',
+        parts: calls.map((call) => ({ functionResponse: { name: call.name, response: call.result } })),
+      });
+    }
+
+    const totalTime = Date.now() - startTime;
+    console.log(`├─ Response length: ${text.length} characters`);
+    console.log(`├─ Tokens used: ${tokensUsed}`);
+    console.log(`└─ TOTAL TIME: ${totalTime}ms`);
+
+    return {
+      text: text || tools.DEFAULT_TOOL_REPLY,
+      tokensUsed,
+      responseTimeMs: totalTime,
+      toolCalls,
+    };
+  } catch (error) {
+    const totalTime = Date.now() - startTime;
+    console.log(`└─ ERROR after ${totalTime}ms: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Stream Gemini API response for a prompt
+ *
+ * Emits text chunks through onToken as they arrive, then resolves with the
+ * same shape as callGemini() once the stream completes.
+ *
+ * @param {string} prompt - The prompt to send
+ * @param {string} modelName - Optional model name (defaults to MODEL_NAME)
+ * @param {Function} onToken - Called with each text chunk
+ * @returns {Promise<Object>} Response with full text, tokens, response time and first-token time
+ */
+async function callGeminiStream(prompt, modelName = null, onToken = () => {}) {
+  console.log('=== VERTEX AI STREAMING API CALL ===');
+  const startTime = Date.now();
+
+  const selectedModel = modelName || MODEL_NAME;
+
+  try {
+    console.log('├─ Model:', selectedModel);
+    console.log('├─ Prompt length:', prompt.length, 'characters');
+
+    const model = getGenerativeModel(selectedModel);
+    const streamingResult = await model.generateContentStream({
+      contents: [{ role: 'user', parts: [{ text: prompt }] }],
+    });
+
+    let text = '';
+    let firstTokenMs = null;
+
+    for await (const chunk of streamingResult.stream) {
+      const parts = chunk.candidates?.[0]?.content?.parts || [];
+      const chunkText = parts.map((part) => part.text || '').join('');
+
+      if (chunkText) {
+        if (firstTokenMs === null) {
+          firstTokenMs = Date.now() - startTime;
+          console.log(`├─ First token: ${firstTokenMs}ms`);
+        }
+        text += chunkText;
+        onToken(chunkText);
+      }
+    }
+
+    const response = await streamingResult.response;
+    const tokensUsed = response.usageMetadata?.totalTokenCount || 0;
+
+    const totalTime = Date.now() - startTime;
+    console.log(`├─ Response length: ${text.length} characters`);
+    console.log(`├─ Tokens used: ${tokensUsed}`);
+    console.log(`└─ TOTAL TIME: ${totalTime}ms`);
+
+    return {
+      text,
+      tokensUsed,
+      responseTimeMs: totalTime,
+      firstTokenMs,
+    };
+  } catch (error) {
+    const totalTime = Date.now() - startTime;
+    console.log(`└─ ERROR after ${totalTime}ms: ${error.message}`);
+    throw error;
+  }
+}
+
 /**
  * Generate AI training response
  *
  * @param {Object} businessInfo - Business information
  * @param {string} message - User's training question
+ * @param {Array} conversationHistory - Earlier turns of the training session
  * @param {string} modelName - Optional model name
  * @returns {Promise<Object>} AI response with text and tokens
  */
-async function generateTrainingResponse(businessInfo, message, modelName = null) {
-  const prompt = buildTrainingPrompt(businessInfo, message);
+async function generateTrainingResponse(businessInfo, message, conversationHistory = [], modelName = null) {
+  const prompt = buildTrainingPrompt(businessInfo, message, conversationHistory);
   return await callGemini(prompt, modelName);
 }
 
 /**
- * Generate AI conversation response (for customer phone calls)
+ * Build the full Gemini prompt for a conversation turn
  *
  * @param {Object} businessInfo - Business information
  * @param {string} message - Customer's message
  * @param {Array} conversationHistory - Previous conversation turns
  * @param {string} systemPrompt - Optional: Full system prompt from WordPress (overrides buildConversationPrompt)
- * @returns {Promise<Object>} AI response with text and tokens
+ * @param {Array} toolDefinitions - Tools offered this turn (optional)
+ * @returns {string} Formatted prompt
  */
-async function generateConversationResponse(businessInfo, message, conversationHistory = [], systemPrompt = null) {
+function buildGeminiConversationPrompt(businessInfo, message, conversationHistory = [], systemPrompt = null, toolDefinitions = []) {
   // PERFORMANCE OPTIMIZATION: Only use last 5 turns to reduce latency
   // Each turn = customer message + AI response = 2 messages
   // 5 turns = 10 messages maximum
@@ -236,18 +510,8 @@ async function generateConversationResponse(businessInfo, message, conversationH
   if (systemPrompt) {
     console.log('Vertex AI: Using WordPress system prompt (includes caller ID, detailed instructions)');
 
-    // PERFORMANCE OPTIMIZATION: Trim excessive whitespace from system prompt to reduce token count
-    const optimizedPrompt = systemPrompt
-      .replace(/\n{3,}/g, '\n\n')      // Replace 3+ newlines with 2
-      .replace(/\s{2,}/g, ' ')         // Replace multiple spaces with 1
-      .trim();
-
-    if (systemPrompt.length !== optimizedPrompt.length) {
-      console.log(`Vertex AI: System prompt optimization - Size reduced: ${systemPrompt.length} → ${optimizedPrompt.length} chars (${systemPrompt.length - optimizedPrompt.length} chars saved)`);
-    }
-
     // WordPress system prompt is the instruction set - we still need to append conversation history and current message
-    prompt = optimizedPrompt;
+    prompt = tools.withToolInstructions(withBusinessContext(optimizeSystemPrompt(systemPrompt), businessInfo), toolDefinitions);
 
     // Add conversation history if provided (using optimized recent history)
     if (recentHistory && recentHistory.length > 0) {
@@ -264,16 +528,95 @@ async function generateConversationResponse(businessInfo, message, conversationH
   } else {
     console.log('Vertex AI: Using fallback buildConversationPrompt (simple prompt - no caller ID)');
     // Fall back to the simple buildConversationPrompt for backward compatibility
-    prompt = buildConversationPrompt(businessInfo, message, recentHistory);
+    prompt = buildConversationPrompt(businessInfo, message, recentHistory, toolDefinitions);
   }
 
-  return await callGemini(prompt);
+  return prompt;
+}
+
+/**
+ * Generate AI conversation response (for customer phone calls)
+ *
+ * @param {Object} businessInfo - Business information
+ * @param {string} message - Customer's message
+ * @param {Array} conversationHistory - Previous conversation turns
+ * @param {string} systemPrompt - Optional: Full system prompt from WordPress (overrides buildConversationPrompt)
+ * @param {string} modelName - Optional model name (defaults to MODEL_NAME)
+ * @param {Object} options - Optional { tools } the model may call (see services/tools.js)
+ * @returns {Promise<Object>} AI response with text and tokens
+ */
+async function generateConversationResponse(businessInfo, message, conversationHistory = [], systemPrompt = null, modelName = null, options = {}) {
+  const toolDefinitions = options.tools || [];
+  const prompt = buildGeminiConversationPrompt(businessInfo, message, conversationHistory, systemPrompt, toolDefinitions);
+
+  if (toolDefinitions.length > 0) {
+    return await callGeminiWithTools(prompt, modelName, toolDefinitions);
+  }
+  return await callGemini(prompt, modelName);
+}
+
+/**
+ * Generate a back-office task response (call summaries, extraction)
+ *
+ * Not caller-facing, so it gets a larger output budget than receptionist replies.
+ *
+ * @param {string} instructions - Task instructions
+ * @param {string} input - Task input (e.g. a call transcript)
+ * @param {string} modelName - Optional model name
+ * @param {Object} options - { maxTokens, temperature }
+ * @returns {Promise<Object>} AI response with text and tokens
+ */
+async function generateTaskResponse(instructions, input, modelName = null, options = {}) {
+  const prompt = `${instructions}\n\n${input}`;
+  return await callGemini(prompt, modelName, {
+    maxOutputTokens: options.maxTokens || 1024,
+    temperature: options.temperature !== undefined ? options.temperature : 0.2,
+  });
+}
+
+/**
+ * Stream AI training response
+ *
+ * @param {Object} businessInfo - Business information
+ * @param {string} message - User's training question
+ * @param {Array} conversationHistory - Earlier turns of the training session
+ * @param {string} modelName - Optional model name
+ * @param {Function} onToken - Called with each text chunk
+ * @returns {Promise<Object>} AI response with text and tokens
+ */
+async function streamTrainingResponse(businessInfo, message, conversationHistory = [], modelName = null, onToken = () => {}) {
+  const prompt = buildTrainingPrompt(businessInfo, message, conversationHistory);
+  return await callGeminiStream(prompt, modelName, onToken);
+}
+
+/**
+ * Stream AI conversation response (for customer phone calls)
+ *
+ * @param {Object} businessInfo - Business information
+ * @param {string} message - Customer's message
+ * @param {Array} conversationHistory - Previous conversation turns
+ * @param {string} systemPrompt - Optional: Full system prompt from WordPress
+ * @param {string} modelName - Optional model name (defaults to MODEL_NAME)
+ * @param {Function} onToken - Called with each text chunk
+ * @returns {Promise<Object>} AI response with text and tokens
+ */
+async function streamConversationResponse(businessInfo, message, conversationHistory = [], systemPrompt = null, modelName = null, onToken = () => {}) {
+  const prompt = buildGeminiConversationPrompt(businessInfo, message, conversationHistory, systemPrompt);
+  return await callGeminiStream(prompt, modelName, onToken);
 }
 
 module.exports = {
   generateTrainingResponse,
   generateConversationResponse,
+  streamTrainingResponse,
+  streamConversationResponse,
+  generateTaskResponse,
+  buildTrainingInstructions,
   buildTrainingPrompt,
   buildConversationPrompt,
+  buildReceptionistInstructions,
+  optimizeSystemPrompt,
+  withBusinessContext,
   callGemini,
+  callGeminiStream,
 };
@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeFirestore } = require('./helpers/firestore');
+
+const store = installFakeFirestore();
+const appointments = require('../services/appointments');
+
+test.mock.method(console, 'log', () => {});
+test.mock.method(console, 'error', () => {});
+
+const allDay = ['00:00-24:00'];
+const customer = {
+  id: 'c1',
+  site_token: 'tok1',
+  booking_settings: {
+    enabled: true,
+    time_zone: 'UTC',
+    slot_minutes: 30,
+    min_notice_minutes: 0,
+    max_days_ahead: 14,
+    weekly_hours: { mon: allDay, tue: allDay, wed: allDay, thu: allDay, fri: allDay, sat: allDay, sun: allDay },
+    calendar: { type: 'none' },
+  },
+};
+
+/**
+ * A slot start tomorrow (UTC)
+ *
+ * @param {string} time - HH:MM
+ * @returns {string} ISO start time
+ */
+function tomorrowAt(time) {
+  const date = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  return new Date(`${date}T${time}:00.000Z`).toISOString();
+}
+
+/**
+ * Stored appointments for a conversation
+ *
+ * @param {string} callId - Conversation id
+ * @returns {Object[]} Appointments
+ */
+function appointmentsFor(callId) {
+  return [...store.entries()]
+    .filter(([path, data]) => path.startsWith('appointments/') && data.call_id === callId)
+    .map(([, data]) => data);
+}
+
+test('booking the same slot again from the same conversation returns the first appointment', async () => {
+  const details = { start: tomorrowAt('10:00'), name: 'Dana', call_id: 'CA1', channel: 'voice' };
+
+  const first = await appointments.bookAppointment(customer, details);
+  const retry = await appointments.bookAppointment(customer, details);
+
+  assert.equal(first.created, true);
+  assert.equal(first.appointment.status, 'tentative');
+  assert.equal(retry.created, false);
+  assert.equal(retry.appointment.id, first.appointment.id);
+  assert.equal(appointmentsFor('CA1').length, 1);
+});
+
+test('booking another slot from the same conversation moves its tentative appointment', async () => {
+  const first = await appointments.bookAppointment(customer, { start: tomorrowAt('11:00'), call_id: 'CA2' });
+  const moved = await appointments.bookAppointment(customer, { start: tomorrowAt('11:30'), call_id: 'CA2' });
+
+  assert.equal(moved.created, true);
+
+  const previous = store.get(`appointments/${first.appointment.id}`);
+  assert.equal(previous.status, 'cancelled');
+  assert.equal(previous.cancel_reason, 'rescheduled');
+  assert.deepEqual(appointmentsFor('CA2').filter((apt) => apt.status === 'tentative').map((apt) => apt.start), [tomorrowAt('11:30')]);
+});
+
+test('a slot booked by another conversation is unavailable', async () => {
+  await appointments.bookAppointment(customer, { start: tomorrowAt('13:00'), call_id: 'CA3' });
+
+  await assert.rejects(
+    appointments.bookAppointment(customer, { start: tomorrowAt('13:00'), call_id: 'CA4' }),
+    { code: 'SLOT_UNAVAILABLE' },
+  );
+  await assert.rejects(
+    appointments.bookAppointment(customer, { start: tomorrowAt('12:45'), end: tomorrowAt('13:15'), channel: 'owner' }),
+    { code: 'SLOT_UNAVAILABLE' },
+  );
+  assert.equal(appointmentsFor('CA4').length, 0);
+});
+
+test('receptionist bookings need booking turned on and a valid time', async () => {
+  const disabled = { ...customer, booking_settings: { ...customer.booking_settings, enabled: false } };
+
+  await assert.rejects(
+    appointments.bookAppointment(disabled, { start: tomorrowAt('14:00'), call_id: 'CA5' }),
+    { code: 'BOOKING_DISABLED' },
+  );
+  await assert.rejects(
+    appointments.bookAppointment(customer, { start: 'tomorrow at two', call_id: 'CA5' }),
+    { code: 'INVALID_TIME' },
+  );
+});
@@ -0,0 +1,130 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeFirestore } = require('./helpers/firestore');
+
+// services/llm.js creates its Vertex AI client on load
+process.env.GOOGLE_CLOUD_PROJECT = process.env.GOOGLE_CLOUD_PROJECT || 'test-project';
+
+const store = installFakeFirestore();
+const { signRequest, requireSiteAuth } = require('../middleware/auth');
+
+test.mock.method(console, 'log', () => {});
+test.mock.method(console, 'error', () => {});
+
+const SECRET = 'a'.repeat(64);
+
+store.set('customers/c1', {
+  site_token: 'tok1',
+  business_name: 'Acme Plumbing',
+  api_secret: SECRET,
+  status: 'active',
+});
+
+/**
+ * Build a signed Express-like request
+ *
+ * @param {Object} options - Request parts
+ * @returns {Object} Request
+ */
+function signedRequest({ body = '{"message":"hi"}', timestamp = Math.floor(Date.now() / 1000), secret = SECRET } = {}) {
+  const originalUrl = '/api/v1/customers/tok1/settings';
+  const headers = {
+    'x-phoneease-timestamp': String(timestamp),
+    'x-phoneease-signature': signRequest(secret, String(timestamp), 'post', originalUrl, body),
+  };
+
+  return {
+    method: 'POST',
+    originalUrl,
+    params: { site_token: 'tok1' },
+    body: JSON.parse(body),
+    rawBody: Buffer.from(body),
+    get: (name) => headers[name.toLowerCase()],
+  };
+}
+
+/**
+ * Run the middleware and report whether it called next() or responded
+ *
+ * @param {Object} req - Request
+ * @returns {Promise<{next: boolean, status: number|null, body: Object|null}>}
+ */
+async function authenticate(req) {
+  const result = { next: false, status: null, body: null };
+  const res = {
+    status(code) {
+      result.status = code;
+      return res;
+    },
+    json(body) {
+      result.body = body;
+      return res;
+    },
+  };
+
+  await requireSiteAuth(req, res, () => {
+    result.next = true;
+  });
+  return result;
+}
+
+test('signRequest signs timestamp, upper-cased method, path and body', () => {
+  const a = signRequest(SECRET, '1700000000', 'post', '/x?y=1', '{}');
+  assert.equal(a, signRequest(SECRET, '1700000000', 'POST', '/x?y=1', '{}'));
+  assert.notEqual(a, signRequest(SECRET, '1700000000', 'POST', '/x?y=2', '{}'));
+  assert.match(a, /^[0-9a-f]{64}$/);
+});
+
+test('a correctly signed request is let through with the customer attached', async () => {
+  const req = signedRequest();
+  const result = await authenticate(req);
+
+  assert.equal(result.next, true);
+  assert.equal(req.customer.id, 'c1');
+});
+
+test('a replayed signature is rejected', async () => {
+  const req = signedRequest({ body: '{"message":"once"}' });
+
+  assert.equal((await authenticate(req)).next, true);
+
+  const replay = await authenticate({ ...req });
+  assert.equal(replay.status, 401);
+  assert.match(replay.body.error, /replay/);
+});
+
+test('a signature made with another secret is rejected', async () => {
+  const result = await authenticate(signedRequest({ secret: 'b'.repeat(64) }));
+
+  assert.equal(result.status, 401);
+  assert.equal(result.body.error, 'Invalid signature');
+});
+
+test('a timestamp outside the allowed clock skew is rejected', async () => {
+  const result = await authenticate(signedRequest({ timestamp: Math.floor(Date.now() / 1000) - 3600 }));
+
+  assert.equal(result.status, 401);
+  assert.equal(result.body.error, 'Request timestamp outside allowed window');
+});
+
+test('requests without credentials are rejected', async () => {
+  const result = await authenticate({ params: { site_token: 'tok1' }, body: {}, get: () => undefined });
+
+  assert.equal(result.status, 401);
+  assert.equal(result.body.error, 'Authentication required');
+});
+
+test('a failed replay-record write does not block the retry of the same request', async (t) => {
+  const req = signedRequest({ body: '{"message":"retry"}' });
+
+  const has = t.mock.method(store, 'has', function (path) {
+    if (path.startsWith('auth_replays/')) {
+      throw Object.assign(new Error('14 UNAVAILABLE'), { code: 14 });
+    }
+    return Map.prototype.has.call(this, path);
+  });
+  assert.equal((await authenticate(req)).status, 500);
+  has.mock.restore();
+
+  assert.equal((await authenticate({ ...req })).next, true);
+});
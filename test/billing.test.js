@@ -0,0 +1,158 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeFirestore } = require('./helpers/firestore');
+
+// services/llm.js (required by services/firestore.js) creates its Vertex AI client on load
+process.env.GOOGLE_CLOUD_PROJECT = process.env.GOOGLE_CLOUD_PROJECT || 'test-project';
+
+const store = installFakeFirestore();
+const billing = require('../services/billing');
+const { getCustomer } = require('../services/firestore');
+
+test.mock.method(console, 'log', () => {});
+test.mock.method(console, 'error', () => {});
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+test('planRollover leaves a customer in their current period alone', () => {
+  const customer = {
+    billing_period_start: '2026-04-01T00:00:00.000Z',
+    billing_period_end: '2026-05-01T00:00:00.000Z',
+  };
+  assert.equal(billing.planRollover(customer, new Date('2026-04-15T00:00:00Z')), null);
+});
+
+test('planRollover starts the next period when one ends', () => {
+  const customer = {
+    billing_period_start: '2026-04-01T00:00:00.000Z',
+    billing_period_end: '2026-05-01T00:00:00.000Z',
+    billable_calls_used: 42,
+    calls_limit: 100,
+  };
+
+  const plan = billing.planRollover(customer, new Date('2026-05-01T00:00:00Z'));
+  assert.deepEqual(plan.period, {
+    billing_period_start: '2026-05-01T00:00:00.000Z',
+    billing_period_end: '2026-05-31T00:00:00.000Z',
+  });
+  assert.equal(plan.archive.billing_period_start, '2026-04-01T00:00:00.000Z');
+  assert.equal(plan.archive.billable_calls_used, 42);
+});
+
+test('planRollover skips missed periods and archives usage under the one that ended', () => {
+  const customer = {
+    billing_period_start: '2026-01-01T00:00:00.000Z',
+    billing_period_end: '2026-01-31T00:00:00.000Z',
+    billable_calls_used: 7,
+    sms_sent: 3,
+    calls_limit: 100,
+  };
+
+  // Three periods later: Jan 31 -> Mar 2 -> Apr 1 -> May 1
+  const plan = billing.planRollover(customer, new Date('2026-04-15T00:00:00Z'));
+  assert.deepEqual(plan.period, {
+    billing_period_start: '2026-04-01T00:00:00.000Z',
+    billing_period_end: '2026-05-01T00:00:00.000Z',
+  });
+  assert.equal(plan.archive.billing_period_start, '2026-01-01T00:00:00.000Z');
+  assert.equal(plan.archive.billing_period_end, '2026-01-31T00:00:00.000Z');
+  assert.equal(plan.archive.billable_calls_used, 7);
+  assert.equal(plan.archive.sms_sent, 3);
+  assert.equal(plan.archive.calls_limit, 100);
+  assert.equal(plan.archive.training_limit, null);
+  billing.USAGE_COUNTERS.forEach((field) => assert.equal(typeof plan.archive[field], 'number'));
+});
+
+test('planRollover anchors customers without a period at created_at', () => {
+  const createdAt = '2026-04-10T12:00:00.000Z';
+
+  const current = billing.planRollover({ created_at: createdAt }, new Date('2026-04-20T00:00:00Z'));
+  assert.deepEqual(current, { period: billing.newBillingPeriod(createdAt), archive: null });
+
+  // 75 days later: the third period since created_at
+  const later = billing.planRollover({ created_at: createdAt }, new Date(Date.parse(createdAt) + 75 * DAY_MS));
+  assert.equal(later.period.billing_period_start, new Date(Date.parse(createdAt) + 60 * DAY_MS).toISOString());
+  assert.equal(later.archive.billing_period_start, createdAt);
+});
+
+test('planRollover replaces an unreadable period with one starting now', () => {
+  const now = new Date('2026-04-20T00:00:00Z');
+  const plan = billing.planRollover({ billing_period_start: 'x', billing_period_end: 'soon' }, now);
+  assert.deepEqual(plan, { period: billing.newBillingPeriod(now), archive: null });
+});
+
+/**
+ * A customer whose billing period ended yesterday
+ *
+ * @param {Object} fields - Extra customer fields
+ * @returns {Object} Customer document
+ */
+function endedCustomer(fields = {}) {
+  const end = new Date(Date.now() - DAY_MS);
+  return {
+    site_token: `tok_${fields.status || 'active'}`,
+    status: 'active',
+    billing_period_start: new Date(end.getTime() - 30 * DAY_MS).toISOString(),
+    billing_period_end: end.toISOString(),
+    billable_calls_used: 12,
+    ...fields,
+  };
+}
+
+test('ensureCurrentPeriod rolls over an ended period and archives its usage', async () => {
+  store.clear();
+  store.set('customers/c1', endedCustomer());
+
+  const customer = await billing.ensureCurrentPeriod({ id: 'c1', ...store.get('customers/c1') });
+
+  assert.ok(new Date(customer.billing_period_end) > new Date());
+  assert.equal(customer.billable_calls_used, 0);
+  assert.equal(store.get('customers/c1').billable_calls_used, 0);
+
+  const history = [...store.keys()].filter((path) => path.startsWith('customers/c1/usage_history/'));
+  assert.equal(history.length, 1);
+  assert.equal(store.get(history[0]).billable_calls_used, 12);
+});
+
+test('ensureCurrentPeriod leaves cancelled customers in their last period', async () => {
+  store.clear();
+  store.set('customers/c2', endedCustomer({ status: 'cancelled' }));
+
+  const customer = await billing.ensureCurrentPeriod({ id: 'c2', ...store.get('customers/c2') });
+
+  assert.equal(customer.billable_calls_used, 12);
+  assert.equal(store.get('customers/c2').billable_calls_used, 12);
+});
+
+test('sweepExpiredPeriods skips cancelled customers and stops selecting them', async () => {
+  store.clear();
+  store.set('customers/c1', endedCustomer());
+  store.set('customers/c2', endedCustomer({ status: 'cancelled' }));
+
+  const dryRun = await billing.sweepExpiredPeriods({ dryRun: true });
+  assert.equal(dryRun.due, 1);
+  assert.deepEqual(dryRun.rolledOver.map((ended) => ended.site_token), ['tok_active']);
+  assert.ok(store.get('customers/c2').billing_period_end);
+
+  const sweep = await billing.sweepExpiredPeriods();
+  assert.equal(sweep.due, 1);
+  assert.deepEqual(sweep.rolledOver.map((ended) => ended.site_token), ['tok_active']);
+  assert.deepEqual(sweep.errors, []);
+  assert.equal(store.get('customers/c2').billing_period_end, null);
+  assert.equal(store.get('customers/c2').billable_calls_used, 12);
+
+  assert.equal((await billing.sweepExpiredPeriods()).due, 0);
+});
+
+test('getCustomer returns the stored customer when the rollover fails', async (t) => {
+  store.clear();
+  store.set('customers/c1', endedCustomer());
+
+  t.mock.method(store, 'set', () => {
+    throw new Error('14 UNAVAILABLE');
+  });
+  const customer = await getCustomer('tok_active');
+
+  assert.equal(customer.id, 'c1');
+  assert.equal(customer.billable_calls_used, 12);
+});
@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const bm25 = require('../lib/bm25');
+
+test('tokenize drops stop words and plural s', () => {
+  assert.deepEqual(bm25.tokenize("What's the price of your drains?"), ['price', 'drain']);
+  assert.deepEqual(bm25.tokenize('glass'), ['glass']);
+});
+
+test('search ranks documents matching more and rarer terms first', () => {
+  const index = bm25.createIndex([
+    'Window cleaning is quoted on request.',
+    'Drain cleaning starts at $129 for a single drain.',
+    'We service all of Brooklyn and Queens.',
+  ]);
+
+  const results = index.search('how much is drain cleaning', 5);
+  assert.deepEqual(results.map((result) => result.index), [1, 0]);
+});
+
+test('search prefers shorter documents for the same term frequency', () => {
+  const index = bm25.createIndex([
+    'Emergency service is available. We also sell parts, fixtures, tools and supplies for contractors.',
+    'Emergency service is available.',
+    'Gift cards are sold in store.',
+  ]);
+
+  const results = index.search('emergency', 5);
+  assert.deepEqual(results.map((result) => result.index), [1, 0]);
+  assert.ok(results[0].score > results[1].score);
+});
+
+test('search returns only scoring documents, up to the limit', () => {
+  const index = bm25.createIndex(['leak repair', 'leak detection', 'leak insurance claims', 'roofing']);
+
+  assert.equal(index.search('leak', 2).length, 2);
+  assert.deepEqual(index.search('gutters', 5), []);
+  assert.deepEqual(index.search('the and of', 5), []);
+});
+
+test('an empty index returns no results', () => {
+  assert.deepEqual(bm25.createIndex([]).search('anything'), []);
+});
@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const businessHours = require('../services/businessHours');
+
+const WEEKDAY_HOURS = ['09:00-17:00'];
+
+function buildHours(overrides = {}) {
+  return businessHours.getHours({
+    hours: {
+      time_zone: 'America/New_York',
+      weekly: { mon: WEEKDAY_HOURS, tue: WEEKDAY_HOURS, wed: WEEKDAY_HOURS, thu: WEEKDAY_HOURS, fri: WEEKDAY_HOURS },
+      ...overrides,
+    },
+  });
+}
+
+test('getHoursStatus is open during weekly hours and gives the closing time', () => {
+  // Tuesday 2026-11-17 12:00 EST
+  const status = businessHours.getHoursStatus(buildHours(), new Date('2026-11-17T17:00:00Z'));
+  assert.equal(status.open, true);
+  assert.equal(status.closes_at, '2026-11-17T22:00:00.000Z');
+  assert.equal(status.next_open_at, null);
+});
+
+test('getHoursStatus opens Monday after a weekend that ends with a DST change', () => {
+  // Saturday 2026-03-07 12:00 EST; clocks spring forward on Sunday
+  const status = businessHours.getHoursStatus(buildHours(), new Date('2026-03-07T17:00:00Z'));
+  assert.equal(status.open, false);
+  assert.equal(status.next_open_at, '2026-03-09T13:00:00.000Z');
+});
+
+test('closures win over special hours and weekly hours', () => {
+  const hours = buildHours({
+    closures: [{ date: '2026-11-26', end_date: null, name: 'Thanksgiving' }],
+    special_hours: [
+      { date: '2026-11-26', hours: ['10:00-12:00'], name: null },
+      { date: '2026-11-27', hours: ['10:00-14:00'], name: 'Black Friday' },
+    ],
+  });
+
+  // Thursday 11:00 EST
+  const closed = businessHours.getHoursStatus(hours, new Date('2026-11-26T16:00:00Z'));
+  assert.equal(closed.open, false);
+  assert.equal(closed.closure, 'Thanksgiving');
+  assert.equal(closed.special_hours, null);
+  assert.equal(closed.next_open_at, '2026-11-27T15:00:00.000Z');
+});
+
+test('special hours replace the weekly hours for their date', () => {
+  const hours = buildHours({
+    special_hours: [{ date: '2026-11-27', hours: ['10:00-14:00'], name: 'Black Friday' }],
+  });
+
+  // Friday 11:00 EST - open, closing early
+  const open = businessHours.getHoursStatus(hours, new Date('2026-11-27T16:00:00Z'));
+  assert.equal(open.open, true);
+  assert.equal(open.special_hours, 'Black Friday');
+  assert.equal(open.closes_at, '2026-11-27T19:00:00.000Z');
+
+  // Friday 15:00 EST - weekly hours would be open, special hours are over
+  const closed = businessHours.getHoursStatus(hours, new Date('2026-11-27T20:00:00Z'));
+  assert.equal(closed.open, false);
+  assert.equal(closed.next_open_at, '2026-11-30T14:00:00.000Z');
+});
+
+test('next opening skips a closure spanning the new year', () => {
+  const hours = buildHours({
+    closures: [{ date: '2026-12-21', end_date: '2027-01-05', name: 'Winter break' }],
+  });
+
+  // Tuesday 2026-12-22 12:00 EST
+  const status = businessHours.getHoursStatus(hours, new Date('2026-12-22T17:00:00Z'));
+  assert.equal(status.open, false);
+  assert.equal(status.closure, 'Winter break');
+  assert.equal(status.next_open_at, '2027-01-06T14:00:00.000Z');
+});
+
+test('next opening is null when nothing opens within a year', () => {
+  const hours = buildHours({
+    closures: [{ date: '2026-01-01', end_date: '2027-12-31', name: 'Renovation' }],
+  });
+
+  const status = businessHours.getHoursStatus(hours, new Date('2026-06-01T16:00:00Z'));
+  assert.equal(status.open, false);
+  assert.equal(status.next_open_at, null);
+});
+
+test('validateHoursUpdate rejects a closure that ends before it starts', () => {
+  const { hours, error } = businessHours.validateHoursUpdate({
+    weekly: { mon: WEEKDAY_HOURS },
+    closures: [{ date: '2026-12-24', end_date: '2026-12-23' }],
+  });
+  assert.equal(hours, null);
+  assert.match(error, /end_date/);
+});
+
+test('validateHoursUpdate rejects two special hours entries for one date', () => {
+  const { error } = businessHours.validateHoursUpdate({
+    weekly: { mon: WEEKDAY_HOURS },
+    special_hours: [
+      { date: '2026-11-27', hours: ['10:00-14:00'] },
+      { date: '2026-11-27', hours: ['15:00-16:00'] },
+    ],
+  });
+  assert.match(error, /more than one entry for 2026-11-27/);
+});
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const dns = require('dns');
+const calendars = require('../services/calendars');
+
+test.mock.method(console, 'log', () => {});
+test.mock.method(console, 'error', () => {});
+
+test('isAllowedCalendarUrl accepts public https URLs only', () => {
+  assert.equal(calendars.isAllowedCalendarUrl('https://calendar.example.com/feed.ics'), true);
+  assert.equal(calendars.isAllowedCalendarUrl('https://93.184.216.34/feed.ics'), true);
+
+  assert.equal(calendars.isAllowedCalendarUrl('http://calendar.example.com/feed.ics'), false);
+  assert.equal(calendars.isAllowedCalendarUrl('not a url'), false);
+  assert.equal(calendars.isAllowedCalendarUrl('https://localhost/feed.ics'), false);
+  assert.equal(calendars.isAllowedCalendarUrl('https://cal.localhost/feed.ics'), false);
+});
+
+test('isAllowedCalendarUrl rejects literal private, loopback and metadata addresses', () => {
+  [
+    'https://127.0.0.1/', 'https://10.1.2.3/', 'https://172.16.0.1/', 'https://192.168.1.1/',
+    'https://169.254.169.254/computeMetadata/v1/', 'https://100.64.0.1/', 'https://[::1]/',
+    'https://[fd00::1]/', 'https://[fe80::1]/', 'https://[::ffff:127.0.0.1]/', 'https://0.0.0.0/',
+  ].forEach((url) => assert.equal(calendars.isAllowedCalendarUrl(url), false, url));
+});
+
+test('calendar hosts that resolve to a private address are not fetched', async (t) => {
+  t.mock.method(dns.promises, 'lookup', async () => [{ address: '10.0.0.5', family: 4 }]);
+  const fetchMock = t.mock.method(global, 'fetch', async () => {
+    throw new Error('fetch should not be called');
+  });
+
+  await assert.rejects(
+    calendars.getBusyTimes({ type: 'ics', url: 'https://internal.example.com/feed.ics' }, new Date(), new Date(Date.now() + 3600000), 'UTC'),
+    /resolves to a private address/,
+  );
+  assert.equal(fetchMock.mock.callCount(), 0);
+});
+
+test('calendar responses larger than the cap are refused', async (t) => {
+  t.mock.method(dns.promises, 'lookup', async () => [{ address: '93.184.216.34', family: 4 }]);
+  t.mock.method(global, 'fetch', async () => new Response('BEGIN:VCALENDAR', {
+    headers: { 'content-length': String(calendars.MAX_CALENDAR_BYTES + 1) },
+  }));
+
+  await assert.rejects(
+    calendars.getBusyTimes({ type: 'ics', url: 'https://big.example.com/feed.ics' }, new Date(), new Date(Date.now() + 3600000), 'UTC'),
+    /larger than/,
+  );
+});
@@ -0,0 +1,395 @@
+/**
+ * In-memory Firestore for tests
+ *
+ * installFakeFirestore() replaces @google-cloud/firestore in the require cache, so it
+ * must run before the services under test are required. It covers what the services
+ * use: documents (get / set / create / update / delete), queries (where, orderBy,
+ * limit, startAfter, count), batches, transactions (run one at a time) and
+ * FieldValue.increment / arrayUnion / arrayRemove / delete / serverTimestamp.
+ *
+ * Documents live in store, keyed by path ('customers/c1').
+ */
+
+const store = new Map();
+
+class FieldValueSentinel {
+  constructor(apply) {
+    this.apply = apply;
+  }
+}
+
+const FieldValue = {
+  increment: (n) => new FieldValueSentinel((current) => (current || 0) + n),
+  arrayUnion: (...items) => new FieldValueSentinel((current) => [
+    ...(current || []),
+    ...items.filter((item) => !(current || []).some((existing) => isEqual(existing, item))),
+  ]),
+  arrayRemove: (...items) => new FieldValueSentinel((current) =>
+    (current || []).filter((existing) => !items.some((item) => isEqual(existing, item)))),
+  delete: () => new FieldValueSentinel(() => undefined),
+  serverTimestamp: () => new FieldValueSentinel(() => new Date()),
+};
+
+/**
+ * Deep equality for plain JSON-like values
+ *
+ * @param {*} a - Value
+ * @param {*} b - Value
+ * @returns {boolean}
+ */
+function isEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Whether a value is a plain object (merged field by field, unlike arrays and Dates)
+ *
+ * @param {*} value - Value
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && value.constructor === Object;
+}
+
+/**
+ * Write a value at a field path, applying FieldValue sentinels
+ *
+ * @param {Object} data - Document data (changed in place)
+ * @param {string[]} path - Field path segments
+ * @param {*} value - Value or sentinel
+ */
+function writeField(data, path, value) {
+  let target = data;
+  path.slice(0, -1).forEach((segment) => {
+    if (!isPlainObject(target[segment])) {
+      target[segment] = {};
+    }
+    target = target[segment];
+  });
+
+  const field = path[path.length - 1];
+  const next = value instanceof FieldValueSentinel ? value.apply(target[field]) : value;
+  if (next === undefined) {
+    delete target[field];
+  } else {
+    target[field] = structuredClone(next);
+  }
+}
+
+/**
+ * Merge set() data into a document (nested objects merge field by field)
+ *
+ * @param {Object} data - Document data (changed in place)
+ * @param {Object} changes - set() data
+ * @param {string[]} prefix - Field path of changes
+ */
+function mergeFields(data, changes, prefix = []) {
+  Object.entries(changes).forEach(([field, value]) => {
+    if (isPlainObject(value)) {
+      mergeFields(data, value, [...prefix, field]);
+    } else {
+      writeField(data, [...prefix, field], value);
+    }
+  });
+}
+
+/**
+ * Read a dotted field path
+ *
+ * @param {Object} data - Document data
+ * @param {string} fieldPath - e.g. 'steps.sub_account'
+ * @returns {*} Value, or undefined
+ */
+function readField(data, fieldPath) {
+  return fieldPath.split('.').reduce((value, segment) => (value == null ? undefined : value[segment]), data);
+}
+
+/**
+ * Error for update() on a missing document (gRPC code 5, as the services check)
+ *
+ * @param {string} path - Document path
+ * @returns {Error}
+ */
+function notFound(path) {
+  const error = new Error(`5 NOT_FOUND: No document to update: ${path}`);
+  error.code = 5;
+  return error;
+}
+
+/**
+ * Error for create() on an existing document (gRPC code 6, as the services check)
+ *
+ * @param {string} path - Document path
+ * @returns {Error}
+ */
+function alreadyExists(path) {
+  const error = new Error(`6 ALREADY_EXISTS: Document already exists: ${path}`);
+  error.code = 6;
+  return error;
+}
+
+class DocumentSnapshot {
+  constructor(ref, data) {
+    this.ref = ref;
+    this.id = ref.id;
+    this.exists = data !== undefined;
+    this._data = data;
+  }
+
+  data() {
+    return this.exists ? structuredClone(this._data) : undefined;
+  }
+
+  get(fieldPath) {
+    return readField(this._data, fieldPath);
+  }
+}
+
+class DocumentReference {
+  constructor(path) {
+    this.path = path;
+    this.id = path.split('/').pop();
+  }
+
+  collection(name) {
+    return new CollectionReference(`${this.path}/${name}`);
+  }
+
+  async get() {
+    return new DocumentSnapshot(this, store.get(this.path));
+  }
+
+  async set(data, options = {}) {
+    const current = options.merge && store.has(this.path) ? structuredClone(store.get(this.path)) : {};
+    if (options.merge) {
+      mergeFields(current, data);
+    } else {
+      Object.entries(data).forEach(([field, value]) => writeField(current, [field], value));
+    }
+    store.set(this.path, current);
+  }
+
+  async create(data) {
+    if (store.has(this.path)) {
+      throw alreadyExists(this.path);
+    }
+    await this.set(data);
+  }
+
+  async update(changes) {
+    if (!store.has(this.path)) {
+      throw notFound(this.path);
+    }
+    const current = structuredClone(store.get(this.path));
+    Object.entries(changes).forEach(([fieldPath, value]) => writeField(current, fieldPath.split('.'), value));
+    store.set(this.path, current);
+  }
+
+  async delete() {
+    store.delete(this.path);
+  }
+}
+
+const OPERATORS = {
+  '==': (a, b) => isEqual(a, b),
+  '!=': (a, b) => a !== undefined && !isEqual(a, b),
+  '<': (a, b) => a != null && a < b,
+  '<=': (a, b) => a != null && a <= b,
+  '>': (a, b) => a != null && a > b,
+  '>=': (a, b) => a != null && a >= b,
+  'in': (a, b) => b.some((value) => isEqual(a, value)),
+  'array-contains': (a, b) => Array.isArray(a) && a.some((value) => isEqual(value, b)),
+};
+
+class Query {
+  constructor(path, options = {}) {
+    this.path = path;
+    this.filters = options.filters || [];
+    this.orders = options.orders || [];
+    this.limitCount = options.limitCount === undefined ? null : options.limitCount;
+    this.cursor = options.cursor || null;
+  }
+
+  with(options) {
+    return new Query(this.path, {
+      filters: this.filters,
+      orders: this.orders,
+      limitCount: this.limitCount,
+      cursor: this.cursor,
+      ...options,
+    });
+  }
+
+  where(fieldPath, operator, value) {
+    if (!OPERATORS[operator]) {
+      throw new Error(`Fake Firestore: unsupported operator ${operator}`);
+    }
+    return this.with({ filters: [...this.filters, { fieldPath, operator, value }] });
+  }
+
+  orderBy(fieldPath, direction = 'asc') {
+    return this.with({ orders: [...this.orders, { fieldPath, direction }] });
+  }
+
+  limit(limitCount) {
+    return this.with({ limitCount });
+  }
+
+  startAfter(cursor) {
+    return this.with({ cursor });
+  }
+
+  count() {
+    return {
+      get: async () => {
+        const snapshot = await this.with({ limitCount: null }).get();
+        return { data: () => ({ count: snapshot.size }) };
+      },
+    };
+  }
+
+  async get() {
+    const depth = this.path.split('/').length + 1;
+    let docs = [...store.entries()]
+      .filter(([path]) => path.startsWith(`${this.path}/`) && path.split('/').length === depth)
+      .map(([path, data]) => new DocumentSnapshot(new DocumentReference(path), data));
+
+    this.filters.forEach(({ fieldPath, operator, value }) => {
+      docs = docs.filter((doc) => OPERATORS[operator](doc.get(fieldPath), value));
+    });
+
+    // Firestore leaves out documents without the ordered field
+    this.orders.forEach(({ fieldPath }) => {
+      docs = docs.filter((doc) => doc.get(fieldPath) !== undefined);
+    });
+    docs.sort((a, b) => {
+      for (const { fieldPath, direction } of this.orders) {
+        const x = a.get(fieldPath);
+        const y = b.get(fieldPath);
+        if (x !== y) {
+          return (x < y ? -1 : 1) * (direction === 'desc' ? -1 : 1);
+        }
+      }
+      return a.ref.path < b.ref.path ? -1 : 1;
+    });
+
+    if (this.cursor) {
+      const index = this.cursor instanceof DocumentSnapshot
+        ? docs.findIndex((doc) => doc.ref.path === this.cursor.ref.path)
+        : -1;
+      docs = docs.slice(index + 1);
+    }
+    if (this.limitCount !== null) {
+      docs = docs.slice(0, this.limitCount);
+    }
+
+    return { docs, size: docs.length, empty: docs.length === 0, forEach: (fn) => docs.forEach(fn) };
+  }
+}
+
+class CollectionReference extends Query {
+  constructor(path) {
+    super(path);
+    this.id = path.split('/').pop();
+  }
+
+  doc(id) {
+    return new DocumentReference(`${this.path}/${id || `auto_${Math.random().toString(36).slice(2, 12)}`}`);
+  }
+
+  async add(data) {
+    const ref = this.doc();
+    await ref.set(data);
+    return ref;
+  }
+}
+
+let transactionQueue = Promise.resolve();
+
+class Firestore {
+  collection(name) {
+    return new CollectionReference(name);
+  }
+
+  doc(path) {
+    return new DocumentReference(path);
+  }
+
+  batch() {
+    const writes = [];
+    const batch = {
+      set: (ref, data, options) => { writes.push(() => ref.set(data, options)); return batch; },
+      create: (ref, data) => { writes.push(() => ref.create(data)); return batch; },
+      update: (ref, changes) => { writes.push(() => ref.update(changes)); return batch; },
+      delete: (ref) => { writes.push(() => ref.delete()); return batch; },
+      commit: async () => {
+        for (const write of writes) {
+          await write();
+        }
+      },
+    };
+    return batch;
+  }
+
+  /**
+   * Run a transaction - reads see committed data, writes apply after fn() returns
+   *
+   * Transactions run one at a time, which is what Firestore's retries amount to.
+   */
+  runTransaction(fn) {
+    const run = transactionQueue.then(async () => {
+      const writes = [];
+      const transaction = {
+        get: (refOrQuery) => refOrQuery.get(),
+        set: (ref, data, options) => { writes.push(() => ref.set(data, options)); return transaction; },
+        create: (ref, data) => { writes.push(() => ref.create(data)); return transaction; },
+        update: (ref, changes) => { writes.push(() => ref.update(changes)); return transaction; },
+        delete: (ref) => { writes.push(() => ref.delete()); return transaction; },
+      };
+
+      const result = await fn(transaction);
+      for (const write of writes) {
+        await write();
+      }
+      return result;
+    });
+
+    transactionQueue = run.catch(() => {});
+    return run;
+  }
+}
+
+Firestore.FieldValue = FieldValue;
+
+class Timestamp {
+  static now() {
+    return new Date();
+  }
+
+  static fromDate(date) {
+    return date;
+  }
+}
+
+/**
+ * Replace @google-cloud/firestore with the in-memory fake
+ *
+ * @returns {Map<string, Object>} The store (path -> document data), emptied
+ */
+function installFakeFirestore() {
+  const modulePath = require.resolve('@google-cloud/firestore');
+  require.cache[modulePath] = {
+    id: modulePath,
+    filename: modulePath,
+    loaded: true,
+    exports: { Firestore, FieldValue, Timestamp },
+  };
+
+  store.clear();
+  return store;
+}
+
+module.exports = {
+  installFakeFirestore,
+  store,
+};
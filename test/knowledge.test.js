@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeFirestore } = require('./helpers/firestore');
+
+const store = installFakeFirestore();
+const knowledge = require('../services/knowledge');
+const embeddings = require('../services/embeddings');
+const bm25 = require('../lib/bm25');
+
+test.mock.method(console, 'log', () => {});
+test.mock.method(console, 'warn', () => {});
+test.mock.method(console, 'error', () => {});
+
+// BM25 only - no Vertex AI calls
+test.mock.method(embeddings, 'isEnabled', () => false);
+
+/**
+ * Validated FAQ entry fields
+ *
+ * @param {string} question - Question
+ * @param {string} answer - Answer
+ * @returns {Object} Entry fields
+ */
+function faq(question, answer) {
+  return knowledge.validateEntry({ type: 'faq', question, answer }).fields;
+}
+
+/**
+ * Store chunks directly, as earlier saves would have
+ *
+ * @param {string} siteToken - Customer site token
+ * @param {number} count - Number of chunks
+ */
+function seedChunks(siteToken, count) {
+  for (let index = 0; index < count; index++) {
+    store.set(`knowledge_chunks/kb_seed_${siteToken}_${index}`, {
+      site_token: siteToken,
+      entry_id: `kb_seed_${siteToken}`,
+      index,
+      title: 'Seed',
+      text: `Seed chunk ${index}`,
+      embedding: null,
+      embedding_model: null,
+    });
+  }
+}
+
+test('saved entries are found by keyword search', async () => {
+  const customer = { id: 'c1', site_token: 'tok_search' };
+
+  await knowledge.saveEntry(customer, faq('Do you fix water heaters?', 'Yes, gas and electric water heaters.'));
+  await knowledge.saveEntry(customer, faq('What areas do you serve?', 'Miami and Fort Lauderdale.'));
+
+  const { results, method } = await knowledge.searchKnowledge(customer, 'water heater repair');
+
+  assert.equal(method, 'bm25');
+  assert.match(results[0].text, /water heaters/);
+});
+
+test('the BM25 index is built once per cached chunk set and rebuilt after a save', async (t) => {
+  const customer = { id: 'c2', site_token: 'tok_index' };
+  await knowledge.saveEntry(customer, faq('Are you open on Sundays?', 'No, Monday to Saturday only.'));
+
+  const createIndex = t.mock.method(bm25, 'createIndex');
+
+  await knowledge.searchKnowledge(customer, 'sunday hours');
+  await knowledge.searchKnowledge(customer, 'open saturday');
+  assert.equal(createIndex.mock.callCount(), 1);
+
+  await knowledge.saveEntry(customer, faq('Do you offer emergency service?', 'Yes, 24/7 for burst pipes.'));
+  const { results } = await knowledge.searchKnowledge(customer, 'emergency burst pipe');
+  assert.equal(createIndex.mock.callCount(), 2);
+  assert.match(results[0].text, /burst pipes/);
+});
+
+test('saves that would take a customer past MAX_CHUNKS are refused', async () => {
+  const customer = { id: 'c3', site_token: 'tok_full' };
+  seedChunks(customer.site_token, 1999);
+
+  const saved = await knowledge.saveEntry(customer, faq('Last question?', 'Fits exactly.'));
+  assert.equal(saved.chunk_count, 1);
+
+  await assert.rejects(
+    knowledge.saveEntry(customer, faq('One more?', 'Over the limit.')),
+    { code: 'LIMIT_REACHED' },
+  );
+
+  // Replacing an entry only counts the chunks it adds
+  const replaced = await knowledge.saveEntry(customer, faq('Last question?', 'Still fits.'), saved.id);
+  assert.equal(replaced.chunk_count, 1);
+});
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeFirestore } = require('./helpers/firestore');
+
+const store = installFakeFirestore();
+const leads = require('../services/leads');
+
+test.mock.method(console, 'log', () => {});
+test.mock.method(console, 'error', () => {});
+
+const customer = { id: 'c1', site_token: 'tok1' };
+
+test('saveLead keeps one lead per conversation and merges later fields into it', async () => {
+  const conversation = { id: 'CA1', channel: 'voice', from: '+12125550123' };
+
+  const first = await leads.saveLead(customer, conversation, { name: 'Dana' });
+  const second = await leads.saveLead(customer, conversation, { reason: 'Leaking sink', urgency: 'high' });
+
+  const stored = [...store.keys()].filter((path) => path.startsWith('leads/'));
+  assert.deepEqual(stored, ['leads/CA1']);
+
+  assert.equal(second.id, 'CA1');
+  assert.equal(second.name, 'Dana');
+  assert.equal(second.reason, 'Leaking sink');
+  assert.equal(second.urgency, 'high');
+  assert.equal(second.caller_number, '+12125550123');
+  assert.equal(second.created_at, first.created_at);
+});
+
+test('save_lead cleans the model arguments before saving', async () => {
+  const capture = leads.createLeadCapture(customer, { id: 'CA2', channel: 'voice' });
+
+  const result = await capture.tool.handler({
+    name: '  Sam  ',
+    urgency: 'whenever',
+    reason: 'x'.repeat(600),
+    notes: 'not a lead field',
+  });
+
+  assert.deepEqual(result, { saved: true });
+  assert.equal(capture.lead.name, 'Sam');
+  assert.equal(capture.lead.urgency, 'normal');
+  assert.equal(capture.lead.reason.length, 500);
+  assert.equal(capture.lead.notes, undefined);
+});
+
+test('save_lead lower-cases a known urgency', async () => {
+  const capture = leads.createLeadCapture(customer, { id: 'CA3' });
+
+  await capture.tool.handler({ urgency: 'EMERGENCY' });
+
+  assert.equal(capture.lead.urgency, 'emergency');
+  assert.equal(capture.lead.channel, 'chat');
+});
+
+test('save_lead with no usable fields saves nothing', async () => {
+  const capture = leads.createLeadCapture(customer, { id: 'CA4' });
+
+  assert.deepEqual(await capture.tool.handler({ name: '   ' }), { error: 'No lead fields provided' });
+  assert.equal(capture.lead, null);
+  assert.equal(store.has('leads/CA4'), false);
+});
+
+test('save_lead instructions list what the session already knows', () => {
+  const capture = leads.createLeadCapture(customer, { id: 'CA5', lead: { name: 'Dana', urgency: 'high' } });
+
+  assert.match(capture.tool.instructions, /Already saved: name: Dana; urgency: high/);
+});
+
+test('toLeadSummary returns only the lead fields', () => {
+  assert.equal(leads.toLeadSummary(null), null);
+  assert.deepEqual(
+    leads.toLeadSummary({ name: 'Dana', reason: 'Leak', urgency: 'high', site_token: 'tok1' }),
+    { name: 'Dana', callback_number: null, reason: 'Leak', urgency: 'high' },
+  );
+});
@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeFirestore } = require('./helpers/firestore');
+
+const store = installFakeFirestore();
+const metering = require('../services/metering');
+
+test.mock.method(console, 'log', () => {});
+test.mock.method(console, 'error', () => {});
+
+const customer = {
+  id: 'c1',
+  site_token: 'tok1',
+  business_name: 'Acme Plumbing',
+  business_phone: '(786) 555-0100',
+  owner_test_numbers: ['+1 305 555 0199'],
+  calls_limit: 100,
+  billable_calls_used: 0,
+};
+
+test('classifyCall treats calls from owner numbers as free tests', () => {
+  assert.equal(metering.classifyCall(customer, { from: '+17865550100', callerMessages: ['Hi'] }), 'test');
+  assert.equal(metering.classifyCall(customer, { from: '305-555-0199', callerMessages: ['Hi'] }), 'test');
+});
+
+test('classifyCall ignores owner numbers when no caller number is known', () => {
+  assert.equal(metering.classifyCall(customer, { from: null, callerMessages: ['I need a plumber'] }), 'billable');
+  assert.equal(metering.classifyCall({ ...customer, business_phone: null }, { from: '', callerMessages: ['Hi'] }), 'billable');
+});
+
+test('classifyCall marks calls where the caller never spoke as silent, unless they left a voicemail', () => {
+  assert.equal(metering.classifyCall(customer, { from: '+12125550123', callerMessages: [' ', ''] }), 'silent');
+  assert.equal(metering.classifyCall(customer, { from: '+12125550123', callerMessages: [], voicemail: true }), 'billable');
+});
+
+test('classifyCall filters robocall phrases as spam', () => {
+  const call = { from: '+12125550123', callerMessages: ['This is an automated call about your car\'s extended warranty'] };
+  assert.equal(metering.classifyCall(customer, call), 'spam');
+  assert.equal(metering.classifyCall(customer, { from: '+12125550123', callerMessages: ['My sink is leaking'] }), 'billable');
+});
+
+test('recordCallOutcome increments the outcome counters once per call', async () => {
+  store.set('customers/c1', { ...customer });
+
+  const first = await metering.recordCallOutcome(customer, 'CA1', 'spam', { from: '+12125550123' });
+  const retry = await metering.recordCallOutcome(customer, 'CA1', 'billable');
+
+  assert.deepEqual(first, { outcome: 'spam', alreadyMetered: false });
+  assert.deepEqual(retry, { outcome: 'spam', alreadyMetered: true });
+
+  const stored = store.get('customers/c1');
+  assert.equal(stored.total_calls, 1);
+  assert.equal(stored.spam_calls, 1);
+  assert.equal(stored.filtered_calls, 1);
+  assert.equal(stored.billable_calls_used, 0);
+  assert.equal(store.get('calls/CA1').outcome, 'spam');
+});
+
+test('recordCallOutcome refuses a call recorded for another customer', async () => {
+  store.set('customers/c1', { ...customer });
+  store.set('calls/CA2', { site_token: 'other', outcome: null });
+
+  await assert.rejects(metering.recordCallOutcome(customer, 'CA2', 'billable'), { code: 'NOT_FOUND' });
+  assert.equal(store.get('customers/c1').total_calls, undefined);
+});
+
+test('getOverLimitAction applies the over-limit behavior only once calls_limit is used up', () => {
+  assert.equal(metering.getOverLimitAction({ ...customer, billable_calls_used: 99 }), null);
+
+  const over = { ...customer, billable_calls_used: 100 };
+  assert.equal(metering.getOverLimitAction({ ...over, over_limit_behavior: 'voicemail' }).behavior, 'voicemail');
+  assert.equal(metering.getOverLimitAction({ ...over, over_limit_behavior: 'allow' }), null);
+  assert.equal(metering.getOverLimitAction({ ...over, calls_limit: null }), null);
+});
+
+test('customers can choose callback or voicemail, only an admin can allow overage', () => {
+  assert.deepEqual(metering.CUSTOMER_OVER_LIMIT_BEHAVIORS, ['callback', 'voicemail']);
+  assert.ok(metering.OVER_LIMIT_BEHAVIORS.includes('allow'));
+});
+
+test('hasExceededSmsLimit uses sms_limit, falling back to the default', () => {
+  assert.equal(metering.hasExceededSmsLimit({ sms_limit: 10, sms_received: 9 }), false);
+  assert.equal(metering.hasExceededSmsLimit({ sms_limit: 10, sms_received: 10 }), true);
+  assert.equal(metering.hasExceededSmsLimit({ sms_limit: 0 }), true);
+  assert.equal(metering.hasExceededSmsLimit({ sms_received: 499 }), false);
+});
+
+test('recordSmsReceived counts a text once and holds redeliveries while a reply is in flight', async () => {
+  store.set('customers/c1', { ...customer });
+
+  const first = await metering.recordSmsReceived(customer, 'SM1', { from: '+12125550123', segments: 2 });
+  const redelivery = await metering.recordSmsReceived(customer, 'SM1', { segments: 2 });
+
+  assert.deepEqual(first, { alreadyRecorded: false, replied: false, replying: false });
+  assert.deepEqual(redelivery, { alreadyRecorded: true, replied: false, replying: true });
+  assert.equal(store.get('customers/c1').sms_received, 1);
+  assert.equal(store.get('customers/c1').sms_segments, 2);
+
+  await metering.releaseSmsReply('SM1');
+  const retry = await metering.recordSmsReceived(customer, 'SM1', { segments: 2 });
+  assert.deepEqual(retry, { alreadyRecorded: true, replied: false, replying: false });
+
+  await metering.recordSmsSent(customer, 'SM1', 'Thanks, we will call you back.');
+  const afterReply = await metering.recordSmsReceived(customer, 'SM1', { segments: 2 });
+  assert.deepEqual(afterReply, { alreadyRecorded: true, replied: true, replying: false });
+  assert.equal(store.get('customers/c1').sms_received, 1);
+  assert.equal(store.get('customers/c1').sms_sent, 1);
+});
@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeFirestore } = require('./helpers/firestore');
+
+const store = installFakeFirestore();
+
+// Twilio calls made by compensations - set twilioFailures.releasePhoneNumber to make the release fail
+const twilioCalls = [];
+const twilioFailures = {};
+const twilioPath = require.resolve('../services/twilio');
+require.cache[twilioPath] = {
+  id: twilioPath,
+  filename: twilioPath,
+  loaded: true,
+  exports: {
+    releasePhoneNumber: async (subAccountSid, numberSid) => {
+      twilioCalls.push(['releasePhoneNumber', subAccountSid, numberSid]);
+      if (twilioFailures.releasePhoneNumber) {
+        throw new Error('Twilio is down');
+      }
+    },
+    closeSubAccount: async (subAccountSid) => {
+      twilioCalls.push(['closeSubAccount', subAccountSid]);
+    },
+  },
+};
+
+const registrations = require('../services/registrations');
+
+test.mock.method(console, 'log', () => {});
+test.mock.method(console, 'error', () => {});
+
+const body = { business_name: 'Acme Plumbing', site_url: 'https://acme.example', options: { country: 'US', area_code: '212' } };
+
+/**
+ * Expire a registration's lease as if its request had crashed
+ *
+ * @param {string} id - Registration id
+ */
+function expireLease(id) {
+  const path = `registrations/${id}`;
+  store.set(path, { ...store.get(path), lease_expires_at: new Date(Date.now() - 1000).toISOString() });
+}
+
+test('fingerprintRequest ignores key order at every level', () => {
+  const reordered = { options: { area_code: '212', country: 'US' }, site_url: 'https://acme.example', business_name: 'Acme Plumbing' };
+
+  assert.equal(registrations.fingerprintRequest(reordered), registrations.fingerprintRequest(body));
+  assert.notEqual(registrations.fingerprintRequest({ ...body, site_url: 'https://other.example' }), registrations.fingerprintRequest(body));
+});
+
+test('a key is claimed once, held while leased and rejected with a different body', async () => {
+  const fingerprint = registrations.fingerprintRequest(body);
+
+  const first = await registrations.claimRegistration('key-1', fingerprint);
+  const concurrent = await registrations.claimRegistration('key-1', fingerprint);
+  const otherBody = await registrations.claimRegistration('key-1', registrations.fingerprintRequest({ business_name: 'Other' }));
+
+  assert.equal(first.outcome, 'claimed');
+  assert.equal(first.registration.attempt, 1);
+  assert.equal(concurrent.outcome, 'in_progress');
+  assert.equal(otherBody.outcome, 'mismatch');
+});
+
+test('a completed registration is replayed with the secret taken from the customer', async () => {
+  const fingerprint = registrations.fingerprintRequest(body);
+  const { registration } = await registrations.claimRegistration('key-2', fingerprint);
+
+  await registrations.completeRegistration(registration, 201, { success: true, site_token: registration.site_token, api_secret: 's3cret' });
+  const replay = await registrations.claimRegistration('key-2', fingerprint);
+
+  assert.equal(replay.outcome, 'replay');
+  assert.equal(replay.registration.response.body.api_secret, undefined);
+  assert.equal(registrations.buildReplayBody(replay.registration, { api_secret: 's3cret' }).api_secret, 's3cret');
+  assert.equal(registrations.buildReplayBody(replay.registration, { api_secret: 'rotated' }).api_secret, undefined);
+});
+
+test('a retry resumes after the lease ends and the original request stops at its next renewal', async () => {
+  const fingerprint = registrations.fingerprintRequest(body);
+  const { registration: original } = await registrations.claimRegistration('key-3', fingerprint);
+  await registrations.recordStep(original, registrations.STEP_SUB_ACCOUNT, { account_sid: 'AC1' });
+
+  expireLease(original.id);
+  const retry = await registrations.claimRegistration('key-3', fingerprint);
+
+  assert.equal(retry.outcome, 'claimed');
+  assert.equal(retry.registration.attempt, 2);
+  assert.equal(retry.registration.site_token, original.site_token);
+  assert.equal(retry.registration.steps.sub_account.account_sid, 'AC1');
+
+  await assert.rejects(registrations.renewLease(original), { code: 'LEASE_LOST' });
+  await registrations.renewLease(retry.registration);
+});
+
+test('a failed registration compensates in reverse and queues compensations that fail', async () => {
+  const fingerprint = registrations.fingerprintRequest(body);
+  const { registration } = await registrations.claimRegistration('key-4', fingerprint);
+  await registrations.recordStep(registration, registrations.STEP_SUB_ACCOUNT, { account_sid: 'AC4' });
+  await registrations.recordStep(registration, registrations.STEP_PHONE_NUMBER, { number_sid: 'PN4', phone_number: '+12125550100' });
+
+  twilioCalls.length = 0;
+  twilioFailures.releasePhoneNumber = true;
+  const result = await registrations.failRegistration(registration, { status: 500, body: { success: false } });
+  twilioFailures.releasePhoneNumber = false;
+
+  assert.deepEqual(twilioCalls, [['releasePhoneNumber', 'AC4', 'PN4'], ['closeSubAccount', 'AC4']]);
+  assert.deepEqual(result, { compensated: ['close_sub_account'], queued: ['release_phone_number'] });
+
+  const queued = [...store.entries()].filter(([path]) => path.startsWith('registration_compensations/')).map(([, data]) => data);
+  assert.equal(queued.length, 1);
+  assert.equal(queued[0].type, 'release_phone_number');
+  assert.equal(queued[0].status, 'pending');
+
+  const restart = await registrations.claimRegistration('key-4', fingerprint);
+  assert.equal(restart.outcome, 'claimed');
+  assert.deepEqual(restart.registration.steps, {});
+});
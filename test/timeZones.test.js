@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  getZonedParts,
+  zonedTimeToUtc,
+  zonedMinutesToUtc,
+  addDays,
+  parseHoursRange,
+} = require('../lib/timeZones');
+
+test('zonedTimeToUtc uses the offset in effect on each side of a DST change', () => {
+  assert.equal(zonedTimeToUtc('2026-03-07', '09:00', 'America/New_York').toISOString(), '2026-03-07T14:00:00.000Z');
+  assert.equal(zonedTimeToUtc('2026-03-09', '09:00', 'America/New_York').toISOString(), '2026-03-09T13:00:00.000Z');
+  assert.equal(zonedTimeToUtc('2026-07-01', '09:00', 'Asia/Kolkata').toISOString(), '2026-07-01T03:30:00.000Z');
+});
+
+test('zonedTimeToUtc resolves a time skipped by spring forward an hour earlier', () => {
+  // New York: 02:00 -> 03:00 on 2026-03-08
+  const newYork = zonedTimeToUtc('2026-03-08', '02:30', 'America/New_York');
+  assert.equal(newYork.toISOString(), '2026-03-08T06:30:00.000Z');
+  assert.equal(getZonedParts(newYork, 'America/New_York').time, '01:30');
+
+  // London (ahead of UTC): 01:00 -> 02:00 on 2026-03-29
+  const london = zonedTimeToUtc('2026-03-29', '01:30', 'Europe/London');
+  assert.equal(london.toISOString(), '2026-03-29T00:30:00.000Z');
+  assert.equal(getZonedParts(london, 'Europe/London').time, '00:30');
+});
+
+test('zonedTimeToUtc resolves a time repeated by fall back to the first occurrence', () => {
+  assert.equal(zonedTimeToUtc('2026-11-01', '01:30', 'America/New_York').toISOString(), '2026-11-01T05:30:00.000Z');
+  assert.equal(zonedTimeToUtc('2026-10-25', '01:30', 'Europe/London').toISOString(), '2026-10-25T00:30:00.000Z');
+});
+
+test('zonedMinutesToUtc treats 24:00 as midnight at the end of the day', () => {
+  // The day clocks spring forward is 23 hours long
+  assert.equal(zonedMinutesToUtc('2026-03-08', 24 * 60, 'America/New_York').toISOString(), '2026-03-09T04:00:00.000Z');
+  assert.equal(zonedMinutesToUtc('2026-03-08', 9 * 60, 'America/New_York').toISOString(), '2026-03-08T13:00:00.000Z');
+});
+
+test('getZonedParts reports the local date, weekday and time', () => {
+  const parts = getZonedParts(new Date('2026-03-08T04:30:00Z'), 'America/Los_Angeles');
+  assert.equal(parts.date, '2026-03-07');
+  assert.equal(parts.weekday, 'sat');
+  assert.equal(parts.time, '20:30');
+});
+
+test('addDays crosses month and year boundaries', () => {
+  assert.equal(addDays('2026-12-31', 1), '2027-01-01');
+  assert.equal(addDays('2028-03-01', -1), '2028-02-29');
+});
+
+test('parseHoursRange accepts HH:MM-HH:MM ranges up to 24:00', () => {
+  assert.deepEqual(parseHoursRange('09:30-17:00'), { start: 570, end: 1020 });
+  assert.deepEqual(parseHoursRange('18:00-24:00'), { start: 1080, end: 1440 });
+  assert.equal(parseHoursRange('17:00-09:00'), null);
+  assert.equal(parseHoursRange('24:00-24:00'), null);
+  assert.equal(parseHoursRange('9:00-17:00'), null);
+});